@@ -0,0 +1,132 @@
+// lib/agentAuth.js
+import crypto from "crypto";
+
+/*
+ * Agent credentials
+ *
+ * Every agent gets a random secret at registration. The agent authenticates with
+ *   Authorization: Bearer <agentId>.<secret>
+ * Only a SHA-256 of the secret is stored. On pairing a rotation is staged as
+ * `pending`; the replacement secret is minted when the next heartbeat hands it
+ * to the agent, so it is never stored in plaintext. Until the agent
+ * authenticates with a new secret the old one keeps working and every
+ * heartbeat carries a fresh replacement (an earlier response may have been
+ * lost); the last few handed out all stay valid.
+ */
+
+const MAX_PENDING_SECRETS = 5;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function sameHash(a, b) {
+  if (!a || !b) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+export function formatAgentToken(agentId, secret) {
+  return `${agentId}.${secret}`;
+}
+
+export function parseAgentToken(header) {
+  const m = /^Bearer\s+(.+)$/i.exec(header ?? "");
+  if (!m) return null;
+  const token = m[1].trim();
+  const dot = token.lastIndexOf(".");
+  if (dot <= 0) return null;
+  return { agentId: token.slice(0, dot), secret: token.slice(dot + 1) };
+}
+
+export function createAgentAuth({ agents, agentCredentials, nowIso }) {
+  // Fresh credentials for a new agent; returns the bearer token (only time it is visible)
+  function issue(agentId) {
+    const secret = newSecret();
+    agentCredentials.set(agentId, {
+      agentId,
+      secretHash: hashSecret(secret),
+      issuedAt: nowIso(),
+      rotatedAt: null,
+      revokedAt: null,
+      pending: null
+    });
+    return formatAgentToken(agentId, secret);
+  }
+
+  // Stage a rotation (the new secret is delivered via heartbeat)
+  function rotate(agentId) {
+    const cred = agentCredentials.get(agentId);
+    if (!cred || cred.revokedAt) return false;
+    cred.pending = { requestedAt: nowIso(), secretHashes: [] };
+    agentCredentials.set(agentId, cred);
+    return true;
+  }
+
+  function revoke(agentId) {
+    const cred = agentCredentials.get(agentId);
+    if (!cred) return false;
+    cred.revokedAt = nowIso();
+    cred.pending = null;
+    agentCredentials.set(agentId, cred);
+    return true;
+  }
+
+  // New token for a staged rotation the agent has not switched to yet; only its hash is kept
+  function issuePendingToken(agentId) {
+    const cred = agentCredentials.get(agentId);
+    if (!cred?.pending) return null;
+    const secret = newSecret();
+    cred.pending.secretHashes = [...cred.pending.secretHashes, hashSecret(secret)].slice(-MAX_PENDING_SECRETS);
+    agentCredentials.set(agentId, cred);
+    return formatAgentToken(agentId, secret);
+  }
+
+  // -> { agentId } or { error, status }
+  function authenticate(header) {
+    const parsed = parseAgentToken(header);
+    if (!parsed) return { status: 401, error: "UNAUTHENTICATED" };
+
+    const { agentId, secret } = parsed;
+    const cred = agentCredentials.get(agentId);
+    if (!cred || !agents.has(agentId)) return { status: 401, error: "INVALID_CREDENTIALS" };
+    if (cred.revokedAt) return { status: 401, error: "AGENT_REVOKED" };
+
+    const hash = hashSecret(secret);
+    const rotated = cred.pending?.secretHashes.find(h => sameHash(hash, h));
+    if (rotated) {
+      // agent switched to a rotated secret -> old one and the other replacements are retired
+      cred.secretHash = rotated;
+      cred.rotatedAt = nowIso();
+      cred.pending = null;
+      agentCredentials.set(agentId, cred);
+      return { agentId };
+    }
+    if (!sameHash(hash, cred.secretHash)) return { status: 401, error: "INVALID_CREDENTIALS" };
+
+    return { agentId };
+  }
+
+  /*
+   * Express middleware for /agent/* routes. Sets req.agentId / req.agent and rejects
+   * requests that name a different agentId in the body or query than the token.
+   */
+  function requireAgent(req, res, next) {
+    const result = authenticate(req.get("authorization"));
+    if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
+
+    const claimed = req.body?.agentId ?? req.query?.agentId;
+    if (claimed && claimed !== result.agentId) {
+      return res.status(403).json({ ok: false, error: "AGENT_MISMATCH" });
+    }
+
+    req.agentId = result.agentId;
+    req.agent = agents.get(result.agentId);
+    next();
+  }
+
+  return { issue, rotate, revoke, issuePendingToken, authenticate, requireAgent };
+}
@@ -0,0 +1,102 @@
+// lib/agentVersions.js
+
+/*
+ * Agent versions and the per-tenant version policy
+ *
+ * Versions are dotted numbers with an optional "v" prefix, pre-release suffix
+ * and build metadata ("1.4", "v1.4.2", "2.0.0-rc.1", "2.0.0+build.7"); missing
+ * parts count as 0, a pre-release sorts before its release and build metadata
+ * is ignored, as in semver. Anything else (e.g. "unknown" from agents that
+ * never reported a version) cannot be compared.
+ *
+ * Policy: { minimum, recommended }, both optional. Agents below `recommended`
+ * are "outdated", agents below `minimum` are "unsupported" and only get
+ * agent-update jobs until they are updated.
+ */
+
+export const VERSION_STATUSES = ["current", "outdated", "unsupported", "unknown"];
+
+export const EMPTY_VERSION_POLICY = { minimum: null, recommended: null };
+
+const VERSION_RE = /^v?(\d+(?:\.\d+){0,3})(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// -> { core: [numbers], pre: string | null } or null
+export function parseVersion(value) {
+  const m = VERSION_RE.exec(String(value ?? "").trim());
+  if (!m) return null;
+  return { core: m[1].split(".").map(Number), pre: m[2] ?? null };
+}
+
+export function isValidVersion(value) {
+  return parseVersion(value) !== null;
+}
+
+function comparePre(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  const x = a.split(".");
+  const y = b.split(".");
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    if (x[i] === undefined) return -1;
+    if (y[i] === undefined) return 1;
+    const nx = /^\d+$/.test(x[i]) ? Number(x[i]) : null;
+    const ny = /^\d+$/.test(y[i]) ? Number(y[i]) : null;
+    if (nx !== null && ny !== null) {
+      if (nx !== ny) return nx < ny ? -1 : 1;
+    } else if (x[i] !== y[i]) {
+      // numeric identifiers sort before alphanumeric ones
+      if (nx !== null) return -1;
+      if (ny !== null) return 1;
+      return x[i] < y[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+// -> -1 | 0 | 1, or null when either side is not a version
+export function compareVersions(a, b) {
+  const x = parseVersion(a);
+  const y = parseVersion(b);
+  if (!x || !y) return null;
+  for (let i = 0; i < Math.max(x.core.length, y.core.length); i++) {
+    const d = (x.core[i] ?? 0) - (y.core[i] ?? 0);
+    if (d !== 0) return d < 0 ? -1 : 1;
+  }
+  return comparePre(x.pre, y.pre);
+}
+
+// Same version once normalized ("v1.4" = "1.4.0" = "1.4.0+b7"); versions
+// that cannot be parsed only equal the same text
+export function isSameVersion(a, b) {
+  const c = compareVersions(a, b);
+  return c === null ? String(a ?? "").trim() === String(b ?? "").trim() : c === 0;
+}
+
+// true when `version` is known to be at least `required`
+export function isAtLeast(version, required) {
+  const c = compareVersions(version, required);
+  return c !== null && c >= 0;
+}
+
+export function versionStatus(version, policy = EMPTY_VERSION_POLICY) {
+  if (!isValidVersion(version)) return "unknown";
+  if (policy?.minimum && !isAtLeast(version, policy.minimum)) return "unsupported";
+  if (policy?.recommended && !isAtLeast(version, policy.recommended)) return "outdated";
+  return "current";
+}
+
+// { minimum?, recommended? } from a request -> { policy } or { error, field }
+export function normalizeVersionPolicy(input) {
+  const policy = { ...EMPTY_VERSION_POLICY };
+  for (const field of ["minimum", "recommended"]) {
+    const value = input?.[field];
+    if (value === undefined || value === null || value === "") continue;
+    if (!isValidVersion(value)) return { error: "INVALID_VERSION", field };
+    policy[field] = String(value).trim();
+  }
+  if (policy.minimum && policy.recommended && !isAtLeast(policy.recommended, policy.minimum)) {
+    return { error: "RECOMMENDED_BELOW_MINIMUM", field: "recommended" };
+  }
+  return { policy };
+}
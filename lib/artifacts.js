@@ -0,0 +1,78 @@
+// lib/artifacts.js
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/*
+ * Firmware artifacts and agent packages
+ *
+ * Metadata lives in the `artifacts` table, the binary in <dir>/<artifactId>.bin.
+ * An artifact belongs to a tenant, or to nobody (tenantId null) when a global
+ * admin uploaded it for everyone.
+ *
+ * `kind` is "firmware" (flashed onto devices of the listed models) or
+ * "agent-package" (a new agent release for agent-update jobs; no models).
+ */
+
+export const ARTIFACT_KINDS = ["firmware", "agent-package"];
+
+export function parseModels(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return list.map(m => String(m).trim()).filter(Boolean);
+}
+
+export function isCompatible(artifact, model) {
+  if (!model || artifact.kind !== "firmware") return false;
+  const m = model.toLowerCase();
+  return artifact.models.some(x => x.toLowerCase() === m);
+}
+
+export function createArtifactRepository({ artifacts, dir: baseDir, nowIso }) {
+  const dir = path.resolve(baseDir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  function filePath(artifactId) {
+    return path.join(dir, `${artifactId}.bin`);
+  }
+
+  function save(buffer, { kind = "firmware", filename, version, models, tenantId, uploadedBy }) {
+    const artifactId = crypto.randomUUID();
+    const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+
+    fs.writeFileSync(filePath(artifactId), buffer);
+
+    const artifact = {
+      artifactId,
+      kind,
+      filename,
+      version,
+      sha256,
+      size: buffer.length,
+      models,
+      tenantId,
+      uploadedBy,
+      createdAt: nowIso()
+    };
+    artifacts.set(artifactId, artifact);
+    return artifact;
+  }
+
+  function remove(artifactId) {
+    fs.rmSync(filePath(artifactId), { force: true });
+    return artifacts.delete(artifactId);
+  }
+
+  // What an agent needs to fetch and verify the binary
+  function integrityInfo(artifact) {
+    return {
+      artifactId: artifact.artifactId,
+      filename: artifact.filename,
+      version: artifact.version,
+      sha256: artifact.sha256,
+      size: artifact.size,
+      downloadUrl: `/agent/artifacts/${artifact.artifactId}`
+    };
+  }
+
+  return { filePath, save, remove, integrityInfo };
+}
@@ -0,0 +1,95 @@
+// lib/audit.js
+import crypto from "crypto";
+
+/*
+ * Append-only audit log
+ *
+ * One entry per state change: who (actor), what (action + target), when, and
+ * the relevant fields before/after. Entries are never updated or deleted,
+ * unless a deployment opts into a `retentionMs`: then prune() drops the ones
+ * older than that.
+ * Secrets (tokens, password hashes) must not be passed in before/after.
+ */
+
+export const SYSTEM_ACTOR = { type: "system", id: "server" };
+
+export function userActor(user) {
+  return { type: "user", id: user.userId };
+}
+
+export function agentActor(agentId) {
+  return { type: "agent", id: agentId };
+}
+
+export function pick(obj, keys) {
+  if (!obj) return null;
+  const out = {};
+  for (const k of keys) out[k] = obj[k] ?? null;
+  return out;
+}
+
+// newest first: by time, then id
+function compareDesc(a, b) {
+  return b.at.localeCompare(a.at) || b.id.localeCompare(a.id);
+}
+
+export function createAuditLog({ auditLog, nowIso, onRecord = () => {}, retentionMs = null }) {
+  function record({ actor, action, tenantId = null, agentId = null, target = null, before = null, after = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      at: nowIso(),
+      tenantId,
+      agentId,
+      actor,
+      action,
+      target,
+      before,
+      after
+    };
+    auditLog.set(entry.id, Object.freeze(entry));
+    onRecord(entry);
+    return entry;
+  }
+
+  /*
+   * Filters: tenantIds (array, null = all), agentId, actor (actor id), action
+   * (exact or prefix ending in "."), from/to (ISO), before (cursor = entry id).
+   */
+  function query({ tenantIds = null, agentId, actor, action, from, to, before, limit = 100 } = {}) {
+    let cursor = null;
+    if (before) {
+      cursor = auditLog.get(before);
+      if (!cursor) return { entries: [], nextCursor: null };
+    }
+
+    const matches = [];
+    for (const e of auditLog.values()) {
+      if (tenantIds && !tenantIds.includes(e.tenantId)) continue;
+      if (agentId && e.agentId !== agentId) continue;
+      if (actor && e.actor.id !== actor) continue;
+      if (action && !(action.endsWith(".") ? e.action.startsWith(action) : e.action === action)) continue;
+      if (from && e.at < from) continue;
+      if (to && e.at > to) continue;
+      if (cursor && compareDesc(cursor, e) >= 0) continue;
+      matches.push(e);
+    }
+
+    matches.sort(compareDesc);
+    const entries = matches.slice(0, limit);
+    const nextCursor = matches.length > limit ? entries.at(-1).id : null;
+    return { entries, nextCursor };
+  }
+
+  // -> number of entries dropped
+  function prune(now = Date.now()) {
+    if (!retentionMs) return 0;
+    const cutoff = new Date(now - retentionMs).toISOString();
+    let dropped = 0;
+    for (const [id, e] of [...auditLog.entries()]) {
+      if (e.at < cutoff && auditLog.delete(id)) dropped++;
+    }
+    return dropped;
+  }
+
+  return { record, query, prune };
+}
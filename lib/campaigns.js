@@ -0,0 +1,202 @@
+// lib/campaigns.js
+import crypto from "crypto";
+import { isTerminal } from "./jobStates.js";
+
+/*
+ * Staged firmware rollout campaigns
+ *
+ * A campaign snapshots the devices matching its target when it is created and
+ * rolls the artifact out in waves: first a canary share of the fleet, then
+ * fixed-size batches. The next wave starts once every job of the current wave
+ * has finished. When the share of failed jobs (failed, timed-out, expired over all
+ * finished ones) goes above `failureThreshold` the campaign pauses itself.
+ * A device whose job could not be started at all (agent gone, capability
+ * missing, ...) counts as finished and failed, under the "start-failed" status.
+ */
+
+export const CAMPAIGN_DEFAULTS = {
+  canaryPercent: 10,
+  batchSize: 10,
+  failureThreshold: 0.2
+};
+
+const FAILED_JOB_STATES = new Set(["failed", "timed-out", "expired", "start-failed"]);
+
+export function matchesTarget(agent, device, target) {
+  if (target.siteId && agent.siteId !== target.siteId) return false;
+  if (target.model && (device.model ?? "").toLowerCase() !== target.model.toLowerCase()) return false;
+  if (target.fwVersion && device.fwVersion !== target.fwVersion) return false;
+  return true;
+}
+
+// Split `count` devices into wave sizes: canary first, then batches
+export function planWaves(count, { canaryPercent, batchSize }) {
+  if (count === 0) return [];
+  const canary = Math.min(count, Math.max(1, Math.ceil(count * canaryPercent / 100)));
+  const waves = [canary];
+  for (let left = count - canary; left > 0; left -= batchSize) {
+    waves.push(Math.min(batchSize, left));
+  }
+  return waves;
+}
+
+// onStatusChange(campaign, previousStatus) fires when advance() pauses or completes a campaign
+export function createCampaignEngine({ campaigns, jobs, nowIso, startJob, cancelJob, onStatusChange = () => {} }) {
+  function create({ tenantId, name, artifact, target, options, devices, createdBy }) {
+    const opts = { ...CAMPAIGN_DEFAULTS, ...options };
+    const sizes = planWaves(devices.length, opts);
+
+    let i = 0;
+    const entries = [];
+    sizes.forEach((size, wave) => {
+      for (const d of devices.slice(i, i + size)) {
+        entries.push({ agentId: d.agentId, deviceId: d.deviceId, wave, jobId: null });
+      }
+      i += size;
+    });
+
+    const campaign = {
+      campaignId: crypto.randomUUID(),
+      tenantId,
+      name,
+      artifactId: artifact.artifactId,
+      target,
+      ...opts,
+      waveCount: sizes.length,
+      currentWave: -1,
+      status: "running",
+      pausedReason: null,
+      devices: entries,
+      createdBy,
+      createdAt: nowIso(),
+      updatedAt: nowIso(),
+      finishedAt: null
+    };
+
+    campaigns.set(campaign.campaignId, campaign);
+    advance(campaign);
+    return campaign;
+  }
+
+  function jobOf(entry) {
+    return entry.jobId ? jobs.get(entry.jobId) : null;
+  }
+
+  // "pending" until the wave starts
+  function entryStatus(entry) {
+    if (entry.error) return "start-failed";
+    return jobOf(entry)?.status ?? "pending";
+  }
+
+  function isFinished(status) {
+    return status === "start-failed" || isTerminal(status);
+  }
+
+  function summarize(c) {
+    const byStatus = {};
+    let finished = 0;
+    let failed = 0;
+    for (const e of c.devices) {
+      const status = entryStatus(e);
+      byStatus[status] = (byStatus[status] ?? 0) + 1;
+      if (isFinished(status)) finished++;
+      if (FAILED_JOB_STATES.has(status)) failed++;
+    }
+
+    const waves = [];
+    for (let w = 0; w < c.waveCount; w++) {
+      const entries = c.devices.filter(e => e.wave === w);
+      waves.push({
+        wave: w,
+        kind: w === 0 ? "canary" : "batch",
+        devices: entries.length,
+        started: entries.some(e => e.jobId),
+        finished: entries.filter(e => isFinished(entryStatus(e))).length
+      });
+    }
+
+    return {
+      total: c.devices.length,
+      finished,
+      failed,
+      failureRate: finished > 0 ? failed / finished : 0,
+      percentComplete: c.devices.length > 0 ? Math.round(finished / c.devices.length * 100) : 100,
+      byStatus,
+      waves
+    };
+  }
+
+  function startWave(c, wave) {
+    for (const e of c.devices) {
+      if (e.wave !== wave || e.jobId) continue;
+      const result = startJob(c, e);
+      e.jobId = result.jobId ?? null;
+      e.error = result.error ?? null;
+    }
+    c.currentWave = wave;
+  }
+
+  // Move a running campaign forward: pause on failures, start the next wave, finish
+  function advance(c) {
+    if (c.status !== "running") return c;
+
+    const previous = c.status;
+    const s = summarize(c);
+    if (s.finished > 0 && s.failureRate > c.failureThreshold) {
+      c.status = "paused";
+      c.pausedReason = `failure rate ${(s.failureRate * 100).toFixed(0)}% above threshold ${(c.failureThreshold * 100).toFixed(0)}%`;
+    } else {
+      const current = c.devices.filter(e => e.wave === c.currentWave);
+      const waveDone = current.every(e => !e.jobId || isFinished(entryStatus(e)));
+      if (waveDone) {
+        if (c.currentWave + 1 < c.waveCount) {
+          startWave(c, c.currentWave + 1);
+        } else {
+          c.status = "completed";
+          c.finishedAt = nowIso();
+        }
+      }
+    }
+
+    c.updatedAt = nowIso();
+    campaigns.set(c.campaignId, c);
+    if (c.status !== previous) onStatusChange(c, previous);
+    return c;
+  }
+
+  function tick() {
+    for (const c of campaigns.values()) {
+      if (c.status === "running") advance(c);
+    }
+  }
+
+  function pause(c, reason = "paused by user") {
+    c.status = "paused";
+    c.pausedReason = reason;
+    c.updatedAt = nowIso();
+    campaigns.set(c.campaignId, c);
+    return c;
+  }
+
+  function resume(c) {
+    c.status = "running";
+    c.pausedReason = null;
+    // resuming is an explicit override of the failure threshold for the failures so far
+    c.failureThreshold = Math.max(c.failureThreshold, summarize(c).failureRate);
+    return advance(c);
+  }
+
+  function cancel(c, { by } = {}) {
+    for (const e of c.devices) {
+      const j = jobOf(e);
+      if (j && !isTerminal(j.status)) cancelJob(j, { by });
+    }
+    c.status = "cancelled";
+    c.finishedAt = nowIso();
+    c.updatedAt = nowIso();
+    campaigns.set(c.campaignId, c);
+    return c;
+  }
+
+  return { create, summarize, advance, tick, pause, resume, cancel };
+}
@@ -0,0 +1,90 @@
+// lib/csv.js
+
+/*
+ * Just enough RFC 4180 CSV for fleet exports and imports: comma separated,
+ * fields with commas, quotes or line breaks are quoted, quotes are doubled.
+ *
+ * Spreadsheets run cells starting with = + - @ as formulas, so toCsv() puts a
+ * ' in front of those and parseCsv() takes it off again; an exported file
+ * can be edited and imported without changing such values.
+ */
+
+const FORMULA_START = /^[=+\-@]/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = String(value);
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// columns: [name], rows: [{ name: value }] -> CSV text with a header line
+export function toCsv(columns, rows) {
+  const lines = [columns.map(formatCell).join(",")];
+  for (const row of rows) lines.push(columns.map(c => formatCell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+function unescapeFormula(s) {
+  return s.length > 1 && s[0] === "'" && FORMULA_START.test(s.slice(1)) ? s.slice(1) : s;
+}
+
+// -> { header: [name], rows: [{ line, values: { name: string } }] } or { error, line }.
+// Blank lines are skipped; missing trailing cells are "".
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = 0;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  const endField = () => {
+    record.push(unescapeFormula(field));
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== "") records.push({ line: recordLine, cells: record });
+    record = [];
+    recordLine = line;
+  };
+
+  while (i < src.length) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (c === '"') quoted = false;
+      else {
+        if (c === "\n") line++;
+        field += c;
+      }
+      i++;
+      continue;
+    }
+    if (c === '"' && field === "") quoted = true;
+    else if (c === ",") endField();
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else field += c;
+    i++;
+  }
+  if (quoted) return { error: "UNTERMINATED_QUOTE", line: recordLine };
+  if (field !== "" || record.length > 0) endRecord();
+
+  if (records.length === 0) return { error: "EMPTY_FILE", line: 1 };
+  const header = records[0].cells.map(h => h.trim());
+  const rows = records.slice(1).map(r => ({
+    line: r.line,
+    values: Object.fromEntries(header.map((name, idx) => [name, (r.cells[idx] ?? "").trim()]))
+  }));
+  return { header, rows };
+}
@@ -0,0 +1,234 @@
+// lib/deviceTwins.js
+import { isTerminal } from "./jobStates.js";
+
+/*
+ * Device twins: desired vs. reported device state
+ *
+ * A twin holds what an operator wants a device to be: a firmware version
+ * and/or configuration parameters. The reported side is the device record of
+ * the last /agent/devices/report (fwVersion, config). Parameters written by a
+ * successful config-write job count as reported until the device reports
+ * them itself, so devices that do not report their config are not drifted
+ * forever.
+ *
+ * The reconciler turns drift into jobs, one at a time per device: firmware
+ * first (flashing may reset the configuration), then the drifted parameters.
+ * After a firmware job it waits for a device report newer than the job before
+ * judging again. Jobs that end without success back off; after `maxAttempts`
+ * jobs without reaching the desired state the twin is blocked until its
+ * desired state is set again.
+ *
+ * Status: in-sync | drifted (auto-reconcile off, or waiting for a retry) |
+ * reconciling (job open) | blocked (reconciler cannot act, see blockedReason) |
+ * device-missing (device no longer reported).
+ */
+
+export const TWIN_STATUSES = ["in-sync", "drifted", "reconciling", "blocked", "device-missing"];
+
+export const TWIN_DEFAULTS = {
+  maxAttempts: 3,
+  backoffMs: 60_000,
+  maxBackoffMs: 60 * 60_000,
+  reportWaitMs: 10 * 60_000
+};
+
+const MAX_CONFIG_KEYS = 100;
+
+export function twinKey(agentId, deviceId) {
+  return `${agentId}/${deviceId}`;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(k => Object.hasOwn(b, k) && deepEqual(a[k], b[k]));
+}
+
+// { fwVersion?, config?, autoReconcile? } -> { desired, autoReconcile } or { errors: [{ field, message }] }
+export function normalizeDesired(input) {
+  const errors = [];
+  const { fwVersion = null, config = null, autoReconcile = true } = input ?? {};
+
+  if (fwVersion !== null && (typeof fwVersion !== "string" || fwVersion.trim() === "")) {
+    errors.push({ field: "fwVersion", message: "must be a non-empty string or null" });
+  }
+  if (config !== null) {
+    if (typeof config !== "object" || Array.isArray(config)) errors.push({ field: "config", message: "must be an object or null" });
+    else if (Object.keys(config).length > MAX_CONFIG_KEYS) errors.push({ field: "config", message: `must have at most ${MAX_CONFIG_KEYS} parameters` });
+  }
+  if (typeof autoReconcile !== "boolean") errors.push({ field: "autoReconcile", message: "must be true or false" });
+  if (errors.length === 0 && fwVersion === null && (config === null || Object.keys(config).length === 0)) {
+    errors.push({ field: "fwVersion", message: "set fwVersion and/or config (delete the twin to clear it)" });
+  }
+  if (errors.length > 0) return { errors };
+
+  return {
+    desired: {
+      fwVersion: fwVersion?.trim() ?? null,
+      config: config && Object.keys(config).length > 0 ? config : null
+    },
+    autoReconcile
+  };
+}
+
+// -> { fwVersion: { desired, reported } | null, config: [{ key, desired, reported }] }
+export function computeDrift(twin, device) {
+  const drift = { fwVersion: null, config: [] };
+  if (twin.desired.fwVersion && device.fwVersion !== twin.desired.fwVersion) {
+    drift.fwVersion = { desired: twin.desired.fwVersion, reported: device.fwVersion ?? null };
+  }
+  const reported = { ...twin.appliedConfig, ...device.config };
+  for (const [key, value] of Object.entries(twin.desired.config ?? {})) {
+    if (!deepEqual(reported[key], value)) drift.config.push({ key, desired: value, reported: reported[key] ?? null });
+  }
+  return drift;
+}
+
+export function hasDrift(drift) {
+  return !!drift.fwVersion || drift.config.length > 0;
+}
+
+/*
+ * findDevice(twin) -> { agent, device } or null when the device is gone
+ * startJob(twin, { agent, device }, plan) -> { jobId } or { error }; plan is
+ *   { type: "firmware-update", fwVersion } or { type: "config-write", parameters }
+ * onChange(twin, previousStatus) fires once when a reconcile pass changes the
+ *   status or a new desired state is set
+ */
+export function createTwinReconciler({ deviceTwins, jobs, nowIso, findDevice, startJob, onChange = () => {}, options = {} }) {
+  const opts = { ...TWIN_DEFAULTS, ...options };
+
+  function create({ agentId, deviceId, desired, autoReconcile, updatedBy }) {
+    const key = twinKey(agentId, deviceId);
+    const existing = deviceTwins.get(key);
+    const twin = {
+      agentId,
+      deviceId,
+      desired,
+      autoReconcile,
+      // parameters written by earlier jobs are still on the device
+      appliedConfig: existing?.appliedConfig ?? {},
+      status: existing?.status ?? "drifted",
+      // a new desired state gets a fresh set of attempts; an open job is still waited for
+      reconcile: {
+        jobId: existing?.reconcile.jobId ?? null,
+        attempts: 0,
+        retryAt: null,
+        blockedReason: null,
+        lastJob: existing?.reconcile.lastJob ?? null
+      },
+      createdAt: existing?.createdAt ?? nowIso(),
+      updatedAt: nowIso(),
+      updatedBy
+    };
+    deviceTwins.set(key, twin);
+    const status = twin.status;
+    reconcile(twin);
+    if (twin.status === status) onChange(twin, status);
+    return twin;
+  }
+
+  function backoffFor(attempt) {
+    return Math.min(opts.maxBackoffMs, opts.backoffMs * 2 ** Math.max(0, attempt - 1));
+  }
+
+  // Fold a finished reconcile job into the twin; -> true while its outcome is still pending
+  function settleJob(twin, device) {
+    const r = twin.reconcile;
+    const job = r.jobId ? jobs.get(r.jobId) : null;
+    if (!job) {
+      r.jobId = null;
+      return false;
+    }
+    if (!isTerminal(job.status)) return true;
+
+    if (job.status === "succeeded") {
+      if (job.type === "config-write") Object.assign(twin.appliedConfig, job.payload.parameters);
+      // the new firmware version shows up with the next device report
+      const waited = Date.now() - Date.parse(job.finishedAt);
+      const reported = device.fwVersion === job.payload.version || device.reportedAt >= job.finishedAt;
+      if (job.type === "firmware-update" && !reported && waited < opts.reportWaitMs) return true;
+    } else {
+      r.retryAt = new Date(Date.parse(job.finishedAt ?? nowIso()) + backoffFor(r.attempts)).toISOString();
+    }
+    r.lastJob = { jobId: job.jobId, type: job.type, status: job.status, message: job.message ?? null };
+    r.jobId = null;
+    return false;
+  }
+
+  function nextStatus(twin, found) {
+    const r = twin.reconcile;
+    if (!found) return "device-missing";
+    if (settleJob(twin, found.device)) return "reconciling";
+
+    const drift = computeDrift(twin, found.device);
+    if (!hasDrift(drift)) {
+      r.attempts = 0;
+      r.retryAt = null;
+      r.blockedReason = null;
+      return "in-sync";
+    }
+    if (!twin.autoReconcile) return "drifted";
+    if (r.attempts >= opts.maxAttempts) {
+      r.blockedReason = "MAX_ATTEMPTS";
+      return "blocked";
+    }
+    if (r.retryAt && Date.parse(r.retryAt) > Date.now()) return "drifted";
+
+    const plan = drift.fwVersion
+      ? { type: "firmware-update", fwVersion: drift.fwVersion.desired }
+      : { type: "config-write", parameters: Object.fromEntries(drift.config.map(c => [c.key, c.desired])) };
+    const result = startJob(twin, found, plan);
+    if (result.error) {
+      // e.g. agent offline or no matching firmware; tried again on every pass
+      r.blockedReason = result.error;
+      return "blocked";
+    }
+    r.jobId = result.jobId;
+    r.attempts++;
+    r.retryAt = null;
+    r.blockedReason = null;
+    return "reconciling";
+  }
+
+  function reconcile(twin) {
+    const before = JSON.stringify(twin);
+    const previous = twin.status;
+    twin.status = nextStatus(twin, findDevice(twin));
+    if (twin.status !== "blocked") twin.reconcile.blockedReason = null;
+
+    if (JSON.stringify(twin) !== before) deviceTwins.set(twinKey(twin.agentId, twin.deviceId), twin);
+    if (twin.status !== previous) onChange(twin, previous);
+    return twin;
+  }
+
+  function reconcileAgent(agentId) {
+    for (const twin of deviceTwins.values()) if (twin.agentId === agentId) reconcile(twin);
+  }
+
+  function tick() {
+    for (const twin of deviceTwins.values()) reconcile(twin);
+  }
+
+  // Reported side and drift for the portal
+  function view(twin) {
+    const found = findDevice(twin);
+    return {
+      ...twin,
+      reported: found
+        ? {
+          model: found.device.model,
+          fwVersion: found.device.fwVersion ?? null,
+          config: found.device.config ?? null,
+          reportedAt: found.device.reportedAt
+        }
+        : null,
+      drift: found ? computeDrift(twin, found.device) : null
+    };
+  }
+
+  return { create, reconcile, reconcileAgent, tick, view };
+}
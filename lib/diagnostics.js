@@ -0,0 +1,72 @@
+// lib/diagnostics.js
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/*
+ * Diagnostic bundles uploaded by agents (logs, core dumps, config dumps)
+ *
+ * Metadata lives in the `diagnosticBundles` table, the file in
+ * <dir>/<bundleId>.bin. A bundle belongs to the agent that uploaded it and
+ * the agent's tenant at that time; it may be attached to one of the agent's
+ * jobs (e.g. the logs of a failed firmware update) and/or a device.
+ *
+ * Bundles stay with the tenant they were uploaded in when the agent is
+ * unpaired or moved. Each agent keeps at most `maxPerAgent` bundles; a new
+ * upload drops the oldest ones beyond that.
+ */
+
+export const DEFAULT_MAX_BUNDLES_PER_AGENT = 20;
+
+const FILENAME_RE = /^[\w.-]{1,255}$/;
+
+export function isValidFilename(value) {
+  return typeof value === "string" && FILENAME_RE.test(value) && value !== "." && value !== "..";
+}
+
+export function createDiagnosticsRepository({ diagnosticBundles, dir: baseDir, nowIso, maxPerAgent = DEFAULT_MAX_BUNDLES_PER_AGENT }) {
+  const dir = path.resolve(baseDir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  function filePath(bundleId) {
+    return path.join(dir, `${bundleId}.bin`);
+  }
+
+  // Newest first
+  function list({ agentId, jobId } = {}) {
+    return [...diagnosticBundles.values()]
+      .filter(b => (!agentId || b.agentId === agentId) && (!jobId || b.jobId === jobId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.bundleId.localeCompare(a.bundleId));
+  }
+
+  function remove(bundleId) {
+    fs.rmSync(filePath(bundleId), { force: true });
+    return diagnosticBundles.delete(bundleId);
+  }
+
+  // -> { bundle, dropped: [bundleId] }
+  function save(buffer, { agentId, tenantId, jobId = null, deviceId = null, filename, reason = null }) {
+    const bundleId = crypto.randomUUID();
+    fs.writeFileSync(filePath(bundleId), buffer);
+
+    const bundle = {
+      bundleId,
+      agentId,
+      tenantId,
+      jobId,
+      deviceId,
+      filename,
+      reason,
+      sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+      size: buffer.length,
+      createdAt: nowIso()
+    };
+    diagnosticBundles.set(bundleId, bundle);
+
+    const dropped = list({ agentId }).slice(maxPerAgent).map(b => b.bundleId);
+    for (const id of dropped) remove(id);
+    return { bundle, dropped };
+  }
+
+  return { filePath, list, save, remove };
+}
@@ -0,0 +1,77 @@
+// lib/events.js
+
+/*
+ * In-process event bus + Server-Sent Events streams.
+ *
+ * Events look like { type, tenantId, agentId, data, at }. Subscribers pass a
+ * filter so a portal stream only receives its tenant's events and an agent
+ * stream only its own.
+ */
+
+export function createEventBus() {
+  const subscribers = new Set();
+  let seq = 0;
+
+  function publish(type, { tenantId = null, agentId = null, data = {} } = {}) {
+    const event = { id: ++seq, type, tenantId, agentId, data, at: new Date().toISOString() };
+    for (const s of subscribers) {
+      if (!s.filter(event)) continue;
+      try {
+        s.handler(event);
+      } catch (e) {
+        console.error(`event subscriber failed on ${type}:`, e);
+      }
+    }
+    return event;
+  }
+
+  function subscribe(filter, handler) {
+    const s = { filter, handler };
+    subscribers.add(s);
+    return () => subscribers.delete(s);
+  }
+
+  return { publish, subscribe, get subscriberCount() { return subscribers.size; } };
+}
+
+const KEEPALIVE_MS = 10_000;
+
+/*
+ * Turn a response into an SSE stream. `onKeepAlive` runs with every keep-alive
+ * comment (agents use it to stay online while connected).
+ */
+export function openSseStream(req, res, { onKeepAlive, onClose } = {}) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  let closed = false;
+
+  function send(type, data, id) {
+    if (closed) return;
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  const timer = setInterval(() => {
+    res.write(`: keep-alive\n\n`);
+    onKeepAlive?.();
+  }, KEEPALIVE_MS);
+
+  req.on("close", () => {
+    closed = true;
+    clearInterval(timer);
+    onClose?.();
+  });
+
+  function close() {
+    if (!closed) res.end();
+  }
+
+  return { send, close, get closed() { return closed; } };
+}
@@ -0,0 +1,121 @@
+// lib/fleetInventory.js
+
+/*
+ * Fleet inventory export and bulk metadata import.
+ *
+ * Export: one row per device, joined with its agent (agents without devices
+ * get a single row with empty device columns). The same rows feed CSV and,
+ * grouped by agent, JSON.
+ *
+ * Import: a CSV with an agentId column plus displayName and/or siteId. Empty
+ * cells keep the current value, other columns are ignored, so an edited
+ * export can be imported as is (one agent may appear on several device rows,
+ * as long as they agree). planImport() only computes the changes; the caller
+ * applies them, or just shows them for a dry run.
+ */
+
+export const EXPORT_COLUMNS = [
+  "tenantId", "siteId", "agentId", "displayName", "agentVersion", "online", "lastSeenAt",
+  "deviceId", "model", "serialNumber", "fwVersion", "status", "reportedAt"
+];
+
+export const IMPORT_FIELDS = ["displayName", "siteId"];
+export const MAX_IMPORT_ROWS = 10_000;
+const MAX_DISPLAY_NAME = 200;
+
+// entries: [{ agent: agentSummary, devices: [device] }] -> flat export rows
+export function exportRows(entries) {
+  const rows = [];
+  for (const { agent, devices } of entries) {
+    const base = {
+      tenantId: agent.tenantId,
+      siteId: agent.siteId,
+      agentId: agent.agentId,
+      displayName: agent.displayName,
+      agentVersion: agent.agentVersion,
+      online: agent.online,
+      lastSeenAt: agent.lastSeenAt
+    };
+    if (devices.length === 0) rows.push(base);
+    for (const d of devices) {
+      rows.push({
+        ...base,
+        deviceId: d.deviceId,
+        model: d.model,
+        serialNumber: d.serialNumber,
+        fwVersion: d.fwVersion,
+        status: d.status,
+        reportedAt: d.reportedAt
+      });
+    }
+  }
+  return rows;
+}
+
+/*
+ * parsed: parseCsv() result. Lookups:
+ *   findAgent(agentId) -> agent the user may change, or null
+ *   siteExists(tenantId, siteId) -> boolean
+ * -> { error } for unusable files, otherwise
+ *    { changes: [{ agentId, tenantId, lines, before, after }], unchanged, errors: [{ line, agentId, error }] }
+ */
+export function planImport(parsed, { findAgent, siteExists }) {
+  if (!parsed.header.includes("agentId")) return { error: "MISSING_AGENT_ID_COLUMN" };
+  const fields = IMPORT_FIELDS.filter(f => parsed.header.includes(f));
+  if (fields.length === 0) return { error: "NOTHING_TO_IMPORT", columns: IMPORT_FIELDS };
+  if (parsed.rows.length > MAX_IMPORT_ROWS) return { error: "TOO_MANY_ROWS", max: MAX_IMPORT_ROWS };
+
+  const errors = [];
+  const wanted = new Map(); // agentId -> { agent, lines, values }
+
+  for (const { line, values } of parsed.rows) {
+    const { agentId } = values;
+    const fail = (error, details = {}) => errors.push({ line, agentId: agentId || null, error, ...details });
+    if (!agentId) {
+      fail("MISSING_AGENT_ID");
+      continue;
+    }
+    const agent = findAgent(agentId);
+    if (!agent) {
+      fail("UNKNOWN_AGENT");
+      continue;
+    }
+
+    const row = {};
+    for (const f of fields) if (values[f] !== "") row[f] = values[f];
+    if (row.displayName !== undefined && row.displayName.length > MAX_DISPLAY_NAME) {
+      fail("INVALID_DISPLAY_NAME", { max: MAX_DISPLAY_NAME });
+      continue;
+    }
+    if (row.siteId !== undefined) {
+      if (!agent.paired) {
+        fail("AGENT_NOT_PAIRED");
+        continue;
+      }
+      if (!siteExists(agent.tenantId, row.siteId)) {
+        fail("UNKNOWN_SITE", { siteId: row.siteId });
+        continue;
+      }
+    }
+
+    const entry = wanted.get(agentId) ?? { agent, lines: [], values: {} };
+    const conflict = Object.keys(row).find(f => entry.values[f] !== undefined && entry.values[f] !== row[f]);
+    if (conflict) {
+      fail("CONFLICTING_ROWS", { field: conflict, firstLine: entry.lines[0] });
+      continue;
+    }
+    Object.assign(entry.values, row);
+    entry.lines.push(line);
+    wanted.set(agentId, entry);
+  }
+
+  const changes = [];
+  let unchanged = 0;
+  for (const [agentId, { agent, lines, values }] of wanted) {
+    const before = { displayName: agent.displayName, siteId: agent.siteId };
+    const after = { ...before, ...values };
+    if (after.displayName === before.displayName && after.siteId === before.siteId) unchanged++;
+    else changes.push({ agentId, tenantId: agent.tenantId, lines, before, after });
+  }
+  return { changes, unchanged, errors };
+}
@@ -0,0 +1,157 @@
+// lib/fleetSearch.js
+import { compareVersions } from "./agentVersions.js";
+
+/*
+ * Agent and device search for the portal
+ *
+ * Text search (`q`, case-insensitive substring) plus exact-match filters,
+ * then sort + cursor pagination as in the job history (lib/jobHistory.js):
+ * the cursor encodes the sort value and id of the last row returned.
+ * `total` counts every match, not just the page.
+ *
+ * Agents match `q` on displayName, agentId or the serial number of one of
+ * their devices; the device filters (model, fwVersion) keep agents with at
+ * least one such device. Devices match `q` on deviceId, serialNumber and
+ * their agent's displayName / agentId.
+ */
+
+export const AGENT_SORT_FIELDS = ["displayName", "agentId", "tenantId", "siteId", "lastSeenAt", "agentVersion"];
+export const DEVICE_SORT_FIELDS = ["deviceId", "serialNumber", "model", "fwVersion", "status", "reportedAt", "displayName"];
+
+export class FleetQueryError extends Error {
+  constructor(code, details = {}) {
+    super(code);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value ?? null, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Array.isArray(parsed) || parsed.length !== 2 || typeof parsed[1] !== "string") throw new Error("shape");
+    return { value: parsed[0], id: parsed[1] };
+  } catch {
+    throw new FleetQueryError("INVALID_CURSOR");
+  }
+}
+
+// Versions compare numerically ("1.10" after "1.9"), everything else as
+// case-insensitive text; nulls sort last ascending; the id breaks ties
+function compareBy(sort, order) {
+  const dir = order === "asc" ? 1 : -1;
+  const cmp = (a, b) => {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    const versions = sort.endsWith("Version") ? compareVersions(a, b) : null;
+    if (versions !== null) return versions;
+    return String(a).localeCompare(String(b), undefined, { sensitivity: "base" }) || (a < b ? -1 : 1);
+  };
+  return (a, b) => dir * (cmp(a.value, b.value) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+function contains(value, needle) {
+  return value != null && String(value).toLowerCase().includes(needle);
+}
+
+// rows: [{ id, row }] -> { rows, total, nextCursor }
+function paginate(rows, { sort, order, cursor, limit }) {
+  const compare = compareBy(sort, order);
+  const key = r => ({ value: r.row[sort] ?? null, id: r.id });
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  const sorted = rows.sort((a, b) => compare(key(a), key(b)));
+  const rest = after ? sorted.filter(r => compare(after, key(r)) < 0) : sorted;
+  const page = rest.slice(0, limit);
+  const last = page.at(-1);
+  const nextCursor = rest.length > limit ? encodeCursor(last.row[sort], last.id) : null;
+  return { rows: page.map(r => r.row), total: rows.length, nextCursor };
+}
+
+function checkSort(sort, order, allowed) {
+  if (!allowed.includes(sort)) throw new FleetQueryError("INVALID_SORT", { allowed });
+  if (order !== "asc" && order !== "desc") throw new FleetQueryError("INVALID_ORDER", { allowed: ["asc", "desc"] });
+}
+
+/*
+ * entries: [{ agent: agentSummary, devices: [device] }]
+ * Filters: q, tenantIds (array, null = all), siteId, online, paired (booleans),
+ * model, fwVersion, agentVersion, versionStatus. Throws FleetQueryError.
+ * -> { agents, total, nextCursor }
+ */
+export function searchAgents(
+  entries,
+  { q, tenantIds = null, siteId, online, paired, model, fwVersion, agentVersion, versionStatus, sort = "displayName", order = "asc", cursor, limit = 50 } = {}
+) {
+  checkSort(sort, order, AGENT_SORT_FIELDS);
+  const needle = q?.trim().toLowerCase();
+
+  const matches = [];
+  for (const { agent, devices } of entries) {
+    if (tenantIds && !tenantIds.includes(agent.tenantId)) continue;
+    if (siteId && agent.siteId !== siteId) continue;
+    if (online !== undefined && agent.online !== online) continue;
+    if (paired !== undefined && agent.paired !== paired) continue;
+    if (agentVersion && agent.agentVersion !== agentVersion) continue;
+    if (versionStatus && agent.versionStatus !== versionStatus) continue;
+    if (model && !devices.some(d => d.model === model)) continue;
+    if (fwVersion && !devices.some(d => d.fwVersion === fwVersion)) continue;
+    if (needle && !contains(agent.displayName, needle) && !contains(agent.agentId, needle) &&
+      !devices.some(d => contains(d.serialNumber, needle))) continue;
+    matches.push({ id: agent.agentId, row: agent });
+  }
+
+  const { rows, total, nextCursor } = paginate(matches, { sort, order, cursor, limit });
+  return { agents: rows, total, nextCursor };
+}
+
+/*
+ * Same entries; one row per reported device with its agent's tenantId,
+ * siteId, displayName, online and agentVersion. Filters: q, tenantIds,
+ * siteId, agentId, online, model, fwVersion, status, agentVersion.
+ * -> { devices, total, nextCursor }
+ */
+export function searchDevices(
+  entries,
+  { q, tenantIds = null, siteId, agentId, online, model, fwVersion, status, agentVersion, sort = "deviceId", order = "asc", cursor, limit = 50 } = {}
+) {
+  checkSort(sort, order, DEVICE_SORT_FIELDS);
+  const needle = q?.trim().toLowerCase();
+
+  const matches = [];
+  for (const { agent, devices } of entries) {
+    if (tenantIds && !tenantIds.includes(agent.tenantId)) continue;
+    if (siteId && agent.siteId !== siteId) continue;
+    if (agentId && agent.agentId !== agentId) continue;
+    if (online !== undefined && agent.online !== online) continue;
+    if (agentVersion && agent.agentVersion !== agentVersion) continue;
+    const agentHit = needle && (contains(agent.displayName, needle) || contains(agent.agentId, needle));
+
+    for (const d of devices) {
+      if (model && d.model !== model) continue;
+      if (fwVersion && d.fwVersion !== fwVersion) continue;
+      if (status && d.status !== status) continue;
+      if (needle && !agentHit && !contains(d.deviceId, needle) && !contains(d.serialNumber, needle)) continue;
+      matches.push({
+        id: `${agent.agentId}/${d.deviceId}`,
+        row: {
+          ...d,
+          agentId: agent.agentId,
+          displayName: agent.displayName,
+          tenantId: agent.tenantId,
+          siteId: agent.siteId,
+          online: agent.online,
+          agentVersion: agent.agentVersion
+        }
+      });
+    }
+  }
+
+  const { rows, total, nextCursor } = paginate(matches, { sort, order, cursor, limit });
+  return { devices: rows, total, nextCursor };
+}
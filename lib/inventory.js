@@ -0,0 +1,107 @@
+// lib/inventory.js
+
+/*
+ * Device inventory history
+ *
+ * Every /agent/devices/report is compared with the previous list of that agent.
+ * Changes are kept twice: as a per-agent snapshot (full device list + diff, only
+ * when something changed) and as a per-device timeline for the detail view.
+ */
+
+const TRACKED_FIELDS = ["model", "serialNumber", "fwVersion", "status"];
+
+export const MAX_SNAPSHOTS_PER_AGENT = 50;
+export const MAX_HISTORY_PER_DEVICE = 200;
+
+export function diffInventory(prev = [], next = []) {
+  const before = new Map(prev.map(d => [d.deviceId, d]));
+  const after = new Map(next.map(d => [d.deviceId, d]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [id, d] of after) {
+    const old = before.get(id);
+    if (!old) {
+      added.push(d);
+      continue;
+    }
+    const changes = {};
+    for (const f of TRACKED_FIELDS) {
+      if ((old[f] ?? null) !== (d[f] ?? null)) changes[f] = { from: old[f] ?? null, to: d[f] ?? null };
+    }
+    if (Object.keys(changes).length > 0) changed.push({ deviceId: id, changes });
+  }
+  for (const [id, d] of before) {
+    if (!after.has(id)) removed.push(d);
+  }
+
+  return { added, removed, changed };
+}
+
+export function isEmptyDiff(diff) {
+  return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+}
+
+function historyKey(agentId, deviceId) {
+  return `${agentId}/${deviceId}`;
+}
+
+export function createInventoryHistory({ inventorySnapshots, deviceHistory }) {
+  function append(table, key, entry, max) {
+    const list = table.get(key) ?? [];
+    list.push(entry);
+    if (list.length > max) list.splice(0, list.length - max);
+    table.set(key, list);
+  }
+
+  // Record a report; returns the diff against the previous device list
+  function record(agentId, prev, next, at) {
+    const diff = diffInventory(prev, next);
+    if (isEmptyDiff(diff)) return diff;
+
+    append(inventorySnapshots, agentId, {
+      at,
+      devices: next,
+      diff: {
+        added: diff.added.map(d => d.deviceId),
+        removed: diff.removed.map(d => d.deviceId),
+        changed: diff.changed
+      }
+    }, MAX_SNAPSHOTS_PER_AGENT);
+
+    for (const d of diff.added) {
+      const seenBefore = deviceHistory.has(historyKey(agentId, d.deviceId));
+      append(deviceHistory, historyKey(agentId, d.deviceId), {
+        at,
+        event: seenBefore ? "reappeared" : "added",
+        device: d
+      }, MAX_HISTORY_PER_DEVICE);
+    }
+    for (const d of diff.removed) {
+      append(deviceHistory, historyKey(agentId, d.deviceId), { at, event: "removed", device: d }, MAX_HISTORY_PER_DEVICE);
+    }
+    for (const c of diff.changed) {
+      const device = next.find(d => d.deviceId === c.deviceId);
+      append(deviceHistory, historyKey(agentId, c.deviceId), {
+        at,
+        event: "changed",
+        changes: c.changes,
+        device
+      }, MAX_HISTORY_PER_DEVICE);
+    }
+
+    return diff;
+  }
+
+  function deviceTimeline(agentId, deviceId) {
+    return deviceHistory.get(historyKey(agentId, deviceId)) ?? [];
+  }
+
+  function snapshots(agentId) {
+    return inventorySnapshots.get(agentId) ?? [];
+  }
+
+  return { record, deviceTimeline, snapshots };
+}
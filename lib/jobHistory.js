@@ -0,0 +1,86 @@
+// lib/jobHistory.js
+
+/*
+ * Job history queries
+ *
+ * Filters + sort + cursor pagination over the jobs table. The cursor is an
+ * opaque token encoding the sort value and jobId of the last row returned,
+ * so pages stay stable while new jobs keep arriving.
+ */
+
+export const JOB_SORT_FIELDS = ["createdAt", "updatedAt", "finishedAt", "status", "type"];
+
+export class JobQueryError extends Error {
+  constructor(code, details = {}) {
+    super(code);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function encodeCursor(job, sort) {
+  return Buffer.from(JSON.stringify([job[sort] ?? null, job.jobId])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Array.isArray(parsed) || parsed.length !== 2 || typeof parsed[1] !== "string") throw new Error("shape");
+    return { value: parsed[0], jobId: parsed[1] };
+  } catch {
+    throw new JobQueryError("INVALID_CURSOR");
+  }
+}
+
+// nulls sort last ascending (first descending); jobId breaks ties
+function compareBy(sort, order) {
+  const dir = order === "asc" ? 1 : -1;
+  const cmp = (a, b) => {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return a < b ? -1 : 1;
+  };
+  return (a, b) => dir * (cmp(a.value, b.value) || cmp(a.jobId, b.jobId));
+}
+
+// List view: everything but the payload (which can be large)
+export function jobSummary(job) {
+  const { payload: _payload, ...rest } = job;
+  return rest;
+}
+
+/*
+ * Filters: tenantIds (array, null = all), agentId, deviceId, type, status
+ * (array), campaignId, from/to (ISO, on createdAt). Throws JobQueryError.
+ */
+export function queryJobs(
+  jobs,
+  { tenantIds = null, agentId, deviceId, type, status, campaignId, from, to, sort = "createdAt", order = "desc", cursor, limit = 50 } = {}
+) {
+  if (!JOB_SORT_FIELDS.includes(sort)) throw new JobQueryError("INVALID_SORT", { allowed: JOB_SORT_FIELDS });
+  if (order !== "asc" && order !== "desc") throw new JobQueryError("INVALID_ORDER", { allowed: ["asc", "desc"] });
+
+  const compare = compareBy(sort, order);
+  const key = j => ({ value: j[sort] ?? null, jobId: j.jobId });
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  const matches = [];
+  for (const j of jobs.values()) {
+    if (tenantIds && !tenantIds.includes(j.tenantId)) continue;
+    if (agentId && j.agentId !== agentId) continue;
+    if (deviceId && j.deviceId !== deviceId) continue;
+    if (type && j.type !== type) continue;
+    if (status?.length && !status.includes(j.status)) continue;
+    if (campaignId && j.campaignId !== campaignId) continue;
+    if (from && j.createdAt < from) continue;
+    if (to && j.createdAt > to) continue;
+    if (after && compare(after, key(j)) >= 0) continue;
+    matches.push(j);
+  }
+
+  matches.sort((a, b) => compare(key(a), key(b)));
+  const page = matches.slice(0, limit);
+  const nextCursor = matches.length > limit ? encodeCursor(page.at(-1), sort) : null;
+  return { jobs: page.map(jobSummary), nextCursor };
+}
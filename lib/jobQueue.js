@@ -0,0 +1,209 @@
+// lib/jobQueue.js
+import { transition, isTerminal } from "./jobStates.js";
+
+/*
+ * Per-agent job queues with lease semantics.
+ *
+ * `agentJobQueue` holds the ids of jobs waiting to be pulled. Pulling a job
+ * removes it from the queue and leases it to the agent for `leaseMs`. The
+ * agent acknowledges by reporting progress; an unacknowledged lease that
+ * expires puts the job back into the queue after an exponential backoff,
+ * until `maxAttempts` pulls have been used up and the job is marked failed.
+ * Acknowledged jobs that stop reporting for `runTimeoutMs` are timed out.
+ *
+ * `eligibleAt(job, nowMs)` decides when a queued job may be handed out
+ * (schedule, maintenance windows); null means it never will. Queued jobs
+ * still waiting at their notAfter, or at the `expiresAt` TTL of a job queued
+ * for an offline agent, are expired.
+ */
+
+export const DEFAULT_QUEUE_OPTIONS = {
+  leaseMs: 60_000,
+  maxAttempts: 3,
+  backoffMs: 5_000,
+  maxBackoffMs: 5 * 60_000,
+  runTimeoutMs: 30 * 60_000
+};
+
+function retryEligibleAt(job, now) {
+  return job.retryAt ? Math.max(now, Date.parse(job.retryAt)) : now;
+}
+
+export function createJobQueue({ jobs, agentJobQueue, nowIso, eligibleAt = retryEligibleAt, options = {} }) {
+  const opts = { ...DEFAULT_QUEUE_OPTIONS, ...options };
+
+  function queueOf(agentId) {
+    return agentJobQueue.get(agentId) ?? [];
+  }
+
+  function enqueue(agentId, jobId) {
+    const queue = queueOf(agentId);
+    if (!queue.includes(jobId)) queue.push(jobId);
+    agentJobQueue.set(agentId, queue);
+  }
+
+  function remove(agentId, jobId) {
+    const queue = queueOf(agentId);
+    const i = queue.indexOf(jobId);
+    if (i === -1) return false;
+    queue.splice(i, 1);
+    agentJobQueue.set(agentId, queue);
+    return true;
+  }
+
+  function clear(agentId) {
+    agentJobQueue.set(agentId, []);
+  }
+
+  function backoffFor(attempt) {
+    return Math.min(opts.maxBackoffMs, opts.backoffMs * 2 ** Math.max(0, attempt - 1));
+  }
+
+  // New job fields managed by the queue
+  function initJob(job, { maxAttempts } = {}) {
+    job.attempts = 0;
+    job.maxAttempts = Number.isInteger(maxAttempts) && maxAttempts > 0 ? maxAttempts : opts.maxAttempts;
+    job.lease = null;
+    job.retryAt = null;
+    return job;
+  }
+
+  // Lease up to `limit` due jobs to the agent
+  function take(agentId, limit) {
+    const now = Date.now();
+    const queue = queueOf(agentId);
+    const taken = [];
+
+    for (const jobId of [...queue]) {
+      if (taken.length >= limit) break;
+
+      const j = jobs.get(jobId);
+      if (!j) {
+        remove(agentId, jobId);
+        continue;
+      }
+      if (j.status !== "queued") {
+        remove(agentId, jobId);
+        continue;
+      }
+      const at = eligibleAt(j, now);
+      if (at === null || at > now) continue;
+
+      remove(agentId, jobId);
+
+      j.attempts = (j.attempts ?? 0) + 1;
+      transition(j, "dispatched", { message: `dispatched (attempt ${j.attempts}/${j.maxAttempts})`, at: nowIso() });
+      j.retryAt = null;
+      j.lease = {
+        leasedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + opts.leaseMs).toISOString()
+      };
+      jobs.set(jobId, j);
+      taken.push(j);
+    }
+    return taken;
+  }
+
+  // Whether the agent may report on the job: it must have been handed out. A
+  // queued job only qualifies when its lease ran out and it waits for a retry.
+  function canAck(job) {
+    if (job.status !== "queued") return true;
+    return job.attempts > 0 && queueOf(job.agentId).includes(job.jobId);
+  }
+
+  // First progress report from the agent confirms it has the job
+  function ack(job) {
+    // a report after the lease ran out still counts: take the job back out of the queue
+    if (job.status === "queued" && remove(job.agentId, job.jobId)) {
+      transition(job, "dispatched", { at: nowIso() });
+    }
+    job.lease = null;
+    job.retryAt = null;
+    job.ackedAt ??= nowIso();
+  }
+
+  // Requeue (or fail) jobs whose lease ran out, time out silent running jobs,
+  // expire queued jobs past their notAfter / TTL; returns the jobs that changed
+  function expireLeases() {
+    const now = Date.now();
+    const changed = [];
+
+    for (const j of jobs.values()) {
+      if (isTerminal(j.status)) continue;
+
+      if (j.status === "queued" && j.expiresAt && Date.parse(j.expiresAt) <= now) {
+        remove(j.agentId, j.jobId);
+        transition(j, "expired", { message: `agent did not pick the job up before ${j.expiresAt}`, at: nowIso() });
+      } else if (j.status === "queued" && j.notAfter && Date.parse(j.notAfter) <= now) {
+        remove(j.agentId, j.jobId);
+        transition(j, "expired", { message: `not dispatched before notAfter ${j.notAfter}`, at: nowIso() });
+      } else if (j.lease && Date.parse(j.lease.expiresAt) <= now) {
+        j.lease = null;
+        if (j.cancelRequestedAt) {
+          transition(j, "cancelled", { message: "cancelled before the agent acknowledged it", at: nowIso() });
+        } else if (j.attempts < j.maxAttempts) {
+          j.retryAt = new Date(now + backoffFor(j.attempts)).toISOString();
+          transition(j, "queued", {
+            message: `lease expired (attempt ${j.attempts}/${j.maxAttempts}), retry at ${j.retryAt}`,
+            at: nowIso()
+          });
+          enqueue(j.agentId, j.jobId);
+        } else {
+          transition(j, "failed", { message: `not acknowledged by agent after ${j.attempts} attempts`, at: nowIso() });
+        }
+      } else if (j.ackedAt && !j.lease && now - Date.parse(j.updatedAt) > opts.runTimeoutMs) {
+        transition(j, "timed-out", { message: `no progress reported for ${Math.round(opts.runTimeoutMs / 1000)}s`, at: nowIso() });
+      } else {
+        continue;
+      }
+
+      jobs.set(j.jobId, j);
+      changed.push(j);
+    }
+    return changed;
+  }
+
+  /*
+   * Cancel a job. Queued jobs are cancelled right away; jobs the agent already
+   * has are flagged and the agent is told to stop (it confirms with status
+   * "cancelled"). Returns "cancelled" | "cancel-requested".
+   */
+  function cancel(job, { by = null } = {}) {
+    job.cancelRequestedAt ??= nowIso();
+    job.cancelRequestedBy ??= by;
+
+    if (job.status === "queued") {
+      remove(job.agentId, job.jobId);
+      transition(job, "cancelled", { message: "cancelled", at: nowIso() });
+      jobs.set(job.jobId, job);
+      return "cancelled";
+    }
+
+    job.updatedAt = nowIso();
+    jobs.set(job.jobId, job);
+    return "cancel-requested";
+  }
+
+  // Jobs of this agent it should stop working on
+  function pendingCancellations(agentId) {
+    const ids = [];
+    for (const j of jobs.values()) {
+      if (j.agentId === agentId && j.cancelRequestedAt && !isTerminal(j.status)) ids.push(j.jobId);
+    }
+    return ids;
+  }
+
+  return {
+    options: opts,
+    enqueue,
+    remove,
+    clear,
+    initJob,
+    take,
+    canAck,
+    ack,
+    expireLeases,
+    cancel,
+    pendingCancellations
+  };
+}
@@ -0,0 +1,55 @@
+// lib/jobStates.js
+
+/*
+ * Job lifecycle
+ *
+ *   queued ──> dispatched ──> running ──> succeeded | failed | cancelled | timed-out
+ *     ^            │
+ *     └────────────┘  (lease expired, retry)
+ *
+ * queued/dispatched can also go straight to a terminal state (cancelled before
+ * the agent picked it up, agent rejecting a job, retries exhausted). A queued
+ * job that was never handed out before its notAfter / offline TTL is expired.
+ */
+
+export const JOB_STATES = ["queued", "dispatched", "running", "succeeded", "failed", "cancelled", "timed-out", "expired"];
+
+export const TERMINAL_STATES = new Set(["succeeded", "failed", "cancelled", "timed-out", "expired"]);
+
+// States an agent may report through /agent/jobs/:jobId/progress
+export const AGENT_REPORTABLE_STATES = new Set(["running", "succeeded", "failed", "cancelled"]);
+
+const TRANSITIONS = {
+  queued: ["dispatched", "cancelled", "failed", "expired"],
+  dispatched: ["queued", "running", "succeeded", "failed", "cancelled", "timed-out"],
+  running: ["running", "succeeded", "failed", "cancelled", "timed-out"]
+};
+
+export function isTerminal(status) {
+  return TERMINAL_STATES.has(status);
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] ?? []).includes(to);
+}
+
+export class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`job cannot go from "${from}" to "${to}"`);
+    this.code = "INVALID_TRANSITION";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Move a job to `to`, keeping the lifecycle timestamps in sync. Does not persist.
+export function transition(job, to, { message, at = new Date().toISOString() } = {}) {
+  if (!canTransition(job.status, to)) throw new InvalidTransitionError(job.status, to);
+
+  job.status = to;
+  if (message !== undefined) job.message = message;
+  if (to === "running" && !job.startedAt) job.startedAt = at;
+  if (isTerminal(to) && !job.finishedAt) job.finishedAt = at;
+  job.updatedAt = at;
+  return job;
+}
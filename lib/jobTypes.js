@@ -0,0 +1,173 @@
+// lib/jobTypes.js
+import { isAtLeast } from "./agentVersions.js";
+
+/*
+ * Job type registry
+ *
+ * Each type declares the payload fields it accepts, whether it targets a
+ * device, and the agent capability it needs. POST /portal/agents/:agentId/jobs
+ * validates against this; the UI renders its form from GET /portal/job-types.
+ *
+ * Field types: string | number | integer | boolean | object | string-list.
+ * `ui: "artifact"` marks a field the UI fills from the firmware artifact list,
+ * `ui: "agent-package"` one it fills from the agent packages.
+ * `maintenanceWindow: true` types disturb the machine and are only dispatched
+ * inside the site's maintenance windows.
+ * `minAgentVersion` types are refused for older agents (and agents that never
+ * reported a version). `updatesAgent: true` types are the only ones agents
+ * below their tenant's minimum version still get.
+ */
+
+export const JOB_TYPES = {
+  "firmware-update": {
+    label: "Firmware update",
+    capability: "firmware-update",
+    requiresDevice: true,
+    // agents that predate capability reporting only ever did firmware updates
+    assumedWithoutCapabilities: true,
+    maintenanceWindow: true,
+    fields: [
+      { name: "artifactId", type: "string", required: true, label: "Artifact", ui: "artifact" }
+    ]
+  },
+  "device-reboot": {
+    label: "Reboot device",
+    capability: "device-reboot",
+    requiresDevice: true,
+    maintenanceWindow: true,
+    fields: [
+      { name: "mode", type: "string", enum: ["soft", "hard"], default: "soft", label: "Mode" },
+      { name: "delaySeconds", type: "integer", min: 0, max: 3600, default: 0, label: "Delay (s)" }
+    ]
+  },
+  "config-read": {
+    label: "Read configuration",
+    capability: "config-read",
+    requiresDevice: true,
+    fields: [
+      { name: "keys", type: "string-list", label: "Keys (empty = all)" }
+    ]
+  },
+  "config-write": {
+    label: "Write configuration",
+    capability: "config-write",
+    requiresDevice: true,
+    maintenanceWindow: true,
+    fields: [
+      { name: "parameters", type: "object", required: true, label: "Parameters (JSON)" },
+      { name: "restartAfterWrite", type: "boolean", default: false, label: "Restart after write" }
+    ]
+  },
+  "collect-diagnostics": {
+    label: "Collect diagnostics",
+    capability: "diagnostics",
+    requiresDevice: false,
+    fields: [
+      { name: "includeLogs", type: "boolean", default: true, label: "Include logs" },
+      { name: "sinceMinutes", type: "integer", min: 1, max: 10080, default: 60, label: "Since (minutes)" }
+    ]
+  },
+  "agent-restart": {
+    label: "Restart agent",
+    capability: "agent-restart",
+    requiresDevice: false,
+    maintenanceWindow: true,
+    fields: [
+      { name: "reason", type: "string", maxLength: 200, label: "Reason" }
+    ]
+  },
+  // the agent installs the package and restarts; the job only succeeds once a
+  // heartbeat reports the package's version
+  "agent-update": {
+    label: "Update agent",
+    capability: "agent-update",
+    requiresDevice: false,
+    maintenanceWindow: true,
+    minAgentVersion: "1.0.0",
+    updatesAgent: true,
+    fields: [
+      { name: "artifactId", type: "string", required: true, label: "Agent package", ui: "agent-package" }
+    ]
+  }
+};
+
+export function getJobType(type) {
+  return Object.hasOwn(JOB_TYPES, type) ? JOB_TYPES[type] : null;
+}
+
+export function listJobTypes() {
+  return Object.entries(JOB_TYPES).map(([type, def]) => ({ type, ...def }));
+}
+
+// capabilities arrive as ["a", "b"] or { a: true, b: {...} }
+export function capabilityNames(capabilities) {
+  if (Array.isArray(capabilities)) return capabilities.map(String);
+  if (capabilities && typeof capabilities === "object") {
+    return Object.entries(capabilities).filter(([, v]) => v).map(([k]) => k);
+  }
+  return [];
+}
+
+export function agentSupports(agent, type) {
+  const def = getJobType(type);
+  if (!def) return false;
+  const names = capabilityNames(agent.capabilities);
+  if (names.length === 0) return !!def.assumedWithoutCapabilities;
+  return names.includes(def.capability);
+}
+
+export function meetsMinAgentVersion(agent, type) {
+  const def = getJobType(type);
+  return !def?.minAgentVersion || isAtLeast(agent.agentVersion, def.minAgentVersion);
+}
+
+function checkField(field, value) {
+  switch (field.type) {
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      if (field.enum && !field.enum.includes(value)) return `must be one of ${field.enum.join(", ")}`;
+      if (field.maxLength && value.length > field.maxLength) return `must be at most ${field.maxLength} characters`;
+      return null;
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+      if (field.type === "integer" && !Number.isInteger(value)) return "must be an integer";
+      if (field.min !== undefined && value < field.min) return `must be >= ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `must be <= ${field.max}`;
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value) ? null : "must be an object";
+    case "string-list":
+      return Array.isArray(value) && value.every(v => typeof v === "string") ? null : "must be a list of strings";
+    default:
+      return `unsupported field type ${field.type}`;
+  }
+}
+
+// -> { payload } with defaults applied, or { errors: [{ field, message }] }
+export function validatePayload(def, input) {
+  const errors = [];
+  const payload = {};
+  const body = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+
+  for (const f of def.fields) {
+    const value = body[f.name];
+    if (value === undefined || value === null || value === "") {
+      if (f.required) errors.push({ field: f.name, message: "is required" });
+      else if (f.default !== undefined) payload[f.name] = f.default;
+      continue;
+    }
+    const problem = checkField(f, value);
+    if (problem) errors.push({ field: f.name, message: problem });
+    else payload[f.name] = value;
+  }
+
+  const known = new Set(def.fields.map(f => f.name));
+  for (const k of Object.keys(body)) {
+    if (!known.has(k)) errors.push({ field: k, message: "is not a field of this job type" });
+  }
+
+  return errors.length > 0 ? { errors } : { payload };
+}
@@ -0,0 +1,139 @@
+// lib/openapi/index.js
+import { validateSchema, coerceParameter } from "./validate.js";
+
+export { buildOpenApiDocument } from "./spec.js";
+
+/*
+ * Request (and optionally response) validation driven by the OpenAPI document.
+ *
+ * validateRequest(stage) is mounted twice: "public" before the auth
+ * middlewares for operations that need no credentials, "authenticated" after
+ * them for everything else, so a request without a token still gets 401 and
+ * not a validation error. Invalid requests are answered with
+ *   400 { ok: false, error: "VALIDATION_FAILED", message, details: [{ in, field, message }] }
+ * Query and path parameters are coerced to their schema types (req.query is
+ * replaced with the coerced values). Unknown query parameters are ignored.
+ *
+ * validateResponses() checks JSON responses and reports mismatches through
+ * `onResponseMismatch` without changing the response; meant for development
+ * and tests (VALIDATE_RESPONSES=1).
+ */
+
+export function createApiValidator(document, { onResponseMismatch = defaultMismatchReporter } = {}) {
+  const operations = [];
+  for (const [template, item] of Object.entries(document.paths)) {
+    const names = [];
+    const pattern = template.replace(/\{(\w+)\}/g, (_, name) => {
+      names.push(name);
+      return "([^/]+)";
+    });
+    const regex = new RegExp(`^${pattern}/?$`);
+    for (const [method, operation] of Object.entries(item)) {
+      operations.push({ method: method.toUpperCase(), template, regex, names, operation });
+    }
+  }
+  // literal segments win over parameters ("/webhooks/events" before "/webhooks/{webhookId}")
+  operations.sort((a, b) => a.names.length - b.names.length);
+
+  // -> { template, operation, params } or null
+  function operationFor(method, path) {
+    for (const o of operations) {
+      if (o.method !== method) continue;
+      const m = o.regex.exec(path);
+      if (!m) continue;
+      const params = {};
+      o.names.forEach((name, i) => {
+        params[name] = safeDecode(m[i + 1]);
+      });
+      return { template: o.template, operation: o.operation, params };
+    }
+    return null;
+  }
+
+  const isPublic = operation => (operation.security ?? []).length === 0 || operation.security.some(s => Object.keys(s).length === 0);
+
+  const opts = { root: document };
+
+  function checkRequest(req, found) {
+    const errors = [];
+    const query = { ...req.query };
+
+    for (const p of found.operation.parameters ?? []) {
+      const raw = p.in === "path" ? found.params[p.name] : req.query[p.name];
+      if (raw === undefined || raw === "") {
+        if (p.required) errors.push({ in: p.in, field: p.name, message: "is required" });
+        continue;
+      }
+      const value = coerceParameter(p.schema, raw, document);
+      errors.push(...validateSchema(p.schema, value, { ...opts, location: p.in, path: p.name }));
+      if (p.in === "query") query[p.name] = value;
+    }
+
+    const bodySchema = found.operation.requestBody?.content?.["application/json"]?.schema;
+    if (bodySchema) {
+      // express.json() leaves {} for requests without a JSON body
+      const empty = req.body === undefined || (Object.keys(req.body).length === 0 && !req.is("application/json"));
+      if (!empty || found.operation.requestBody.required) {
+        errors.push(...validateSchema(bodySchema, req.body ?? {}, { ...opts, location: "body" }));
+      }
+    }
+    return { errors, query };
+  }
+
+  // stage: "public" | "authenticated"
+  function validateRequest(stage) {
+    return (req, res, next) => {
+      const found = operationFor(req.method, req.baseUrl + req.path);
+      if (!found || isPublic(found.operation) !== (stage === "public")) return next();
+
+      const { errors, query } = checkRequest(req, found);
+      if (errors.length > 0) {
+        const first = errors[0];
+        return res.status(400).json({
+          ok: false,
+          error: "VALIDATION_FAILED",
+          message: `${first.field} ${first.message}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ""}`,
+          details: errors
+        });
+      }
+      // Express 4 lets the parsed query be replaced
+      req.query = query;
+      next();
+    };
+  }
+
+  function responseSchema(operation, status) {
+    let response = operation.responses?.[status] ?? operation.responses?.default;
+    if (response?.$ref) response = document.components.responses[response.$ref.split("/").pop()];
+    return response?.content?.["application/json"]?.schema ?? null;
+  }
+
+  function validateResponses() {
+    return (req, res, next) => {
+      const found = operationFor(req.method, req.path);
+      if (!found) return next();
+      const json = res.json.bind(res);
+      res.json = body => {
+        const schema = responseSchema(found.operation, res.statusCode);
+        const errors = schema ? validateSchema(schema, body, { ...opts, location: "response" }) : [];
+        if (errors.length > 0) onResponseMismatch(`${req.method} ${found.template} -> ${res.statusCode}`, errors);
+        return json(body);
+      };
+      next();
+    };
+  }
+
+  return { operationFor, validateRequest, validateResponses };
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+function defaultMismatchReporter(label, errors) {
+  console.warn(`[openapi] response of ${label} does not match the spec:`, errors.map(e => `${e.field} ${e.message}`).join("; "));
+}
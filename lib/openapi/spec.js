@@ -0,0 +1,1383 @@
+// lib/openapi/spec.js
+import { JOB_STATES, AGENT_REPORTABLE_STATES } from "../jobStates.js";
+import { JOB_TYPES } from "../jobTypes.js";
+import { JOB_SORT_FIELDS } from "../jobHistory.js";
+import { ROLES } from "../portalAuth.js";
+import { RESOLUTIONS } from "../telemetry.js";
+import { WEEKDAYS } from "../schedule.js";
+import { VERSION_STATUSES } from "../agentVersions.js";
+import { ARTIFACT_KINDS } from "../artifacts.js";
+import { TWIN_STATUSES } from "../deviceTwins.js";
+import { AGENT_SORT_FIELDS, DEVICE_SORT_FIELDS } from "../fleetSearch.js";
+
+/*
+ * OpenAPI 3.1 description of the agent and portal APIs.
+ *
+ * Served at GET /openapi.json and enforced by lib/openapi/index.js: every
+ * request is validated against it, and with VALIDATE_RESPONSES=1 so are the
+ * JSON responses. Request bodies are closed (unknown fields are rejected,
+ * typos should not pass silently); response objects stay open so adding a
+ * field is never a breaking change for generated clients.
+ */
+
+// ---------- Schema helpers ----------
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const text = (maxLength, extra = {}) => ({ type: "string", maxLength, ...extra });
+const nullable = schema => ({ ...schema, type: [schema.type, "null"] });
+const arrayOf = (items, extra = {}) => ({ type: "array", items, ...extra });
+const int = (extra = {}) => ({ type: "integer", ...extra });
+const bool = { type: "boolean" };
+const anyObject = { type: "object" };
+
+// request body: only the listed fields
+const input = (properties, required = []) => ({ type: "object", properties, required, additionalProperties: false });
+// response object: listed fields are always present unless `required` says otherwise
+const obj = (properties, required = Object.keys(properties)) => ({ type: "object", properties, required });
+const ok = (properties = {}) => obj({ ok: { const: true }, ...properties });
+
+const ID = text(200, { minLength: 1 });
+const SLUG = text(63, { minLength: 1 });
+const NAME = text(200);
+const TIMESTAMP = ref("Timestamp");
+const MAYBE_TIMESTAMP = ref("NullableTimestamp");
+const MAYBE_STRING = { type: ["string", "null"] };
+
+// ---------- Components ----------
+const schemas = {
+  Error: {
+    type: "object",
+    description: "Every error response. Some codes carry extra fields, e.g. `allowed`, `retryAfter` or `inUse`.",
+    properties: {
+      ok: { const: false },
+      error: { type: "string", description: "Machine-readable code, e.g. UNKNOWN_AGENT or VALIDATION_FAILED" },
+      message: { type: "string" },
+      details: arrayOf(ref("ErrorDetail"))
+    },
+    required: ["ok", "error"]
+  },
+  ErrorDetail: obj({ in: { type: "string" }, field: { type: "string" }, message: { type: "string" } }, ["message"]),
+  Timestamp: { type: "string", format: "date-time" },
+  NullableTimestamp: { type: ["string", "null"], format: "date-time" },
+
+  Capabilities: {
+    description: "Job capabilities the agent supports, as a list of names or a map name -> truthy",
+    anyOf: [arrayOf(text(100), { maxItems: 100 }), { type: "object", maxProperties: 100 }]
+  },
+  ReportedDevice: {
+    type: "object",
+    properties: {
+      deviceId: ID,
+      serialNumber: nullable(text(128)),
+      model: text(128),
+      fwVersion: nullable(text(64)),
+      status: text(64),
+      config: { ...nullable(anyObject), maxProperties: 100, description: "Current configuration parameters, if the device reports them" }
+    }
+  },
+  TelemetrySample: input({
+    at: { type: "string", description: "Sample time; defaults to the time of arrival" },
+    metrics: { type: "object", description: "Agent metrics: name -> number" },
+    devices: { type: "object", additionalProperties: anyObject, description: "deviceId -> { name -> number }" }
+  }),
+  TelemetryResult: obj({
+    accepted: int(),
+    rejected: arrayOf(obj({ deviceId: MAYBE_STRING, metric: { type: "string" }, reason: { type: "string" } }, ["reason"]))
+  }),
+  AgentJob: obj({
+    jobId: { type: "string" },
+    type: { type: "string" },
+    agentId: { type: "string" },
+    deviceId: MAYBE_STRING,
+    payload: anyObject,
+    attempt: int(),
+    leaseExpiresAt: TIMESTAMP
+  }),
+
+  Agent: obj({
+    agentId: { type: "string" },
+    displayName: { type: "string" },
+    siteId: MAYBE_STRING,
+    tenantId: MAYBE_STRING,
+    paired: bool,
+    online: bool,
+    lastSeenAt: MAYBE_TIMESTAMP,
+    agentVersion: { type: "string" },
+    versionStatus: { enum: VERSION_STATUSES, description: "Agent version against the tenant's version policy" }
+  }),
+  Device: obj(
+    {
+      deviceId: { type: "string" },
+      serialNumber: MAYBE_STRING,
+      model: { type: "string" },
+      fwVersion: MAYBE_STRING,
+      status: { type: "string" },
+      config: nullable(anyObject),
+      firstSeenAt: TIMESTAMP,
+      reportedAt: TIMESTAMP
+    },
+    ["deviceId", "model", "status"]
+  ),
+  DeviceSearchHit: {
+    description: "A reported device with the agent that reports it",
+    allOf: [
+      ref("Device"),
+      obj({
+        agentId: { type: "string" },
+        displayName: { type: "string" },
+        tenantId: MAYBE_STRING,
+        siteId: MAYBE_STRING,
+        online: bool,
+        agentVersion: { type: "string" }
+      })
+    ]
+  },
+  DeviceHistoryEntry: obj(
+    { at: TIMESTAMP, event: { enum: ["added", "changed", "removed", "reappeared"] }, device: anyObject, changes: anyObject },
+    ["at", "event"]
+  ),
+  DesiredState: obj({
+    fwVersion: { ...MAYBE_STRING, description: "Firmware version the device should run" },
+    config: { ...nullable(anyObject), description: "Parameters the device should have; others are left alone" }
+  }),
+  DeviceTwin: obj(
+    {
+      agentId: { type: "string" },
+      deviceId: { type: "string" },
+      tenantId: MAYBE_STRING,
+      siteId: MAYBE_STRING,
+      displayName: MAYBE_STRING,
+      desired: ref("DesiredState"),
+      autoReconcile: bool,
+      appliedConfig: { ...anyObject, description: "Parameters written by successful config-write jobs" },
+      status: { enum: TWIN_STATUSES },
+      reconcile: obj({
+        jobId: { ...MAYBE_STRING, description: "Open reconcile job" },
+        attempts: int({ description: "Jobs started for the current desired state" }),
+        retryAt: MAYBE_TIMESTAMP,
+        blockedReason: { ...MAYBE_STRING, description: "e.g. MAX_ATTEMPTS, AGENT_OFFLINE or NO_MATCHING_FIRMWARE" },
+        lastJob: {
+          anyOf: [
+            obj({ jobId: { type: "string" }, type: { type: "string" }, status: { enum: JOB_STATES }, message: MAYBE_STRING }),
+            { type: "null" }
+          ]
+        }
+      }),
+      reported: {
+        anyOf: [
+          obj({ model: { type: "string" }, fwVersion: MAYBE_STRING, config: nullable(anyObject), reportedAt: MAYBE_TIMESTAMP }),
+          { type: "null" }
+        ]
+      },
+      drift: {
+        anyOf: [
+          obj({
+            fwVersion: { anyOf: [obj({ desired: { type: "string" }, reported: MAYBE_STRING }), { type: "null" }] },
+            config: arrayOf(obj({ key: { type: "string" }, desired: {}, reported: {} }, ["key"]))
+          }),
+          { type: "null" }
+        ]
+      },
+      createdAt: TIMESTAMP,
+      updatedAt: TIMESTAMP,
+      updatedBy: MAYBE_STRING
+    },
+    ["agentId", "deviceId", "desired", "autoReconcile", "status", "reconcile", "reported", "drift"]
+  ),
+  InventorySnapshot: obj({ at: TIMESTAMP, devices: arrayOf(ref("Device")), diff: anyObject }),
+  PendingPairingCode: obj({
+    agentId: { type: "string" },
+    displayName: { type: "string" },
+    tenantId: MAYBE_STRING,
+    codeHint: { type: "string" },
+    createdAt: {},
+    createdBy: {},
+    expiresAt: TIMESTAMP
+  }),
+
+  User: obj(
+    {
+      userId: { type: "string" },
+      displayName: MAYBE_STRING,
+      tenantId: MAYBE_STRING,
+      role: { enum: ROLES },
+      createdAt: MAYBE_TIMESTAMP,
+      createdBy: MAYBE_STRING,
+      disabledAt: MAYBE_TIMESTAMP
+    },
+    ["userId", "role"]
+  ),
+  ApiToken: obj(
+    {
+      tokenId: { type: "string" },
+      userId: { type: "string" },
+      kind: { const: "api" },
+      name: MAYBE_STRING,
+      createdAt: TIMESTAMP,
+      expiresAt: MAYBE_TIMESTAMP,
+      lastUsedAt: MAYBE_TIMESTAMP
+    },
+    ["tokenId", "userId", "kind", "createdAt"]
+  ),
+
+  TelemetrySeriesInfo: obj({ deviceId: MAYBE_STRING, metric: { type: "string" }, last: {} }, ["metric"]),
+  TelemetrySeries: obj({
+    agentId: { type: "string" },
+    deviceId: MAYBE_STRING,
+    metric: { type: "string" },
+    from: TIMESTAMP,
+    to: TIMESTAMP,
+    resolution: { enum: Object.keys(RESOLUTIONS) },
+    points: arrayOf(obj({ t: TIMESTAMP }))
+  }),
+
+  InventoryChange: obj({
+    agentId: { type: "string" },
+    tenantId: MAYBE_STRING,
+    lines: arrayOf(int()),
+    before: obj({ displayName: { type: "string" }, siteId: MAYBE_STRING }),
+    after: obj({ displayName: { type: "string" }, siteId: MAYBE_STRING })
+  }),
+  InventoryImportError: obj({ line: int(), agentId: MAYBE_STRING, error: { type: "string" } }),
+
+  Artifact: obj(
+    {
+      artifactId: { type: "string" },
+      kind: { enum: ARTIFACT_KINDS },
+      filename: { type: "string" },
+      version: { type: "string" },
+      sha256: { type: "string" },
+      size: int(),
+      models: arrayOf({ type: "string" }),
+      tenantId: MAYBE_STRING,
+      uploadedBy: MAYBE_STRING,
+      createdAt: TIMESTAMP
+    },
+    ["artifactId", "kind", "filename", "version", "sha256", "size", "models"]
+  ),
+  DiagnosticBundle: obj({
+    bundleId: { type: "string" },
+    agentId: { type: "string" },
+    tenantId: { type: "string", description: "Tenant of the agent at upload time" },
+    jobId: MAYBE_STRING,
+    deviceId: MAYBE_STRING,
+    filename: { type: "string" },
+    reason: MAYBE_STRING,
+    sha256: { type: "string" },
+    size: int(),
+    createdAt: TIMESTAMP
+  }),
+
+  JobType: obj(
+    {
+      type: { type: "string" },
+      label: { type: "string" },
+      capability: { type: "string" },
+      requiresDevice: bool,
+      maintenanceWindow: bool,
+      minAgentVersion: { type: "string" },
+      updatesAgent: bool,
+      fields: arrayOf(obj({ name: { type: "string" }, type: { type: "string" } })),
+      supported: { type: "boolean", description: "Only with ?agentId=" },
+      unsupportedReason: { type: "string", description: "Only with ?agentId=, e.g. CAPABILITY_MISSING or AGENT_VERSION_TOO_OLD" }
+    },
+    ["type", "label", "capability", "requiresDevice", "fields"]
+  ),
+  Job: obj(
+    {
+      jobId: { type: "string" },
+      type: { type: "string" },
+      agentId: { type: "string" },
+      tenantId: MAYBE_STRING,
+      deviceId: MAYBE_STRING,
+      campaignId: MAYBE_STRING,
+      payload: { ...anyObject, description: "Left out of list results" },
+      status: { enum: JOB_STATES },
+      progress: { type: "number" },
+      message: MAYBE_STRING,
+      notBefore: MAYBE_TIMESTAMP,
+      notAfter: MAYBE_TIMESTAMP,
+      expiresAt: MAYBE_TIMESTAMP,
+      eligibleAt: { ...MAYBE_TIMESTAMP, description: "Queued jobs only: when they may be dispatched" },
+      createdBy: MAYBE_STRING,
+      createdAt: TIMESTAMP,
+      updatedAt: TIMESTAMP,
+      startedAt: MAYBE_TIMESTAMP,
+      finishedAt: MAYBE_TIMESTAMP,
+      awaitingVersion: {
+        ...MAYBE_STRING,
+        description: "agent-update jobs the agent reported as installed: the version the next heartbeat must report"
+      }
+    },
+    ["jobId", "type", "agentId", "status", "progress", "createdAt", "updatedAt"]
+  ),
+  JobOptions: input({
+    deviceId: nullable(ID),
+    maxAttempts: int({ minimum: 1, maximum: 100 }),
+    notBefore: { type: ["string", "null"], format: "date-time" },
+    notAfter: { type: ["string", "null"], format: "date-time" },
+    queueIfOffline: bool,
+    ttlSeconds: int({ description: "How long a job for an offline agent waits (queueIfOffline)" })
+  }),
+
+  Tenant: obj(
+    {
+      tenantId: { type: "string" },
+      name: { type: "string" },
+      agentVersionPolicy: ref("AgentVersionPolicy"),
+      createdAt: MAYBE_TIMESTAMP,
+      createdBy: MAYBE_STRING,
+      updatedAt: MAYBE_TIMESTAMP,
+      counts: obj({ sites: int(), agents: int(), online: int() })
+    },
+    ["tenantId", "name", "agentVersionPolicy", "counts"]
+  ),
+  AgentVersionPolicy: obj({
+    minimum: { ...MAYBE_STRING, description: "Older agents only get agent-update jobs" },
+    recommended: { ...MAYBE_STRING, description: "Older agents are flagged as outdated" }
+  }),
+  MaintenanceWindow: obj({ days: arrayOf({ enum: WEEKDAYS }), start: { type: "string" }, end: { type: "string" } }),
+  Site: obj({
+    tenantId: { type: "string" },
+    siteId: { type: "string" },
+    name: { type: "string" },
+    timezone: MAYBE_STRING,
+    windows: arrayOf(ref("MaintenanceWindow")),
+    openNow: bool,
+    nextOpenAt: MAYBE_TIMESTAMP,
+    counts: obj({ agents: int(), online: int() }),
+    createdAt: MAYBE_TIMESTAMP,
+    updatedAt: MAYBE_TIMESTAMP,
+    updatedBy: MAYBE_STRING
+  }),
+
+  Campaign: obj(
+    {
+      campaignId: { type: "string" },
+      tenantId: { type: "string" },
+      name: { type: "string" },
+      artifactId: { type: "string" },
+      status: { type: "string" },
+      target: anyObject,
+      devices: { type: "array", description: "Detail view only" },
+      progress: anyObject,
+      createdAt: TIMESTAMP
+    },
+    ["campaignId", "tenantId", "name", "artifactId", "status", "progress"]
+  ),
+
+  Webhook: obj(
+    {
+      webhookId: { type: "string" },
+      tenantId: { type: "string" },
+      url: { type: "string" },
+      events: arrayOf({ type: "string" }),
+      description: MAYBE_STRING,
+      active: bool,
+      createdAt: TIMESTAMP,
+      createdBy: MAYBE_STRING,
+      updatedAt: TIMESTAMP
+    },
+    ["webhookId", "tenantId", "url", "events", "active"]
+  ),
+  WebhookDelivery: obj(
+    {
+      deliveryId: { type: "string" },
+      webhookId: { type: "string" },
+      event: { type: "string" },
+      payload: anyObject,
+      status: { enum: ["pending", "succeeded", "failed"] },
+      attempts: int(),
+      nextAttemptAt: MAYBE_TIMESTAMP,
+      responseStatus: { type: ["integer", "null"] },
+      lastError: MAYBE_STRING,
+      createdAt: TIMESTAMP,
+      updatedAt: TIMESTAMP
+    },
+    ["deliveryId", "webhookId", "event", "status", "attempts"]
+  ),
+
+  AuditEntry: obj({
+    id: { type: "string" },
+    at: TIMESTAMP,
+    tenantId: MAYBE_STRING,
+    agentId: MAYBE_STRING,
+    actor: obj({ type: { type: "string" }, id: MAYBE_STRING }, ["type"]),
+    action: { type: "string" },
+    target: { type: ["object", "null"] },
+    before: {},
+    after: {}
+  }, ["id", "at", "actor", "action"])
+};
+
+const errorResponse = {
+  description: "Error",
+  content: { "application/json": { schema: ref("Error") } }
+};
+
+// ---------- Paths ----------
+const paths = {};
+
+const AGENT = [{ agentToken: [] }];
+const PORTAL = [{ portalToken: [] }, { portalSession: [] }];
+const PUBLIC = [];
+
+/*
+ * One operation. `expressPath` uses Express syntax (":agentId"); path
+ * parameters are strings. `response` is the 200 schema, or "sse" / "binary";
+ * `textResponse` names a text media type served instead of JSON on request.
+ * `upload` is the media type of a raw (non-JSON) request body. `errors` lists
+ * the route's own error statuses; 400 (validation) and 401 (credentials) are
+ * added where they apply.
+ */
+function route(method, expressPath, {
+  summary, tag, security, query = {}, requiredQuery = [], body, bodyRequired = false, upload = null, response, textResponse = null,
+  errors = []
+}) {
+  const path = expressPath.replace(/:(\w+)/g, "{$1}");
+  const pathParams = [...expressPath.matchAll(/:(\w+)/g)].map(([, name]) => name);
+  const parameters = [
+    ...pathParams.map(name => ({ name, in: "path", required: true, schema: ID })),
+    ...Object.entries(query).map(([name, schema]) => ({ name, in: "query", required: requiredQuery.includes(name), schema }))
+  ];
+
+  const content =
+    response === "sse"
+      ? { "text/event-stream": { schema: { type: "string" } } }
+      : response === "binary"
+        ? { "application/octet-stream": { schema: { type: "string", contentEncoding: "binary" } } }
+        : {
+          "application/json": { schema: response },
+          ...(textResponse ? { [textResponse]: { schema: { type: "string" } } } : {})
+        };
+  const responses = { 200: { description: "OK", content } };
+  const statuses = new Set(errors);
+  if (parameters.length || body || upload) statuses.add(400);
+  if (security.length && !security.some(s => Object.keys(s).length === 0)) statuses.add(401);
+  for (const status of [...statuses].sort()) responses[status] = { $ref: "#/components/responses/Error" };
+
+  const operation = {
+    operationId: `${method}${path.replace(/\{(\w+)\}/g, "By-$1").replace(/[^A-Za-z0-9]+(.)?/g, (_, c = "") => c.toUpperCase())}`,
+    summary,
+    tags: [tag],
+    security,
+    ...(parameters.length ? { parameters } : {}),
+    ...(body ? { requestBody: { required: bodyRequired, content: { "application/json": { schema: body } } } } : {}),
+    ...(upload ? { requestBody: { required: true, content: { [upload]: { schema: { type: "string" } } } } } : {}),
+    responses
+  };
+  (paths[path] ??= {})[method] = operation;
+}
+
+const LIST_LIMIT = max => int({ minimum: 1, maximum: max });
+const JOB_TYPE_NAMES = Object.keys(JOB_TYPES);
+
+// ---------- Public ----------
+route("get", "/health", {
+  summary: "Liveness check",
+  tag: "health",
+  security: PUBLIC,
+  response: ok({ time: TIMESTAMP })
+});
+
+route("get", "/openapi.json", {
+  summary: "This document",
+  tag: "health",
+  security: PUBLIC,
+  response: anyObject
+});
+
+// ---------- Agent API ----------
+route("post", "/agent/register", {
+  summary: "Register a new agent (no credentials) or re-register an existing one (its token)",
+  tag: "agent",
+  security: [{}, { agentToken: [] }],
+  body: input({
+    agentId: ID,
+    agentVersion: text(64),
+    machineInfo: { type: "object", properties: { hostname: NAME }, maxProperties: 50 }
+  }),
+  response: ok({
+    agentId: { type: "string" },
+    agentToken: { ...MAYBE_STRING, description: "Only for new agents; shown once" },
+    paired: bool,
+    tenantId: MAYBE_STRING,
+    displayName: { type: "string" },
+    siteId: MAYBE_STRING
+  }),
+  errors: [401, 403]
+});
+
+route("post", "/agent/pairing/code", {
+  summary: "Request a pairing code; older codes of the agent stop working",
+  tag: "agent",
+  security: AGENT,
+  response: ok({ agentId: { type: "string" }, pairingCode: { type: "string" }, expiresAt: TIMESTAMP })
+});
+
+route("post", "/agent/heartbeat", {
+  summary: "Heartbeat; may carry a telemetry sample and delivers rotated credentials",
+  tag: "agent",
+  security: AGENT,
+  body: input({
+    agentVersion: text(64),
+    capabilities: ref("Capabilities"),
+    // checked value by value: a bad sample is reported back, it never fails the heartbeat
+    telemetry: { type: "object", description: "A TelemetrySample; problems are reported in the response" }
+  }),
+  response: obj(
+    {
+      ok: { const: true },
+      serverTime: TIMESTAMP,
+      cancelJobs: arrayOf({ type: "string" }),
+      telemetry: ref("TelemetryResult"),
+      credentials: obj({ agentToken: { type: "string" } })
+    },
+    ["ok", "serverTime", "cancelJobs"]
+  )
+});
+
+route("post", "/agent/telemetry", {
+  summary: "One telemetry sample, or a buffered batch as { samples }",
+  tag: "agent",
+  security: AGENT,
+  body: input({ ...schemas.TelemetrySample.properties, samples: arrayOf(ref("TelemetrySample")) }),
+  bodyRequired: true,
+  response: ok(schemas.TelemetryResult.properties),
+  errors: [413]
+});
+
+route("post", "/agent/devices/report", {
+  summary: "Full device list; the server diffs it against the previous report",
+  tag: "agent",
+  security: AGENT,
+  body: input({ devices: arrayOf(ref("ReportedDevice"), { maxItems: 1000 }) }, ["devices"]),
+  bodyRequired: true,
+  response: ok({ count: int(), added: int(), removed: int(), changed: int() })
+});
+
+route("get", "/agent/jobs/next", {
+  summary: "Lease the next jobs; they must be acknowledged via progress before the lease runs out",
+  tag: "agent",
+  security: AGENT,
+  response: ok({ jobs: arrayOf(ref("AgentJob")), cancelJobs: arrayOf({ type: "string" }) })
+});
+
+route("get", "/agent/events", {
+  summary: "Push channel (SSE): `jobs`, `cancel` and `revoked` events",
+  tag: "agent",
+  security: AGENT,
+  response: "sse"
+});
+
+route("post", "/agent/jobs/:jobId/progress", {
+  summary: "Report job progress; status changes must follow the job lifecycle",
+  tag: "agent",
+  security: AGENT,
+  body: input({
+    status: { enum: [...AGENT_REPORTABLE_STATES] },
+    progress: { type: "number", minimum: 0, maximum: 100 },
+    message: nullable(text(500))
+  }),
+  response: ok({ status: { enum: JOB_STATES }, cancelRequested: bool }),
+  errors: [403, 404, 409]
+});
+
+route("get", "/agent/artifacts/:artifactId", {
+  summary: "Download an artifact referenced by one of the agent's unfinished jobs (checksum in X-Checksum-SHA256)",
+  tag: "agent",
+  security: AGENT,
+  response: "binary",
+  errors: [404]
+});
+
+route("post", "/agent/diagnostics", {
+  summary: "Upload a diagnostic bundle (logs etc.), optionally attached to one of the agent's jobs",
+  tag: "agent",
+  security: AGENT,
+  query: {
+    filename: text(255, { minLength: 1, pattern: "^[\\w.-]+$" }),
+    jobId: ID,
+    deviceId: ID,
+    reason: text(500)
+  },
+  requiredQuery: ["filename"],
+  upload: "application/octet-stream",
+  response: ok({ bundle: ref("DiagnosticBundle"), dropped: arrayOf({ type: "string" }, { description: "Oldest bundles removed to stay within the per-agent limit" }) }),
+  errors: [403, 404, 409, 413]
+});
+
+// ---------- Portal: session and users ----------
+route("post", "/portal/login", {
+  summary: "Log in with user id and password; also sets the session cookie",
+  tag: "auth",
+  security: PUBLIC,
+  body: input({ userId: ID, password: text(200, { minLength: 1 }) }, ["userId", "password"]),
+  bodyRequired: true,
+  response: ok({ token: { type: "string" }, expiresAt: MAYBE_TIMESTAMP, user: ref("User") }),
+  errors: [401, 429]
+});
+
+route("get", "/portal/me", { summary: "The logged-in user", tag: "auth", security: PORTAL, response: ref("User") });
+
+route("post", "/portal/logout", { summary: "Revoke the current token and clear the session cookie", tag: "auth", security: PORTAL, response: ok() });
+
+route("get", "/portal/events", {
+  summary: "Live events of the user's tenants (SSE)",
+  tag: "auth",
+  security: PORTAL,
+  response: "sse"
+});
+
+route("get", "/portal/users", {
+  summary: "Users of the tenant (all users for global admins)",
+  tag: "users",
+  security: PORTAL,
+  response: arrayOf(ref("User")),
+  errors: [403]
+});
+
+route("post", "/portal/users", {
+  summary: "Create a user",
+  tag: "users",
+  security: PORTAL,
+  body: input(
+    {
+      userId: ID,
+      password: text(200, { minLength: 1 }),
+      role: { enum: ROLES },
+      displayName: NAME,
+      tenantId: { ...SLUG, description: "Global admins only" }
+    },
+    ["userId", "password", "role"]
+  ),
+  bodyRequired: true,
+  response: ok({ user: ref("User") }),
+  errors: [403, 404, 409]
+});
+
+route("delete", "/portal/users/:userId", {
+  summary: "Delete a user and revoke their tokens",
+  tag: "users",
+  security: PORTAL,
+  response: ok({ userId: { type: "string" }, status: { const: "deleted" } }),
+  errors: [403, 404, 409]
+});
+
+route("get", "/portal/tokens", { summary: "Your API tokens", tag: "users", security: PORTAL, response: arrayOf(ref("ApiToken")) });
+
+route("post", "/portal/tokens", {
+  summary: "Create an API token (shown once)",
+  tag: "users",
+  security: PORTAL,
+  body: input({ name: nullable(NAME), expiresInDays: { type: "number", minimum: 0 } }),
+  response: ok({ token: { type: "string" }, tokenId: { type: "string" }, expiresAt: MAYBE_TIMESTAMP })
+});
+
+route("delete", "/portal/tokens/:tokenId", {
+  summary: "Revoke one of your API tokens",
+  tag: "users",
+  security: PORTAL,
+  response: ok({ tokenId: { type: "string" }, status: { const: "revoked" } }),
+  errors: [404]
+});
+
+// ---------- Portal: agents ----------
+route("post", "/portal/agents/pair", {
+  summary: "Claim an agent by its pairing code",
+  tag: "agents",
+  security: PORTAL,
+  body: input(
+    {
+      pairingCode: text(64, { minLength: 1 }),
+      tenantId: { type: "string", maxLength: 63, description: "Required for global admins; ignored otherwise" },
+      displayName: NAME,
+      siteId: nullable(text(63))
+    },
+    ["pairingCode"]
+  ),
+  bodyRequired: true,
+  response: ok({ agentId: { type: "string" }, status: { const: "paired" } }),
+  errors: [403, 404, 409, 410, 429]
+});
+
+route("get", "/portal/agents/all", {
+  summary: "All agents the user can see (global admins also get unpaired ones)",
+  tag: "agents",
+  security: PORTAL,
+  response: arrayOf(ref("Agent"))
+});
+
+route("get", "/portal/agents", {
+  summary: "Agents, optionally of one tenant or one version status",
+  tag: "agents",
+  security: PORTAL,
+  query: { tenantId: SLUG, versionStatus: { enum: VERSION_STATUSES } },
+  response: arrayOf(ref("Agent"))
+});
+
+// ---------- Portal: search ----------
+const SEARCH_QUERY = {
+  q: text(200, { description: "Case-insensitive text search" }),
+  tenantId: SLUG,
+  siteId: SLUG,
+  online: bool,
+  model: text(128),
+  fwVersion: text(64),
+  agentVersion: text(64),
+  order: { enum: ["asc", "desc"] },
+  limit: LIST_LIMIT(500),
+  cursor: { type: "string" }
+};
+
+route("get", "/portal/search/agents", {
+  summary: "Search agents by name, agentId or device serial number, with filters and cursor paging",
+  tag: "search",
+  security: PORTAL,
+  query: {
+    ...SEARCH_QUERY,
+    paired: bool,
+    versionStatus: { enum: VERSION_STATUSES },
+    model: text(128, { description: "Agents with at least one device of this model" }),
+    fwVersion: text(64, { description: "Agents with at least one device on this firmware" }),
+    sort: { enum: AGENT_SORT_FIELDS }
+  },
+  response: obj({ agents: arrayOf(ref("Agent")), total: int(), nextCursor: MAYBE_STRING }),
+  errors: [403]
+});
+
+route("get", "/portal/search/devices", {
+  summary: "Search devices by deviceId, serial number or agent, with filters and cursor paging",
+  tag: "search",
+  security: PORTAL,
+  query: {
+    ...SEARCH_QUERY,
+    agentId: ID,
+    status: text(64),
+    sort: { enum: DEVICE_SORT_FIELDS }
+  },
+  response: obj({ devices: arrayOf(ref("DeviceSearchHit")), total: int(), nextCursor: MAYBE_STRING }),
+  errors: [403]
+});
+
+route("post", "/portal/agents/:agentId/unpair", {
+  summary: "Unpair an agent (cancels its open jobs); optionally revoke its credentials",
+  tag: "agents",
+  security: PORTAL,
+  body: input({ revokeCredentials: bool }),
+  response: ok({
+    agentId: { type: "string" },
+    status: { const: "unpaired" },
+    credentialsRevoked: bool,
+    cancelledJobs: arrayOf({ type: "string" })
+  }),
+  errors: [403, 404]
+});
+
+route("post", "/portal/agents/:agentId/move", {
+  summary: "Move a paired agent to another site or tenant (cancels its open jobs on a tenant change)",
+  tag: "agents",
+  security: PORTAL,
+  body: input({ tenantId: SLUG, siteId: { ...nullable(text(63)), description: "null = no site" } }),
+  response: ok({ agent: ref("Agent"), cancelledJobs: arrayOf({ type: "string" }) }),
+  errors: [403, 404, 409]
+});
+
+route("post", "/portal/agents/:agentId/pairing-code", {
+  summary: "New pairing code for an agent, with a QR code linking to the portal",
+  tag: "agents",
+  security: PORTAL,
+  response: ok({
+    agentId: { type: "string" },
+    pairingCode: { type: "string" },
+    expiresAt: TIMESTAMP,
+    pairingUrl: { type: "string" },
+    qrSvg: { type: "string" }
+  }),
+  errors: [403, 404]
+});
+
+route("delete", "/portal/agents/:agentId/pairing-code", {
+  summary: "Revoke the agent's active pairing code",
+  tag: "agents",
+  security: PORTAL,
+  response: ok({ agentId: { type: "string" }, status: { const: "revoked" } }),
+  errors: [403, 404]
+});
+
+route("get", "/portal/pairing-codes", {
+  summary: "Active pairing codes (masked)",
+  tag: "agents",
+  security: PORTAL,
+  response: arrayOf(ref("PendingPairingCode")),
+  errors: [403]
+});
+
+route("get", "/portal/agents/:agentId/devices", {
+  summary: "Devices last reported by the agent",
+  tag: "agents",
+  security: PORTAL,
+  response: arrayOf(ref("Device")),
+  errors: [404]
+});
+
+route("get", "/portal/agents/:agentId/devices/:deviceId/history", {
+  summary: "Timeline of one device, newest first",
+  tag: "agents",
+  security: PORTAL,
+  response: obj({
+    agentId: { type: "string" },
+    deviceId: { type: "string" },
+    device: { anyOf: [ref("Device"), { type: "null" }] },
+    history: arrayOf(ref("DeviceHistoryEntry"))
+  }),
+  errors: [404]
+});
+
+route("get", "/portal/agents/:agentId/inventory/snapshots", {
+  summary: "Inventory snapshots that changed something, newest first",
+  tag: "agents",
+  security: PORTAL,
+  response: arrayOf(ref("InventorySnapshot")),
+  errors: [404]
+});
+
+// ---------- Portal: telemetry ----------
+route("get", "/portal/agents/:agentId/telemetry", {
+  summary: "Telemetry series of an agent with their latest value",
+  tag: "telemetry",
+  security: PORTAL,
+  response: arrayOf(ref("TelemetrySeriesInfo")),
+  errors: [404]
+});
+
+route("get", "/portal/agents/:agentId/telemetry/:metric", {
+  summary: "Points of one series; defaults to the last hour",
+  tag: "telemetry",
+  security: PORTAL,
+  query: {
+    deviceId: { type: "string" },
+    from: TIMESTAMP,
+    to: TIMESTAMP,
+    resolution: { enum: ["auto", ...Object.keys(RESOLUTIONS)] }
+  },
+  response: ref("TelemetrySeries"),
+  errors: [404]
+});
+
+// ---------- Portal: artifacts ----------
+route("get", "/portal/artifacts", {
+  summary: "Firmware artifacts and agent packages, optionally only those compatible with a model",
+  tag: "artifacts",
+  security: PORTAL,
+  query: { model: text(128), kind: { enum: ARTIFACT_KINDS } },
+  response: arrayOf(ref("Artifact"))
+});
+
+route("post", "/portal/artifacts", {
+  summary: "Upload a firmware binary or agent package; metadata goes in the query string",
+  tag: "artifacts",
+  security: PORTAL,
+  query: {
+    kind: { enum: ARTIFACT_KINDS, description: "Defaults to firmware" },
+    filename: text(255, { minLength: 1 }),
+    version: text(64, { minLength: 1 }),
+    models: { type: "string", minLength: 1, description: "Comma-separated device models (firmware only, required there)" },
+    sha256: { type: "string", pattern: "^[0-9a-fA-F]{64}$" },
+    tenantId: { type: "string", description: "Global admins only; without it the artifact is shared" }
+  },
+  requiredQuery: ["filename", "version"],
+  upload: "application/octet-stream",
+  response: ok({ artifact: ref("Artifact") }),
+  errors: [403, 404, 413, 422]
+});
+
+route("get", "/portal/artifacts/:artifactId", {
+  summary: "One artifact",
+  tag: "artifacts",
+  security: PORTAL,
+  response: ref("Artifact"),
+  errors: [404]
+});
+
+route("delete", "/portal/artifacts/:artifactId", {
+  summary: "Delete an artifact no unfinished job or open campaign uses",
+  tag: "artifacts",
+  security: PORTAL,
+  response: ok({ artifactId: { type: "string" }, status: { const: "deleted" } }),
+  errors: [403, 404, 409]
+});
+
+// ---------- Portal: diagnostic bundles ----------
+route("get", "/portal/agents/:agentId/diagnostics", {
+  summary: "Diagnostic bundles uploaded by the agent, newest first",
+  tag: "diagnostics",
+  security: PORTAL,
+  response: arrayOf(ref("DiagnosticBundle")),
+  errors: [404]
+});
+
+route("get", "/portal/jobs/:jobId/diagnostics", {
+  summary: "Diagnostic bundles attached to a job, newest first",
+  tag: "diagnostics",
+  security: PORTAL,
+  response: arrayOf(ref("DiagnosticBundle")),
+  errors: [404]
+});
+
+route("get", "/portal/diagnostics/:bundleId/download", {
+  summary: "Download a diagnostic bundle (checksum in X-Checksum-SHA256)",
+  tag: "diagnostics",
+  security: PORTAL,
+  response: "binary",
+  errors: [404]
+});
+
+route("delete", "/portal/diagnostics/:bundleId", {
+  summary: "Delete a diagnostic bundle",
+  tag: "diagnostics",
+  security: PORTAL,
+  response: ok({ bundleId: { type: "string" }, status: { const: "deleted" } }),
+  errors: [403, 404]
+});
+
+// ---------- Portal: jobs ----------
+route("get", "/portal/job-types", {
+  summary: "Job types and their payload fields; with ?agentId= whether that agent supports them",
+  tag: "jobs",
+  security: PORTAL,
+  query: { agentId: ID },
+  response: arrayOf(ref("JobType")),
+  errors: [404]
+});
+
+const submitResponse = ok({ jobId: { type: "string" }, eligibleAt: MAYBE_TIMESTAMP, expiresAt: MAYBE_TIMESTAMP });
+
+route("post", "/portal/agents/:agentId/jobs", {
+  summary: "Create a job of any registered type",
+  tag: "jobs",
+  security: PORTAL,
+  body: input(
+    { ...schemas.JobOptions.properties, type: { enum: JOB_TYPE_NAMES }, payload: anyObject },
+    ["type"]
+  ),
+  bodyRequired: true,
+  response: submitResponse,
+  errors: [403, 404, 409]
+});
+
+route("post", "/portal/agents/:agentId/jobs/firmware-update", {
+  summary: "Create a firmware update job (same as type firmware-update)",
+  tag: "jobs",
+  security: PORTAL,
+  body: input({ ...schemas.JobOptions.properties, artifactId: ID }, ["artifactId"]),
+  bodyRequired: true,
+  response: submitResponse,
+  errors: [403, 404, 409]
+});
+
+route("get", "/portal/jobs", {
+  summary: "Job history with filters and cursor paging",
+  tag: "jobs",
+  security: PORTAL,
+  query: {
+    tenantId: SLUG,
+    agentId: ID,
+    deviceId: ID,
+    type: { type: "string" },
+    status: { type: "string", description: "Comma-separated job states" },
+    campaignId: ID,
+    from: TIMESTAMP,
+    to: TIMESTAMP,
+    sort: { enum: JOB_SORT_FIELDS },
+    order: { enum: ["asc", "desc"] },
+    limit: LIST_LIMIT(200),
+    cursor: { type: "string" }
+  },
+  response: obj({ jobs: arrayOf(ref("Job")), nextCursor: MAYBE_STRING }),
+  errors: [403]
+});
+
+route("get", "/portal/jobs/:jobId", {
+  summary: "One job",
+  tag: "jobs",
+  security: PORTAL,
+  response: ref("Job"),
+  errors: [404]
+});
+
+route("post", "/portal/jobs/:jobId/cancel", {
+  summary: "Cancel a job (running jobs are signalled to the agent)",
+  tag: "jobs",
+  security: PORTAL,
+  response: ok({ jobId: { type: "string" }, status: { enum: JOB_STATES }, result: { enum: ["cancelled", "cancel-requested"] } }),
+  errors: [403, 404, 409]
+});
+
+// ---------- Portal: tenants and sites ----------
+route("get", "/portal/tenants", { summary: "Tenants the user can see", tag: "tenants", security: PORTAL, response: arrayOf(ref("Tenant")) });
+
+route("post", "/portal/tenants", {
+  summary: "Create a tenant",
+  tag: "tenants",
+  security: PORTAL,
+  body: input({ tenantId: SLUG, name: NAME }, ["tenantId"]),
+  bodyRequired: true,
+  response: ok({ tenant: ref("Tenant") }),
+  errors: [403, 409]
+});
+
+route("patch", "/portal/tenants/:tenantId", {
+  summary: "Rename a tenant",
+  tag: "tenants",
+  security: PORTAL,
+  body: input({ name: text(200, { minLength: 1 }) }, ["name"]),
+  bodyRequired: true,
+  response: ok({ tenant: ref("Tenant") }),
+  errors: [403, 404]
+});
+
+route("put", "/portal/tenants/:tenantId/agent-version-policy", {
+  summary: "Set the minimum and recommended agent version (null = no requirement)",
+  tag: "tenants",
+  security: PORTAL,
+  body: input({ minimum: nullable(text(64)), recommended: nullable(text(64)) }),
+  bodyRequired: true,
+  response: ok({ tenant: ref("Tenant"), agents: obj(Object.fromEntries(VERSION_STATUSES.map(v => [v, int()]))) }),
+  errors: [403, 404]
+});
+
+route("delete", "/portal/tenants/:tenantId", {
+  summary: "Delete a tenant that owns nothing but finished campaigns (deleted with it)",
+  tag: "tenants",
+  security: PORTAL,
+  response: ok({ tenantId: { type: "string" } }),
+  errors: [403, 404, 409]
+});
+
+route("get", "/portal/tenants/:tenantId/sites", {
+  summary: "Sites of a tenant",
+  tag: "sites",
+  security: PORTAL,
+  response: arrayOf(ref("Site")),
+  errors: [404]
+});
+
+route("post", "/portal/tenants/:tenantId/sites", {
+  summary: "Create a site",
+  tag: "sites",
+  security: PORTAL,
+  body: input({ siteId: SLUG, name: NAME }, ["siteId"]),
+  bodyRequired: true,
+  response: ok({ site: ref("Site") }),
+  errors: [403, 404, 409]
+});
+
+route("patch", "/portal/tenants/:tenantId/sites/:siteId", {
+  summary: "Rename a site",
+  tag: "sites",
+  security: PORTAL,
+  body: input({ name: text(200, { minLength: 1 }) }, ["name"]),
+  bodyRequired: true,
+  response: ok({ site: ref("Site") }),
+  errors: [403, 404]
+});
+
+route("delete", "/portal/tenants/:tenantId/sites/:siteId", {
+  summary: "Delete a site without agents",
+  tag: "sites",
+  security: PORTAL,
+  response: ok({ siteId: { type: "string" } }),
+  errors: [403, 404, 409]
+});
+
+route("get", "/portal/sites", {
+  summary: "All sites with their maintenance windows",
+  tag: "sites",
+  security: PORTAL,
+  query: { tenantId: SLUG },
+  response: arrayOf(ref("Site")),
+  errors: [403]
+});
+
+route("get", "/portal/sites/:siteId/maintenance-windows", {
+  summary: "Maintenance windows of a site",
+  tag: "sites",
+  security: PORTAL,
+  query: { tenantId: { ...SLUG, description: "Global admins only" } },
+  response: ref("Site"),
+  errors: [404]
+});
+
+route("put", "/portal/sites/:siteId/maintenance-windows", {
+  summary: "Replace a site's maintenance windows ([] = always open)",
+  tag: "sites",
+  security: PORTAL,
+  query: { tenantId: { ...SLUG, description: "Global admins only" } },
+  body: input(
+    {
+      timezone: text(64),
+      windows: arrayOf(input({ days: arrayOf(text(16)), start: text(5), end: text(5) }), { maxItems: 50 }),
+      tenantId: { ...SLUG, description: "Global admins only" }
+    },
+    ["timezone", "windows"]
+  ),
+  bodyRequired: true,
+  response: ok({ site: ref("Site") }),
+  errors: [403, 404]
+});
+
+// ---------- Portal: fleet inventory ----------
+route("get", "/portal/inventory/export", {
+  summary: "Agents joined with their devices as CSV (one row per device) or JSON",
+  tag: "inventory",
+  security: PORTAL,
+  query: { format: { enum: ["csv", "json"] }, tenantId: SLUG, siteId: text(63) },
+  response: obj({
+    exportedAt: TIMESTAMP,
+    filters: obj({ tenantId: MAYBE_STRING, siteId: MAYBE_STRING }),
+    agents: arrayOf({ allOf: [ref("Agent")], type: "object", properties: { devices: arrayOf(ref("Device")) }, required: ["devices"] })
+  }),
+  textResponse: "text/csv",
+  errors: [403]
+});
+
+route("post", "/portal/inventory/import", {
+  summary: "Update agent display names and sites from a CSV (agentId, displayName, siteId); nothing is applied if a row fails",
+  tag: "inventory",
+  security: PORTAL,
+  query: { dryRun: { type: "boolean", description: "Only report what would change" } },
+  upload: "text/csv",
+  response: ok({
+    dryRun: bool,
+    applied: bool,
+    summary: obj({ rows: int(), changes: int(), unchanged: int(), errors: int() }),
+    changes: arrayOf(ref("InventoryChange")),
+    errors: arrayOf(ref("InventoryImportError"))
+  }),
+  errors: [403, 413, 422]
+});
+
+// ---------- Portal: device twins ----------
+route("get", "/portal/device-twins", {
+  summary: "Desired vs. reported state of every device with a twin (drift view)",
+  tag: "device-twins",
+  security: PORTAL,
+  query: { tenantId: SLUG, siteId: SLUG, agentId: ID, status: { enum: TWIN_STATUSES } },
+  response: obj({
+    summary: obj(Object.fromEntries(TWIN_STATUSES.map(s => [s, int()]))),
+    twins: arrayOf(ref("DeviceTwin"))
+  }),
+  errors: [403]
+});
+
+route("get", "/portal/agents/:agentId/devices/:deviceId/twin", {
+  summary: "Desired state of a device, with its reported state and drift",
+  tag: "device-twins",
+  security: PORTAL,
+  response: ref("DeviceTwin"),
+  errors: [404]
+});
+
+route("put", "/portal/agents/:agentId/devices/:deviceId/twin", {
+  summary: "Set the desired firmware version and/or configuration of a device",
+  tag: "device-twins",
+  security: PORTAL,
+  body: input({
+    fwVersion: nullable(text(64)),
+    config: { ...nullable(anyObject), maxProperties: 100 },
+    autoReconcile: { ...bool, description: "Start jobs to remove drift (default true)" }
+  }),
+  bodyRequired: true,
+  response: ok({ twin: ref("DeviceTwin") }),
+  errors: [403, 404, 409]
+});
+
+route("delete", "/portal/agents/:agentId/devices/:deviceId/twin", {
+  summary: "Clear the desired state of a device",
+  tag: "device-twins",
+  security: PORTAL,
+  response: ok({ agentId: { type: "string" }, deviceId: { type: "string" }, status: { const: "deleted" } }),
+  errors: [403, 404]
+});
+
+// ---------- Portal: campaigns ----------
+route("get", "/portal/campaigns", {
+  summary: "Campaigns, newest first",
+  tag: "campaigns",
+  security: PORTAL,
+  response: arrayOf(ref("Campaign"))
+});
+
+route("post", "/portal/campaigns", {
+  summary: "Create and start a staged firmware rollout",
+  tag: "campaigns",
+  security: PORTAL,
+  body: input(
+    {
+      name: text(200, { minLength: 1 }),
+      artifactId: ID,
+      target: input({ siteId: nullable(text(63)), model: nullable(text(128)), fwVersion: nullable(text(64)) }),
+      tenantId: { type: "string", maxLength: 63, description: "Required for global admins; ignored otherwise" },
+      canaryPercent: { type: "number", minimum: 0, maximum: 100 },
+      batchSize: int({ minimum: 1 }),
+      failureThreshold: { type: "number", minimum: 0, maximum: 1 },
+      jobTtlSeconds: int({ minimum: 60, description: "A device's job expires (and counts as failed) when its agent has not picked it up by then" })
+    },
+    ["name", "artifactId"]
+  ),
+  bodyRequired: true,
+  response: ok({ campaignId: { type: "string" }, devices: int(), incompatible: int(), waves: int() }),
+  errors: [403, 404]
+});
+
+route("get", "/portal/campaigns/:campaignId", {
+  summary: "One campaign with its devices",
+  tag: "campaigns",
+  security: PORTAL,
+  response: ref("Campaign"),
+  errors: [404]
+});
+
+for (const action of ["pause", "resume", "cancel"]) {
+  route("post", `/portal/campaigns/:campaignId/${action}`, {
+    summary: `${action[0].toUpperCase()}${action.slice(1)} a campaign`,
+    tag: "campaigns",
+    security: PORTAL,
+    response: ok({ campaignId: { type: "string" }, status: { type: "string" } }),
+    errors: [403, 404, 409]
+  });
+}
+
+// ---------- Portal: webhooks ----------
+route("get", "/portal/webhooks/events", {
+  summary: "Event names webhooks can subscribe to",
+  tag: "webhooks",
+  security: PORTAL,
+  response: arrayOf({ type: "string" })
+});
+
+route("get", "/portal/webhooks", {
+  summary: "Webhook subscriptions",
+  tag: "webhooks",
+  security: PORTAL,
+  query: { tenantId: SLUG },
+  response: arrayOf(ref("Webhook")),
+  errors: [403]
+});
+
+const webhookFields = {
+  url: text(2000, {
+    minLength: 1,
+    description: "http(s) URL; loopback, link-local and private-network targets are refused unless WEBHOOK_ALLOW_PRIVATE_TARGETS=1"
+  }),
+  events: arrayOf(text(100), { maxItems: 50, description: 'Event names or prefixes like "job.*"' }),
+  description: nullable(text(500))
+};
+
+route("post", "/portal/webhooks", {
+  summary: "Create a webhook subscription (the signing secret is shown once)",
+  tag: "webhooks",
+  security: PORTAL,
+  body: input(
+    { ...webhookFields, tenantId: { type: "string", maxLength: 63, description: "Required for global admins; ignored otherwise" } },
+    ["url", "events"]
+  ),
+  bodyRequired: true,
+  response: ok({ webhook: ref("Webhook"), secret: { type: "string" } }),
+  errors: [403, 404]
+});
+
+route("patch", "/portal/webhooks/:webhookId", {
+  summary: "Update a webhook subscription",
+  tag: "webhooks",
+  security: PORTAL,
+  body: input({ ...webhookFields, active: bool }),
+  response: ok({ webhook: ref("Webhook") }),
+  errors: [403, 404]
+});
+
+route("delete", "/portal/webhooks/:webhookId", {
+  summary: "Delete a webhook subscription and its deliveries",
+  tag: "webhooks",
+  security: PORTAL,
+  response: ok({ webhookId: { type: "string" }, status: { const: "deleted" } }),
+  errors: [403, 404]
+});
+
+route("post", "/portal/webhooks/:webhookId/rotate-secret", {
+  summary: "New signing secret (shown once)",
+  tag: "webhooks",
+  security: PORTAL,
+  response: ok({ webhookId: { type: "string" }, secret: { type: "string" } }),
+  errors: [403, 404]
+});
+
+route("post", "/portal/webhooks/:webhookId/test", {
+  summary: "Send a webhook.test event to this subscription",
+  tag: "webhooks",
+  security: PORTAL,
+  response: ok({ deliveryId: { type: "string" } }),
+  errors: [403, 404]
+});
+
+route("get", "/portal/webhooks/:webhookId/deliveries", {
+  summary: "Delivery log, newest first",
+  tag: "webhooks",
+  security: PORTAL,
+  query: { limit: LIST_LIMIT(200), before: { type: "string", description: "Cursor: a deliveryId" } },
+  response: obj({ deliveries: arrayOf(ref("WebhookDelivery")), nextCursor: MAYBE_STRING }),
+  errors: [403, 404]
+});
+
+route("post", "/portal/webhooks/:webhookId/deliveries/:deliveryId/redeliver", {
+  summary: "Send a finished delivery again",
+  tag: "webhooks",
+  security: PORTAL,
+  response: ok({ deliveryId: { type: "string" }, status: { type: "string" } }),
+  errors: [403, 404, 409]
+});
+
+// ---------- Portal: audit ----------
+route("get", "/portal/audit", {
+  summary: "Audit log, newest first; `action` may be a prefix ending in \".\"",
+  tag: "audit",
+  security: PORTAL,
+  query: {
+    tenantId: SLUG,
+    agentId: ID,
+    actor: ID,
+    action: text(100),
+    from: TIMESTAMP,
+    to: TIMESTAMP,
+    limit: LIST_LIMIT(500),
+    before: { type: "string", description: "Cursor: an entry id" }
+  },
+  response: obj({ entries: arrayOf(ref("AuditEntry")), nextCursor: MAYBE_STRING }),
+  errors: [403]
+});
+
+// ---------- Document ----------
+export function buildOpenApiDocument({ version = "1.0.0", serverUrl = null } = {}) {
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "ODM demo cloud API",
+      version,
+      description:
+        "Agent API (/agent/*, agent tokens) and portal API (/portal/*, session or API tokens). " +
+        "Errors always look like { ok: false, error: CODE, ... }; invalid requests get 400 VALIDATION_FAILED with `details`."
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    tags: [...new Set(Object.values(paths).flatMap(item => Object.values(item).flatMap(op => op.tags)))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        agentToken: { type: "http", scheme: "bearer", description: "Agent token from /agent/register" },
+        portalToken: { type: "http", scheme: "bearer", description: "Session token from /portal/login or an API token" },
+        portalSession: { type: "apiKey", in: "cookie", name: "portal_session", description: "HttpOnly session cookie set by /portal/login" }
+      },
+      responses: { Error: errorResponse },
+      schemas
+    }
+  };
+}
@@ -0,0 +1,132 @@
+// lib/openapi/validate.js
+
+/*
+ * The JSON Schema subset the OpenAPI document (lib/openapi/spec.js) uses.
+ *
+ * Supported keywords: type (also lists like ["string", "null"]), const, enum,
+ * $ref (#/components/schemas/... only), anyOf, allOf, properties, required,
+ * additionalProperties, maxProperties, items, minItems, maxItems, minLength,
+ * maxLength, pattern, format (date-time, uri), minimum, maximum.
+ * Anything else is ignored, so the document can carry plain annotations.
+ */
+
+const FORMATS = {
+  "date-time": v => !Number.isNaN(Date.parse(v)),
+  uri: v => {
+    try {
+      new URL(v);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function hasType(type, v) {
+  const actual = typeOf(v);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolve(root, $ref) {
+  const name = $ref.startsWith("#/components/schemas/") ? $ref.slice("#/components/schemas/".length) : null;
+  const schema = name && root?.components?.schemas?.[name];
+  if (!schema) throw new Error(`unresolvable schema reference ${$ref}`);
+  return schema;
+}
+
+const join = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function check(schema, value, path, ctx) {
+  if (schema.$ref) return check(resolve(ctx.root, schema.$ref), value, path, ctx);
+  const fail = message => ctx.errors.push({ in: ctx.location, field: path || ctx.location, message });
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(s => {
+      const branch = { ...ctx, errors: [] };
+      check(s, value, path, branch);
+      return branch.errors.length === 0;
+    });
+    if (!matches) return fail("does not match any of the allowed shapes");
+  }
+
+  for (const s of schema.allOf ?? []) check(s, value, path, ctx);
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => hasType(t, value))) return fail(`must be ${types.join(" or ")}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) return fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(", ")}`);
+
+  switch (typeOf(value)) {
+    case "string":
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+      if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a ${schema.format}`);
+      break;
+    case "integer":
+    case "number":
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+      break;
+    case "array":
+      if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+      if (schema.items) value.forEach((item, i) => check(schema.items, item, join(path, i), ctx));
+      break;
+    case "object": {
+      const keys = Object.keys(value);
+      if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+        fail(`must have at most ${schema.maxProperties} entries`);
+      }
+      for (const key of schema.required ?? []) {
+        if (value[key] === undefined) ctx.errors.push({ in: ctx.location, field: join(path, key), message: "is required" });
+      }
+      const properties = schema.properties ?? {};
+      for (const key of keys) {
+        if (value[key] === undefined) continue;
+        if (Object.hasOwn(properties, key)) check(properties[key], value[key], join(path, key), ctx);
+        else if (schema.additionalProperties === false) {
+          ctx.errors.push({ in: ctx.location, field: join(path, key), message: "is not allowed" });
+        } else if (typeof schema.additionalProperties === "object") {
+          check(schema.additionalProperties, value[key], join(path, key), ctx);
+        }
+      }
+      break;
+    }
+  }
+}
+
+// -> [{ in, field, message }] (empty when valid). `root` resolves $refs,
+// `location` ("body", "query", "path", "response") prefixes the report.
+export function validateSchema(schema, value, { root = null, location = "body", path = "" } = {}) {
+  const ctx = { root, location, errors: [] };
+  check(schema, value, path, ctx);
+  return ctx.errors;
+}
+
+// Query strings and path segments are always strings; convert them to the
+// schema's scalar type first. Values that do not convert stay strings and
+// fail validation with a readable message.
+export function coerceParameter(schema, value, root = null) {
+  if (schema?.$ref) return coerceParameter(resolve(root, schema.$ref), value, root);
+  if (typeof value !== "string") return value;
+  const types = [].concat(schema?.type ?? []);
+  if ((types.includes("integer") || types.includes("number")) && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
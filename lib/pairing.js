@@ -0,0 +1,114 @@
+// lib/pairing.js
+import { nanoid } from "nanoid";
+
+/*
+ * Pairing codes
+ *
+ * An agent has at most one active code: issuing a new one revokes the
+ * previous ones. Codes are single use and expire after `ttlMs`; the sweeper
+ * drops finished sessions once they are `retainMs` past their expiry.
+ *
+ * Session: { pairingCode, agentId, createdAt, createdBy, expiresAt (ms),
+ *            usedAt, revokedAt, revokedReason }
+ */
+
+export const PAIRING_DEFAULTS = {
+  ttlMs: 10 * 60_000,
+  retainMs: 60 * 60_000
+};
+
+export function makePairingCode() {
+  const a = nanoid(4).toUpperCase();
+  const b = nanoid(4).toUpperCase();
+  return `${a}-${b}`;
+}
+
+// Pairing codes are claim secrets; the audit log and listings only keep a hint
+export function maskPairingCode(code) {
+  return `${code.slice(0, 4)}-****`;
+}
+
+export function isActive(session, now = Date.now()) {
+  return !session.usedAt && !session.revokedAt && now <= session.expiresAt;
+}
+
+export function createPairingService({ pairingSessions, nowIso, options = {} }) {
+  const opts = { ...PAIRING_DEFAULTS, ...options };
+
+  function activeFor(agentId, now = Date.now()) {
+    for (const s of pairingSessions.values()) {
+      if (s.agentId === agentId && isActive(s, now)) return s;
+    }
+    return null;
+  }
+
+  // -> revoked sessions
+  function revokeForAgent(agentId, reason) {
+    const revoked = [];
+    for (const s of pairingSessions.values()) {
+      if (s.agentId !== agentId || !isActive(s)) continue;
+      s.revokedAt = nowIso();
+      s.revokedReason = reason;
+      pairingSessions.set(s.pairingCode, s);
+      revoked.push(s);
+    }
+    return revoked;
+  }
+
+  // -> { session, superseded }
+  function issue(agentId, { by = null } = {}) {
+    const superseded = revokeForAgent(agentId, "superseded");
+
+    let pairingCode;
+    do pairingCode = makePairingCode();
+    while (pairingSessions.has(pairingCode));
+
+    const session = {
+      pairingCode,
+      agentId,
+      createdAt: nowIso(),
+      createdBy: by,
+      expiresAt: Date.now() + opts.ttlMs,
+      usedAt: null,
+      revokedAt: null,
+      revokedReason: null
+    };
+    pairingSessions.set(pairingCode, session);
+    return { session, superseded };
+  }
+
+  // -> { session } or { status, error }
+  function lookup(pairingCode) {
+    const session = pairingSessions.get(pairingCode);
+    if (!session) return { status: 404, error: "INVALID_CODE" };
+    if (session.usedAt) return { status: 409, error: "CODE_ALREADY_USED" };
+    if (session.revokedAt) return { status: 410, error: "CODE_REVOKED" };
+    if (Date.now() > session.expiresAt) return { status: 410, error: "CODE_EXPIRED" };
+    return { session };
+  }
+
+  function markUsed(session) {
+    session.usedAt = nowIso();
+    pairingSessions.set(session.pairingCode, session);
+  }
+
+  function pending(now = Date.now()) {
+    return [...pairingSessions.values()].filter(s => isActive(s, now));
+  }
+
+  // Drop used / revoked / expired sessions past the retention time
+  function sweep(now = Date.now()) {
+    let removed = 0;
+    for (const s of [...pairingSessions.values()]) {
+      if (isActive(s, now)) continue;
+      const finished = s.usedAt ?? s.revokedAt;
+      const endedAt = finished ? Date.parse(finished) : s.expiresAt;
+      if (now - endedAt <= opts.retainMs) continue;
+      pairingSessions.delete(s.pairingCode);
+      removed++;
+    }
+    return removed;
+  }
+
+  return { options: opts, issue, lookup, markUsed, activeFor, revokeForAgent, pending, sweep };
+}
@@ -0,0 +1,217 @@
+// lib/portalAuth.js
+import crypto from "crypto";
+
+/*
+ * Portal users
+ *
+ * Users belong to one tenant (global admins to none) and have one role.
+ * They authenticate with
+ *   Authorization: Bearer <tokenId>.<secret>
+ * where the token is either a login session (POST /portal/login) or a
+ * long-lived API token. Only a SHA-256 of the secret is stored.
+ *
+ * The browser portal never sees its session token: login also sets it as an
+ * HttpOnly, SameSite=Strict cookie, which requireUser accepts when there is
+ * no Authorization header.
+ */
+
+export const ROLES = ["viewer", "operator", "tenant-admin", "global-admin"];
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const SESSION_COOKIE = "portal_session";
+// lastUsedAt is only rewritten when older than this: polling and SSE
+// reconnects would otherwise save the token table on every request
+const LAST_USED_RESOLUTION_MS = 60_000;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 32).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored ?? "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const actual = crypto.scryptSync(password, salt, 32);
+  return crypto.timingSafeEqual(actual, Buffer.from(hash, "hex"));
+}
+
+export function hasRole(user, role) {
+  return ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+}
+
+export function isGlobalAdmin(user) {
+  return user?.role === "global-admin";
+}
+
+// Global admins see every tenant (and unpaired agents); everyone else only their own
+export function canAccessTenant(user, tenantId) {
+  if (isGlobalAdmin(user)) return true;
+  return !!tenantId && user?.tenantId === tenantId;
+}
+
+export function publicUser(u) {
+  return {
+    userId: u.userId,
+    displayName: u.displayName,
+    tenantId: u.tenantId,
+    role: u.role,
+    createdAt: u.createdAt,
+    createdBy: u.createdBy,
+    disabledAt: u.disabledAt
+  };
+}
+
+// Set-Cookie values for a login session and for logging out
+export function sessionCookie(token, { secure = false } = {}) {
+  const attrs = [`${SESSION_COOKIE}=${token}`, "Path=/portal", "HttpOnly", "SameSite=Strict", `Max-Age=${SESSION_TTL_MS / 1000}`];
+  if (secure) attrs.push("Secure");
+  return attrs.join("; ");
+}
+
+export function clearedSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/portal; HttpOnly; SameSite=Strict; Max-Age=0`;
+}
+
+function cookieToken(cookieHeader) {
+  for (const part of (cookieHeader ?? "").split(";")) {
+    const [name, ...value] = part.trim().split("=");
+    if (name === SESSION_COOKIE) return value.join("=") || null;
+  }
+  return null;
+}
+
+export function createPortalAuth({ users, portalTokens, nowIso }) {
+  function createUser({ userId, password, role, tenantId, displayName }, createdBy = null) {
+    const user = {
+      userId,
+      displayName: displayName ?? userId,
+      tenantId: role === "global-admin" ? null : tenantId,
+      role,
+      passwordHash: hashPassword(password),
+      createdAt: nowIso(),
+      createdBy,
+      disabledAt: null
+    };
+    users.set(userId, user);
+    return user;
+  }
+
+  // First start: make sure somebody can log in
+  function ensureBootstrapAdmin(password) {
+    if (users.size > 0) return null;
+    const generated = !password;
+    const pw = password || crypto.randomBytes(9).toString("base64url");
+    createUser({ userId: "admin", password: pw, role: "global-admin" });
+    return { userId: "admin", password: generated ? pw : null };
+  }
+
+  function issueToken(userId, { kind, name = null, ttlMs = null }) {
+    const tokenId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const record = {
+      tokenId,
+      userId,
+      kind, // "session" | "api"
+      name,
+      secretHash: hashSecret(secret),
+      createdAt: nowIso(),
+      expiresAt: ttlMs ? new Date(Date.now() + ttlMs).toISOString() : null,
+      lastUsedAt: null
+    };
+    portalTokens.set(tokenId, record);
+    return { token: `${tokenId}.${secret}`, record };
+  }
+
+  // -> { token, user } or null
+  function login(userId, password) {
+    const user = users.get(userId);
+    if (!user || user.disabledAt || !verifyPassword(password ?? "", user.passwordHash)) return null;
+    const { token, record } = issueToken(userId, { kind: "session", ttlMs: SESSION_TTL_MS });
+    return { token, expiresAt: record.expiresAt, user };
+  }
+
+  // Bearer header first, else the session cookie -> { user, token } or { status, error }
+  function authenticate(header, cookieHeader) {
+    const m = /^Bearer\s+(.+)$/i.exec(header ?? "");
+    const raw = m ? m[1].trim() : cookieToken(cookieHeader);
+    if (!raw) return { status: 401, error: "UNAUTHENTICATED" };
+
+    const [tokenId, secret] = raw.split(".");
+    const record = tokenId && portalTokens.get(tokenId);
+    if (!record || !secret) return { status: 401, error: "INVALID_TOKEN" };
+
+    const a = Buffer.from(hashSecret(secret), "hex");
+    const b = Buffer.from(record.secretHash, "hex");
+    if (!crypto.timingSafeEqual(a, b)) return { status: 401, error: "INVALID_TOKEN" };
+    if (record.expiresAt && Date.now() > Date.parse(record.expiresAt)) {
+      portalTokens.delete(tokenId);
+      return { status: 401, error: "TOKEN_EXPIRED" };
+    }
+
+    const user = users.get(record.userId);
+    if (!user || user.disabledAt) return { status: 401, error: "USER_DISABLED" };
+
+    const now = nowIso();
+    if (!record.lastUsedAt || Date.parse(now) - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = now;
+      portalTokens.set(tokenId, record);
+    }
+    return { user, token: record };
+  }
+
+  // Expired sessions are otherwise only dropped when presented again
+  function pruneExpired(now = Date.now()) {
+    let dropped = 0;
+    for (const [tokenId, t] of [...portalTokens.entries()]) {
+      if (t.expiresAt && Date.parse(t.expiresAt) < now) {
+        portalTokens.delete(tokenId);
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  function revokeToken(tokenId) {
+    return portalTokens.delete(tokenId);
+  }
+
+  function revokeUserTokens(userId) {
+    for (const [tokenId, t] of portalTokens) {
+      if (t.userId === userId) portalTokens.delete(tokenId);
+    }
+  }
+
+  // Express middleware for /portal/* routes; sets req.user / req.portalToken
+  function requireUser(req, res, next) {
+    const result = authenticate(req.get("authorization"), req.get("cookie"));
+    if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
+    req.user = result.user;
+    req.portalToken = result.token;
+    next();
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!hasRole(req.user, role)) return res.status(403).json({ ok: false, error: "FORBIDDEN" });
+      next();
+    };
+  }
+
+  return {
+    createUser,
+    ensureBootstrapAdmin,
+    issueToken,
+    login,
+    authenticate,
+    revokeToken,
+    revokeUserTokens,
+    pruneExpired,
+    requireUser,
+    requireRole
+  };
+}
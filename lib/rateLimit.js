@@ -0,0 +1,39 @@
+// lib/rateLimit.js
+
+/*
+ * Sliding-window failure counter.
+ *
+ * Callers record failures per key (client address, tenant, ...); once a key
+ * has `max` failures inside `windowMs` it is blocked until the oldest of them
+ * falls out of the window. Kept in memory: a restart clears all counters.
+ */
+
+export function createRateLimiter({ windowMs, max }) {
+  const failures = new Map(); // key -> [timestamps]
+
+  function recent(key, now) {
+    const list = (failures.get(key) ?? []).filter(t => now - t < windowMs);
+    if (list.length) failures.set(key, list);
+    else failures.delete(key);
+    return list;
+  }
+
+  // -> { allowed, retryAfterMs }
+  function check(key, now = Date.now()) {
+    const list = recent(key, now);
+    if (list.length < max) return { allowed: true, retryAfterMs: 0 };
+    return { allowed: false, retryAfterMs: windowMs - (now - list[0]) };
+  }
+
+  function fail(key, now = Date.now()) {
+    const list = recent(key, now);
+    list.push(now);
+    failures.set(key, list);
+  }
+
+  function sweep(now = Date.now()) {
+    for (const key of [...failures.keys()]) recent(key, now);
+  }
+
+  return { check, fail, sweep };
+}
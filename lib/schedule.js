@@ -0,0 +1,154 @@
+// lib/schedule.js
+
+/*
+ * Job scheduling: notBefore/notAfter and per-site maintenance windows
+ *
+ * A site has an IANA timezone and weekly windows
+ *   { days: ["mon", ...], start: "HH:MM", end: "HH:MM" }
+ * in site-local time. end <= start means the window runs past midnight
+ * (e.g. fri 22:00-04:00 ends saturday morning). A site without windows is
+ * always open. Job types marked `maintenanceWindow` only dispatch while their
+ * agent's site is open.
+ */
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const DAY_MS = 24 * 60 * 60_000;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export function siteKey(tenantId, siteId) {
+  return `${tenantId}:${siteId}`;
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toMinutes(hhmm) {
+  const m = TIME_RE.exec(hhmm);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// -> { windows } or { errors: [{ field, message }] }
+export function normalizeWindows(input) {
+  if (!Array.isArray(input)) return { errors: [{ field: "windows", message: "must be an array" }] };
+
+  const errors = [];
+  const windows = [];
+  input.forEach((w, i) => {
+    const field = `windows[${i}]`;
+    const days = Array.isArray(w?.days) ? w.days.map(d => String(d).toLowerCase().slice(0, 3)) : null;
+    if (!days?.length || days.some(d => !WEEKDAYS.includes(d))) {
+      errors.push({ field: `${field}.days`, message: `must be a non-empty list of ${WEEKDAYS.join(", ")}` });
+    }
+    const start = toMinutes(w?.start);
+    const end = toMinutes(w?.end);
+    if (start === null) errors.push({ field: `${field}.start`, message: "must be HH:MM" });
+    if (end === null) errors.push({ field: `${field}.end`, message: "must be HH:MM" });
+    if (start !== null && start === end) errors.push({ field, message: "start and end must differ" });
+    if (errors.length === 0) windows.push({ days: [...new Set(days)], start: w.start, end: w.end });
+  });
+
+  return errors.length ? { errors } : { windows };
+}
+
+// ---------- Timezone math ----------
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let f = formatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit"
+    });
+    formatters.set(timeZone, f);
+  }
+  return f;
+}
+
+// Wall-clock fields at `ms` in `timeZone`
+function zonedParts(ms, timeZone) {
+  const p = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(ms))) p[type] = Number(value);
+  const weekday = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+  return { year: p.year, month: p.month, day: p.day, minutes: p.hour * 60 + p.minute, weekday };
+}
+
+function offsetAt(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day) + p.minutes * 60_000;
+  return asUtc - Math.floor(ms / 60_000) * 60_000;
+}
+
+// Site-local date + minutes -> epoch ms (times skipped by a DST jump land after it)
+function zonedToEpoch(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day) + minutes * 60_000;
+  const first = guess - offsetAt(guess, timeZone);
+  const second = guess - offsetAt(first, timeZone);
+  return Math.max(first, second);
+}
+
+// ---------- Windows ----------
+export function isWindowOpen(site, ms) {
+  if (!site?.windows?.length) return true;
+
+  const p = zonedParts(ms, site.timezone);
+  const yesterday = WEEKDAYS[(p.weekday + 6) % 7];
+  const today = WEEKDAYS[p.weekday];
+
+  return site.windows.some(w => {
+    const start = toMinutes(w.start);
+    const end = toMinutes(w.end);
+    if (start < end) return w.days.includes(today) && p.minutes >= start && p.minutes < end;
+    return (w.days.includes(today) && p.minutes >= start) || (w.days.includes(yesterday) && p.minutes < end);
+  });
+}
+
+// Earliest time >= ms at which the site is open (ms itself when open now)
+export function nextWindowOpen(site, ms) {
+  if (isWindowOpen(site, ms)) return ms;
+
+  const p = zonedParts(ms, site.timezone);
+  let best = null;
+  for (let k = 0; k <= 7; k++) {
+    const date = new Date(Date.UTC(p.year, p.month - 1, p.day) + k * DAY_MS);
+    const weekday = WEEKDAYS[(p.weekday + k) % 7];
+    for (const w of site.windows) {
+      if (!w.days.includes(weekday)) continue;
+      const at = zonedToEpoch(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), toMinutes(w.start), site.timezone);
+      if (at > ms && (best === null || at < best)) best = at;
+    }
+    if (best !== null) break;
+  }
+  return best;
+}
+
+/*
+ * When a queued job may be handed out: epoch ms (<= now means now), or null
+ * if it can no longer run before its notAfter / expiresAt. `site` is the
+ * maintenance window config of the job's agent, if any.
+ */
+export function jobEligibleAt(job, site, now = Date.now()) {
+  let at = now;
+  if (job.notBefore) at = Math.max(at, Date.parse(job.notBefore));
+  if (job.retryAt) at = Math.max(at, Date.parse(job.retryAt));
+  if (job.maintenanceWindow && site) {
+    at = nextWindowOpen(site, at);
+    if (at === null) return null;
+  }
+  if (job.notAfter && at >= Date.parse(job.notAfter)) return null;
+  if (job.expiresAt && at >= Date.parse(job.expiresAt)) return null;
+  return at;
+}
@@ -0,0 +1,126 @@
+// lib/store/file.js
+import fs from "fs";
+import path from "path";
+import { Table } from "./table.js";
+import { migrate } from "./migrations.js";
+
+const SAVE_DELAY_MS = 200;
+const BULK_SAVE_DELAY_MS = 5_000;
+
+// High-volume tables kept out of the main snapshot (see below)
+export const BULK_TABLES = ["telemetry", "auditLog", "deviceHistory", "inventorySnapshots"];
+
+/**
+ * Durable store: the whole dataset lives in memory and is written to a single
+ * JSON file shortly after each change (write to temp file, then rename, so a
+ * crash never leaves a half-written snapshot behind).
+ *
+ * The bulk tables each get their own <name>.json next to it, written
+ * asynchronously and less often, and only when that table changed: a job
+ * update does not re-serialize the telemetry, and a telemetry sample does not
+ * rewrite the core snapshot. Older snapshots that still carry them inline are
+ * split up on the next save.
+ */
+export function createFileStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, "store.json");
+  const bulkFile = name => path.join(dir, `${name}.json`);
+
+  let db = { schemaVersion: 0, tables: {} };
+  if (fs.existsSync(file)) {
+    db = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  for (const name of BULK_TABLES) {
+    if (fs.existsSync(bulkFile(name))) db.tables[name] = JSON.parse(fs.readFileSync(bulkFile(name), "utf8"));
+  }
+
+  const applied = migrate(db);
+
+  let saveTimer = null;
+  let bulkTimer = null;
+  const dirtyBulk = new Set();
+  const writingBulk = new Set(); // tables with an async write in flight
+  const tables = {};
+
+  function writeSync(target, json) {
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, json);
+    fs.renameSync(tmp, target);
+  }
+
+  function flushCore() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    const core = Object.fromEntries(Object.entries(tables).filter(([name]) => !BULK_TABLES.includes(name)));
+    writeSync(file, JSON.stringify({ schemaVersion: db.schemaVersion, savedAt: new Date().toISOString(), tables: core }));
+  }
+
+  async function writeBulk(name) {
+    writingBulk.add(name);
+    const target = bulkFile(name);
+    const tmp = `${target}.async.tmp`;
+    try {
+      await fs.promises.writeFile(tmp, JSON.stringify(tables[name]));
+      await fs.promises.rename(tmp, target);
+    } catch (err) {
+      console.error(`saving ${name} failed:`, err);
+      dirtyBulk.add(name);
+    } finally {
+      writingBulk.delete(name);
+    }
+  }
+
+  function flushBulkAsync() {
+    bulkTimer = null;
+    for (const name of dirtyBulk) {
+      // one write per table at a time; changes meanwhile go out with the next round
+      if (writingBulk.has(name)) continue;
+      dirtyBulk.delete(name);
+      writeBulk(name);
+    }
+    if (dirtyBulk.size > 0) bulkTimer = setTimeout(flushBulkAsync, BULK_SAVE_DELAY_MS);
+  }
+
+  // Synchronous: on shutdown and after migrations
+  function flush() {
+    flushCore();
+    if (bulkTimer) {
+      clearTimeout(bulkTimer);
+      bulkTimer = null;
+    }
+    for (const name of new Set([...dirtyBulk, ...writingBulk])) writeSync(bulkFile(name), JSON.stringify(tables[name]));
+    dirtyBulk.clear();
+  }
+
+  function scheduleSave(name) {
+    if (BULK_TABLES.includes(name)) {
+      dirtyBulk.add(name);
+      if (!bulkTimer) bulkTimer = setTimeout(flushBulkAsync, BULK_SAVE_DELAY_MS);
+      return;
+    }
+    if (saveTimer) return;
+    saveTimer = setTimeout(flushCore, SAVE_DELAY_MS);
+  }
+
+  for (const [name, rows] of Object.entries(db.tables)) {
+    tables[name] = new Table(name, rows, scheduleSave);
+  }
+
+  // persist migrated schema right away; an inline snapshot gets split up too
+  if (applied.length > 0 || BULK_TABLES.some(name => !fs.existsSync(bulkFile(name)))) {
+    for (const name of BULK_TABLES) if (tables[name]) dirtyBulk.add(name);
+    flush();
+  }
+
+  return {
+    driver: "file",
+    file,
+    schemaVersion: db.schemaVersion,
+    migrationsApplied: applied,
+    tables,
+    flush,
+    close: flush
+  };
+}
@@ -0,0 +1,16 @@
+// lib/store/index.js
+import { createMemoryStore } from "./memory.js";
+import { createFileStore } from "./file.js";
+
+/**
+ * Open the configured storage backend.
+ *   STORE_DRIVER=file   (default) JSON snapshot in DATA_DIR, survives restarts
+ *   STORE_DRIVER=memory           plain Maps, wiped on restart
+ */
+export function openStore({ driver = "file", dir = "./data" } = {}) {
+  switch (driver) {
+    case "memory": return createMemoryStore();
+    case "file": return createFileStore({ dir });
+    default: throw new Error(`unknown STORE_DRIVER "${driver}"`);
+  }
+}
@@ -0,0 +1,22 @@
+// lib/store/memory.js
+import { Table } from "./table.js";
+import { migrate } from "./migrations.js";
+
+// Volatile store: same tables as the file store, lost on restart.
+export function createMemoryStore() {
+  const db = { schemaVersion: 0, tables: {} };
+  migrate(db);
+
+  const tables = {};
+  for (const [name, rows] of Object.entries(db.tables)) {
+    tables[name] = new Table(name, rows);
+  }
+
+  return {
+    driver: "memory",
+    schemaVersion: db.schemaVersion,
+    tables,
+    flush() {},
+    close() {}
+  };
+}
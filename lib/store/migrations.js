@@ -0,0 +1,272 @@
+// lib/store/migrations.js
+
+/**
+ * Schema migrations, applied in order to the raw snapshot
+ * `{ schemaVersion, tables: { <name>: { <key>: row } } }` when a store is opened.
+ * Append new entries; never edit one that has shipped.
+ */
+export const migrations = [
+  {
+    version: 1,
+    description: "initial tables",
+    up(db) {
+      for (const name of ["agents", "pairingSessions", "agentDevices", "jobs", "agentJobQueue"]) {
+        db.tables[name] ??= {};
+      }
+    }
+  },
+  {
+    version: 2,
+    description: "per-agent credentials",
+    up(db) {
+      db.tables.agentCredentials ??= {};
+    }
+  },
+  {
+    version: 3,
+    description: "portal users, login sessions / API tokens, job tenant ownership",
+    up(db) {
+      db.tables.users ??= {};
+      db.tables.portalTokens ??= {};
+      // jobs now carry the tenant they were created in
+      for (const job of Object.values(db.tables.jobs)) {
+        job.tenantId ??= db.tables.agents[job.agentId]?.tenantId ?? null;
+        job.createdBy ??= null;
+      }
+    }
+  },
+  {
+    version: 4,
+    description: "firmware artifacts",
+    up(db) {
+      db.tables.artifacts ??= {};
+    }
+  },
+  {
+    version: 5,
+    description: "job leases and retry counters",
+    up(db) {
+      const queued = new Set(Object.values(db.tables.agentJobQueue).flat());
+      for (const job of Object.values(db.tables.jobs)) {
+        job.attempts ??= 0;
+        job.maxAttempts ??= 3;
+        job.lease ??= null;
+        job.retryAt ??= null;
+        // pulled before leases existed and never reported back: let the lease sweeper retry it
+        if (job.status === "queued" && !queued.has(job.jobId)) {
+          job.status = "dispatched";
+          job.attempts = 1;
+          job.lease = { leasedAt: job.updatedAt, expiresAt: job.updatedAt };
+        }
+      }
+    }
+  },
+  {
+    version: 6,
+    description: "enforced job lifecycle",
+    up(db) {
+      const known = ["queued", "dispatched", "running", "succeeded", "failed", "cancelled", "timed-out"];
+      for (const job of Object.values(db.tables.jobs)) {
+        job.cancelRequestedAt ??= null;
+        job.cancelRequestedBy ??= null;
+        // agents could report any string before; park those jobs as failed
+        if (!known.includes(job.status)) {
+          job.message = `unknown status "${job.status}" reported before lifecycle enforcement`;
+          job.status = "failed";
+          job.finishedAt ??= job.updatedAt;
+        }
+      }
+    }
+  },
+  {
+    version: 7,
+    description: "firmware rollout campaigns",
+    up(db) {
+      db.tables.campaigns ??= {};
+      for (const job of Object.values(db.tables.jobs)) job.campaignId ??= null;
+    }
+  },
+  {
+    version: 8,
+    description: "device inventory history",
+    up(db) {
+      db.tables.inventorySnapshots ??= {};
+      db.tables.deviceHistory ??= {};
+      // seed timelines with what is known today so later reports diff against it
+      for (const [agentId, devices] of Object.entries(db.tables.agentDevices)) {
+        for (const d of devices) {
+          d.firstSeenAt ??= d.reportedAt;
+          db.tables.deviceHistory[`${agentId}/${d.deviceId}`] ??= [{ at: d.reportedAt, event: "added", device: d }];
+        }
+      }
+    }
+  },
+  {
+    version: 9,
+    description: "audit log",
+    up(db) {
+      db.tables.auditLog ??= {};
+    }
+  },
+  {
+    version: 10,
+    description: "job schedules and site maintenance windows",
+    up(db) {
+      db.tables.sites ??= {};
+      // existing jobs keep dispatching as before
+      for (const job of Object.values(db.tables.jobs)) {
+        job.notBefore ??= null;
+        job.notAfter ??= null;
+        job.maintenanceWindow ??= false;
+      }
+    }
+  },
+  {
+    version: 11,
+    description: "offline job queueing with TTL",
+    up(db) {
+      for (const job of Object.values(db.tables.jobs)) job.expiresAt ??= null;
+    }
+  },
+  {
+    version: 12,
+    description: "agent and device telemetry",
+    up(db) {
+      db.tables.telemetry ??= {};
+    }
+  },
+  {
+    version: 13,
+    description: "webhooks and persisted agent presence",
+    up(db) {
+      db.tables.webhooks ??= {};
+      db.tables.webhookDeliveries ??= {};
+      // unknown until the presence sweeper first looks at the agent
+      for (const agent of Object.values(db.tables.agents)) agent.presence ??= null;
+    }
+  },
+  {
+    version: 14,
+    description: "one active pairing code per agent",
+    up(db) {
+      const newest = new Map(); // agentId -> active session with the latest expiry
+      const now = Date.now();
+      for (const s of Object.values(db.tables.pairingSessions)) {
+        s.createdAt ??= null;
+        s.createdBy ??= null;
+        s.revokedAt ??= null;
+        s.revokedReason ??= null;
+        if (s.usedAt || s.expiresAt < now) continue;
+        const keep = newest.get(s.agentId);
+        if (!keep || s.expiresAt > keep.expiresAt) newest.set(s.agentId, s);
+      }
+      for (const [code, s] of Object.entries(db.tables.pairingSessions)) {
+        s.pairingCode ??= code;
+        if (s.usedAt || s.expiresAt < now || newest.get(s.agentId) === s) continue;
+        s.revokedAt = new Date(now).toISOString();
+        s.revokedReason = "superseded";
+      }
+    }
+  },
+  {
+    version: 15,
+    description: "tenants and sites as entities",
+    up(db) {
+      db.tables.tenants ??= {};
+      const now = new Date().toISOString();
+      // every tenant id already in use becomes a tenant, named after its id
+      for (const table of ["agents", "users", "artifacts", "campaigns", "webhooks", "sites"]) {
+        for (const row of Object.values(db.tables[table] ?? {})) {
+          if (!row.tenantId || db.tables.tenants[row.tenantId]) continue;
+          db.tables.tenants[row.tenantId] = {
+            tenantId: row.tenantId,
+            name: row.tenantId,
+            createdAt: now,
+            createdBy: null,
+            updatedAt: now
+          };
+        }
+      }
+      for (const site of Object.values(db.tables.sites)) {
+        site.name ??= site.siteId;
+        site.createdAt ??= site.updatedAt ?? now;
+        site.createdBy ??= null;
+      }
+      // sites so far only existed as agent.siteId strings
+      for (const agent of Object.values(db.tables.agents)) {
+        if (!agent.tenantId || !agent.siteId) continue;
+        db.tables.sites[`${agent.tenantId}:${agent.siteId}`] ??= {
+          tenantId: agent.tenantId,
+          siteId: agent.siteId,
+          name: agent.siteId,
+          timezone: null,
+          windows: [],
+          createdAt: now,
+          createdBy: null,
+          updatedAt: now,
+          updatedBy: null
+        };
+      }
+    }
+  },
+  {
+    version: 16,
+    description: "agent version policy per tenant, artifact kinds",
+    up(db) {
+      for (const t of Object.values(db.tables.tenants)) t.agentVersionPolicy ??= { minimum: null, recommended: null };
+      // everything uploaded so far was firmware
+      for (const a of Object.values(db.tables.artifacts ?? {})) a.kind ??= "firmware";
+    }
+  },
+  {
+    version: 17,
+    description: "device twins (desired state) and reported device config",
+    up(db) {
+      db.tables.deviceTwins ??= {};
+      for (const list of Object.values(db.tables.agentDevices ?? {})) {
+        for (const d of list) d.config ??= null;
+      }
+    }
+  },
+  {
+    version: 18,
+    description: "diagnostic bundles uploaded by agents",
+    up(db) {
+      db.tables.diagnosticBundles ??= {};
+    }
+  },
+  {
+    version: 19,
+    description: "staged agent secrets kept as hashes only",
+    up(db) {
+      for (const cred of Object.values(db.tables.agentCredentials ?? {})) {
+        if (!cred.pending) continue;
+        // a token already handed out stays valid; its plaintext is dropped
+        cred.pending = {
+          requestedAt: cred.pending.issuedAt ?? null,
+          secretHashes: cred.pending.secretHash ? [cred.pending.secretHash] : []
+        };
+      }
+    }
+  }
+];
+
+export const LATEST_VERSION = migrations.at(-1).version;
+
+export function migrate(db) {
+  db.schemaVersion ??= 0;
+  db.tables ??= {};
+
+  if (db.schemaVersion > LATEST_VERSION) {
+    throw new Error(`store schema v${db.schemaVersion} is newer than this server (v${LATEST_VERSION})`);
+  }
+
+  const applied = [];
+  for (const m of migrations) {
+    if (m.version <= db.schemaVersion) continue;
+    m.up(db);
+    db.schemaVersion = m.version;
+    applied.push(m.version);
+  }
+  return applied;
+}
@@ -0,0 +1,44 @@
+// lib/store/table.js
+
+/**
+ * Map-like collection used by all stores. Routes read and write through
+ * get/set/delete exactly like they did with the old in-memory Maps; every
+ * mutation calls `onChange` so a durable store can persist it.
+ */
+export class Table {
+  constructor(name, rows = {}, onChange = () => {}) {
+    this.name = name;
+    this.rows = new Map(Object.entries(rows));
+    this.onChange = onChange;
+  }
+
+  get size() { return this.rows.size; }
+
+  has(key) { return this.rows.has(key); }
+
+  get(key) { return this.rows.get(key); }
+
+  set(key, value) {
+    this.rows.set(key, value);
+    this.onChange(this.name);
+    return this;
+  }
+
+  delete(key) {
+    const existed = this.rows.delete(key);
+    if (existed) this.onChange(this.name);
+    return existed;
+  }
+
+  clear() {
+    this.rows.clear();
+    this.onChange(this.name);
+  }
+
+  keys() { return this.rows.keys(); }
+  values() { return this.rows.values(); }
+  entries() { return this.rows.entries(); }
+  [Symbol.iterator]() { return this.rows.entries(); }
+
+  toJSON() { return Object.fromEntries(this.rows); }
+}
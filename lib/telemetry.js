@@ -0,0 +1,174 @@
+// lib/telemetry.js
+
+/*
+ * Agent and device telemetry
+ *
+ * One series per (agent, device or "-" for the agent itself, metric), kept at
+ * three resolutions that are filled on ingest:
+ *   raw  [t, value]                 retention rawRetentionMs
+ *   1m   [t, min, max, sum, count]  retention minuteRetentionMs
+ *   1h   [t, min, max, sum, count]  retention hourRetentionMs
+ * Queries pick the finest resolution that still covers the requested range.
+ */
+
+export const TELEMETRY_DEFAULTS = {
+  rawRetentionMs: 60 * 60_000,
+  minuteRetentionMs: 48 * 60 * 60_000,
+  hourRetentionMs: 30 * 24 * 60 * 60_000,
+  maxMetricsPerSample: 50,
+  maxDevicesPerSample: 200
+};
+
+export const RESOLUTIONS = { raw: 0, "1m": 60_000, "1h": 60 * 60_000 };
+
+const METRIC_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+const AGENT_SERIES = "-";
+
+export function seriesKey(agentId, deviceId, metric) {
+  return `${agentId}/${deviceId ?? AGENT_SERIES}/${metric}`;
+}
+
+/*
+ * Normalize one sample { at?, metrics: { name: number }, devices: { id: { name: number } } }
+ * -> { at, values: [{ deviceId, metric, value }], rejected: [{ deviceId?, metric?, reason }] }
+ */
+export function parseSample(sample, { now = Date.now(), opts = TELEMETRY_DEFAULTS } = {}) {
+  const values = [];
+  const rejected = [];
+
+  let at = now;
+  if (sample?.at !== undefined) {
+    const t = Date.parse(sample.at);
+    // clocks drift; reject the future and anything older than the minute buckets keep
+    if (Number.isNaN(t) || t > now + 60_000 || t < now - opts.minuteRetentionMs) {
+      rejected.push({ reason: "INVALID_TIMESTAMP" });
+      return { at, values, rejected };
+    }
+    at = t;
+  }
+
+  function addMetrics(deviceId, metrics) {
+    const entries = Object.entries(metrics ?? {});
+    if (entries.length > opts.maxMetricsPerSample) {
+      rejected.push({ deviceId, reason: "TOO_MANY_METRICS" });
+      return;
+    }
+    for (const [metric, value] of entries) {
+      if (!METRIC_RE.test(metric)) rejected.push({ deviceId, metric, reason: "INVALID_METRIC_NAME" });
+      else if (typeof value !== "number" || !Number.isFinite(value)) rejected.push({ deviceId, metric, reason: "NOT_A_NUMBER" });
+      else values.push({ deviceId, metric, value });
+    }
+  }
+
+  addMetrics(null, sample?.metrics);
+  const devices = Object.entries(sample?.devices ?? {});
+  if (devices.length > opts.maxDevicesPerSample) rejected.push({ reason: "TOO_MANY_DEVICES" });
+  else for (const [deviceId, metrics] of devices) addMetrics(deviceId, metrics);
+
+  return { at, values, rejected };
+}
+
+// index after the last point with time <= t (points are ordered by time)
+function slotFor(points, t) {
+  let i = points.length;
+  while (i > 0 && points[i - 1][0] > t) i--;
+  return i;
+}
+
+function addToBucket(buckets, t, value) {
+  const i = slotFor(buckets, t);
+  const b = buckets[i - 1];
+  if (b && b[0] === t) {
+    b[1] = Math.min(b[1], value);
+    b[2] = Math.max(b[2], value);
+    b[3] += value;
+    b[4] += 1;
+  } else {
+    buckets.splice(i, 0, [t, value, value, value, 1]);
+  }
+}
+
+function dropBefore(points, cutoff) {
+  let n = 0;
+  while (n < points.length && points[n][0] < cutoff) n++;
+  if (n) points.splice(0, n);
+  return n;
+}
+
+export function createTelemetryStore({ telemetry, options = {} }) {
+  const opts = { ...TELEMETRY_DEFAULTS, ...options };
+
+  // -> number of points dropped
+  function pruneSeries(s, now) {
+    return (
+      dropBefore(s.raw, now - opts.rawRetentionMs) +
+      dropBefore(s.minute, now - opts.minuteRetentionMs) +
+      dropBefore(s.hour, now - opts.hourRetentionMs)
+    );
+  }
+
+  // -> { accepted, rejected }
+  function ingest(agentId, tenantId, sample, now = Date.now()) {
+    const { at, values, rejected } = parseSample(sample, { now, opts });
+
+    for (const { deviceId, metric, value } of values) {
+      const key = seriesKey(agentId, deviceId, metric);
+      const s = telemetry.get(key) ?? { agentId, tenantId, deviceId, metric, raw: [], minute: [], hour: [] };
+      s.tenantId = tenantId;
+
+      s.raw.splice(slotFor(s.raw, at), 0, [at, value]);
+      addToBucket(s.minute, at - (at % RESOLUTIONS["1m"]), value);
+      addToBucket(s.hour, at - (at % RESOLUTIONS["1h"]), value);
+      if (!s.last || Date.parse(s.last.at) <= at) s.last = { at: new Date(at).toISOString(), value };
+
+      pruneSeries(s, now);
+      telemetry.set(key, s);
+    }
+    return { accepted: values.length, rejected };
+  }
+
+  // Drop points past retention and series that went quiet entirely
+  function prune(now = Date.now()) {
+    for (const [key, s] of telemetry.entries()) {
+      if (pruneSeries(s, now) === 0) continue;
+      if (!s.raw.length && !s.minute.length && !s.hour.length) telemetry.delete(key);
+      else telemetry.set(key, s);
+    }
+  }
+
+  function listSeries(agentId) {
+    const out = [];
+    for (const s of telemetry.values()) {
+      if (s.agentId === agentId) out.push({ deviceId: s.deviceId, metric: s.metric, last: s.last });
+    }
+    return out.sort((a, b) => (a.deviceId ?? "").localeCompare(b.deviceId ?? "") || a.metric.localeCompare(b.metric));
+  }
+
+  function pickResolution(from, now) {
+    const age = now - from;
+    if (age <= opts.rawRetentionMs) return "raw";
+    if (age <= opts.minuteRetentionMs) return "1m";
+    return "1h";
+  }
+
+  // -> { resolution, points: [{ t, value }] (raw) | [{ t, min, max, avg, count }] } or null
+  function query({ agentId, deviceId = null, metric, from, to, resolution = "auto" }, now = Date.now()) {
+    const s = telemetry.get(seriesKey(agentId, deviceId, metric));
+    if (!s) return null;
+
+    const res = resolution === "auto" ? pickResolution(from, now) : resolution;
+    const inRange = p => p[0] >= from && p[0] <= to;
+    const points = res === "raw"
+      ? s.raw.filter(inRange).map(([t, value]) => ({ t: new Date(t).toISOString(), value }))
+      : (res === "1m" ? s.minute : s.hour).filter(inRange).map(([t, min, max, sum, count]) => ({
+          t: new Date(t).toISOString(),
+          min,
+          max,
+          avg: sum / count,
+          count
+        }));
+    return { resolution: res, points };
+  }
+
+  return { options: opts, ingest, prune, listSeries, query };
+}
@@ -0,0 +1,342 @@
+// lib/webhooks.js
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { isTerminal } from "./jobStates.js";
+
+/*
+ * Outbound webhooks
+ *
+ * Tenants subscribe a URL to event names (exact, "prefix.*" or "*"). Every
+ * matching event becomes a delivery row that is POSTed as JSON, signed with
+ * the subscription's secret:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+ *
+ * Non-2xx answers and network errors are retried with exponential backoff
+ * until `maxAttempts`; the delivery log keeps the newest `keepPerWebhook`
+ * finished deliveries per subscription.
+ *
+ * Targets in loopback, link-local (cloud metadata), private and other
+ * non-public ranges are refused unless `allowPrivateTargets` is set: IP
+ * literals and localhost names when the subscription is saved, and every
+ * address a hostname resolves to when a delivery connects (so a DNS answer
+ * that changes after the check cannot point a delivery inside the network).
+ */
+
+export const WEBHOOK_EVENTS = [
+  "agent.online",
+  "agent.offline",
+  "agent.paired",
+  "agent.unpaired",
+  "agent.moved",
+  "agent.updated",
+  "device.added",
+  "device.removed",
+  "device.changed",
+  "job.succeeded",
+  "job.failed",
+  "job.cancelled",
+  "job.timed-out",
+  "job.expired",
+  "webhook.test"
+];
+
+export const WEBHOOK_DEFAULTS = {
+  maxAttempts: 6,
+  backoffMs: 10_000,
+  maxBackoffMs: 60 * 60_000,
+  timeoutMs: 10_000,
+  keepPerWebhook: 200,
+  allowPrivateTargets: false
+};
+
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) BLOCKED_RANGES.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) BLOCKED_RANGES.addSubnet(address, prefix, "ipv6");
+
+export function isValidEventFilter(filter) {
+  if (filter === "*") return true;
+  if (filter.endsWith(".*")) return WEBHOOK_EVENTS.some(e => e.startsWith(filter.slice(0, -1)));
+  return WEBHOOK_EVENTS.includes(filter);
+}
+
+export function matchesEvent(filters, event) {
+  return filters.some(f => f === "*" || f === event || (f.endsWith(".*") && event.startsWith(f.slice(0, -1))));
+}
+
+export function isValidWebhookUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Loopback, link-local, private, CGNAT, multicast or reserved
+// (IPv4-mapped IPv6 addresses count as their IPv4 address)
+export function isBlockedAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 0) return false;
+  return BLOCKED_RANGES.check(ip, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Host of a valid webhook URL is a localhost name or a blocked IP literal
+export function targetsPrivateNetwork(url) {
+  const host = new URL(url).hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+  return host === "localhost" || host.endsWith(".localhost") || isBlockedAddress(host);
+}
+
+class BlockedTargetError extends Error {
+  constructor(host, address) {
+    super(host === address ? `blocked address ${address}` : `${host} resolves to blocked address ${address}`);
+    this.code = "BLOCKED_TARGET";
+  }
+}
+
+// dns.lookup that refuses blocked addresses; used as the socket's lookup
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) return callback(new BlockedTargetError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST without following redirects -> response status code
+function post(url, headers, body, { timeoutMs, allowPrivateTargets }) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const host = u.hostname.replace(/^\[(.*)\]$/, "$1");
+    // IP literals never go through the lookup
+    if (!allowPrivateTargets && isBlockedAddress(host)) return reject(new BlockedTargetError(host, host));
+
+    const req = (u.protocol === "https:" ? https : http).request(
+      u,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: allowPrivateTargets ? dns.lookup : publicLookup
+      },
+      res => {
+        clearTimeout(timer);
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    const timer = setTimeout(
+      () => req.destroy(Object.assign(new Error(`timeout after ${timeoutMs}ms`), { code: "TIMEOUT" })),
+      timeoutMs
+    );
+    req.on("error", err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+export function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+export function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Internal bus event -> webhook events [{ event, data }]
+export function toWebhookEvents(busEvent) {
+  const { type, data } = busEvent;
+  switch (type) {
+    case "agent.online":
+    case "agent.offline":
+    case "agent.paired":
+    case "agent.unpaired":
+    case "agent.moved":
+    case "agent.updated":
+      return [{ event: type, data: { agent: data } }];
+    case "devices.reported": {
+      const { agentId, diff } = data;
+      return [
+        ...diff.added.map(device => ({ event: "device.added", data: { agentId, device } })),
+        ...diff.removed.map(device => ({ event: "device.removed", data: { agentId, device } })),
+        ...diff.changed.map(c => ({ event: "device.changed", data: { agentId, deviceId: c.deviceId, changes: c.changes } }))
+      ];
+    }
+    case "job.updated":
+      return isTerminal(data.status) ? [{ event: `job.${data.status}`, data: { job: data } }] : [];
+    default:
+      return [];
+  }
+}
+
+export function createWebhookDispatcher({ webhooks, webhookDeliveries, nowIso, options = {} }) {
+  const opts = { ...WEBHOOK_DEFAULTS, ...options };
+  const inFlight = new Set(); // deliveryIds being sent right now
+
+  function backoffFor(attempt) {
+    return Math.min(opts.maxBackoffMs, opts.backoffMs * 2 ** Math.max(0, attempt - 1));
+  }
+
+  // One delivery per active subscription of the tenant that wants `event`
+  function enqueue(tenantId, event, data, { onlyWebhookId = null } = {}) {
+    const created = [];
+    if (!tenantId) return created;
+    const eventId = crypto.randomUUID();
+    const occurredAt = nowIso();
+
+    for (const w of webhooks.values()) {
+      if (w.tenantId !== tenantId) continue;
+      if (onlyWebhookId ? w.webhookId !== onlyWebhookId : !w.active || !matchesEvent(w.events, event)) continue;
+
+      const d = {
+        deliveryId: crypto.randomUUID(),
+        webhookId: w.webhookId,
+        tenantId,
+        eventId,
+        event,
+        payload: { id: eventId, event, occurredAt, tenantId, data },
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: occurredAt,
+        responseStatus: null,
+        lastError: null,
+        createdAt: occurredAt,
+        updatedAt: occurredAt
+      };
+      webhookDeliveries.set(d.deliveryId, d);
+      created.push(d);
+    }
+    if (created.length) processDue();
+    return created;
+  }
+
+  async function send(d) {
+    const w = webhooks.get(d.webhookId);
+    if (!w) {
+      webhookDeliveries.delete(d.deliveryId);
+      return;
+    }
+
+    const body = JSON.stringify(d.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    d.attempts += 1;
+
+    let error = null;
+    try {
+      const status = await post(
+        w.url,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": "odm-cloud-webhooks/1",
+          "X-Webhook-Event": d.event,
+          "X-Webhook-Delivery": d.deliveryId,
+          "X-Webhook-Signature": `t=${timestamp},v1=${sign(w.secret, timestamp, body)}`
+        },
+        body,
+        opts
+      );
+      d.responseStatus = status;
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (e) {
+      d.responseStatus = null;
+      error = e.code === "TIMEOUT" || e.code === "BLOCKED_TARGET" ? e.message : e.code ?? e.message;
+    }
+
+    d.durationMs = Date.now() - started;
+    d.lastError = error;
+    d.updatedAt = nowIso();
+    if (!error) {
+      d.status = "succeeded";
+      d.nextAttemptAt = null;
+    } else if (d.attempts < opts.maxAttempts) {
+      d.nextAttemptAt = new Date(Date.now() + backoffFor(d.attempts)).toISOString();
+    } else {
+      d.status = "failed";
+      d.nextAttemptAt = null;
+    }
+    webhookDeliveries.set(d.deliveryId, d);
+  }
+
+  // Send every pending delivery whose time has come; resolves when they are done
+  function processDue() {
+    const now = Date.now();
+    const sends = [];
+    for (const d of webhookDeliveries.values()) {
+      if (d.status !== "pending" || inFlight.has(d.deliveryId)) continue;
+      if (Date.parse(d.nextAttemptAt) > now) continue;
+      inFlight.add(d.deliveryId);
+      sends.push(
+        send(d)
+          .catch(e => console.error(`webhook delivery ${d.deliveryId} crashed:`, e))
+          .finally(() => inFlight.delete(d.deliveryId))
+      );
+    }
+    return Promise.all(sends);
+  }
+
+  function redeliver(d) {
+    d.status = "pending";
+    d.attempts = 0;
+    d.nextAttemptAt = nowIso();
+    d.updatedAt = nowIso();
+    webhookDeliveries.set(d.deliveryId, d);
+    processDue();
+    return d;
+  }
+
+  // Newest first; `before` = deliveryId cursor
+  function deliveriesFor(webhookId, { before, limit = 50 } = {}) {
+    const list = [...webhookDeliveries.values()]
+      .filter(d => d.webhookId === webhookId)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : a.deliveryId < b.deliveryId ? 1 : -1));
+    const start = before ? list.findIndex(d => d.deliveryId === before) + 1 : 0;
+    const page = list.slice(start, start + limit);
+    return { deliveries: page, nextCursor: start + limit < list.length ? page.at(-1).deliveryId : null };
+  }
+
+  function removeWebhook(webhookId) {
+    for (const d of [...webhookDeliveries.values()]) {
+      if (d.webhookId === webhookId) webhookDeliveries.delete(d.deliveryId);
+    }
+  }
+
+  // Keep the delivery log bounded
+  function prune() {
+    const finished = new Map(); // webhookId -> [delivery]
+    for (const d of webhookDeliveries.values()) {
+      if (d.status === "pending") continue;
+      if (!finished.has(d.webhookId)) finished.set(d.webhookId, []);
+      finished.get(d.webhookId).push(d);
+    }
+    for (const list of finished.values()) {
+      if (list.length <= opts.keepPerWebhook) continue;
+      list.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+      for (const d of list.slice(opts.keepPerWebhook)) webhookDeliveries.delete(d.deliveryId);
+    }
+  }
+
+  return { options: opts, enqueue, processDue, redeliver, deliveriesFor, removeWebhook, prune };
+}
@@ -3,247 +3,2216 @@ const $ = (id) => document.getElementById(id);
 
 let selectedAgentId = null;
 let jobPollTimer = null;
-let allAgents = []; // all agents from /portal/agents/all
+let currentJobId = null;
+const agentCache = new Map(); // agentId -> agent summary, every agent loaded so far
+let agentList = { ids: [], total: 0, nextCursor: null }; // pages of /portal/search/agents shown in the tree
+let allTenants = []; // from /portal/tenants
+let allSites = []; // from /portal/sites
+const collapsedNodes = new Set(); // tree keys "t:<tenantId>" / "s:<tenantId>:<siteId>" / "UNPAIRED"
+let currentUser = null; // from /portal/me
+let currentDevices = []; // devices of the selected agent
+let jobTypes = []; // from /portal/job-types?agentId=<selected>
+let eventsAbort = null; // AbortController of the open /portal/events stream
+let liveEvents = false; // true while the event stream is connected; timers only poll when false
+let activityCursor = null; // nextCursor of the last /portal/audit page
+let jobsCursor = null; // nextCursor of the last /portal/jobs page
+let currentTwins = new Map(); // deviceId -> desired-state twin of the selected agent's devices
+let searchFilters = []; // [[field, value]] filter chips above the tenant tree
 
 function setStatus(msg) {
   $("status").textContent = msg;
 }
 
+// The session token lives in an HttpOnly cookie set by /portal/login; the
+// script never sees it
 async function api(path, opts = {}) {
   const res = await fetch(path, {
-    headers: { "Content-Type": "application/json" },
-    ...opts
+    ...opts,
+    headers: {
+      "Content-Type": "application/json",
+      ...opts.headers
+    }
   });
+  if (res.status === 401) showLoggedOut();
   if (!res.ok) {
     const text = await res.text();
     throw new Error(`${res.status} ${text}`);
   }
-  return res.json();
+  return res.json();
+}
+
+// ---------- Login ----------
+function showLoggedOut() {
+  currentUser = null;
+  disconnectEvents();
+  $("loginRow").style.display = "";
+  $("sessionRow").style.display = "none";
+}
+
+function showLoggedIn(user) {
+  currentUser = user;
+  $("loginRow").style.display = "none";
+  $("sessionRow").style.display = "";
+  $("whoami").textContent = `${user.displayName} (${user.role}${user.tenantId ? ", " + user.tenantId : ""})`;
+
+  // only global admins can pair into another tenant
+  if (user.tenantId) $("tenant").value = user.tenantId;
+  $("tenant").disabled = user.role !== "global-admin";
+
+  $("webhooksCard").style.display = isAdmin() ? "" : "none";
+  $("tenantAdminRow").style.display = user.role === "global-admin" ? "" : "none";
+  $("pendingCodesBox").style.display = isAdmin() ? "" : "none";
+  $("inventoryImportRow").style.display = isAdmin() ? "" : "none";
+}
+
+function isAdmin() {
+  return ["tenant-admin", "global-admin"].includes(currentUser?.role);
+}
+
+async function login() {
+  const userId = $("loginUser").value.trim();
+  const password = $("loginPassword").value;
+  setStatus("logging in...");
+  try {
+    const res = await api(`/portal/login`, {
+      method: "POST",
+      body: JSON.stringify({ userId, password })
+    });
+    $("loginPassword").value = "";
+    showLoggedIn(res.user);
+    connectEvents();
+    await refreshAgents();
+    await loadCampaignArtifacts();
+    await refreshCampaigns();
+    await loadActivity();
+    await loadDrift();
+    await refreshWebhooks();
+    await refreshPendingCodes();
+  } catch (e) {
+    setStatus("login failed: " + e.message);
+  }
+}
+
+async function logout() {
+  try {
+    await api(`/portal/logout`, { method: "POST" });
+  } catch {
+    // token may already be gone
+  }
+  showLoggedOut();
+  agentCache.clear();
+  agentList = { ids: [], total: 0, nextCursor: null };
+  allTenants = [];
+  allSites = [];
+  selectedAgentId = null;
+  searchFilters = [];
+  renderFilterChips();
+  renderDeviceHits(null);
+  renderTenantTree([]);
+  setStatus("logged out");
+}
+
+async function restoreSession() {
+  let user;
+  try {
+    user = await api(`/portal/me`);
+  } catch {
+    return showLoggedOut(); // no (valid) session cookie
+  }
+  try {
+    showLoggedIn(user);
+    connectEvents();
+    await refreshAgents();
+    await loadCampaignArtifacts();
+    await refreshCampaigns();
+    await loadActivity();
+    await loadDrift();
+    await refreshWebhooks();
+    await refreshPendingCodes();
+  } catch (e) {
+    setStatus(String(e));
+  }
+}
+
+// ---------- Live events (SSE over fetch, reconnecting on our own schedule) ----------
+function setLive(live) {
+  liveEvents = live;
+  $("live").className = "badge " + (live ? "online" : "offline");
+  $("live").textContent = live ? "live" : "polling";
+}
+
+function disconnectEvents() {
+  if (eventsAbort) eventsAbort.abort();
+  eventsAbort = null;
+  setLive(false);
+}
+
+async function connectEvents() {
+  disconnectEvents();
+  if (!currentUser) return;
+
+  const abort = new AbortController();
+  eventsAbort = abort;
+
+  try {
+    const res = await fetch(`/portal/events`, { signal: abort.signal });
+    if (!res.ok || !res.body) throw new Error(`${res.status}`);
+    setLive(true);
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buf = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += value;
+      let idx;
+      while ((idx = buf.indexOf("\n\n")) !== -1) {
+        const chunk = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        let type = "message";
+        let data = "";
+        for (const line of chunk.split("\n")) {
+          if (line.startsWith("event: ")) type = line.slice(7);
+          else if (line.startsWith("data: ")) data += line.slice(6);
+        }
+        if (data) handleEvent(type, JSON.parse(data));
+      }
+    }
+  } catch {
+    // stream failed or was aborted -> timers take over
+  }
+
+  if (eventsAbort !== abort) return; // replaced or logged out
+  setLive(false);
+  setTimeout(() => {
+    if (currentUser && eventsAbort === abort) connectEvents();
+  }, 5000);
+}
+
+function debounce(fn, ms) {
+  let t = null;
+  return () => {
+    clearTimeout(t);
+    t = setTimeout(fn, ms);
+  };
+}
+
+const refreshDirectorySoon = debounce(() => refreshDirectory().catch(() => {}), 300);
+const refreshCampaignsSoon = debounce(() => refreshCampaigns().catch(() => {}), 500);
+const refreshTelemetrySoon = debounce(() => loadTelemetry(), 2000);
+const refreshDriftSoon = debounce(() => loadDrift().catch(() => {}), 1000);
+
+function handleEvent(type, e) {
+  switch (type) {
+    case "agent.online":
+    case "agent.offline":
+    case "agent.paired":
+    case "agent.unpaired":
+    case "agent.moved":
+    case "agent.updated":
+      updateAgent(e.data);
+      break;
+    case "tenant.changed":
+    case "site.changed":
+      refreshDirectorySoon();
+      break;
+    case "devices.reported":
+      if (e.agentId === selectedAgentId) renderDevices(e.data.devices);
+      break;
+    case "job.updated":
+      if (e.data.jobId === currentJobId) renderJob(e.data);
+      if (e.agentId === selectedAgentId) upsertJobRow(e.data);
+      if (e.data.campaignId) refreshCampaignsSoon();
+      break;
+    case "telemetry.received":
+      if (e.agentId === selectedAgentId) refreshTelemetrySoon();
+      break;
+    case "twin.changed":
+      if (e.agentId === selectedAgentId) updateTwin(e.data);
+      refreshDriftSoon();
+      break;
+    case "diagnostics.uploaded":
+      if (e.agentId === selectedAgentId) loadAgentDiagnostics();
+      if (e.data.jobId && e.data.jobId === currentJobId) loadJobDiagnostics(currentJobId);
+      break;
+    case "audit.recorded":
+      if (matchesActivityFilter(e.data)) $("activity").prepend(activityRow(e.data));
+      break;
+  }
+}
+
+// ---------- Tree rendering ----------
+// tenant -> site -> agent; tenants and sites without agents are listed too
+function buildTree(list) {
+  const tenants = new Map(); // tenantId -> { tenant, sites: Map(siteId -> { site, agents }), agents (no site) }
+  const tenantNode = (tenantId) => {
+    if (!tenants.has(tenantId)) tenants.set(tenantId, { tenant: null, sites: new Map(), agents: [] });
+    return tenants.get(tenantId);
+  };
+  const siteNode = (t, siteId) => {
+    if (!t.sites.has(siteId)) t.sites.set(siteId, { site: null, agents: [] });
+    return t.sites.get(siteId);
+  };
+
+  // a search only shows the tenants and sites with matches
+  const shown = id => !isSearching() || list.some(a => a.tenantId === id.tenantId && (!id.siteId || a.siteId === id.siteId));
+  for (const t of allTenants) if (shown(t)) tenantNode(t.tenantId).tenant = t;
+  for (const s of allSites) if (shown(s)) siteNode(tenantNode(s.tenantId), s.siteId).site = s;
+
+  const unpaired = [];
+  for (const a of list) {
+    if (!a.tenantId) unpaired.push(a);
+    else if (a.siteId) siteNode(tenantNode(a.tenantId), a.siteId).agents.push(a);
+    else tenantNode(a.tenantId).agents.push(a);
+  }
+
+  const byName = (a, b) => (a.displayName ?? "").localeCompare(b.displayName ?? "");
+  for (const t of tenants.values()) {
+    t.agents.sort(byName);
+    for (const s of t.sites.values()) s.agents.sort(byName);
+  }
+  unpaired.sort(byName);
+
+  return { tenants: [...tenants.entries()].sort(([x], [y]) => x.localeCompare(y)), unpaired };
+}
+
+function treeAgents(t) {
+  return [...t.agents, ...[...t.sites.values()].flatMap(s => s.agents)];
+}
+
+// Collapsible header with online/offline counts; actions: [[label, fn]].
+// `counts` ({ agents, online } of a tenant or site) cover the agents not loaded
+// yet; a search counts its matches only.
+function treeHeader(key, label, agents, indent, actions = [], counts = null) {
+  const open = !collapsedNodes.has(key);
+  const total = counts && !isSearching() ? counts.agents : agents.length;
+  const online = counts && !isSearching() ? counts.online : agents.filter(a => a.online).length;
+
+  const header = document.createElement("div");
+  header.className = "agent tree-node";
+  header.style.marginLeft = `${indent}px`;
+  header.onclick = () => {
+    if (open) collapsedNodes.add(key);
+    else collapsedNodes.delete(key);
+    renderTenantTree(treeAgentsList());
+  };
+  header.innerHTML = `<span class="caret">${open ? "▾" : "▸"}</span><b></b>
+    <span class="counts">${total} agents · ${online} online · ${total - online} offline</span>`;
+  header.querySelector("b").textContent = label;
+
+  for (const [text, fn] of actions) {
+    const b = document.createElement("button");
+    b.textContent = text;
+    b.onclick = (e) => {
+      e.stopPropagation();
+      fn();
+    };
+    header.appendChild(b);
+  }
+  return { header, open };
+}
+
+const VERSION_STATUS_TEXT = {
+  current: "agent version meets the tenant's policy",
+  outdated: "older than the tenant's recommended agent version",
+  unsupported: "older than the tenant's minimum agent version: only agent updates are allowed",
+  unknown: "agent version unknown"
+};
+
+function agentNode(a, indent) {
+  const div = document.createElement("div");
+  div.className = "agent";
+  div.style.marginLeft = `${indent}px`;
+  div.dataset.agentId = a.agentId;
+  div.onclick = () => selectAgent(a.agentId);
+
+  const badge = document.createElement("span");
+  badge.className = "badge " + (a.online ? "online" : "offline");
+  badge.textContent = a.online ? "online" : "offline";
+
+  const pairedBadge = document.createElement("span");
+  pairedBadge.className = "badge";
+  pairedBadge.textContent = a.paired ? "paired" : "unpaired";
+
+  const versionBadge = document.createElement("span");
+  versionBadge.className = `badge version ${a.versionStatus}`;
+  versionBadge.textContent = `v${a.agentVersion}`;
+  versionBadge.title = VERSION_STATUS_TEXT[a.versionStatus] ?? "";
+
+  // displayName comes from the agent (hostname): text only, never markup
+  div.innerHTML = `
+    <div style="display:flex; justify-content:space-between; gap:10px; align-items:center;">
+      <b class="name"></b>
+      <div class="badges" style="display:flex; gap:8px; align-items:center;"></div>
+    </div>
+    <div style="display:flex; gap:8px; align-items:center; margin-top:4px;">
+      <span class="seen" style="font-size:12px; color:#555;"></span>
+    </div>
+    <div class="id" style="font-size:12px; color:#666; margin-top:4px;"></div>
+  `;
+  div.querySelector(".name").textContent = a.displayName;
+  div.querySelector(".badges").append(versionBadge, pairedBadge, badge);
+  div.querySelector(".seen").textContent = `lastSeen: ${a.lastSeenAt ?? "-"}`;
+  div.querySelector(".id").textContent = a.agentId;
+  return div;
+}
+
+function renderTenantTree(list) {
+  const root = $("agents");
+  root.innerHTML = "";
+
+  const { tenants, unpaired } = buildTree(list);
+  if (tenants.length === 0 && unpaired.length === 0) {
+    root.innerHTML = `<div style="color:#666; font-size:14px;">No agents found.</div>`;
+    return;
+  }
+
+  for (const [tenantId, t] of tenants) {
+    const section = document.createElement("div");
+    section.style.marginBottom = "12px";
+
+    const label = t.tenant && t.tenant.name !== tenantId ? `${t.tenant.name} (${tenantId})` : tenantId;
+    const actions = [];
+    if (t.tenant && isAdmin()) {
+      actions.push(
+        ["Rename", () => renameTenant(t.tenant)],
+        ["Add site", () => addSite(t.tenant)],
+        ["Agent versions", () => editVersionPolicy(t.tenant)]
+      );
+    }
+    if (t.tenant && currentUser?.role === "global-admin") actions.push(["Delete", () => deleteTenant(t.tenant)]);
+
+    const { header, open } = treeHeader(`t:${tenantId}`, label, treeAgents(t), 0, actions, t.tenant?.counts);
+    section.appendChild(header);
+
+    if (open) {
+      for (const [siteId, s] of [...t.sites.entries()].sort(([x], [y]) => x.localeCompare(y))) {
+        const siteLabel = s.site && s.site.name !== siteId ? `${s.site.name} (${siteId})` : siteId;
+        const siteActions = s.site && isAdmin()
+          ? [["Rename", () => renameSite(s.site)], ["Delete", () => deleteSite(s.site)]]
+          : [];
+        const site = treeHeader(`s:${tenantId}:${siteId}`, siteLabel, s.agents, 14, siteActions, s.site?.counts);
+        section.appendChild(site.header);
+        if (site.open) for (const a of s.agents) section.appendChild(agentNode(a, 28));
+      }
+      if (t.agents.length) {
+        const noSite = treeHeader(`s:${tenantId}:`, "(no site)", t.agents, 14);
+        section.appendChild(noSite.header);
+        if (noSite.open) for (const a of t.agents) section.appendChild(agentNode(a, 28));
+      }
+    }
+    root.appendChild(section);
+  }
+
+  if (unpaired.length) {
+    const { header, open } = treeHeader("UNPAIRED", "UNPAIRED", unpaired, 0);
+    root.appendChild(header);
+    if (open) for (const a of unpaired) root.appendChild(agentNode(a, 14));
+  }
+
+  if (agentList.nextCursor) {
+    const more = document.createElement("button");
+    more.textContent = `Load more (${agentList.ids.length} of ${agentList.total})`;
+    more.onclick = () => loadAgents({ more: true }).catch(e => setStatus("loading agents failed: " + e.message));
+    root.appendChild(more);
+  }
+}
+
+// ---------- Search and filter chips ----------
+const FILTER_LABELS = {
+  online: v => (v === "true" ? "online" : "offline"),
+  paired: v => (v === "true" ? "paired" : "unpaired"),
+  siteId: v => `site: ${v}`,
+  model: v => `model: ${v}`,
+  fwVersion: v => `FW: ${v}`,
+  agentVersion: v => `agent: v${v}`,
+  versionStatus: v => `version: ${v}`
+};
+// device filters that also narrow the device matches
+const DEVICE_FILTERS = ["online", "siteId", "model", "fwVersion", "agentVersion"];
+
+function treeAgentsList() {
+  return agentList.ids.map(id => agentCache.get(id));
+}
+
+function isSearching() {
+  return !!$("agentSearch").value.trim() || searchFilters.length > 0;
+}
+
+function searchParams(fields, limit = AGENT_PAGE_SIZE) {
+  const qs = new URLSearchParams({ limit: String(limit) });
+  const q = $("agentSearch").value.trim();
+  if (q) qs.set("q", q);
+  for (const [field, value] of searchFilters) if (!fields || fields.includes(field)) qs.set(field, value);
+  return qs;
+}
+
+async function applySearch() {
+  try {
+    await loadAgents();
+    const q = $("agentSearch").value.trim();
+    renderDeviceHits(q ? await api(`/portal/search/devices?${searchParams(DEVICE_FILTERS)}`) : null);
+  } catch (e) {
+    setStatus("search failed: " + e.message);
+  }
+}
+
+const applySearchSoon = debounce(applySearch, 300);
+
+function renderFilterChips(total = null) {
+  const root = $("filterChips");
+  root.innerHTML = "";
+  for (const [field, value] of searchFilters) {
+    const chip = document.createElement("span");
+    chip.className = "chip";
+    chip.title = "remove filter";
+    chip.textContent = `${FILTER_LABELS[field](value)} ×`;
+    chip.onclick = () => {
+      searchFilters = searchFilters.filter(f => f[0] !== field);
+      applySearch();
+    };
+    root.appendChild(chip);
+  }
+  if (total !== null) {
+    const count = document.createElement("span");
+    count.textContent = `${total} agents match`;
+    root.appendChild(count);
+  }
+  if (searchFilters.length > 1) {
+    const clear = document.createElement("button");
+    clear.textContent = "Clear filters";
+    clear.onclick = () => {
+      searchFilters = [];
+      applySearch();
+    };
+    root.appendChild(clear);
+  }
+}
+
+// Devices matching the search text (e.g. a serial number), linked to their agent
+function renderDeviceHits(res) {
+  const root = $("deviceHits");
+  root.innerHTML = "";
+  if (!res || res.total === 0) return;
+  const head = document.createElement("div");
+  head.style.cssText = "font-size:12px; color:#555;";
+  head.textContent = `Devices (${res.total}${res.nextCursor ? ", first " + res.devices.length : ""}):`;
+  root.appendChild(head);
+  for (const d of res.devices.slice(0, 20)) {
+    const row = document.createElement("div");
+    row.className = "agent";
+    row.style.fontSize = "12px";
+    row.textContent = `${d.deviceId} · ${d.model} · SN ${d.serialNumber ?? "-"} · FW ${d.fwVersion ?? "-"} — ${d.displayName}`;
+    row.onclick = async () => {
+      await selectAgent(d.agentId);
+      showDeviceHistory(d.deviceId);
+    };
+    root.appendChild(row);
+  }
+}
+
+function addSearchFilter() {
+  const choice = $("filterField").value;
+  const [field, preset] = choice.split(":");
+  const value = preset ?? $("filterValue").value.trim();
+  if (!value) {
+    setStatus(`enter a value for the ${field} filter`);
+    return;
+  }
+  // one chip per field; a new value replaces the old one
+  searchFilters = [...searchFilters.filter(f => f[0] !== field), [field, value]];
+  $("filterValue").value = "";
+  applySearch();
+}
+
+// Suggestions for the filter value from what is loaded already
+function fillFilterValues() {
+  const field = $("filterField").value;
+  $("filterValue").disabled = field.includes(":");
+  let values = [];
+  if (field === "siteId") values = allSites.map(s => s.siteId);
+  if (field === "agentVersion") values = [...agentCache.values()].map(a => a.agentVersion);
+  if (field === "versionStatus") values = ["current", "outdated", "unsupported", "unknown"];
+  if (field === "model" || field === "fwVersion") values = currentDevices.map(d => d[field]);
+  const list = $("filterValues");
+  list.innerHTML = "";
+  for (const v of [...new Set(values.filter(Boolean))].sort()) {
+    const opt = document.createElement("option");
+    opt.value = v;
+    list.appendChild(opt);
+  }
+}
+
+// ---------- Tenants and sites ----------
+async function directoryRequest(what, path, method, body) {
+  try {
+    await api(path, { method, body: body ? JSON.stringify(body) : undefined });
+    setStatus(`${what} ✅`);
+    await refreshAgents({ silent: true });
+  } catch (e) {
+    setStatus(`${what} failed: ${e.message}`);
+  }
+}
+
+async function addTenant() {
+  const tenantId = prompt("New tenant id (lowercase letters, digits and -):")?.trim();
+  if (!tenantId) return;
+  const name = prompt("Display name:", tenantId)?.trim();
+  await directoryRequest("tenant created", `/portal/tenants`, "POST", { tenantId, name });
+}
+
+async function renameTenant(t) {
+  const name = prompt(`New name for tenant ${t.tenantId}:`, t.name)?.trim();
+  if (!name) return;
+  await directoryRequest("tenant renamed", `/portal/tenants/${encodeURIComponent(t.tenantId)}`, "PATCH", { name });
+}
+
+async function editVersionPolicy(t) {
+  const policy = t.agentVersionPolicy ?? {};
+  const minimum = prompt(`Minimum agent version for ${t.tenantId} (older agents only get agent updates; empty = none):`, policy.minimum ?? "");
+  if (minimum === null) return;
+  const recommended = prompt(`Recommended agent version for ${t.tenantId} (older agents are flagged; empty = none):`, policy.recommended ?? "");
+  if (recommended === null) return;
+  await directoryRequest(
+    "agent version policy saved",
+    `/portal/tenants/${encodeURIComponent(t.tenantId)}/agent-version-policy`,
+    "PUT",
+    { minimum: minimum.trim() || null, recommended: recommended.trim() || null }
+  );
+}
+
+async function deleteTenant(t) {
+  if (!confirm(`Delete tenant ${t.tenantId}? It must have no agents, sites, users or webhooks.`)) return;
+  await directoryRequest("tenant deleted", `/portal/tenants/${encodeURIComponent(t.tenantId)}`, "DELETE");
+}
+
+async function addSite(t) {
+  const siteId = prompt(`New site id in ${t.tenantId} (lowercase letters, digits and -):`)?.trim();
+  if (!siteId) return;
+  const name = prompt("Display name:", siteId)?.trim();
+  await directoryRequest("site created", `/portal/tenants/${encodeURIComponent(t.tenantId)}/sites`, "POST", { siteId, name });
+}
+
+function sitePath(s) {
+  return `/portal/tenants/${encodeURIComponent(s.tenantId)}/sites/${encodeURIComponent(s.siteId)}`;
+}
+
+async function renameSite(s) {
+  const name = prompt(`New name for site ${s.siteId}:`, s.name)?.trim();
+  if (!name) return;
+  await directoryRequest("site renamed", sitePath(s), "PATCH", { name });
+}
+
+async function deleteSite(s) {
+  if (!confirm(`Delete site ${s.siteId} of ${s.tenantId}? It must have no agents.`)) return;
+  await directoryRequest("site deleted", sitePath(s), "DELETE");
+}
+
+function fillOptions(select, options, value) {
+  select.innerHTML = "";
+  for (const [v, label] of options) {
+    const opt = document.createElement("option");
+    opt.value = v;
+    opt.textContent = label;
+    select.appendChild(opt);
+  }
+  select.value = value;
+}
+
+// Datalists of the pairing form
+function fillPairingLists() {
+  $("tenantList").innerHTML = "";
+  for (const t of allTenants) {
+    const opt = document.createElement("option");
+    opt.value = t.tenantId;
+    opt.label = t.name;
+    $("tenantList").appendChild(opt);
+  }
+  const tenantId = $("tenant").value.trim();
+  $("siteList").innerHTML = "";
+  for (const s of allSites.filter(x => x.tenantId === tenantId)) {
+    const opt = document.createElement("option");
+    opt.value = s.siteId;
+    opt.label = s.name;
+    $("siteList").appendChild(opt);
+  }
+}
+
+function fillMoveSites(siteId) {
+  const tenantId = $("moveTenant").value;
+  const options = [["", "(no site)"], ...allSites.filter(s => s.tenantId === tenantId).map(s => [s.siteId, s.name])];
+  fillOptions($("moveSite"), options, siteId ?? "");
+}
+
+function fillMoveControls() {
+  const a = agentCache.get(selectedAgentId);
+  fillOptions($("moveTenant"), allTenants.map(t => [t.tenantId, t.name]), a?.tenantId ?? "");
+  fillMoveSites(a?.siteId);
+  $("moveAgent").disabled = !a?.paired || !isAdmin();
+}
+
+async function moveSelectedAgent() {
+  const a = agentCache.get(selectedAgentId);
+  if (!a) return;
+  const tenantId = $("moveTenant").value;
+  const siteId = $("moveSite").value || null;
+  if (tenantId !== a.tenantId && !confirm(`Move ${a.displayName} to tenant ${tenantId}? Its open jobs will be cancelled.`)) return;
+
+  setStatus("moving agent...");
+  try {
+    const res = await api(`/portal/agents/${a.agentId}/move`, {
+      method: "POST",
+      body: JSON.stringify({ tenantId, siteId })
+    });
+    setStatus(`agent moved ✅${res.cancelledJobs.length ? ` (${res.cancelledJobs.length} jobs cancelled)` : ""}`);
+    await refreshAgents({ silent: true });
+    await selectAgent(a.agentId);
+  } catch (e) {
+    setStatus("move failed: " + e.message);
+  }
+}
+
+// ---------- Data refresh ----------
+// The tree shows pages of /portal/search/agents (search bar + chips applied);
+// agent events then update the loaded rows in place instead of reloading.
+const AGENT_PAGE_SIZE = 100;
+let agentsRequest = 0; // only the newest agent request may replace the list
+
+async function fetchDirectory() {
+  [allTenants, allSites] = await Promise.all([api(`/portal/tenants`), api(`/portal/sites`)]);
+}
+
+// -> false when a newer request replaced the list meanwhile
+async function fetchAgents({ more = false, limit = AGENT_PAGE_SIZE } = {}) {
+  const request = ++agentsRequest;
+  const qs = searchParams(null, limit);
+  if (more) qs.set("cursor", agentList.nextCursor);
+  const res = await api(`/portal/search/agents?${qs}`);
+  if (request !== agentsRequest) return false;
+
+  for (const a of res.agents) agentCache.set(a.agentId, a);
+  const ids = res.agents.map(a => a.agentId);
+  agentList = { ids: more ? [...agentList.ids, ...ids] : ids, total: res.total, nextCursor: res.nextCursor };
+  return true;
+}
+
+// An agent outside the loaded pages (picked from a device hit or the drift view)
+async function loadAgent(agentId) {
+  const res = await api(`/portal/search/agents?${new URLSearchParams({ q: agentId, limit: "10" })}`);
+  const a = res.agents.find(x => x.agentId === agentId);
+  if (a) agentCache.set(agentId, a);
+}
+
+// update selected agent online state display/buttons
+function renderSelectedAgentState() {
+  if (!selectedAgentId) return;
+  const a = agentCache.get(selectedAgentId);
+  const online = !!a?.online;
+  $("genCode").disabled = false;
+  $("unpair").disabled = false;
+
+  $("agentDetails").textContent = `Selected agent: ${selectedAgentId} ${online ? "(online)" : "(offline)"} | tenant: ${a?.tenantId ?? "UNPAIRED"}`;
+
+  updateStartJobButton();
+}
+
+function renderAgents() {
+  renderFilterChips(isSearching() ? agentList.total : null);
+  renderTenantTree(treeAgentsList());
+  fillPairingLists();
+  fillMoveControls();
+  fillInventoryFilters();
+  renderSelectedAgentState();
+}
+
+async function loadAgents(opts) {
+  if (await fetchAgents(opts)) renderAgents();
+}
+
+async function refreshDirectory() {
+  await fetchDirectory();
+  renderAgents();
+}
+
+// Directory plus as many agents as are shown now, after changes made here and
+// while polling without the event stream
+async function refreshAgents({ silent = false } = {}) {
+  if (!silent) setStatus("loading agents...");
+  const limit = Math.min(500, Math.max(AGENT_PAGE_SIZE, agentList.ids.length));
+  const [, current] = await Promise.all([fetchDirectory(), fetchAgents({ limit })]);
+  if (current) renderAgents();
+  if (!silent) setStatus(`agents: ${agentList.total}`);
+}
+
+// Tenant and site counts follow an agent's change
+function countAgent(a, sign) {
+  if (!a.tenantId) return;
+  const tenant = allTenants.find(t => t.tenantId === a.tenantId);
+  const site = a.siteId && allSites.find(x => x.tenantId === a.tenantId && x.siteId === a.siteId);
+  for (const node of [tenant, site]) {
+    if (!node?.counts) continue;
+    node.counts.agents += sign;
+    if (a.online) node.counts.online += sign;
+  }
+}
+
+// agent.* event carrying the agent's summary
+function updateAgent(a) {
+  const old = agentCache.get(a.agentId);
+  // unpaired or moved out of a tenant user's tenant: drop it
+  if (currentUser?.role !== "global-admin" && a.tenantId !== currentUser?.tenantId) {
+    if (!old) return;
+    agentCache.delete(a.agentId);
+    if (agentList.ids.includes(a.agentId)) {
+      agentList.ids = agentList.ids.filter(id => id !== a.agentId);
+      agentList.total--;
+    }
+    countAgent(old, -1);
+    return renderTenantTree(treeAgentsList());
+  }
+  if (!old) {
+    // all agents are loaded: a newly paired one joins the list, otherwise only counts change
+    if (isSearching() || agentList.nextCursor) return refreshDirectorySoon();
+    agentCache.set(a.agentId, a);
+    agentList.ids.push(a.agentId);
+    agentList.total++;
+    countAgent(a, 1);
+    return renderTenantTree(treeAgentsList());
+  }
+
+  agentCache.set(a.agentId, a);
+  countAgent(old, -1);
+  countAgent(a, 1);
+  if (a.agentId === selectedAgentId) {
+    renderSelectedAgentState();
+    fillMoveControls();
+  }
+
+  // same place and headers: swap the row only
+  const row = [...$("agents").querySelectorAll(".agent[data-agent-id]")].find(el => el.dataset.agentId === a.agentId);
+  const samePlace = old.tenantId === a.tenantId && old.siteId === a.siteId && old.displayName === a.displayName;
+  if (row && samePlace && old.online === a.online) row.replaceWith(agentNode(a, parseInt(row.style.marginLeft, 10)));
+  else renderTenantTree(treeAgentsList());
+}
+
+// ---------- Agent selection + devices ----------
+async function selectAgent(agentId) {
+  selectedAgentId = agentId;
+
+  if (jobPollTimer) clearInterval(jobPollTimer);
+  jobPollTimer = null;
+  currentJobId = null;
+  $("job").innerHTML = "";
+  $("jobDiagnostics").innerHTML = "";
+  $("agentDiagnostics").innerHTML = "";
+  $("cancelJob").disabled = true;
+  $("jobHistory").innerHTML = "";
+  $("jobsDevice").value = "";
+  $("telemetry").innerHTML = "";
+  $("pairInfo").textContent = "";
+  $("devices").innerHTML = "";
+  $("deviceDetail").innerHTML = "";
+  $("deviceSelect").innerHTML = "";
+  currentTwins = new Map();
+
+  if (!agentCache.has(agentId)) await loadAgent(agentId).catch(() => {});
+  const a = agentCache.get(agentId);
+  const online = !!a?.online;
+
+  $("agentDetails").textContent = `Selected agent: ${agentId} ${online ? "(online)" : "(offline)"} | tenant: ${a?.tenantId ?? "UNPAIRED"}`;
+  $("genCode").disabled = false;
+  $("unpair").disabled = false;
+  fillMoveControls();
+
+  setStatus("loading devices...");
+  try {
+    const [devices, types] = await Promise.all([
+      api(`/portal/agents/${agentId}/devices`),
+      api(`/portal/job-types?agentId=${encodeURIComponent(agentId)}`)
+    ]);
+    jobTypes = types;
+    renderJobTypes();
+    renderDevices(devices);
+    loadTwins();
+    updateStartJobButton();
+    loadJobHistory();
+    loadSiteWindows();
+    loadTelemetry();
+    loadAgentDiagnostics();
+
+    setStatus(`devices: ${devices.length}`);
+  } catch (e) {
+    setStatus("failed to load devices: " + e.message);
+    $("startJob").disabled = true;
+  }
+}
+
+function renderDevices(devices) {
+  currentDevices = devices;
+  const root = $("devices");
+  root.innerHTML = "";
+
+  const sel = $("deviceSelect");
+  const keep = sel.value;
+  sel.innerHTML = "";
+  fillJobsDeviceFilter(devices);
+
+  if (devices.length === 0) {
+    root.textContent = "No devices reported yet (agent must report devices).";
+    return;
+  }
+
+  for (const d of devices) {
+    const row = document.createElement("div");
+    row.className = "agent";
+    row.title = "show device history";
+    row.onclick = () => showDeviceHistory(d.deviceId);
+    const twin = currentTwins.get(d.deviceId);
+    // every field comes from the agent's report: text only
+    row.innerHTML = `
+      <div><b></b> <span class="badge"></span></div>
+      <div class="device-meta" style="font-size:12px; color:#666;"></div>
+    `;
+    row.querySelector("b").textContent = d.model;
+    row.querySelector(".badge").textContent = d.deviceId;
+    if (twin) row.firstElementChild.append(" ", twinBadge(twin));
+    row.querySelector(".device-meta").textContent = `SN: ${d.serialNumber ?? "-"} | FW: ${d.fwVersion ?? "-"} | status: ${d.status}`;
+    root.appendChild(row);
+
+    const opt = document.createElement("option");
+    opt.value = d.deviceId;
+    opt.textContent = `${d.deviceId} (${d.model})`;
+    sel.appendChild(opt);
+  }
+  if (devices.some(d => d.deviceId === keep)) sel.value = keep;
+
+  loadArtifactsForDevice().catch(e => setStatus("failed to load artifacts: " + e.message));
+}
+
+// ---------- Device detail (inventory history) ----------
+// Plain text: every field comes from the agent's device report
+function describeHistoryEntry(h) {
+  switch (h.event) {
+    case "added": return `appeared (FW ${h.device.fwVersion ?? "-"}, ${h.device.status})`;
+    case "reappeared": return `reappeared (FW ${h.device.fwVersion ?? "-"}, ${h.device.status})`;
+    case "removed": return "no longer reported";
+    case "changed":
+      return Object.entries(h.changes)
+        .map(([field, c]) => `${field}: ${c.from ?? "-"} → ${c.to ?? "-"}`)
+        .join(", ");
+    default: return h.event;
+  }
+}
+
+async function showDeviceHistory(deviceId) {
+  if (!selectedAgentId) return;
+  $("jobsDevice").value = deviceId;
+  loadJobHistory();
+  const root = $("deviceDetail");
+  root.innerHTML = "";
+  try {
+    const res = await api(`/portal/agents/${selectedAgentId}/devices/${encodeURIComponent(deviceId)}/history`);
+    const d = res.device;
+
+    const head = document.createElement("div");
+    head.innerHTML = `
+      <div style="display:flex; justify-content:space-between; align-items:center;">
+        <b></b>
+        <button id="closeDeviceDetail">Close</button>
+      </div>
+      <div class="device-meta" style="font-size:12px; color:#555; margin:4px 0;"></div>
+    `;
+    head.querySelector("b").textContent = `Device ${res.deviceId}`;
+    head.querySelector(".device-meta").textContent = d
+      ? `${d.model} | SN: ${d.serialNumber ?? "-"} | FW: ${d.fwVersion ?? "-"} | status: ${d.status} | first seen: ${d.firstSeenAt ?? "-"}`
+      : "currently not reported by the agent";
+    root.appendChild(head);
+
+    const list = document.createElement("ul");
+    list.className = "timeline";
+    for (const h of res.history) {
+      const li = document.createElement("li");
+      li.innerHTML = `<span style="color:#666;"></span> <span class="badge"></span> <span></span>`;
+      const [at, event, text] = li.querySelectorAll("span");
+      at.textContent = h.at;
+      event.textContent = h.event;
+      text.textContent = describeHistoryEntry(h);
+      list.appendChild(li);
+    }
+    root.appendChild(list);
+
+    const twinBox = document.createElement("div");
+    twinBox.id = "twinEditor";
+    twinBox.dataset.deviceId = res.deviceId;
+    root.appendChild(twinBox);
+    if (d) renderTwinEditor(res.deviceId);
+
+    $("closeDeviceDetail").onclick = () => { root.innerHTML = ""; };
+  } catch (e) {
+    setStatus("failed to load device history: " + e.message);
+  }
+}
+
+// ---------- Device twins (desired state) ----------
+const TWIN_STATUS_TEXT = {
+  "in-sync": "device matches its desired state",
+  drifted: "device differs from its desired state",
+  reconciling: "a job is bringing the device to its desired state",
+  blocked: "the device cannot be brought to its desired state automatically",
+  "device-missing": "device is no longer reported by the agent"
+};
+
+function twinBadge(twin) {
+  const badge = document.createElement("span");
+  badge.className = `badge twin ${twin.status}`;
+  badge.title = [TWIN_STATUS_TEXT[twin.status], twin.reconcile.blockedReason].filter(Boolean).join(": ");
+  badge.textContent = twin.status;
+  return badge;
+}
+
+function describeDrift(drift) {
+  if (!drift) return "-";
+  const parts = [];
+  if (drift.fwVersion) parts.push(`FW ${drift.fwVersion.reported ?? "-"} → ${drift.fwVersion.desired}`);
+  for (const c of drift.config) parts.push(`${c.key}: ${JSON.stringify(c.reported)} → ${JSON.stringify(c.desired)}`);
+  return parts.join(", ") || "none";
+}
+
+async function loadTwins() {
+  const agentId = selectedAgentId;
+  try {
+    const res = await api(`/portal/device-twins?agentId=${encodeURIComponent(agentId)}`);
+    if (agentId !== selectedAgentId) return;
+    currentTwins = new Map(res.twins.map(t => [t.deviceId, t]));
+    renderDevices(currentDevices);
+    renderTwinEditor($("twinEditor")?.dataset.deviceId);
+  } catch (e) {
+    setStatus("failed to load desired states: " + e.message);
+  }
+}
+
+// twin.changed event: a twin view, or { agentId, deviceId, status: "deleted" }
+function updateTwin(twin) {
+  if (twin.status === "deleted") currentTwins.delete(twin.deviceId);
+  else currentTwins.set(twin.deviceId, twin);
+  renderDevices(currentDevices);
+  if ($("twinEditor")?.dataset.deviceId === twin.deviceId) renderTwinEditor(twin.deviceId);
+}
+
+function renderTwinEditor(deviceId) {
+  const root = $("twinEditor");
+  if (!root || !deviceId || root.dataset.deviceId !== deviceId) return;
+  const twin = currentTwins.get(deviceId);
+  const last = twin?.reconcile.lastJob;
+  root.innerHTML = `
+    <h4 style="margin:8px 0 4px;">Desired state</h4>
+    <div class="twin-meta" style="font-size:12px; color:#555;"></div>
+    <div class="row">
+      <label>Firmware:</label>
+      <input id="twinFw" placeholder="keep as is" size="12" />
+      <label><input type="checkbox" id="twinAuto" /> reconcile automatically</label>
+    </div>
+    <textarea id="twinConfig" rows="3" style="width:100%; font-family:monospace;" placeholder='configuration parameters as JSON, e.g. {"cycleTimeUs": 1000}'></textarea>
+    <div class="row">
+      <button id="twinSave">Save desired state</button>
+      <button id="twinClear" ${twin ? "" : "disabled"}>Clear</button>
+    </div>
+  `;
+  if (twin) {
+    root.querySelector("h4").append(" ", twinBadge(twin));
+    root.querySelector(".twin-meta").textContent = [
+      `drift: ${describeDrift(twin.drift)}`,
+      `attempts: ${twin.reconcile.attempts}`,
+      twin.reconcile.blockedReason && `blocked: ${twin.reconcile.blockedReason}`,
+      last && `last job: ${last.type} ${last.status}${last.message ? ` (${last.message})` : ""}`
+    ].filter(Boolean).join(" | ");
+  }
+  $("twinFw").value = twin?.desired.fwVersion ?? "";
+  $("twinAuto").checked = twin?.autoReconcile ?? true;
+  $("twinConfig").value = twin?.desired.config ? JSON.stringify(twin.desired.config, null, 2) : "";
+  $("twinSave").onclick = () => saveTwin(deviceId);
+  $("twinClear").onclick = () => clearTwin(deviceId);
+}
+
+function twinPath(deviceId) {
+  return `/portal/agents/${selectedAgentId}/devices/${encodeURIComponent(deviceId)}/twin`;
+}
+
+async function saveTwin(deviceId) {
+  let config = null;
+  const raw = $("twinConfig").value.trim();
+  if (raw) {
+    try {
+      config = JSON.parse(raw);
+    } catch {
+      setStatus("configuration is not valid JSON");
+      return;
+    }
+  }
+  setStatus("saving desired state...");
+  try {
+    const res = await api(twinPath(deviceId), {
+      method: "PUT",
+      body: JSON.stringify({ fwVersion: $("twinFw").value.trim() || null, config, autoReconcile: $("twinAuto").checked })
+    });
+    updateTwin(res.twin);
+    setStatus(`desired state saved: ${res.twin.status} ✅`);
+  } catch (e) {
+    setStatus("saving desired state failed: " + e.message);
+  }
+}
+
+async function clearTwin(deviceId) {
+  if (!confirm(`Clear the desired state of ${deviceId}?`)) return;
+  try {
+    const res = await api(twinPath(deviceId), { method: "DELETE" });
+    updateTwin(res);
+    setStatus("desired state cleared ✅");
+  } catch (e) {
+    setStatus("clearing desired state failed: " + e.message);
+  }
+}
+
+// Fleet-wide drift view
+async function loadDrift() {
+  const qs = new URLSearchParams();
+  if ($("driftStatus").value) qs.set("status", $("driftStatus").value);
+  const res = await api(`/portal/device-twins?${qs}`);
+
+  $("driftSummary").textContent = Object.entries(res.summary).map(([status, n]) => `${status}: ${n}`).join(" | ");
+  const root = $("drift");
+  root.innerHTML = "";
+  if (res.twins.length === 0) {
+    root.textContent = "No devices with a desired state match.";
+    return;
+  }
+  const table = document.createElement("table");
+  table.className = "activity";
+  table.innerHTML = "<thead><tr><th>Agent</th><th>Device</th><th>Status</th><th>Drift</th><th>Last job</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  for (const t of res.twins) {
+    const tr = document.createElement("tr");
+    const last = t.reconcile.lastJob;
+    tr.innerHTML = "<td></td><td></td><td></td><td></td><td></td>";
+    const [agent, device, status, change, lastJob] = tr.querySelectorAll("td");
+    change.className = "change";
+    agent.textContent = t.displayName ?? t.agentId;
+    device.textContent = t.deviceId;
+    status.append(twinBadge(t));
+    if (t.reconcile.blockedReason) status.append(` ${t.reconcile.blockedReason}`);
+    change.textContent = describeDrift(t.drift);
+    lastJob.textContent = last ? `${last.type} ${last.status}` : "-";
+    tr.style.cursor = "pointer";
+    tr.onclick = async () => {
+      await selectAgent(t.agentId);
+      showDeviceHistory(t.deviceId);
+    };
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  root.appendChild(table);
+}
+
+// ---------- Diagnostic bundles ----------
+function fmtSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+}
+
+// Table of bundles with download (and, for admins, delete) buttons
+function renderBundles(root, bundles, emptyText, title = null) {
+  root.innerHTML = "";
+  if (bundles.length === 0) {
+    if (emptyText) root.textContent = emptyText;
+    return;
+  }
+  if (title) {
+    const head = document.createElement("div");
+    head.style.cssText = "font-size:12px; color:#555; margin-top:6px;";
+    head.textContent = title;
+    root.appendChild(head);
+  }
+  const table = document.createElement("table");
+  table.className = "activity";
+  table.innerHTML = "<thead><tr><th>Uploaded</th><th>File</th><th>Size</th><th>Job / device</th><th>Reason</th><th></th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  for (const b of bundles) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `<td>${fmtTime(b.createdAt)}</td><td></td><td>${fmtSize(b.size)}</td><td></td><td></td><td></td>`;
+    tr.children[1].textContent = b.filename;
+    tr.children[3].textContent = [b.jobId ? b.jobId.slice(0, 8) : null, b.deviceId].filter(Boolean).join(" / ") || "-";
+    tr.children[4].textContent = b.reason ?? "";
+
+    const download = document.createElement("button");
+    download.textContent = "Download";
+    download.onclick = () => downloadBundle(b);
+    tr.children[5].appendChild(download);
+    if (isAdmin()) {
+      const del = document.createElement("button");
+      del.textContent = "Delete";
+      del.onclick = () => deleteBundle(b);
+      tr.children[5].appendChild(del);
+    }
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  root.appendChild(table);
+}
+
+async function loadAgentDiagnostics() {
+  const agentId = selectedAgentId;
+  if (!agentId) return;
+  try {
+    const list = await api(`/portal/agents/${agentId}/diagnostics`);
+    if (agentId === selectedAgentId) renderBundles($("agentDiagnostics"), list, "No diagnostic bundles uploaded.");
+  } catch (e) {
+    setStatus("failed to load diagnostic bundles: " + e.message);
+  }
+}
+
+async function loadJobDiagnostics(jobId) {
+  try {
+    const list = await api(`/portal/jobs/${jobId}/diagnostics`);
+    if (jobId === currentJobId) renderBundles($("jobDiagnostics"), list, "", "Diagnostic bundles of this job:");
+  } catch (e) {
+    setStatus("failed to load job diagnostics: " + e.message);
+  }
+}
+
+// Downloads through fetch so a failure ends up in the status line
+async function downloadBundle(b) {
+  setStatus(`downloading ${b.filename}...`);
+  try {
+    const res = await fetch(`/portal/diagnostics/${b.bundleId}/download`);
+    if (!res.ok) throw new Error(`${res.status} ${await res.text()}`);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = b.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 10_000);
+    setStatus(`${b.filename} downloaded ✅`);
+  } catch (e) {
+    setStatus("download failed: " + e.message);
+  }
+}
+
+async function deleteBundle(b) {
+  if (!confirm(`Delete diagnostic bundle ${b.filename}?`)) return;
+  try {
+    await api(`/portal/diagnostics/${b.bundleId}`, { method: "DELETE" });
+    setStatus("diagnostic bundle deleted ✅");
+    loadAgentDiagnostics();
+    if (currentJobId) loadJobDiagnostics(currentJobId);
+  } catch (e) {
+    setStatus("delete failed: " + e.message);
+  }
+}
+
+// ---------- Firmware artifacts ----------
+async function loadArtifactsForDevice() {
+  const sel = $("artifactId");
+  if (!sel) return; // job type without an artifact field
+  sel.innerHTML = "";
+  $("artifactInfo").textContent = "";
+
+  const device = currentDevices.find(d => d.deviceId === $("deviceSelect").value);
+  if (!device) return;
+
+  const list = await api(`/portal/artifacts?model=${encodeURIComponent(device.model)}`);
+  for (const x of list) {
+    const opt = document.createElement("option");
+    opt.value = x.artifactId;
+    opt.textContent = `${x.filename} v${x.version}`;
+    opt.title = `sha256 ${x.sha256}`;
+    sel.appendChild(opt);
+  }
+  $("artifactInfo").textContent = list.length === 0
+    ? `no firmware uploaded for model ${device.model}`
+    : `${list.length} compatible with ${device.model}`;
+}
+
+async function loadAgentPackages() {
+  const sel = $("agentPackageId");
+  if (!sel) return; // job type without an agent package field
+  sel.innerHTML = "";
+
+  const a = agentCache.get(selectedAgentId);
+  const list = await api(`/portal/artifacts?kind=agent-package`);
+  for (const x of list) {
+    const opt = document.createElement("option");
+    opt.value = x.artifactId;
+    opt.textContent = `${x.filename} v${x.version}`;
+    opt.title = `sha256 ${x.sha256}`;
+    sel.appendChild(opt);
+  }
+  $("agentPackageInfo").textContent = list.length === 0
+    ? "no agent packages uploaded"
+    : `agent runs v${a?.agentVersion ?? "?"}`;
+}
+
+function updateArtifactKind() {
+  $("artifactModelsRow").style.display = $("artifactKind").value === "firmware" ? "" : "none";
+}
+
+async function uploadArtifact() {
+  const file = $("artifactFile").files[0];
+  const kind = $("artifactKind").value;
+  const version = $("artifactVersion").value.trim();
+  const models = $("artifactModels").value.trim();
+  if (!file || !version || (kind === "firmware" && !models)) {
+    setStatus(kind === "firmware" ? "choose a file and enter version and models" : "choose a file and enter its version");
+    return;
+  }
+
+  setStatus(`uploading ${kind}...`);
+  try {
+    const qs = new URLSearchParams({ kind, filename: file.name, version, ...(kind === "firmware" && { models }) });
+    const res = await api(`/portal/artifacts?${qs}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      body: await file.arrayBuffer()
+    });
+    setStatus(`uploaded ${res.artifact.filename} (sha256 ${res.artifact.sha256.slice(0, 12)}…) ✅`);
+    $("artifactFile").value = "";
+    await loadArtifactsForDevice();
+    await loadAgentPackages();
+    await loadCampaignArtifacts();
+  } catch (e) {
+    setStatus("upload failed: " + e.message);
+  }
+}
+
+// ---------- Jobs ----------
+const TERMINAL_JOB_STATES = ["succeeded", "failed", "cancelled", "timed-out", "expired"];
+
+// ---------- Job form (rendered from /portal/job-types) ----------
+function selectedJobType() {
+  return jobTypes.find(t => t.type === $("jobType").value) ?? null;
+}
+
+const UNSUPPORTED_JOB_TEXT = {
+  AGENT_VERSION_TOO_OLD: "agent version too old",
+  AGENT_VERSION_UNSUPPORTED: "agent below minimum version"
+};
+
+function renderJobTypes() {
+  const sel = $("jobType");
+  const keep = sel.value || "firmware-update";
+  sel.innerHTML = "";
+  for (const t of jobTypes) {
+    const opt = document.createElement("option");
+    opt.value = t.type;
+    opt.textContent = t.supported === false ? `${t.label} (${UNSUPPORTED_JOB_TEXT[t.unsupportedReason] ?? "not supported by agent"})` : t.label;
+    opt.disabled = t.supported === false;
+    sel.appendChild(opt);
+  }
+  const keepable = jobTypes.find(t => t.type === keep && t.supported !== false);
+  sel.value = keepable ? keep : (jobTypes.find(t => t.supported !== false)?.type ?? "");
+  renderJobForm();
+
+  const filter = $("jobsType");
+  const keepFilter = filter.value;
+  filter.innerHTML = `<option value="">any</option>`;
+  for (const t of jobTypes) {
+    const opt = document.createElement("option");
+    opt.value = t.type;
+    opt.textContent = t.label;
+    filter.appendChild(opt);
+  }
+  filter.value = keepFilter;
+}
+
+function renderJobForm() {
+  const root = $("jobFields");
+  root.innerHTML = "";
+  const t = selectedJobType();
+  $("deviceRow").style.display = t && !t.requiresDevice ? "none" : "";
+  if (!t) return updateStartJobButton();
+
+  for (const f of t.fields) {
+    const row = document.createElement("div");
+    row.className = "row";
+    const label = document.createElement("label");
+    label.textContent = `${f.label ?? f.name}${f.required ? " *" : ""}:`;
+    row.appendChild(label);
+
+    let input;
+    if (f.ui === "artifact" || f.ui === "agent-package") {
+      input = document.createElement("select");
+      input.id = f.ui === "artifact" ? "artifactId" : "agentPackageId";
+      const info = document.createElement("span");
+      info.id = f.ui === "artifact" ? "artifactInfo" : "agentPackageInfo";
+      info.style.cssText = "font-size:12px; color:#666;";
+      row.appendChild(input);
+      row.appendChild(info);
+    } else if (f.enum) {
+      input = document.createElement("select");
+      for (const v of f.enum) {
+        const opt = document.createElement("option");
+        opt.value = v;
+        opt.textContent = v;
+        input.appendChild(opt);
+      }
+      if (f.default !== undefined) input.value = f.default;
+    } else if (f.type === "boolean") {
+      input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = !!f.default;
+    } else if (f.type === "object") {
+      input = document.createElement("textarea");
+      input.placeholder = `{ "key": "value" }`;
+    } else {
+      input = document.createElement("input");
+      if (f.type === "number" || f.type === "integer") input.type = "number";
+      if (f.type === "string-list") input.placeholder = "comma,separated";
+      if (f.default !== undefined) input.value = f.default;
+    }
+    input.dataset.field = f.name;
+    if (!f.ui) row.appendChild(input);
+    root.appendChild(row);
+  }
+
+  loadArtifactsForDevice().catch(e => setStatus("failed to load artifacts: " + e.message));
+  loadAgentPackages().catch(e => setStatus("failed to load agent packages: " + e.message));
+  updateStartJobButton();
+}
+
+// -> { payload } or { error }
+function collectJobPayload(t) {
+  const payload = {};
+  for (const f of t.fields) {
+    const input = $("jobFields").querySelector(`[data-field="${f.name}"]`);
+    if (!input) continue;
+    if (f.type === "boolean") {
+      payload[f.name] = input.checked;
+      continue;
+    }
+    const raw = input.value.trim();
+    if (raw === "") continue;
+    if (f.type === "number" || f.type === "integer") payload[f.name] = Number(raw);
+    else if (f.type === "string-list") payload[f.name] = raw.split(",").map(x => x.trim()).filter(Boolean);
+    else if (f.type === "object") {
+      try {
+        payload[f.name] = JSON.parse(raw);
+      } catch {
+        return { error: `${f.label ?? f.name}: invalid JSON` };
+      }
+    } else payload[f.name] = raw;
+  }
+  return { payload };
+}
+
+function updateStartJobButton() {
+  const a = agentCache.get(selectedAgentId);
+  const t = selectedJobType();
+  const needsDevice = t?.requiresDevice ?? true;
+  const reachable = a?.online || $("queueIfOffline").checked;
+  $("startJob").disabled = !(reachable && t && (!needsDevice || currentDevices.length > 0));
+}
+
+async function startJob() {
+  if (!selectedAgentId) return;
+
+  const a = agentCache.get(selectedAgentId);
+  const queueIfOffline = $("queueIfOffline").checked;
+  if (!a?.online && !queueIfOffline) {
+    setStatus("agent offline — cannot start job");
+    return;
+  }
+
+  const t = selectedJobType();
+  if (!t) return;
+  const deviceId = t.requiresDevice ? $("deviceSelect").value : undefined;
+  if (t.requiresDevice && !deviceId) {
+    setStatus("choose a device");
+    return;
+  }
+
+  const { payload, error } = collectJobPayload(t);
+  if (error) {
+    setStatus(error);
+    return;
+  }
+  const localToIso = (v) => (v ? new Date(v).toISOString() : undefined);
+  const notBefore = localToIso($("jobNotBefore").value);
+  const notAfter = localToIso($("jobNotAfter").value);
+
+  setStatus("starting job...");
+  try {
+    const res = await api(`/portal/agents/${selectedAgentId}/jobs`, {
+      method: "POST",
+      body: JSON.stringify({
+        type: t.type,
+        deviceId,
+        payload,
+        notBefore,
+        notAfter,
+        queueIfOffline,
+        ttlSeconds: queueIfOffline ? Math.round(Number($("offlineTtlHours").value) * 3600) : undefined
+      })
+    });
+
+    const jobId = res.jobId;
+    if (res.expiresAt) setStatus(`job queued for offline agent: ${jobId}, expires ${fmtTime(res.expiresAt)}`);
+    else if (res.eligibleAt && Date.parse(res.eligibleAt) > Date.now()) {
+      setStatus(`job queued: ${jobId}, eligible from ${fmtTime(res.eligibleAt)}`);
+    } else setStatus(`job started: ${jobId}`);
+    loadJobHistory();
+    pollJob(jobId);
+  } catch (e) {
+    setStatus("job start failed: " + e.message);
+  }
 }
 
-// ---------- Tree rendering ----------
-function groupByTenant(list) {
-  const map = new Map();
-  for (const a of list) {
-    const key = a.tenantId ? a.tenantId : "UNPAIRED";
-    if (!map.has(key)) map.set(key, []);
-    map.get(key).push(a);
-  }
-  // sort tenants
-  const tenants = Array.from(map.keys()).sort((x, y) => {
-    if (x === "UNPAIRED") return 1;
-    if (y === "UNPAIRED") return -1;
-    return x.localeCompare(y);
-  });
-
-  // sort agents within tenant
-  for (const t of tenants) {
-    map.get(t).sort((a, b) => (a.displayName ?? "").localeCompare(b.displayName ?? ""));
+function renderJob(j) {
+  const root = $("job");
+  root.innerHTML = `
+    <div><b>${j.type}</b> <span class="badge">${j.status}</span> <span style="font-size:12px; color:#666;">${j.jobId}</span></div>
+    <div class="progress"><div style="width:${j.progress ?? 0}%"></div></div>
+    <div style="font-size:12px; color:#555;">
+      device: <span class="job-device"></span> | attempt ${j.attempts ?? 0}/${j.maxAttempts ?? "-"} |
+      created ${fmtTime(j.createdAt)} | started ${fmtTime(j.startedAt)} | finished ${fmtTime(j.finishedAt)}
+    </div>
+    ${j.notBefore || j.notAfter || j.maintenanceWindow
+      ? `<div style="font-size:12px; color:#555;">
+          schedule: not before ${fmtTime(j.notBefore)} | not after ${fmtTime(j.notAfter)}${j.maintenanceWindow ? " | maintenance window only" : ""}
+        </div>`
+      : ""}
+    ${j.status === "queued" ? `<div style="font-size:12px; color:#555;">${describeEligibility(j)}</div>` : ""}
+    ${j.expiresAt && j.status === "queued"
+      ? `<div style="font-size:12px; color:#555;">queued for an offline agent, expires ${fmtTime(j.expiresAt)}</div>`
+      : ""}
+    <div class="job-message" style="font-size:13px; margin-top:4px;"></div>
+  `;
+  root.querySelector(".job-device").textContent = j.deviceId ?? "-";
+  root.querySelector(".job-message").textContent = j.message ?? "";
+  if (j.payload && Object.keys(j.payload).length) {
+    const details = document.createElement("details");
+    details.innerHTML = `<summary style="font-size:12px;">payload</summary><pre></pre>`;
+    details.querySelector("pre").textContent = JSON.stringify(j.payload, null, 2);
+    root.appendChild(details);
   }
+  for (const tr of $("jobHistory").children) tr.classList.toggle("selected", tr.dataset.jobId === j.jobId);
+
+  $("cancelJob").disabled = TERMINAL_JOB_STATES.includes(j.status) || !!j.cancelRequestedAt;
 
-  return { tenants, map };
+  if (TERMINAL_JOB_STATES.includes(j.status)) {
+    clearInterval(jobPollTimer);
+    jobPollTimer = null;
+    setStatus(`job finished: ${j.status}`);
+  }
 }
 
-function renderTenantTree(list) {
-  const root = $("agents");
-  root.innerHTML = "";
+// Job updates arrive as job.updated events; the 1 s timer only polls while the stream is down
+async function pollJob(jobId) {
+  if (jobPollTimer) clearInterval(jobPollTimer);
+  if (currentJobId !== jobId) $("jobDiagnostics").innerHTML = "";
+  currentJobId = jobId;
+  loadJobDiagnostics(jobId);
 
-  if (list.length === 0) {
-    root.innerHTML = `<div style="color:#666; font-size:14px;">No agents found.</div>`;
-    return;
+  let done = false;
+  async function tick() {
+    try {
+      const j = await api(`/portal/jobs/${jobId}`);
+      renderJob(j);
+      done = TERMINAL_JOB_STATES.includes(j.status);
+    } catch (e) {
+      setStatus("job poll failed: " + e.message);
+      done = true;
+    }
+    if (done) {
+      clearInterval(jobPollTimer);
+      jobPollTimer = null;
+    }
   }
 
-  const { tenants, map } = groupByTenant(list);
+  await tick();
+  if (!done && currentJobId === jobId) {
+    jobPollTimer = setInterval(() => {
+      if (!liveEvents) tick();
+    }, 1000);
+  }
+}
 
-  for (const tenant of tenants) {
-    const agents = map.get(tenant);
-    const section = document.createElement("div");
-    section.style.marginBottom = "12px";
+async function cancelCurrentJob() {
+  if (!currentJobId) return;
+  setStatus("cancelling job...");
+  try {
+    const res = await api(`/portal/jobs/${currentJobId}/cancel`, { method: "POST" });
+    $("cancelJob").disabled = true;
+    setStatus(res.result === "cancelled" ? "job cancelled ✅" : "cancel requested, waiting for agent...");
+  } catch (e) {
+    setStatus("cancel failed: " + e.message);
+  }
+}
 
-    const header = document.createElement("div");
-    header.className = "agent";
-    header.style.cursor = "default";
-    header.style.background = "#f9fafc";
-    header.innerHTML = `<b>${tenant}</b> <span style="color:#666; font-size:12px;">(${agents.length})</span>`;
-    section.appendChild(header);
+// ---------- Telemetry charts ----------
+const MAX_CHARTS = 12;
 
-    for (const a of agents) {
-      const div = document.createElement("div");
-      div.className = "agent";
-      div.style.marginLeft = "14px";
-      div.onclick = () => selectAgent(a.agentId);
-
-      const badge = document.createElement("span");
-      badge.className = "badge " + (a.online ? "online" : "offline");
-      badge.textContent = a.online ? "online" : "offline";
-
-      const pairedBadge = document.createElement("span");
-      pairedBadge.className = "badge";
-      pairedBadge.textContent = a.paired ? "paired" : "unpaired";
-
-      div.innerHTML = `
-        <div style="display:flex; justify-content:space-between; gap:10px; align-items:center;">
-          <b>${a.displayName}</b>
-          <div style="display:flex; gap:8px; align-items:center;">
-            ${pairedBadge.outerHTML}
-            ${badge.outerHTML}
-          </div>
-        </div>
-        <div style="display:flex; gap:8px; align-items:center; margin-top:4px;">
-          <span class="badge">${a.siteId ?? "no-site"}</span>
-          <span style="font-size:12px; color:#555;">lastSeen: ${a.lastSeenAt ?? "-"}</span>
-        </div>
-        <div style="font-size:12px; color:#666; margin-top:4px;">${a.agentId}</div>
-      `;
-      section.appendChild(div);
-    }
+function fmtValue(v) {
+  return Math.abs(v) >= 100 ? v.toFixed(0) : Number(v.toFixed(2)).toString();
+}
 
-    root.appendChild(section);
+function telemetryChart(r, range) {
+  const box = document.createElement("div");
+  box.className = "chart";
+  const title = document.createElement("div");
+  title.innerHTML = "<b></b> <span style=\"float:right;\"></span>";
+  title.querySelector("b").textContent = r.deviceId ? `${r.deviceId} · ${r.metric}` : r.metric;
+  box.appendChild(title);
+
+  const pts = r.points.map(p => [Date.parse(p.t), p.value ?? p.avg]);
+  if (pts.length === 0) {
+    box.appendChild(document.createTextNode("no data in range"));
+    return box;
   }
+  title.querySelector("span").textContent = fmtValue(pts.at(-1)[1]);
+
+  const values = pts.map(p => p[1]);
+  const lo = Math.min(...values);
+  const hi = Math.max(...values);
+  const end = Date.parse(r.to);
+  const start = end - range;
+  const x = (t) => ((t - start) / range) * 100;
+  const y = (v) => (hi === lo ? 15 : 28 - ((v - lo) / (hi - lo)) * 26);
+  const line = pts.map(([t, v]) => `${x(t).toFixed(2)},${y(v).toFixed(2)}`).join(" ");
+
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  svg.setAttribute("viewBox", "0 0 100 30");
+  svg.setAttribute("preserveAspectRatio", "none");
+  const poly = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+  poly.setAttribute("points", pts.length === 1 ? `${line} ${line}` : line);
+  svg.appendChild(poly);
+  box.appendChild(svg);
+
+  const foot = document.createElement("div");
+  foot.style.color = "#666";
+  foot.textContent = `min ${fmtValue(lo)} · max ${fmtValue(hi)} · ${r.resolution}`;
+  box.appendChild(foot);
+  return box;
 }
 
-// ---------- Data refresh ----------
-async function refreshAllAgents({ silent = false } = {}) {
-  if (!silent) setStatus("loading agents...");
-  const list = await api(`/portal/agents/all`);
-  allAgents = list;
-  renderTenantTree(list);
-
-  // update selected agent online state display/buttons
-  if (selectedAgentId) {
-    const a = allAgents.find(x => x.agentId === selectedAgentId);
-    const online = !!a?.online;
-    $("startJob").disabled = !online;
-    $("genCode").disabled = false;
-    $("unpair").disabled = false;
-
-    $("agentDetails").textContent = `Selected agent: ${selectedAgentId} ${online ? "(online)" : "(offline)"} | tenant: ${a?.tenantId ?? "UNPAIRED"}`;
-
-    if (!online) {
-      // keep jobs disabled when offline
-      $("startJob").disabled = true;
+async function loadTelemetry() {
+  if (!selectedAgentId) return;
+  const agentId = selectedAgentId;
+  const range = Number($("telemetryRange").value);
+  const from = new Date(Date.now() - range).toISOString();
+
+  try {
+    const series = await api(`/portal/agents/${agentId}/telemetry`);
+    const shown = series.slice(0, MAX_CHARTS);
+    const results = await Promise.all(shown.map(s => {
+      const qs = new URLSearchParams({ from });
+      if (s.deviceId) qs.set("deviceId", s.deviceId);
+      return api(`/portal/agents/${agentId}/telemetry/${encodeURIComponent(s.metric)}?${qs}`);
+    }));
+    if (agentId !== selectedAgentId) return; // selection changed meanwhile
+
+    const root = $("telemetry");
+    root.innerHTML = "";
+    if (series.length === 0) {
+      root.textContent = "No telemetry reported yet.";
+      return;
+    }
+    for (const r of results) root.appendChild(telemetryChart(r, range));
+    if (series.length > shown.length) {
+      const more = document.createElement("div");
+      more.style.cssText = "font-size:12px; color:#666;";
+      more.textContent = `+${series.length - shown.length} more series`;
+      root.appendChild(more);
     }
+  } catch (e) {
+    setStatus("failed to load telemetry: " + e.message);
   }
-
-  if (!silent) setStatus(`agents: ${list.length}`);
-  return list;
 }
 
-// ---------- Agent selection + devices ----------
-async function selectAgent(agentId) {
-  selectedAgentId = agentId;
+// ---------- Site maintenance windows ----------
+// text form: one window per line, "mon,tue 22:00-04:00"
+function formatWindows(windows) {
+  return windows.map(w => `${w.days.join(",")} ${w.start}-${w.end}`).join("\n");
+}
 
-  $("job").textContent = "";
-  $("pairInfo").textContent = "";
-  $("devices").innerHTML = "";
-  $("deviceSelect").innerHTML = "";
+function parseWindows(text) {
+  const windows = [];
+  for (const line of text.split("\n").map(l => l.trim()).filter(Boolean)) {
+    const m = /^(\S+)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(line);
+    if (!m) return { error: `cannot read window "${line}"` };
+    const pad = (t) => t.padStart(5, "0");
+    windows.push({ days: m[1].split(",").filter(Boolean), start: pad(m[2]), end: pad(m[3]) });
+  }
+  return { windows };
+}
 
-  const a = allAgents.find(x => x.agentId === agentId);
-  const online = !!a?.online;
+function siteQuery(a) {
+  return currentUser?.role === "global-admin" ? `?tenantId=${encodeURIComponent(a.tenantId)}` : "";
+}
 
-  $("agentDetails").textContent = `Selected agent: ${agentId} ${online ? "(online)" : "(offline)"} | tenant: ${a?.tenantId ?? "UNPAIRED"}`;
-  $("genCode").disabled = false;
-  $("unpair").disabled = false;
+async function loadSiteWindows() {
+  const a = agentCache.get(selectedAgentId);
+  const canEdit = isAdmin();
+  $("siteWindowsEdit").style.display = "none";
+  if (!a?.siteId || !a.tenantId) {
+    $("siteWindowsInfo").textContent = "Agent has no site.";
+    return;
+  }
 
-  setStatus("loading devices...");
   try {
-    const devices = await api(`/portal/agents/${agentId}/devices`);
-    renderDevices(devices);
+    const site = await api(`/portal/sites/${encodeURIComponent(a.siteId)}/maintenance-windows${siteQuery(a)}`);
+    $("siteWindowsInfo").textContent = site.windows.length
+      ? `Site ${site.siteId} (${site.timezone}): ${site.openNow ? "open now" : `closed, opens ${fmtTime(site.nextOpenAt)} UTC`}`
+      : `Site ${site.siteId}: no windows, always open`;
+    $("siteTimezone").value = site.timezone ?? Intl.DateTimeFormat().resolvedOptions().timeZone;
+    $("siteWindows").value = formatWindows(site.windows);
+    $("siteWindowsEdit").style.display = canEdit ? "" : "none";
+  } catch (e) {
+    $("siteWindowsInfo").textContent = "failed to load maintenance windows: " + e.message;
+  }
+}
 
-    // firmware only if online and devices exist
-    $("startJob").disabled = !(online && devices.length > 0);
+async function saveSiteWindows() {
+  const a = agentCache.get(selectedAgentId);
+  if (!a?.siteId) return;
+  const { windows, error } = parseWindows($("siteWindows").value);
+  if (error) {
+    setStatus(error);
+    return;
+  }
 
-    setStatus(`devices: ${devices.length}`);
+  try {
+    await api(`/portal/sites/${encodeURIComponent(a.siteId)}/maintenance-windows${siteQuery(a)}`, {
+      method: "PUT",
+      body: JSON.stringify({ timezone: $("siteTimezone").value.trim(), windows })
+    });
+    setStatus("maintenance windows saved ✅");
+    await loadSiteWindows();
+    loadJobHistory(); // eligibility of queued jobs changed
   } catch (e) {
-    setStatus("failed to load devices: " + e.message);
-    $("startJob").disabled = true;
+    setStatus("saving windows failed: " + e.message);
   }
 }
 
-function renderDevices(devices) {
-  const root = $("devices");
-  root.innerHTML = "";
+// ---------- Job history ----------
+function fmtTime(iso) {
+  return iso ? iso.replace("T", " ").slice(0, 19) : "-";
+}
 
-  const sel = $("deviceSelect");
+// queued jobs carry eligibleAt (null = cannot run before notAfter)
+function describeEligibility(j) {
+  if (j.eligibleAt === null) return "will not be dispatched before its notAfter";
+  if (!j.eligibleAt || Date.parse(j.eligibleAt) <= Date.now()) return "eligible now, waiting for agent";
+  return `eligible from ${fmtTime(j.eligibleAt)}`;
+}
+
+function fillJobsDeviceFilter(devices) {
+  const sel = $("jobsDevice");
+  const keep = sel.value;
+  sel.innerHTML = `<option value="">all</option>`;
+  for (const d of devices) {
+    const opt = document.createElement("option");
+    opt.value = d.deviceId;
+    opt.textContent = d.deviceId;
+    sel.appendChild(opt);
+  }
+  // a device that is no longer reported can still have history
+  if (keep && !devices.some(d => d.deviceId === keep)) {
+    const opt = document.createElement("option");
+    opt.value = keep;
+    opt.textContent = `${keep} (gone)`;
+    sel.appendChild(opt);
+  }
+  sel.value = keep;
+}
+
+function jobHistoryFilter() {
+  const f = { agentId: selectedAgentId };
+  if ($("jobsDevice").value) f.deviceId = $("jobsDevice").value;
+  if ($("jobsType").value) f.type = $("jobsType").value;
+  if ($("jobsStatus").value) f.status = $("jobsStatus").value;
+  return f;
+}
+
+function matchesJobHistoryFilter(j) {
+  const f = jobHistoryFilter();
+  if (j.agentId !== f.agentId) return false;
+  if (f.deviceId && j.deviceId !== f.deviceId) return false;
+  if (f.type && j.type !== f.type) return false;
+  if (f.status && !f.status.split(",").includes(j.status)) return false;
+  return true;
+}
+
+function jobHistoryRow(j) {
+  const tr = document.createElement("tr");
+  tr.dataset.jobId = j.jobId;
+  if (j.jobId === currentJobId) tr.className = "selected";
+  const message = j.status === "queued" ? describeEligibility(j) : j.message ?? "";
+  const cells = [fmtTime(j.createdAt), j.type, j.deviceId ?? "-", j.status, `${j.progress ?? 0}%`, message];
+  for (const text of cells) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    tr.appendChild(td);
+  }
+  tr.onclick = () => pollJob(j.jobId);
+  return tr;
+}
+
+// Live update: replace the row in place, or prepend a new job (list is newest first)
+function upsertJobRow(j) {
+  const existing = [...$("jobHistory").children].find(tr => tr.dataset.jobId === j.jobId);
+  if (existing) {
+    if (matchesJobHistoryFilter(j)) existing.replaceWith(jobHistoryRow(j));
+    else existing.remove();
+  } else if (matchesJobHistoryFilter(j)) {
+    $("jobHistory").prepend(jobHistoryRow(j));
+  }
+}
+
+async function loadJobHistory({ more = false } = {}) {
+  if (!selectedAgentId) return;
+  const agentId = selectedAgentId;
+  const qs = new URLSearchParams({ ...jobHistoryFilter(), limit: "20" });
+  if (more && jobsCursor) qs.set("cursor", jobsCursor);
+
+  try {
+    const res = await api(`/portal/jobs?${qs}`);
+    if (agentId !== selectedAgentId) return; // selection changed meanwhile
+    if (!more) $("jobHistory").innerHTML = "";
+    for (const j of res.jobs) $("jobHistory").appendChild(jobHistoryRow(j));
+    jobsCursor = res.nextCursor;
+    $("jobsMore").style.display = jobsCursor ? "" : "none";
+  } catch (e) {
+    setStatus("failed to load job history: " + e.message);
+  }
+}
+
+// ---------- Campaigns ----------
+async function loadCampaignArtifacts() {
+  const list = await api(`/portal/artifacts?kind=firmware`);
+  const sel = $("campArtifact");
+  const keep = sel.value;
   sel.innerHTML = "";
+  for (const x of list) {
+    const opt = document.createElement("option");
+    opt.value = x.artifactId;
+    opt.textContent = `${x.filename} v${x.version} (${x.models.join(", ")})`;
+    sel.appendChild(opt);
+  }
+  if (keep) sel.value = keep;
+}
 
-  if (devices.length === 0) {
-    root.textContent = "No devices reported yet (agent must report devices).";
+function renderCampaigns(list) {
+  const root = $("campaigns");
+  root.innerHTML = "";
+  if (list.length === 0) {
+    root.innerHTML = `<div style="color:#666; font-size:14px;">No campaigns yet.</div>`;
     return;
   }
 
-  for (const d of devices) {
-    const row = document.createElement("div");
-    row.className = "agent";
-    row.innerHTML = `
-      <div><b>${d.model}</b> <span class="badge">${d.deviceId}</span></div>
-      <div style="font-size:12px; color:#666;">
-        SN: ${d.serialNumber ?? "-"} | FW: ${d.fwVersion ?? "-"} | status: ${d.status}
+  for (const c of list) {
+    const p = c.progress;
+    const div = document.createElement("div");
+    div.className = "agent";
+    div.style.cursor = "default";
+    const counts = Object.entries(p.byStatus).map(([k, v]) => `${k}: ${v}`).join(" | ");
+    const wave = c.currentWave >= 0 ? `wave ${c.currentWave + 1}/${c.waveCount}` : "-";
+    div.innerHTML = `
+      <div style="display:flex; justify-content:space-between; gap:10px; align-items:center;">
+        <b></b>
+        <span class="badge">${c.status}</span>
       </div>
+      <div class="progress"><div style="width:${p.percentComplete}%"></div></div>
+      <div style="font-size:12px; color:#555;">
+        ${p.finished}/${p.total} done | ${wave} | failure rate ${(p.failureRate * 100).toFixed(0)}%
+        (max ${(c.failureThreshold * 100).toFixed(0)}%) | ${counts}
+      </div>
+      <div class="paused-reason" style="font-size:12px; color:#b33;"></div>
     `;
-    root.appendChild(row);
+    div.querySelector("b").textContent = c.name;
+    div.querySelector(".paused-reason").textContent = c.pausedReason ?? "";
 
-    const opt = document.createElement("option");
-    opt.value = d.deviceId;
-    opt.textContent = `${d.deviceId} (${d.model})`;
-    sel.appendChild(opt);
+    const actions = document.createElement("div");
+    actions.className = "row";
+    actions.style.marginTop = "4px";
+    const addAction = (label, action) => {
+      const b = document.createElement("button");
+      b.textContent = label;
+      b.onclick = () => campaignAction(c.campaignId, action);
+      actions.appendChild(b);
+    };
+    if (c.status === "running") addAction("Pause", "pause");
+    if (c.status === "paused") addAction("Resume", "resume");
+    if (c.status === "running" || c.status === "paused") addAction("Cancel", "cancel");
+    div.appendChild(actions);
+
+    root.appendChild(div);
   }
 }
 
-// ---------- Jobs ----------
-async function startFirmwareJob() {
-  if (!selectedAgentId) return;
+async function refreshCampaigns() {
+  renderCampaigns(await api(`/portal/campaigns`));
+}
 
-  const a = allAgents.find(x => x.agentId === selectedAgentId);
-  if (!a?.online) {
-    setStatus("agent offline — cannot start job");
+async function createCampaign() {
+  const name = $("campName").value.trim();
+  const artifactId = $("campArtifact").value;
+  if (!name || !artifactId) {
+    setStatus("enter a campaign name and choose an artifact");
+    return;
+  }
+
+  const target = {};
+  if ($("campSite").value.trim()) target.siteId = $("campSite").value.trim();
+  if ($("campModel").value.trim()) target.model = $("campModel").value.trim();
+  if ($("campFw").value.trim()) target.fwVersion = $("campFw").value.trim();
+
+  setStatus("creating campaign...");
+  try {
+    const res = await api(`/portal/campaigns`, {
+      method: "POST",
+      body: JSON.stringify({
+        name,
+        artifactId,
+        target,
+        tenantId: $("tenant").value.trim(),
+        canaryPercent: Number($("campCanary").value),
+        batchSize: Number($("campBatch").value),
+        failureThreshold: Number($("campThreshold").value) / 100
+      })
+    });
+    setStatus(`campaign started: ${res.devices} devices in ${res.waves} waves ✅`);
+    await refreshCampaigns();
+  } catch (e) {
+    setStatus("campaign failed: " + e.message);
+  }
+}
+
+async function campaignAction(campaignId, action) {
+  try {
+    await api(`/portal/campaigns/${campaignId}/${action}`, { method: "POST" });
+    await refreshCampaigns();
+  } catch (e) {
+    setStatus(`campaign ${action} failed: ` + e.message);
+  }
+}
+
+// ---------- Activity (audit log) ----------
+function activityFilter() {
+  const f = {};
+  if ($("activitySelectedOnly").checked && selectedAgentId) f.agentId = selectedAgentId;
+  if ($("activityActor").value.trim()) f.actor = $("activityActor").value.trim();
+  if ($("activityAction").value) f.action = $("activityAction").value;
+  if ($("activityFrom").value) f.from = new Date($("activityFrom").value).toISOString();
+  if ($("activityTo").value) f.to = new Date($("activityTo").value).toISOString();
+  return f;
+}
+
+function matchesActivityFilter(e) {
+  const f = activityFilter();
+  if (f.agentId && e.agentId !== f.agentId) return false;
+  if (f.actor && e.actor.id !== f.actor) return false;
+  if (f.action && !e.action.startsWith(f.action)) return false;
+  if (f.to) return false; // a bounded range does not grow
+  return true;
+}
+
+function describeChange(e) {
+  const parts = [];
+  const keys = new Set([...Object.keys(e.before ?? {}), ...Object.keys(e.after ?? {})]);
+  for (const k of keys) {
+    const from = e.before?.[k];
+    const to = e.after?.[k];
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    const fmt = (v) => (v === undefined ? "" : typeof v === "object" && v !== null ? JSON.stringify(v) : String(v));
+    parts.push(e.before ? `${k}: ${fmt(from)} → ${fmt(to)}` : `${k}: ${fmt(to)}`);
+  }
+  return parts.join("; ");
+}
+
+function activityRow(e) {
+  const tr = document.createElement("tr");
+  const cells = [
+    e.at.replace("T", " ").slice(0, 19),
+    `${e.actor.type}:${e.actor.id}`,
+    e.action,
+    e.target ? `${e.target.type} ${e.target.id}` : "-",
+    describeChange(e)
+  ];
+  cells.forEach((text, i) => {
+    const td = document.createElement("td");
+    td.textContent = text;
+    if (i === 4) td.className = "change";
+    tr.appendChild(td);
+  });
+  return tr;
+}
+
+async function loadActivity({ more = false } = {}) {
+  const qs = new URLSearchParams({ ...activityFilter(), limit: "50" });
+  if (more && activityCursor) qs.set("before", activityCursor);
+
+  try {
+    const res = await api(`/portal/audit?${qs}`);
+    if (!more) $("activity").innerHTML = "";
+    for (const e of res.entries) $("activity").appendChild(activityRow(e));
+    activityCursor = res.nextCursor;
+    $("activityMore").style.display = activityCursor ? "" : "none";
+  } catch (e) {
+    setStatus("failed to load activity: " + e.message);
+  }
+}
+
+// ---------- Webhooks ----------
+async function refreshWebhooks() {
+  if (!isAdmin()) return;
+  const [list, names] = await Promise.all([api(`/portal/webhooks`), api(`/portal/webhooks/events`)]);
+  $("hookEventNames").textContent = `events: ${names.join(", ")} (or "prefix.*", "*")`;
+
+  const root = $("webhooks");
+  root.innerHTML = "";
+  if (list.length === 0) {
+    root.innerHTML = `<div style="color:#666; font-size:14px;">No webhooks yet.</div>`;
     return;
   }
 
-  const deviceId = $("deviceSelect").value;
-  const artifactId = $("artifactId").value.trim();
-  if (!deviceId || !artifactId) {
-    setStatus("missing deviceId or artifactId");
+  for (const w of list) {
+    const div = document.createElement("div");
+    div.className = "agent";
+    div.style.cursor = "default";
+    div.innerHTML = `
+      <div style="display:flex; justify-content:space-between; gap:10px; align-items:center;">
+        <b class="hook-url"></b>
+        <span class="badge">${w.active ? "active" : "paused"}</span>
+      </div>
+      <div style="font-size:12px; color:#555;" class="hook-meta"></div>
+    `;
+    div.querySelector(".hook-url").textContent = w.url;
+    div.querySelector(".hook-meta").textContent =
+      `${w.events.join(", ")} | tenant: ${w.tenantId}${w.description ? " | " + w.description : ""}`;
+
+    const actions = document.createElement("div");
+    actions.className = "row";
+    actions.style.marginTop = "4px";
+    const addAction = (label, fn) => {
+      const b = document.createElement("button");
+      b.textContent = label;
+      b.onclick = fn;
+      actions.appendChild(b);
+    };
+    addAction(w.active ? "Pause" : "Activate", () => webhookRequest(w, "PATCH", "", { active: !w.active }));
+    addAction("Send test", () => webhookRequest(w, "POST", "/test").then(() => setTimeout(() => showDeliveries(w), 1000)));
+    addAction("Deliveries", () => showDeliveries(w));
+    addAction("Rotate secret", async () => {
+      const res = await webhookRequest(w, "POST", "/rotate-secret");
+      if (res) $("hookSecret").textContent = `New signing secret for ${w.url} (shown once):\n${res.secret}`;
+    });
+    addAction("Delete", () => {
+      if (confirm(`Delete webhook ${w.url}?`)) webhookRequest(w, "DELETE", "");
+    });
+    div.appendChild(actions);
+    root.appendChild(div);
+  }
+}
+
+async function webhookRequest(w, method, suffix, body) {
+  try {
+    const res = await api(`/portal/webhooks/${w.webhookId}${suffix}`, {
+      method,
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+    await refreshWebhooks();
+    return res;
+  } catch (e) {
+    setStatus("webhook request failed: " + e.message);
+    return null;
+  }
+}
+
+async function createWebhook() {
+  const url = $("hookUrl").value.trim();
+  const events = $("hookEvents").value.split(",").map(x => x.trim()).filter(Boolean);
+  if (!url || events.length === 0) {
+    setStatus("enter a URL and at least one event");
     return;
   }
 
-  setStatus("starting job...");
   try {
-    const res = await api(`/portal/agents/${selectedAgentId}/jobs/firmware-update`, {
+    const res = await api(`/portal/webhooks`, {
       method: "POST",
-      body: JSON.stringify({ deviceId, artifactId })
+      body: JSON.stringify({
+        url,
+        events,
+        description: $("hookDescription").value.trim() || undefined,
+        tenantId: $("tenant").value.trim()
+      })
     });
+    $("hookSecret").textContent = `Signing secret for ${url} (shown once):\n${res.secret}`;
+    $("hookUrl").value = "";
+    setStatus("webhook added ✅");
+    await refreshWebhooks();
+  } catch (e) {
+    setStatus("adding webhook failed: " + e.message);
+  }
+}
 
-    const jobId = res.jobId;
-    setStatus(`job started: ${jobId}`);
-    pollJob(jobId);
+async function showDeliveries(w) {
+  const root = $("hookDeliveries");
+  try {
+    const res = await api(`/portal/webhooks/${w.webhookId}/deliveries?limit=20`);
+    root.innerHTML = `
+      <h3 style="margin-top:12px;"></h3>
+      <table class="activity">
+        <thead><tr><th>Created</th><th>Event</th><th>Status</th><th>Attempts</th><th>Response</th><th></th></tr></thead>
+        <tbody></tbody>
+      </table>
+    `;
+    root.querySelector("h3").textContent = `Deliveries to ${w.url}`;
+    const body = root.querySelector("tbody");
+    for (const d of res.deliveries) {
+      const tr = document.createElement("tr");
+      const response = d.lastError ?? (d.responseStatus ? `HTTP ${d.responseStatus}` : "-");
+      for (const text of [fmtTime(d.createdAt), d.event, d.status, String(d.attempts), response]) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      const td = document.createElement("td");
+      if (d.status !== "pending") {
+        const b = document.createElement("button");
+        b.textContent = "Redeliver";
+        b.onclick = async () => {
+          await webhookRequest(w, "POST", `/deliveries/${d.deliveryId}/redeliver`);
+          setTimeout(() => showDeliveries(w), 1000);
+        };
+        td.appendChild(b);
+      }
+      tr.appendChild(td);
+      body.appendChild(tr);
+    }
   } catch (e) {
-    setStatus("job start failed: " + e.message);
+    setStatus("failed to load deliveries: " + e.message);
   }
 }
 
-async function pollJob(jobId) {
-  if (jobPollTimer) clearInterval(jobPollTimer);
+// ---------- Fleet inventory ----------
+let importCsv = null; // the previewed file; Apply sends exactly what was previewed
 
-  async function tick() {
-    try {
-      const j = await api(`/portal/jobs/${jobId}`);
-      $("job").textContent = JSON.stringify(j, null, 2);
+function fillInventoryFilters() {
+  const tenants = allTenants.map(t => [t.tenantId, t.name]);
+  const options = currentUser?.role === "global-admin" ? [["", "all tenants"], ...tenants] : tenants;
+  const keep = $("invTenant").value;
+  fillOptions($("invTenant"), options, options.some(([v]) => v === keep) ? keep : options[0]?.[0] ?? "");
+  fillInventorySites();
+}
 
-      if (j.status === "succeeded" || j.status === "failed") {
-        clearInterval(jobPollTimer);
-        jobPollTimer = null;
-        setStatus(`job finished: ${j.status}`);
-      }
-    } catch (e) {
-      setStatus("job poll failed: " + e.message);
-      clearInterval(jobPollTimer);
-      jobPollTimer = null;
+function fillInventorySites() {
+  const tenantId = $("invTenant").value;
+  const keep = $("invSite").value;
+  const sites = allSites.filter(s => s.tenantId === tenantId).map(s => [s.siteId, s.name]);
+  fillOptions($("invSite"), [["", "all sites"], ...sites], sites.some(([v]) => v === keep) ? keep : "");
+}
+
+// Downloads through fetch so a failure ends up in the status line
+async function exportInventory(format) {
+  const qs = new URLSearchParams({ format });
+  if ($("invTenant").value) qs.set("tenantId", $("invTenant").value);
+  if ($("invSite").value) qs.set("siteId", $("invSite").value);
+
+  setStatus(`exporting inventory (${format})...`);
+  try {
+    const res = await fetch(`/portal/inventory/export?${qs}`);
+    if (!res.ok) throw new Error(`${res.status} ${await res.text()}`);
+    const filename = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") ?? "")?.[1] ?? `inventory.${format}`;
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 10_000);
+    setStatus(`inventory exported to ${filename} ✅`);
+  } catch (e) {
+    setStatus("export failed: " + e.message);
+  }
+}
+
+function sendImport(dryRun) {
+  return api(`/portal/inventory/import${dryRun ? "?dryRun=true" : ""}`, {
+    method: "POST",
+    headers: { "Content-Type": "text/csv" },
+    body: importCsv
+  });
+}
+
+function renderImportResult(res) {
+  const root = $("importResult");
+  root.innerHTML = "";
+  const { rows, changes, unchanged, errors } = res.summary;
+  const head = document.createElement("div");
+  head.textContent = `${res.applied ? "Applied" : "Preview"}: ${rows} rows, ${changes} agents to change, ${unchanged} unchanged, ${errors} errors`;
+  root.appendChild(head);
+  if (res.changes.length + res.errors.length === 0) return;
+
+  const table = document.createElement("table");
+  table.className = "activity";
+  table.innerHTML = "<thead><tr><th>Line</th><th>Agent</th><th>Change</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  const addRow = (cells, className = "") => {
+    const tr = document.createElement("tr");
+    tr.className = className;
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
     }
+    tbody.appendChild(tr);
+  };
+
+  for (const e of res.errors) {
+    addRow([e.line, e.agentId ?? "", `${e.error}${e.siteId ? ` (${e.siteId})` : ""}${e.field ? ` (${e.field})` : ""}`], "import-error");
+  }
+  for (const c of res.changes) {
+    const parts = [];
+    if (c.before.displayName !== c.after.displayName) parts.push(`name: ${c.before.displayName} → ${c.after.displayName}`);
+    if (c.before.siteId !== c.after.siteId) parts.push(`site: ${c.before.siteId ?? "(none)"} → ${c.after.siteId}`);
+    addRow([c.lines.join(", "), `${c.before.displayName} (${c.agentId.slice(0, 8)})`, parts.join("; ")]);
   }
+  table.appendChild(tbody);
+  root.appendChild(table);
+}
 
-  await tick();
-  jobPollTimer = setInterval(tick, 1000);
+async function previewImport() {
+  const file = $("importFile").files[0];
+  if (!file) {
+    setStatus("choose a CSV file");
+    return;
+  }
+  importCsv = await file.text();
+  $("importApply").disabled = true;
+
+  setStatus("checking import...");
+  try {
+    const res = await sendImport(true);
+    renderImportResult(res);
+    $("importApply").disabled = res.summary.errors > 0 || res.summary.changes === 0;
+    setStatus(`import preview: ${res.summary.changes} changes, ${res.summary.errors} errors`);
+  } catch (e) {
+    $("importResult").textContent = "";
+    setStatus("import preview failed: " + e.message);
+  }
+}
+
+async function applyImport() {
+  if (!importCsv) return;
+  $("importApply").disabled = true;
+  setStatus("importing...");
+  try {
+    const res = await sendImport(false);
+    renderImportResult(res);
+    importCsv = null;
+    $("importFile").value = "";
+    setStatus(`import done: ${res.summary.changes} agents updated ✅`);
+    await refreshAgents({ silent: true });
+  } catch (e) {
+    setStatus("import failed: " + e.message);
+  }
 }
 
 // ---------- Pairing (existing) ----------
@@ -257,7 +2226,7 @@ async function pairAgentFromUi() {
     setStatus("enter pairing code");
     return;
   }
-  if (!tenantId) {
+  if (!tenantId && currentUser?.role === "global-admin") {
     setStatus("enter tenantId (e.g. hilscher-demo or customer-x)");
     return;
   }
@@ -269,7 +2238,6 @@ async function pairAgentFromUi() {
       body: JSON.stringify({
         pairingCode,
         tenantId,
-        userId: "achraf",
         displayName,
         siteId
       })
@@ -277,7 +2245,7 @@ async function pairAgentFromUi() {
 
     setStatus("paired ✅");
     $("pairingCode").value = "";
-    await refreshAllAgents();
+    await refreshAgents();
   } catch (e) {
     setStatus("pair failed: " + e.message);
   }
@@ -288,13 +2256,16 @@ async function unpairSelectedAgent() {
   if (!selectedAgentId) return;
   setStatus("unpairing...");
   try {
-    await api(`/portal/agents/${selectedAgentId}/unpair`, { method: "POST" });
+    await api(`/portal/agents/${selectedAgentId}/unpair`, {
+      method: "POST",
+      body: JSON.stringify({ revokeCredentials: $("revokeCreds").checked })
+    });
     $("pairInfo").textContent = "";
     setStatus("unpaired ✅");
     // keep selectedAgentId; user might want to generate code immediately
-    await refreshAllAgents();
+    await refreshAgents();
     // after refresh, selected agent is still present but under UNPAIRED
-    const a = allAgents.find(x => x.agentId === selectedAgentId);
+    const a = agentCache.get(selectedAgentId);
     $("agentDetails").textContent = `Selected agent: ${selectedAgentId} | tenant: ${a?.tenantId ?? "UNPAIRED"}`;
   } catch (e) {
     setStatus("unpair failed: " + e.message);
@@ -306,28 +2277,116 @@ async function generatePairingCodeForSelectedAgent() {
   setStatus("generating code...");
   try {
     const res = await api(`/portal/agents/${selectedAgentId}/pairing-code`, { method: "POST" });
-    $("pairInfo").textContent = `Pairing Code: ${res.pairingCode}\nExpires: ${res.expiresAt}`;
+    // qrSvg is rendered by our own server from the pairing URL
+    $("pairInfo").innerHTML = `${res.qrSvg}<div></div>`;
+    $("pairInfo").querySelector("div").textContent =
+      `Pairing Code: ${res.pairingCode}\nExpires: ${res.expiresAt}\n(older codes of this agent no longer work)`;
     setStatus("pairing code generated ✅");
+    await refreshPendingCodes();
   } catch (e) {
     setStatus("code gen failed: " + e.message);
   }
 }
 
+async function refreshPendingCodes() {
+  if (!isAdmin()) return;
+  const list = await api(`/portal/pairing-codes`);
+  const root = $("pendingCodes");
+  root.innerHTML = "";
+  if (list.length === 0) {
+    root.innerHTML = `<div style="color:#666; font-size:14px;">No pending codes.</div>`;
+    return;
+  }
+  for (const p of list) {
+    const row = document.createElement("div");
+    row.className = "row";
+    row.style.fontSize = "13px";
+    const text = document.createElement("span");
+    text.textContent = `${p.codeHint} · ${p.displayName} (${p.agentId.slice(0, 8)}) · expires ${fmtTime(p.expiresAt)}`;
+    const b = document.createElement("button");
+    b.textContent = "Revoke";
+    b.onclick = async () => {
+      try {
+        await api(`/portal/agents/${p.agentId}/pairing-code`, { method: "DELETE" });
+        setStatus("pairing code revoked ✅");
+      } catch (e) {
+        setStatus("revoke failed: " + e.message);
+      }
+      await refreshPendingCodes();
+    };
+    row.append(text, b);
+    root.appendChild(row);
+  }
+}
+
 // ---------- Bind UI ----------
-$("refresh").onclick = () => refreshAllAgents().catch(e => setStatus(String(e)));
-$("startJob").onclick = startFirmwareJob;
+$("loginBtn").onclick = login;
+$("logoutBtn").onclick = logout;
+$("loginPassword").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") login();
+});
+$("refresh").onclick = () => refreshAgents().catch(e => setStatus(String(e)));
+$("agentSearch").oninput = applySearchSoon;
+$("filterField").onchange = fillFilterValues;
+$("filterValue").onfocus = fillFilterValues;
+$("addFilter").onclick = addSearchFilter;
+$("filterValue").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") addSearchFilter();
+});
+$("startJob").onclick = startJob;
+$("jobType").onchange = renderJobForm;
+for (const id of ["jobsDevice", "jobsType", "jobsStatus"]) $(id).onchange = () => loadJobHistory();
+$("jobsMore").onclick = () => loadJobHistory({ more: true });
+$("saveSiteWindows").onclick = saveSiteWindows;
+$("queueIfOffline").onchange = updateStartJobButton;
+$("telemetryRange").onchange = () => loadTelemetry();
+$("uploadArtifact").onclick = uploadArtifact;
+$("artifactKind").onchange = updateArtifactKind;
+$("cancelJob").onclick = cancelCurrentJob;
+$("createCampaign").onclick = createCampaign;
+$("activityLoad").onclick = () => loadActivity();
+$("activityMore").onclick = () => loadActivity({ more: true });
+$("createHook").onclick = createWebhook;
+$("deviceSelect").onchange = () => loadArtifactsForDevice().catch(e => setStatus(String(e)));
 $("pairBtn").onclick = pairAgentFromUi;
+$("tenant").oninput = fillPairingLists;
+$("addTenant").onclick = addTenant;
+$("moveTenant").onchange = () => fillMoveSites();
+$("moveAgent").onclick = moveSelectedAgent;
 $("genCode").onclick = generatePairingCodeForSelectedAgent;
 $("unpair").onclick = unpairSelectedAgent;
+$("invTenant").onchange = fillInventorySites;
+$("exportCsv").onclick = () => exportInventory("csv");
+$("exportJson").onclick = () => exportInventory("json");
+$("importPreview").onclick = previewImport;
+$("driftStatus").onchange = () => loadDrift().catch(e => setStatus("failed to load drift: " + e.message));
+$("driftLoad").onclick = () => loadDrift().catch(e => setStatus("failed to load drift: " + e.message));
+$("importApply").onclick = applyImport;
+$("importFile").onchange = () => {
+  $("importApply").disabled = true;
+  $("importResult").textContent = "";
+};
 
 $("pairingCode").addEventListener("keydown", (e) => {
   if (e.key === "Enter") pairAgentFromUi();
 });
 
+// a scanned pairing QR code opens /ui/?pairingCode=...
+const linkedCode = new URLSearchParams(location.search).get("pairingCode");
+if (linkedCode) $("pairingCode").value = linkedCode;
+
 // initial load
-refreshAllAgents().catch(e => setStatus(String(e)));
+fillFilterValues();
+restoreSession();
 
-// auto refresh
+// fallback polling while the event stream is unavailable
 setInterval(() => {
-  refreshAllAgents({ silent: true }).catch(() => {});
+  if (!currentUser || liveEvents) return;
+  refreshAgents({ silent: true }).catch(() => {});
+  refreshCampaigns().catch(() => {});
 }, 3000);
+
+// telemetry charts only refresh from events; poll them slowly without a stream
+setInterval(() => {
+  if (currentUser && !liveEvents) loadTelemetry();
+}, 30_000);
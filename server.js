@@ -1,9 +1,48 @@
 import express from "express";
-import { nanoid } from "nanoid";
 import crypto from "crypto";
+import QRCode from "qrcode";
+import { openStore } from "./lib/store/index.js";
+import { createAgentAuth } from "./lib/agentAuth.js";
+import {
+  createPortalAuth, ROLES, hasRole, isGlobalAdmin, canAccessTenant, publicUser, sessionCookie, clearedSessionCookie
+} from "./lib/portalAuth.js";
+import { createArtifactRepository, parseModels, isCompatible, ARTIFACT_KINDS } from "./lib/artifacts.js";
+import { createJobQueue } from "./lib/jobQueue.js";
+import { AGENT_REPORTABLE_STATES, isTerminal, canTransition, transition } from "./lib/jobStates.js";
+import { createCampaignEngine, matchesTarget, CAMPAIGN_DEFAULTS } from "./lib/campaigns.js";
+import { createEventBus, openSseStream } from "./lib/events.js";
+import { createInventoryHistory } from "./lib/inventory.js";
+import { createAuditLog, SYSTEM_ACTOR, userActor, agentActor, pick } from "./lib/audit.js";
+import {
+  getJobType, listJobTypes, validatePayload, agentSupports, capabilityNames, meetsMinAgentVersion
+} from "./lib/jobTypes.js";
+import { queryJobs, JobQueryError } from "./lib/jobHistory.js";
+import { createTelemetryStore, RESOLUTIONS } from "./lib/telemetry.js";
+import {
+  createWebhookDispatcher, toWebhookEvents, isValidEventFilter, isValidWebhookUrl, targetsPrivateNetwork, generateSecret, WEBHOOK_EVENTS
+} from "./lib/webhooks.js";
+import { createPairingService, maskPairingCode } from "./lib/pairing.js";
+import { createRateLimiter } from "./lib/rateLimit.js";
+import { siteKey, isValidTimeZone, normalizeWindows, isWindowOpen, nextWindowOpen, jobEligibleAt } from "./lib/schedule.js";
+import { buildOpenApiDocument, createApiValidator } from "./lib/openapi/index.js";
+import { toCsv, parseCsv } from "./lib/csv.js";
+import { EXPORT_COLUMNS, exportRows, planImport } from "./lib/fleetInventory.js";
+import { searchAgents, searchDevices, FleetQueryError } from "./lib/fleetSearch.js";
+import { createDiagnosticsRepository, isValidFilename, DEFAULT_MAX_BUNDLES_PER_AGENT } from "./lib/diagnostics.js";
+import {
+  EMPTY_VERSION_POLICY, VERSION_STATUSES, versionStatus, normalizeVersionPolicy, isValidVersion, isSameVersion
+} from "./lib/agentVersions.js";
+import { createTwinReconciler, normalizeDesired, twinKey, TWIN_STATUSES } from "./lib/deviceTwins.js";
+
+// Every /agent and /portal route is described in lib/openapi/spec.js; requests
+// are validated against it, responses too with VALIDATE_RESPONSES=1
+const apiDocument = buildOpenApiDocument();
+const apiValidator = createApiValidator(apiDocument);
 
 const app = express();
 app.use(express.json());
+if (process.env.VALIDATE_RESPONSES === "1") app.use(apiValidator.validateResponses());
+app.use(apiValidator.validateRequest("public"));
 app.use("/ui", express.static("public"));
 
 // ---------- Online detection (TTL) ----------
@@ -14,27 +53,39 @@ function isOnline(agent) {
   return ageMs >= 0 && ageMs < ONLINE_TTL_MS;
 }
 
-// ---------- In-memory storage (Demo) ----------
-const agents = new Map();          // agentId -> agent
-const pairingSessions = new Map(); // pairingCode -> { agentId, expiresAt, usedAt }
-const agentDevices = new Map();    // agentId -> [devices]
-const jobs = new Map();            // jobId -> job
-const agentJobQueue = new Map();   // agentId -> [jobId]
+// ---------- Storage ----------
+const DATA_DIR = process.env.DATA_DIR ?? "./data";
+const store = openStore({
+  driver: process.env.STORE_DRIVER ?? "file",
+  dir: DATA_DIR
+});
+
+const {
+  agents,          // agentId -> agent
+  pairingSessions, // pairingCode -> { agentId, expiresAt, usedAt, revokedAt, ... }
+  agentDevices,    // agentId -> [devices]
+  jobs,            // jobId -> job
+  agentJobQueue,   // agentId -> [jobId]
+  agentCredentials, // agentId -> { secretHash, pending, revokedAt, ... }
+  users,            // userId -> portal user
+  portalTokens,     // tokenId -> login session / API token
+  artifacts,        // artifactId -> firmware artifact metadata
+  campaigns,        // campaignId -> staged rollout campaign
+  inventorySnapshots, // agentId -> [{ at, devices, diff }]
+  deviceHistory,    // "agentId/deviceId" -> [{ at, event, changes?, device }]
+  auditLog,         // entryId -> append-only audit entry
+  tenants,          // tenantId -> { name, createdAt, ... }
+  sites,            // "tenantId:siteId" -> { name, timezone, windows } site + maintenance windows
+  telemetry,        // "agentId/deviceId|-/metric" -> metric series (raw + 1m + 1h)
+  webhooks,         // webhookId -> tenant webhook subscription
+  webhookDeliveries, // deliveryId -> delivery attempt log
+  deviceTwins,      // "agentId/deviceId" -> desired device state + reconcile progress
+  diagnosticBundles // bundleId -> diagnostic bundle uploaded by an agent (file in DATA_DIR/diagnostics)
+} = store.tables;
 
 // ---------- Helpers ----------
 function nowIso() { return new Date().toISOString(); }
 
-function makePairingCode() {
-  const a = nanoid(4).toUpperCase();
-  const b = nanoid(4).toUpperCase();
-  return `${a}-${b}`;
-}
-
-function ensureQueue(agentId) {
-  if (!agentJobQueue.has(agentId)) agentJobQueue.set(agentId, []);
-  return agentJobQueue.get(agentId);
-}
-
 function ensureAgent(agentId, { agentVersion, machineInfo } = {}) {
   if (!agents.has(agentId)) {
     agents.set(agentId, {
@@ -46,6 +97,7 @@ function ensureAgent(agentId, { agentVersion, machineInfo } = {}) {
       lastSeenAt: null,
       agentVersion: agentVersion ?? "unknown",
       capabilities: {},
+      presence: null,
       createdAt: nowIso(),
       pairedAt: null,
       pairedBy: null
@@ -54,24 +106,497 @@ function ensureAgent(agentId, { agentVersion, machineInfo } = {}) {
   return agents.get(agentId);
 }
 
+const agentAuth = createAgentAuth({ agents, agentCredentials, nowIso });
+const portalAuth = createPortalAuth({ users, portalTokens, nowIso });
+const artifactRepo = createArtifactRepository({ artifacts, dir: `${DATA_DIR}/artifacts`, nowIso });
+const inventory = createInventoryHistory({ inventorySnapshots, deviceHistory });
+const telemetryStore = createTelemetryStore({ telemetry });
+const pairing = createPairingService({ pairingSessions, nowIso });
+const diagnosticsRepo = createDiagnosticsRepository({
+  diagnosticBundles,
+  dir: `${DATA_DIR}/diagnostics`,
+  nowIso,
+  maxPerAgent: Number(process.env.MAX_DIAGNOSTICS_PER_AGENT ?? DEFAULT_MAX_BUNDLES_PER_AGENT)
+});
+
+// Failed pairing attempts per client address and per portal user (brute-force
+// guard). Not per tenant: one user's failures must not lock out their colleagues.
+const PAIR_WINDOW_MS = 15 * 60_000;
+const pairLimits = {
+  client: createRateLimiter({ windowMs: PAIR_WINDOW_MS, max: Number(process.env.PAIR_MAX_FAILURES_PER_CLIENT ?? 10) }),
+  user: createRateLimiter({ windowMs: PAIR_WINDOW_MS, max: Number(process.env.PAIR_MAX_FAILURES_PER_USER ?? 10) })
+};
+
+// Failed logins per client address and per client + user id (password guessing)
+const LOGIN_WINDOW_MS = 15 * 60_000;
+const loginLimits = {
+  client: createRateLimiter({ windowMs: LOGIN_WINDOW_MS, max: Number(process.env.LOGIN_MAX_FAILURES_PER_CLIENT ?? 20) }),
+  user: createRateLimiter({ windowMs: LOGIN_WINDOW_MS, max: Number(process.env.LOGIN_MAX_FAILURES_PER_USER ?? 5) })
+};
+
+const MAX_ARTIFACT_BYTES = Number(process.env.MAX_ARTIFACT_BYTES ?? 64 * 1024 * 1024);
+const MAX_DIAGNOSTIC_BYTES = Number(process.env.MAX_DIAGNOSTIC_BYTES ?? 16 * 1024 * 1024);
+
+const bootstrap = portalAuth.ensureBootstrapAdmin(process.env.PORTAL_ADMIN_PASSWORD);
+if (bootstrap?.password) {
+  console.log(`Created portal user "${bootstrap.userId}" with password: ${bootstrap.password}`);
+}
+
+function agentSummary(a) {
+  return {
+    agentId: a.agentId,
+    displayName: a.displayName,
+    siteId: a.siteId,
+    tenantId: a.tenantId,
+    paired: a.paired,
+    online: isOnline(a),
+    lastSeenAt: a.lastSeenAt,
+    agentVersion: a.agentVersion,
+    versionStatus: agentVersionStatus(a)
+  };
+}
+
+// Agent version against its tenant's policy (see lib/agentVersions.js)
+function versionPolicyOf(tenantId) {
+  return tenants.get(tenantId)?.agentVersionPolicy ?? EMPTY_VERSION_POLICY;
+}
+
+function agentVersionStatus(a) {
+  return versionStatus(a.agentVersion, versionPolicyOf(a.tenantId));
+}
+
+// Why the agent's version rules out a job type; -> null or { error, ...details }
+function agentVersionProblem(agent, type) {
+  const def = getJobType(type);
+  if (!meetsMinAgentVersion(agent, type)) {
+    return { error: "AGENT_VERSION_TOO_OLD", required: def.minAgentVersion, agentVersion: agent.agentVersion };
+  }
+  if (!def.updatesAgent && agentVersionStatus(agent) === "unsupported") {
+    return {
+      error: "AGENT_VERSION_UNSUPPORTED",
+      minimum: versionPolicyOf(agent.tenantId).minimum,
+      agentVersion: agent.agentVersion
+    };
+  }
+  return null;
+}
+
+// Agent lookup for portal routes; other tenants' agents are reported as unknown
+function findAgentForUser(req, res) {
+  const { agentId } = req.params;
+  const a = agentId && agents.get(agentId);
+  if (!a || !canAccessTenant(req.user, a.tenantId)) {
+    res.status(404).json({ ok: false, error: "UNKNOWN_AGENT" });
+    return null;
+  }
+  return a;
+}
+
+// Tenant filter for list queries: null = all tenants (global admin without ?tenantId).
+// Sends 403 and returns undefined when a tenant user asks for another tenant.
+function tenantScope(req, res, tenantId) {
+  if (isGlobalAdmin(req.user)) return tenantId ? [tenantId] : null;
+  if (tenantId && tenantId !== req.user.tenantId) {
+    res.status(403).json({ ok: false, error: "TENANT_FORBIDDEN" });
+    return undefined;
+  }
+  return [req.user.tenantId];
+}
+
+// Writes must name an existing tenant, otherwise a typo silently starts a new one
+function requireKnownTenant(res, tenantId) {
+  if (tenants.has(tenantId)) return true;
+  res.status(404).json({ ok: false, error: "UNKNOWN_TENANT", tenantId });
+  return false;
+}
+
+// ---------- Events + presence ----------
+const events = createEventBus();
+
+const audit = createAuditLog({
+  auditLog,
+  nowIso,
+  // kept forever unless a retention is configured
+  ...(process.env.AUDIT_RETENTION_DAYS && { retentionMs: Number(process.env.AUDIT_RETENTION_DAYS) * 24 * 60 * 60_000 }),
+  onRecord: e => events.publish("audit.recorded", { tenantId: e.tenantId, agentId: e.agentId, data: e })
+});
+
+const AGENT_AUDIT_FIELDS = ["tenantId", "siteId", "displayName", "paired", "pairedBy", "agentVersion"];
+const JOB_AUDIT_FIELDS = ["status", "progress", "message"];
+
+function auditJob(actor, action, j, before = null) {
+  audit.record({
+    actor,
+    action,
+    tenantId: j.tenantId,
+    agentId: j.agentId,
+    target: { type: "job", id: j.jobId },
+    before,
+    after: pick(j, JOB_AUDIT_FIELDS)
+  });
+}
+
+function publishAgent(type, a) {
+  events.publish(type, { tenantId: a.tenantId, agentId: a.agentId, data: agentSummary(a) });
+}
+
+// Portal view of a job: queued jobs carry when they become eligible for
+// dispatch (null = not before their notAfter)
+function portalJobView(j) {
+  if (j.status !== "queued") return j;
+  const at = jobEligibleAt(j, siteOfJob(j));
+  return { ...j, eligibleAt: at === null ? null : new Date(at).toISOString() };
+}
+
+function publishJob(j) {
+  events.publish("job.updated", { tenantId: j.tenantId, agentId: j.agentId, data: portalJobView(j) });
+}
+
+// agent.presence is the last online state announced ("online" | "offline" | null = unknown);
+// it is persisted so an agent that went quiet across a restart still gets its offline event
+function touchAgent(agentId) {
+  const a = agents.get(agentId);
+  a.lastSeenAt = nowIso();
+  const cameOnline = a.presence !== "online";
+  a.presence = "online";
+  agents.set(agentId, a);
+  if (cameOnline) publishAgent("agent.online", a);
+  return a;
+}
+
+// Run by the background sweeper: agents whose heartbeat is older than ONLINE_TTL_MS go offline
+function sweepPresence() {
+  for (const a of agents.values()) {
+    if (a.presence === "offline" || isOnline(a)) continue;
+    const wasOnline = a.presence === "online";
+    a.presence = "offline";
+    agents.set(a.agentId, a);
+    if (wasOnline) publishAgent("agent.offline", a);
+  }
+}
+
+// ---------- Webhooks ----------
+const webhookDispatcher = createWebhookDispatcher({
+  webhooks,
+  webhookDeliveries,
+  nowIso,
+  options: {
+    ...(process.env.WEBHOOK_MAX_ATTEMPTS && { maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) }),
+    ...(process.env.WEBHOOK_BACKOFF_MS && { backoffMs: Number(process.env.WEBHOOK_BACKOFF_MS) }),
+    // local receivers for development; never on a shared deployment
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === "1"
+  }
+});
+
+events.subscribe(
+  e => !!e.tenantId,
+  e => {
+    for (const { event, data } of toWebhookEvents(e)) webhookDispatcher.enqueue(e.tenantId, event, data);
+  }
+);
+
+// ---------- Job queue (leases + retry) ----------
+// Maintenance window config of the site the job's agent is at
+function siteOfJob(j) {
+  const a = agents.get(j.agentId);
+  return a?.siteId ? sites.get(siteKey(j.tenantId, a.siteId)) ?? null : null;
+}
+
+const jobQueue = createJobQueue({
+  jobs,
+  agentJobQueue,
+  nowIso,
+  eligibleAt: (j, now) => jobEligibleAt(j, siteOfJob(j), now),
+  options: {
+    ...(process.env.JOB_LEASE_MS && { leaseMs: Number(process.env.JOB_LEASE_MS) }),
+    ...(process.env.JOB_MAX_ATTEMPTS && { maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) }),
+    ...(process.env.JOB_RETRY_BACKOFF_MS && { backoffMs: Number(process.env.JOB_RETRY_BACKOFF_MS) }),
+    ...(process.env.JOB_RUN_TIMEOUT_MS && { runTimeoutMs: Number(process.env.JOB_RUN_TIMEOUT_MS) })
+  }
+});
+
+const JOBS_PER_PULL = 3;
+
+// Jobs for offline agents (opt-in via queueIfOffline) wait this long by default
+const OFFLINE_JOB_TTL_S = Number(process.env.OFFLINE_JOB_TTL_S ?? 24 * 3600);
+const MAX_OFFLINE_JOB_TTL_S = 7 * 24 * 3600;
+
+// What an agent sees of a leased job
+function agentJobView(j) {
+  return {
+    jobId: j.jobId,
+    type: j.type,
+    agentId: j.agentId,
+    deviceId: j.deviceId,
+    payload: j.payload,
+    attempt: j.attempts,
+    leaseExpiresAt: j.lease.expiresAt
+  };
+}
+
+// Agents connected to /agent/events get their jobs pushed instead of polling
+const agentStreams = new Map(); // agentId -> SSE stream
+
+function leaseJobs(agentId) {
+  const taken = jobQueue.take(agentId, JOBS_PER_PULL);
+  for (const j of taken) {
+    publishJob(j);
+    auditJob(SYSTEM_ACTOR, "job.status", j, { status: "queued", progress: j.progress, message: "queued" });
+  }
+  return taken;
+}
+
+function pushJobs(agentId) {
+  const stream = agentStreams.get(agentId);
+  if (!stream) return;
+  const taken = leaseJobs(agentId);
+  if (taken.length === 0) return;
+  stream.send("jobs", { jobs: taken.map(agentJobView) });
+}
+
+function expireLeases() {
+  const changed = jobQueue.expireLeases();
+  for (const j of changed) {
+    publishJob(j);
+    auditJob(SYSTEM_ACTOR, "job.status", j);
+  }
+  return changed;
+}
+
+function cancelJob(j, opts, actor) {
+  const before = pick(j, JOB_AUDIT_FIELDS);
+  const result = jobQueue.cancel(j, opts);
+  publishJob(j);
+  auditJob(actor, result === "cancelled" ? "job.cancel" : "job.cancel-request", j, before);
+  if (result === "cancel-requested") agentStreams.get(j.agentId)?.send("cancel", { jobIds: [j.jobId] });
+  return result;
+}
+
+function createJob({
+  agent, type, deviceId, payload, createdBy, maxAttempts,
+  campaignId = null, notBefore = null, notAfter = null, expiresAt = null
+}) {
+  const jobId = crypto.randomUUID();
+  const job = {
+    jobId,
+    type,
+    agentId: agent.agentId,
+    tenantId: agent.tenantId,
+    deviceId,
+    campaignId,
+    payload,
+    notBefore,
+    notAfter,
+    expiresAt,
+    maintenanceWindow: !!getJobType(type)?.maintenanceWindow,
+    status: "queued",
+    progress: 0,
+    message: "queued",
+    createdBy,
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobQueue.initJob(job, { maxAttempts });
+  jobs.set(jobId, job);
+  jobQueue.enqueue(agent.agentId, jobId);
+  audit.record({
+    actor: createdBy ? { type: "user", id: createdBy } : SYSTEM_ACTOR,
+    action: "job.create",
+    tenantId: job.tenantId,
+    agentId: job.agentId,
+    target: { type: "job", id: jobId },
+    after: pick(job, ["type", "deviceId", "campaignId", "payload", "notBefore", "notAfter", "expiresAt", "status"])
+  });
+  publishJob(job);
+  pushJobs(agent.agentId);
+  return job;
+}
+
+// ---------- Campaigns ----------
+const campaignEngine = createCampaignEngine({
+  campaigns,
+  jobs,
+  nowIso,
+  // called for every device when its wave starts
+  startJob(c, entry) {
+    const agent = agents.get(entry.agentId);
+    if (!agent || agent.tenantId !== c.tenantId) return { error: "AGENT_LEFT_TENANT" };
+    const device = (agentDevices.get(entry.agentId) ?? []).find(d => d.deviceId === entry.deviceId);
+    if (!device) return { error: "DEVICE_GONE" };
+    const artifact = artifacts.get(c.artifactId);
+    if (!artifact) return { error: "UNKNOWN_ARTIFACT" };
+    if (!agentSupports(agent, "firmware-update")) return { error: "CAPABILITY_MISSING" };
+    const versionProblem = agentVersionProblem(agent, "firmware-update");
+    if (versionProblem) return { error: versionProblem.error };
+
+    // an agent that stays offline must not hold up the wave forever: the job expires
+    const ttlS = c.jobTtlSeconds ?? OFFLINE_JOB_TTL_S;
+    const job = createJob({
+      agent,
+      type: "firmware-update",
+      deviceId: entry.deviceId,
+      payload: artifactRepo.integrityInfo(artifact),
+      createdBy: c.createdBy,
+      campaignId: c.campaignId,
+      expiresAt: new Date(Date.now() + ttlS * 1000).toISOString()
+    });
+    return { jobId: job.jobId };
+  },
+  cancelJob: (job, opts) => cancelJob(job, opts, opts.by ? { type: "user", id: opts.by } : SYSTEM_ACTOR),
+  onStatusChange: (c, previous) => auditCampaign(SYSTEM_ACTOR, `campaign.${c.status === "paused" ? "auto-pause" : c.status}`, c, previous)
+});
+
+const CAMPAIGN_AUDIT_FIELDS = ["name", "status", "pausedReason", "artifactId", "currentWave", "failureThreshold"];
+
+function auditCampaign(actor, action, c, previousStatus = null) {
+  audit.record({
+    actor,
+    action,
+    tenantId: c.tenantId,
+    target: { type: "campaign", id: c.campaignId },
+    before: previousStatus ? { status: previousStatus } : null,
+    after: pick(c, CAMPAIGN_AUDIT_FIELDS)
+  });
+}
+
+// ---------- Device twins (desired state) ----------
+// Newest firmware with that version the device's tenant may use
+function firmwareFor(agent, device, fwVersion) {
+  return [...artifacts.values()]
+    .filter(x => x.version === fwVersion && isCompatible(x, device.model))
+    .filter(x => !x.tenantId || x.tenantId === agent.tenantId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] ?? null;
+}
+
+const twinReconciler = createTwinReconciler({
+  deviceTwins,
+  jobs,
+  nowIso,
+  findDevice(twin) {
+    const agent = agents.get(twin.agentId);
+    const device = agent?.paired ? (agentDevices.get(twin.agentId) ?? []).find(d => d.deviceId === twin.deviceId) : null;
+    return device ? { agent, device } : null;
+  },
+  // same checks as a job submitted through the portal, minus the user
+  startJob(twin, { agent, device }, plan) {
+    if (!isOnline(agent)) return { error: "AGENT_OFFLINE" };
+    if (!agentSupports(agent, plan.type)) return { error: "CAPABILITY_MISSING" };
+    const versionProblem = agentVersionProblem(agent, plan.type);
+    if (versionProblem) return { error: versionProblem.error };
+
+    let payload;
+    if (plan.type === "firmware-update") {
+      const artifact = firmwareFor(agent, device, plan.fwVersion);
+      if (!artifact) return { error: "NO_MATCHING_FIRMWARE" };
+      payload = artifactRepo.integrityInfo(artifact);
+    } else {
+      payload = validatePayload(getJobType(plan.type), { parameters: plan.parameters }).payload;
+    }
+    const job = createJob({ agent, type: plan.type, deviceId: device.deviceId, payload, createdBy: null });
+    return { jobId: job.jobId };
+  },
+  onChange: twin => publishTwin(twin)
+});
+
+function twinView(twin) {
+  const a = agents.get(twin.agentId);
+  return {
+    ...twinReconciler.view(twin),
+    tenantId: a?.tenantId ?? null,
+    siteId: a?.siteId ?? null,
+    displayName: a?.displayName ?? null
+  };
+}
+
+function publishTwin(twin) {
+  const view = twinView(twin);
+  events.publish("twin.changed", { tenantId: view.tenantId, agentId: twin.agentId, data: view });
+}
+
+// Desired state belongs to the tenant that set it; unpairing or moving the agent away drops it
+function dropTwins(agentId) {
+  for (const [key, twin] of [...deviceTwins.entries()]) {
+    if (twin.agentId === agentId) deviceTwins.delete(key);
+  }
+}
+
+// ---------- Background sweeper ----------
+const SWEEP_MS = 5_000;
+setInterval(() => {
+  expireLeases();
+  campaignEngine.tick();
+  twinReconciler.tick();
+  sweepPresence();
+  // retries whose backoff ran out
+  for (const agentId of agentStreams.keys()) pushJobs(agentId);
+  webhookDispatcher.processDue();
+}, SWEEP_MS).unref();
+
+// retention work is coarse; once a minute is plenty
+setInterval(() => {
+  telemetryStore.prune();
+  audit.prune();
+  webhookDispatcher.prune();
+  pairing.sweep();
+  pairLimits.client.sweep();
+  pairLimits.user.sweep();
+  loginLimits.client.sweep();
+  loginLimits.user.sweep();
+  portalAuth.pruneExpired();
+}, 60_000).unref();
+
 // ---------- Health ----------
 app.get("/health", (_req, res) => res.json({ ok: true, time: nowIso() }));
 
+// OpenAPI document, e.g. for generating agent clients
+app.get("/openapi.json", (_req, res) => res.json(apiDocument));
+
 /* ==================== AGENT API ==================== */
 
-// Register / re-use agent identity
+// Register agent identity.
+// Without credentials a new agent is created and its token returned (shown only once).
+// Re-registering an existing agentId requires that agent's token.
 app.post("/agent/register", (req, res) => {
   const { agentId: providedId, agentVersion, machineInfo } = req.body ?? {};
-  const agentId = (providedId && typeof providedId === "string") ? providedId : crypto.randomUUID();
 
-  const a = ensureAgent(agentId, { agentVersion, machineInfo });
-  a.lastSeenAt = nowIso();
+  let agentId;
+  let agentToken = null;
+
+  if (providedId || req.get("authorization")) {
+    const auth = agentAuth.authenticate(req.get("authorization"));
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
+    if (providedId && providedId !== auth.agentId) {
+      return res.status(403).json({ ok: false, error: "AGENT_MISMATCH" });
+    }
+    agentId = auth.agentId;
+  } else {
+    agentId = crypto.randomUUID();
+    ensureAgent(agentId, { agentVersion, machineInfo });
+    agentToken = agentAuth.issue(agentId);
+  }
+
+  const a = touchAgent(agentId);
+  const before = pick(a, AGENT_AUDIT_FIELDS);
   a.agentVersion = agentVersion ?? a.agentVersion;
   agents.set(agentId, a);
 
+  audit.record({
+    actor: agentActor(agentId),
+    action: agentToken ? "agent.register" : "agent.reregister",
+    tenantId: a.tenantId,
+    agentId,
+    target: { type: "agent", id: agentId },
+    before: agentToken ? null : before,
+    after: pick(a, AGENT_AUDIT_FIELDS)
+  });
+
   res.json({
     ok: true,
     agentId,
+    agentToken,
     paired: a.paired,
     tenantId: a.tenantId,
     displayName: a.displayName,
@@ -79,268 +604,2040 @@ app.post("/agent/register", (req, res) => {
   });
 });
 
-// Agent requests pairing code for existing agentId
-app.post("/agent/pairing/code", (req, res) => {
-  const { agentId } = req.body ?? {};
-  if (!agentId || !agents.has(agentId)) {
-    return res.status(400).json({ ok: false, error: "UNKNOWN_AGENT" });
-  }
-
-  const pairingCode = makePairingCode();
-  const expiresAt = Date.now() + 10 * 60 * 1000;
-
-  pairingSessions.set(pairingCode, { agentId, expiresAt, usedAt: null });
+// Everything below requires a valid agent token
+app.use("/agent", agentAuth.requireAgent);
+app.use("/agent", apiValidator.validateRequest("authenticated"));
 
+// Agent requests pairing code for itself
+app.post("/agent/pairing/code", (req, res) => {
+  const { agentId } = req;
+  const session = issuePairingCode(req.agent, agentActor(agentId));
   res.json({
     ok: true,
     agentId,
-    pairingCode,
-    expiresAt: new Date(expiresAt).toISOString()
+    pairingCode: session.pairingCode,
+    expiresAt: new Date(session.expiresAt).toISOString()
   });
 });
 
-// Heartbeat
-app.post("/agent/heartbeat", (req, res) => {
-  const { agentId, agentVersion, capabilities } = req.body ?? {};
-  if (!agentId || !agents.has(agentId)) {
-    return res.status(400).json({ ok: false, error: "UNKNOWN_AGENT" });
+// New code for an agent; any older code of the agent stops working
+function issuePairingCode(agent, actor) {
+  const { session, superseded } = pairing.issue(agent.agentId, { by: actor });
+  audit.record({
+    actor,
+    action: "pairing-code.create",
+    tenantId: agent.tenantId,
+    agentId: agent.agentId,
+    target: { type: "pairing-code", id: maskPairingCode(session.pairingCode) },
+    before: superseded.length ? { superseded: superseded.map(s => maskPairingCode(s.pairingCode)) } : null,
+    after: { expiresAt: new Date(session.expiresAt).toISOString() }
+  });
+  return session;
+}
+
+// Telemetry sample(s) from an agent -> { accepted, rejected }
+const MAX_TELEMETRY_SAMPLES = 100;
+
+function ingestTelemetry(a, samples) {
+  let accepted = 0;
+  const rejected = [];
+  for (const sample of samples) {
+    const r = telemetryStore.ingest(a.agentId, a.tenantId, sample);
+    accepted += r.accepted;
+    rejected.push(...r.rejected);
   }
+  if (accepted > 0) events.publish("telemetry.received", { tenantId: a.tenantId, agentId: a.agentId, data: { accepted } });
+  return { accepted, rejected };
+}
 
-  const a = agents.get(agentId);
-  a.lastSeenAt = nowIso();
+// agent-update jobs the agent reported as installed are decided by the first
+// heartbeat after that: it must carry the package's version
+function verifyAgentUpdates(a) {
+  for (const j of jobs.values()) {
+    if (j.agentId !== a.agentId || !j.awaitingVersion || isTerminal(j.status)) continue;
+    const before = pick(j, JOB_AUDIT_FIELDS);
+    if (isSameVersion(a.agentVersion, j.awaitingVersion)) {
+      transition(j, "succeeded", { message: `agent reports version ${a.agentVersion}`, at: nowIso() });
+      j.progress = 100;
+    } else {
+      transition(j, "failed", {
+        message: `agent reports version ${a.agentVersion} after the update, expected ${j.awaitingVersion}`,
+        at: nowIso()
+      });
+    }
+    j.awaitingVersion = null;
+    jobs.set(j.jobId, j);
+    publishJob(j);
+    auditJob(agentActor(a.agentId), "job.status", j, before);
+  }
+}
+
+// Heartbeat (also delivers rotated credentials after pairing)
+app.post("/agent/heartbeat", (req, res) => {
+  const { agentId } = req;
+  const { agentVersion, capabilities, telemetry: sample } = req.body ?? {};
+
+  const a = touchAgent(agentId);
+  const before = pick(a, ["agentVersion"]);
   a.agentVersion = agentVersion ?? a.agentVersion;
   a.capabilities = capabilities ?? a.capabilities;
   agents.set(agentId, a);
 
-  res.json({ ok: true, serverTime: nowIso() });
+  // heartbeats are too frequent to log; version changes are not
+  if (before.agentVersion !== a.agentVersion) {
+    audit.record({
+      actor: agentActor(agentId),
+      action: "agent.version-change",
+      tenantId: a.tenantId,
+      agentId,
+      target: { type: "agent", id: agentId },
+      before,
+      after: pick(a, ["agentVersion"])
+    });
+  }
+
+  verifyAgentUpdates(a);
+
+  // piggy-backed telemetry never fails the heartbeat; problems are reported back
+  const telemetryResult = sample ? ingestTelemetry(a, [sample]) : null;
+
+  const rotatedToken = agentAuth.issuePendingToken(agentId);
+  res.json({
+    ok: true,
+    serverTime: nowIso(),
+    cancelJobs: jobQueue.pendingCancellations(agentId),
+    ...(telemetryResult ? { telemetry: telemetryResult } : {}),
+    ...(rotatedToken ? { credentials: { agentToken: rotatedToken } } : {})
+  });
+});
+
+// Telemetry: one sample { at?, metrics, devices } or a buffered batch { samples: [...] }
+app.post("/agent/telemetry", (req, res) => {
+  const body = req.body ?? {};
+  const samples = Array.isArray(body.samples) ? body.samples : body.metrics || body.devices ? [body] : [];
+  if (samples.length === 0) return res.status(400).json({ ok: false, error: "MISSING_TELEMETRY" });
+  if (samples.length > MAX_TELEMETRY_SAMPLES) {
+    return res.status(413).json({ ok: false, error: "TOO_MANY_SAMPLES", max: MAX_TELEMETRY_SAMPLES });
+  }
+
+  const a = touchAgent(req.agentId);
+  res.json({ ok: true, ...ingestTelemetry(a, samples) });
 });
 
-// Devices report
+// Devices report (full list; the server diffs it against the previous one)
 app.post("/agent/devices/report", (req, res) => {
-  const { agentId, devices } = req.body ?? {};
-  if (!agentId || !agents.has(agentId)) return res.status(400).json({ ok: false, error: "UNKNOWN_AGENT" });
+  const { agentId } = req;
+  const { devices } = req.body ?? {};
   if (!Array.isArray(devices)) return res.status(400).json({ ok: false, error: "MISSING_DEVICES" });
 
-  agentDevices.set(agentId, devices.map(d => ({
-    deviceId: d.deviceId ?? crypto.randomUUID(),
-    serialNumber: d.serialNumber ?? null,
-    model: d.model ?? "unknown",
-    fwVersion: d.fwVersion ?? null,
-    status: d.status ?? "unknown",
-    reportedAt: nowIso()
-  })));
+  const now = nowIso();
+  const prev = agentDevices.get(agentId) ?? [];
+  const firstSeen = new Map(prev.map(d => [d.deviceId, d.firstSeenAt ?? d.reportedAt]));
+
+  const next = devices.map(d => {
+    const deviceId = d.deviceId ?? crypto.randomUUID();
+    return {
+      deviceId,
+      serialNumber: d.serialNumber ?? null,
+      model: d.model ?? "unknown",
+      fwVersion: d.fwVersion ?? null,
+      status: d.status ?? "unknown",
+      config: d.config ?? null,
+      firstSeenAt: firstSeen.get(deviceId) ?? now,
+      reportedAt: now
+    };
+  });
 
-  const a = agents.get(agentId);
-  a.lastSeenAt = nowIso();
-  agents.set(agentId, a);
+  agentDevices.set(agentId, next);
+  const diff = inventory.record(agentId, prev, next, now);
+
+  const a = touchAgent(agentId);
+  if (diff.added.length + diff.removed.length + diff.changed.length > 0) {
+    audit.record({
+      actor: agentActor(agentId),
+      action: "devices.change",
+      tenantId: a.tenantId,
+      agentId,
+      target: { type: "agent", id: agentId },
+      before: { removed: diff.removed.map(d => d.deviceId) },
+      after: { added: diff.added.map(d => d.deviceId), changed: diff.changed }
+    });
+  }
+  events.publish("devices.reported", {
+    tenantId: a.tenantId,
+    agentId,
+    data: { agentId, devices: next, diff }
+  });
+  twinReconciler.reconcileAgent(agentId);
 
-  res.json({ ok: true, count: agentDevices.get(agentId).length });
+  res.json({
+    ok: true,
+    count: next.length,
+    added: diff.added.length,
+    removed: diff.removed.length,
+    changed: diff.changed.length
+  });
 });
 
-// Agent pulls next jobs
+// Agent pulls next jobs (leased: they must be acknowledged via progress before the lease runs out)
 app.get("/agent/jobs/next", (req, res) => {
-  const agentId = req.query.agentId;
-  if (!agentId || !agents.has(agentId)) return res.status(400).json({ ok: false, error: "UNKNOWN_AGENT" });
-
-  const queue = ensureQueue(agentId);
-  if (queue.length === 0) {
-    const a = agents.get(agentId);
-    a.lastSeenAt = nowIso();
-    agents.set(agentId, a);
-    return res.json({ ok: true, jobs: [] });
-  }
-
-  const N = 3;
-  const jobIds = queue.splice(0, N);
-
-  const payload = jobIds
-    .map(id => jobs.get(id))
-    .filter(Boolean)
-    .map(j => ({
-      jobId: j.jobId,
-      type: j.type,
-      agentId: j.agentId,
-      deviceId: j.deviceId,
-      payload: j.payload
-    }));
+  const { agentId } = req;
 
-  const a = agents.get(agentId);
-  a.lastSeenAt = nowIso();
-  agents.set(agentId, a);
+  touchAgent(agentId);
+  expireLeases();
 
-  res.json({ ok: true, jobs: payload });
+  const taken = leaseJobs(agentId);
+
+  res.json({ ok: true, jobs: taken.map(agentJobView), cancelJobs: jobQueue.pendingCancellations(agentId) });
+});
+
+// Push channel (SSE): "jobs" events carry leased jobs exactly like /agent/jobs/next,
+// "cancel" events list jobs to stop. The open stream keeps the agent online.
+app.get("/agent/events", (req, res) => {
+  const { agentId } = req;
+
+  const stream = openSseStream(req, res, {
+    onKeepAlive: () => touchAgent(agentId),
+    onClose: () => {
+      if (agentStreams.get(agentId) === stream) agentStreams.delete(agentId);
+    }
+  });
+  agentStreams.set(agentId, stream);
+  touchAgent(agentId);
+
+  const cancelJobs = jobQueue.pendingCancellations(agentId);
+  if (cancelJobs.length > 0) stream.send("cancel", { jobIds: cancelJobs });
+  pushJobs(agentId);
 });
 
-// Agent reports job progress
+// Agent reports job progress; status changes must follow the job lifecycle (lib/jobStates.js)
 app.post("/agent/jobs/:jobId/progress", (req, res) => {
   const { jobId } = req.params;
-  const { agentId, status, progress, message } = req.body ?? {};
+  const { agentId } = req;
+  const { status, progress, message } = req.body ?? {};
 
   if (!jobs.has(jobId)) return res.status(404).json({ ok: false, error: "UNKNOWN_JOB" });
   const j = jobs.get(jobId);
 
-  if (agentId && j.agentId !== agentId) return res.status(403).json({ ok: false, error: "AGENT_MISMATCH" });
+  if (j.agentId !== agentId) return res.status(403).json({ ok: false, error: "AGENT_MISMATCH" });
 
-  if (status) j.status = status;
-  if (typeof progress === "number") j.progress = Math.max(0, Math.min(100, progress));
-  if (message) j.message = message;
+  if (status && !AGENT_REPORTABLE_STATES.has(status)) {
+    return res.status(400).json({ ok: false, error: "INVALID_STATUS", allowed: [...AGENT_REPORTABLE_STATES] });
+  }
+  if (isTerminal(j.status)) {
+    return res.status(409).json({ ok: false, error: "JOB_FINISHED", status: j.status });
+  }
+  if (!jobQueue.canAck(j)) {
+    return res.status(409).json({ ok: false, error: "JOB_NOT_DISPATCHED", status: j.status });
+  }
+
+  // any report acknowledges the lease; a bare progress update means the job is running
+  const next = status ?? "running";
+  const from = j.status === "queued" ? "dispatched" : j.status;
+  if (!canTransition(from, next)) {
+    return res.status(409).json({ ok: false, error: "INVALID_TRANSITION", from: j.status, to: next });
+  }
 
-  if (j.status === "running" && !j.startedAt) j.startedAt = nowIso();
-  if ((j.status === "succeeded" || j.status === "failed") && !j.finishedAt) j.finishedAt = nowIso();
+  const before = pick(j, JOB_AUDIT_FIELDS);
+  jobQueue.ack(j);
+
+  // an installed agent update is not trusted until the new version shows up in a heartbeat
+  const expectedVersion = next === "succeeded" && getJobType(j.type)?.updatesAgent ? j.payload.version : null;
+  const to = expectedVersion ? "running" : next;
+  // a new status without a message drops the old one (e.g. "dispatched (attempt 1/3)")
+  transition(j, to, { message: message || (j.status !== to ? null : undefined), at: nowIso() });
+
+  if (typeof progress === "number") j.progress = Math.max(0, Math.min(100, progress));
+  if (expectedVersion) {
+    j.awaitingVersion = expectedVersion;
+    j.progress = Math.min(j.progress, 99);
+    j.message = `installed, waiting for the agent to report version ${expectedVersion}`;
+  }
 
   j.updatedAt = nowIso();
   jobs.set(jobId, j);
+  publishJob(j);
+  // progress ticks are not logged, status changes are
+  if (before.status !== j.status) auditJob(agentActor(agentId), "job.status", j, before);
 
-  if (agentId && agents.has(agentId)) {
-    const a = agents.get(agentId);
-    a.lastSeenAt = nowIso();
-    agents.set(agentId, a);
-  }
+  if (j.campaignId && campaigns.has(j.campaignId)) campaignEngine.advance(campaigns.get(j.campaignId));
 
-  res.json({ ok: true });
+  touchAgent(agentId);
+
+  res.json({ ok: true, status: j.status, cancelRequested: !!j.cancelRequestedAt && !isTerminal(j.status) });
 });
 
-/* ==================== PORTAL API ==================== */
+// Agent downloads a firmware binary referenced by one of its unfinished jobs;
+// any other artifact is unknown to it
+app.get("/agent/artifacts/:artifactId", (req, res) => {
+  const artifact = artifacts.get(req.params.artifactId);
+  const referenced = [...jobs.values()].some(
+    j => j.agentId === req.agentId && j.payload?.artifactId === req.params.artifactId && !isTerminal(j.status)
+  );
+  if (!artifact || !referenced || (artifact.tenantId && artifact.tenantId !== req.agent.tenantId)) {
+    return res.status(404).json({ ok: false, error: "UNKNOWN_ARTIFACT" });
+  }
 
-// Pair (claim agent) by code
-app.post("/portal/agents/pair", (req, res) => {
-  const { pairingCode, tenantId, userId, displayName, siteId } = req.body ?? {};
-  if (!pairingCode) return res.status(400).json({ ok: false, error: "MISSING_PAIRING_CODE" });
+  res.set("X-Checksum-SHA256", artifact.sha256);
+  res.type("application/octet-stream");
+  res.sendFile(artifactRepo.filePath(artifact.artifactId));
+});
 
-  const session = pairingSessions.get(pairingCode);
-  if (!session) return res.status(404).json({ ok: false, error: "INVALID_CODE" });
-  if (session.usedAt) return res.status(409).json({ ok: false, error: "CODE_ALREADY_USED" });
-  if (Date.now() > session.expiresAt) return res.status(410).json({ ok: false, error: "CODE_EXPIRED" });
+// Diagnostic bundle upload: raw body, metadata in the query string
+//   POST /agent/diagnostics?filename=logs.tgz[&jobId=...][&deviceId=...][&reason=...]
+// With a jobId the bundle is attached to that job (also after it finished, e.g. logs of a failure).
+app.post(
+  "/agent/diagnostics",
+  express.raw({ type: "application/octet-stream", limit: MAX_DIAGNOSTIC_BYTES }),
+  (req, res) => {
+    const { agentId } = req;
+    const { filename, jobId, deviceId, reason } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ ok: false, error: "MISSING_BINARY" });
+    }
+    if (!isValidFilename(filename)) return res.status(400).json({ ok: false, error: "INVALID_FILENAME" });
+
+    const a = touchAgent(agentId);
+    // bundles are only visible through a tenant
+    if (!a.paired) return res.status(409).json({ ok: false, error: "AGENT_NOT_PAIRED" });
+    const job = jobId ? jobs.get(jobId) : null;
+    if (jobId && !job) return res.status(404).json({ ok: false, error: "UNKNOWN_JOB" });
+    if (job && job.agentId !== agentId) return res.status(403).json({ ok: false, error: "AGENT_MISMATCH" });
+
+    const { bundle, dropped } = diagnosticsRepo.save(req.body, {
+      agentId,
+      tenantId: a.tenantId,
+      jobId: job?.jobId ?? null,
+      deviceId: deviceId ?? job?.deviceId ?? null,
+      filename,
+      reason: reason ?? null
+    });
+    audit.record({
+      actor: agentActor(agentId),
+      action: "diagnostics.upload",
+      tenantId: a.tenantId,
+      agentId,
+      target: { type: "diagnostics", id: bundle.bundleId },
+      after: pick(bundle, ["filename", "jobId", "deviceId", "reason", "size", "sha256"])
+    });
+    events.publish("diagnostics.uploaded", { tenantId: a.tenantId, agentId, data: bundle });
+    res.json({ ok: true, bundle, dropped });
+  }
+);
 
-  const agent = agents.get(session.agentId);
-  agent.tenantId = tenantId ?? "demo-tenant";
-  agent.displayName = displayName ?? agent.displayName;
-  agent.siteId = siteId ?? null;
-  agent.paired = true;
-  agent.pairedBy = userId ?? "demo-user";
-  agent.pairedAt = nowIso();
-  agents.set(agent.agentId, agent);
+/* ==================== PORTAL API ==================== */
 
-  session.usedAt = nowIso();
-  pairingSessions.set(pairingCode, session);
+// Login with user id + password -> session token, also set as an HttpOnly
+// cookie for the browser portal
+app.post("/portal/login", (req, res) => {
+  const { userId, password } = req.body ?? {};
+  if (!userId || !password) return res.status(400).json({ ok: false, error: "MISSING_CREDENTIALS" });
+
+  const limitKeys = [[loginLimits.client, req.ip], [loginLimits.user, `${req.ip}/${userId}`]];
+  for (const [limiter, key] of limitKeys) {
+    const { allowed, retryAfterMs } = limiter.check(key);
+    if (!allowed) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ ok: false, error: "TOO_MANY_ATTEMPTS", retryAfter });
+    }
+  }
 
-  res.json({ ok: true, agentId: agent.agentId, status: "paired" });
-});
+  const session = portalAuth.login(userId, password);
+  if (!session) {
+    for (const [limiter, key] of limitKeys) limiter.fail(key);
+    audit.record({
+      actor: { type: "user", id: String(userId) },
+      action: "user.login-failed",
+      tenantId: users.get(userId)?.tenantId ?? null,
+      target: { type: "user", id: String(userId) }
+    });
+    return res.status(401).json({ ok: false, error: "INVALID_CREDENTIALS" });
+  }
 
-app.get("/portal/agents/all", (_req, res) => {
-  const list = Array.from(agents.values()).map(a => ({
-    agentId: a.agentId,
-    displayName: a.displayName,
-    siteId: a.siteId,
-    tenantId: a.tenantId,
-    paired: a.paired,
-    online: isOnline(a),
-    lastSeenAt: a.lastSeenAt,
-    agentVersion: a.agentVersion
-  }));
-  res.json(list);
+  audit.record({
+    actor: userActor(session.user),
+    action: "user.login",
+    tenantId: session.user.tenantId,
+    target: { type: "user", id: session.user.userId }
+  });
+
+  res.set("Set-Cookie", sessionCookie(session.token, { secure: req.secure }));
+  res.json({ ok: true, token: session.token, expiresAt: session.expiresAt, user: publicUser(session.user) });
 });
 
-// NEW: Unpair agent (remove tenant ownership)
-app.post("/portal/agents/:agentId/unpair", (req, res) => {
-  const { agentId } = req.params;
-  if (!agentId || !agents.has(agentId)) return res.status(404).json({ ok: false, error: "UNKNOWN_AGENT" });
+// Everything below requires a logged-in user or API token
+app.use("/portal", portalAuth.requireUser);
+app.use("/portal", apiValidator.validateRequest("authenticated"));
 
-  const a = agents.get(agentId);
-  a.paired = false;
-  a.tenantId = null;
-  a.siteId = null;
-  a.pairedAt = null;
-  a.pairedBy = null;
-  agents.set(agentId, a);
+const requireOperator = portalAuth.requireRole("operator");
+const requireTenantAdmin = portalAuth.requireRole("tenant-admin");
+const requireGlobalAdmin = portalAuth.requireRole("global-admin");
 
-  // Optional: clear job queue to avoid executing old jobs after re-pair
-  agentJobQueue.set(agentId, []);
+app.get("/portal/me", (req, res) => res.json(publicUser(req.user)));
 
-  res.json({ ok: true, agentId, status: "unpaired" });
+app.post("/portal/logout", (req, res) => {
+  portalAuth.revokeToken(req.portalToken.tokenId);
+  audit.record({
+    actor: userActor(req.user),
+    action: "user.logout",
+    tenantId: req.user.tenantId,
+    target: { type: "user", id: req.user.userId }
+  });
+  res.set("Set-Cookie", clearedSessionCookie());
+  res.json({ ok: true });
 });
 
-// NEW: Generate new pairing code for an existing agent (usually after unpair)
-app.post("/portal/agents/:agentId/pairing-code", (req, res) => {
-  const { agentId } = req.params;
-  if (!agentId || !agents.has(agentId)) return res.status(404).json({ ok: false, error: "UNKNOWN_AGENT" });
+// Live events (SSE) for the user's tenant: agent.online/offline/paired/unpaired,
+// devices.reported, job.updated
+app.get("/portal/events", (req, res) => {
+  const user = req.user;
+  const stream = openSseStream(req, res, {
+    onClose: () => unsubscribe()
+  });
+  const unsubscribe = events.subscribe(
+    e => canAccessTenant(user, e.tenantId),
+    e => stream.send(e.type, e, e.id)
+  );
+});
 
-  const pairingCode = makePairingCode();
-  const expiresAt = Date.now() + 10 * 60 * 1000;
-  pairingSessions.set(pairingCode, { agentId, expiresAt, usedAt: null });
+// ---------- Users & API tokens ----------
 
-  res.json({ ok: true, agentId, pairingCode, expiresAt: new Date(expiresAt).toISOString() });
+app.get("/portal/users", requireTenantAdmin, (req, res) => {
+  const list = Array.from(users.values())
+    .filter(u => isGlobalAdmin(req.user) || u.tenantId === req.user.tenantId)
+    .map(publicUser);
+  res.json(list);
 });
 
-// List agents (online derived)
-app.get("/portal/agents", (req, res) => {
-  const { tenantId } = req.query;
+app.post("/portal/users", requireTenantAdmin, (req, res) => {
+  const { userId, password, role, displayName } = req.body ?? {};
+  const tenantId = isGlobalAdmin(req.user) ? req.body?.tenantId : req.user.tenantId;
+
+  if (!userId || !password) return res.status(400).json({ ok: false, error: "MISSING_CREDENTIALS" });
+  if (!ROLES.includes(role)) return res.status(400).json({ ok: false, error: "INVALID_ROLE" });
+  if (!hasRole(req.user, role)) return res.status(403).json({ ok: false, error: "FORBIDDEN" });
+  if (role !== "global-admin" && !tenantId) return res.status(400).json({ ok: false, error: "MISSING_TENANT_ID" });
+  if (tenantId && !requireKnownTenant(res, tenantId)) return;
+  if (users.has(userId)) return res.status(409).json({ ok: false, error: "USER_EXISTS" });
+
+  const user = portalAuth.createUser({ userId, password, role, tenantId, displayName }, req.user.userId);
+  audit.record({
+    actor: userActor(req.user),
+    action: "user.create",
+    tenantId: user.tenantId,
+    target: { type: "user", id: user.userId },
+    after: pick(user, ["role", "tenantId", "displayName"])
+  });
+  res.json({ ok: true, user: publicUser(user) });
+});
 
-  const list = Array.from(agents.values())
-    .filter(a => !tenantId || a.tenantId === tenantId)
-    .map(a => ({
-      agentId: a.agentId,
-      displayName: a.displayName,
-      siteId: a.siteId,
-      tenantId: a.tenantId,
-      paired: a.paired,
-      online: isOnline(a),
-      lastSeenAt: a.lastSeenAt,
-      agentVersion: a.agentVersion
-    }));
+app.delete("/portal/users/:userId", requireTenantAdmin, (req, res) => {
+  const u = users.get(req.params.userId);
+  if (!u || !(isGlobalAdmin(req.user) || u.tenantId === req.user.tenantId)) {
+    return res.status(404).json({ ok: false, error: "UNKNOWN_USER" });
+  }
+  if (!hasRole(req.user, u.role)) return res.status(403).json({ ok: false, error: "FORBIDDEN" });
+  if (u.userId === req.user.userId) return res.status(409).json({ ok: false, error: "CANNOT_DELETE_SELF" });
+
+  users.delete(u.userId);
+  portalAuth.revokeUserTokens(u.userId);
+  audit.record({
+    actor: userActor(req.user),
+    action: "user.delete",
+    tenantId: u.tenantId,
+    target: { type: "user", id: u.userId },
+    before: pick(u, ["role", "tenantId", "displayName"])
+  });
+  res.json({ ok: true, userId: u.userId, status: "deleted" });
+});
 
+// API tokens act with the permissions of the user who created them
+app.get("/portal/tokens", (req, res) => {
+  const list = Array.from(portalTokens.values())
+    .filter(t => t.userId === req.user.userId && t.kind === "api")
+    .map(({ secretHash, ...t }) => t);
   res.json(list);
 });
 
-// Get devices for agent
-app.get("/portal/agents/:agentId/devices", (req, res) => {
-  const { agentId } = req.params;
-  if (!agentId || !agents.has(agentId)) return res.status(404).json({ ok: false, error: "UNKNOWN_AGENT" });
-  res.json(agentDevices.get(agentId) ?? []);
+app.post("/portal/tokens", (req, res) => {
+  const { name, expiresInDays } = req.body ?? {};
+  const ttlMs = typeof expiresInDays === "number" ? expiresInDays * 24 * 60 * 60 * 1000 : null;
+  const { token, record } = portalAuth.issueToken(req.user.userId, { kind: "api", name: name ?? null, ttlMs });
+  audit.record({
+    actor: userActor(req.user),
+    action: "api-token.create",
+    tenantId: req.user.tenantId,
+    target: { type: "api-token", id: record.tokenId },
+    after: pick(record, ["name", "expiresAt"])
+  });
+  res.json({ ok: true, token, tokenId: record.tokenId, expiresAt: record.expiresAt });
 });
 
-// Create firmware update job (block if agent offline)
-app.post("/portal/agents/:agentId/jobs/firmware-update", (req, res) => {
-  const { agentId } = req.params;
-  const { deviceId, artifactId } = req.body ?? {};
+app.delete("/portal/tokens/:tokenId", (req, res) => {
+  const t = portalTokens.get(req.params.tokenId);
+  if (!t || t.userId !== req.user.userId) return res.status(404).json({ ok: false, error: "UNKNOWN_TOKEN" });
+  portalAuth.revokeToken(t.tokenId);
+  audit.record({
+    actor: userActor(req.user),
+    action: "api-token.revoke",
+    tenantId: req.user.tenantId,
+    target: { type: "api-token", id: t.tokenId },
+    before: pick(t, ["name", "expiresAt"])
+  });
+  res.json({ ok: true, tokenId: t.tokenId, status: "revoked" });
+});
 
-  if (!agents.has(agentId)) return res.status(404).json({ ok: false, error: "UNKNOWN_AGENT" });
+// ---------- Agents ----------
 
-  const agent = agents.get(agentId);
-  if (!isOnline(agent)) return res.status(409).json({ ok: false, error: "AGENT_OFFLINE" });
+// Pair (claim agent) by code into the user's tenant (global admins must pick one).
+// Tenant and site have to exist already.
+app.post("/portal/agents/pair", requireOperator, (req, res) => {
+  const { pairingCode, displayName, siteId } = req.body ?? {};
+  if (!pairingCode) return res.status(400).json({ ok: false, error: "MISSING_PAIRING_CODE" });
 
-  if (!deviceId) return res.status(400).json({ ok: false, error: "MISSING_DEVICE_ID" });
-  if (!artifactId) return res.status(400).json({ ok: false, error: "MISSING_ARTIFACT_ID" });
+  const tenantId = isGlobalAdmin(req.user) ? req.body?.tenantId : req.user.tenantId;
+  if (req.body?.tenantId && !canAccessTenant(req.user, req.body.tenantId)) {
+    return res.status(403).json({ ok: false, error: "TENANT_FORBIDDEN" });
+  }
+  if (!tenantId) return res.status(400).json({ ok: false, error: "MISSING_TENANT_ID" });
+  if (!requireKnownTenant(res, tenantId)) return;
+  if (siteId && !sites.has(siteKey(tenantId, siteId))) {
+    return res.status(404).json({ ok: false, error: "UNKNOWN_SITE", siteId });
+  }
 
-  const jobId = crypto.randomUUID();
-  const job = {
-    jobId,
-    type: "firmware-update",
+  const limitKeys = [[pairLimits.client, req.ip], [pairLimits.user, req.user.userId]];
+  for (const [limiter, key] of limitKeys) {
+    const { allowed, retryAfterMs } = limiter.check(key);
+    if (!allowed) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ ok: false, error: "TOO_MANY_ATTEMPTS", retryAfter });
+    }
+  }
+
+  const found = pairing.lookup(pairingCode);
+  const agent = found.session && agents.get(found.session.agentId);
+  if (!agent) {
+    for (const [limiter, key] of limitKeys) limiter.fail(key);
+    audit.record({
+      actor: userActor(req.user),
+      action: "agent.pair-failed",
+      tenantId,
+      target: { type: "pairing-code", id: maskPairingCode(String(pairingCode)) },
+      after: { error: found.error ?? "UNKNOWN_AGENT", client: req.ip }
+    });
+    return res.status(found.status ?? 404).json({ ok: false, error: found.error ?? "INVALID_CODE" });
+  }
+  const { session } = found;
+
+  const before = pick(agent, AGENT_AUDIT_FIELDS);
+  agent.tenantId = tenantId;
+  agent.displayName = displayName || agent.displayName;
+  agent.siteId = siteId || null;
+  agent.paired = true;
+  agent.pairedBy = req.user.userId;
+  agent.pairedAt = nowIso();
+  agents.set(agent.agentId, agent);
+
+  pairing.markUsed(session);
+
+  // new owner -> new agent secret (picked up by the agent on its next heartbeat)
+  agentAuth.rotate(agent.agentId);
+
+  publishAgent("agent.paired", agent);
+  audit.record({
+    actor: userActor(req.user),
+    action: "agent.pair",
+    tenantId,
+    agentId: agent.agentId,
+    target: { type: "agent", id: agent.agentId },
+    before,
+    after: pick(agent, AGENT_AUDIT_FIELDS)
+  });
+
+  res.json({ ok: true, agentId: agent.agentId, status: "paired" });
+});
+
+// All agents visible to the user (global admins also see unpaired ones)
+app.get("/portal/agents/all", (req, res) => {
+  const list = Array.from(agents.values())
+    .filter(a => canAccessTenant(req.user, a.tenantId))
+    .map(agentSummary);
+  res.json(list);
+});
+
+// NEW: Unpair agent (remove tenant ownership)
+// { revokeCredentials: true } also invalidates the agent token; the agent must register anew.
+app.post("/portal/agents/:agentId/unpair", requireTenantAdmin, (req, res) => {
+  const a = findAgentForUser(req, res);
+  if (!a) return;
+  const { agentId } = a;
+  const { revokeCredentials } = req.body ?? {};
+  const previousTenantId = a.tenantId;
+  const before = pick(a, AGENT_AUDIT_FIELDS);
+
+  // open jobs belong to the old tenant: queued ones end now, the agent is told to stop the others
+  const cancelledJobs = [];
+  for (const j of [...jobs.values()]) {
+    if (j.agentId !== agentId || isTerminal(j.status)) continue;
+    cancelJob(j, { by: req.user.userId }, userActor(req.user));
+    cancelledJobs.push(j.jobId);
+  }
+
+  a.paired = false;
+  a.tenantId = null;
+  a.siteId = null;
+  a.pairedAt = null;
+  a.pairedBy = null;
+  agents.set(agentId, a);
+
+  jobQueue.clear(agentId);
+  dropTwins(agentId);
+
+  const revoked = revokeCredentials === true && agentAuth.revoke(agentId);
+  if (revoked) {
+    agentStreams.get(agentId)?.send("revoked", { agentId });
+    agentStreams.get(agentId)?.close();
+  }
+
+  // tenant is gone from the agent now, so tell the old tenant explicitly
+  events.publish("agent.unpaired", { tenantId: previousTenantId, agentId, data: agentSummary(a) });
+  audit.record({
+    actor: userActor(req.user),
+    action: "agent.unpair",
+    tenantId: previousTenantId,
     agentId,
+    target: { type: "agent", id: agentId },
+    before,
+    after: { ...pick(a, AGENT_AUDIT_FIELDS), credentialsRevoked: revoked, cancelledJobs }
+  });
+
+  res.json({ ok: true, agentId, status: "unpaired", credentialsRevoked: revoked, cancelledJobs });
+});
+
+// Move a paired agent: { tenantId?, siteId? (null = no site) }. Moving it to another
+// tenant needs a global admin and cancels its open jobs, which belong to the old tenant.
+app.post("/portal/agents/:agentId/move", requireTenantAdmin, (req, res) => {
+  const a = findAgentForUser(req, res);
+  if (!a) return;
+  if (!a.paired) return res.status(409).json({ ok: false, error: "AGENT_NOT_PAIRED" });
+
+  const { agentId } = a;
+  const from = { tenantId: a.tenantId, siteId: a.siteId };
+  const tenantId = req.body?.tenantId ?? a.tenantId;
+  const siteId = req.body?.siteId !== undefined ? req.body.siteId : tenantId === a.tenantId ? a.siteId : null;
+
+  if (!canAccessTenant(req.user, tenantId)) return res.status(403).json({ ok: false, error: "TENANT_FORBIDDEN" });
+  if (!requireKnownTenant(res, tenantId)) return;
+  if (siteId && !sites.has(siteKey(tenantId, siteId))) {
+    return res.status(404).json({ ok: false, error: "UNKNOWN_SITE", siteId });
+  }
+  if (tenantId === from.tenantId && (siteId ?? null) === from.siteId) {
+    return res.json({ ok: true, agent: agentSummary(a), cancelledJobs: [] });
+  }
+
+  const before = pick(a, AGENT_AUDIT_FIELDS);
+  const cancelledJobs = [];
+  if (tenantId !== from.tenantId) {
+    for (const j of [...jobs.values()]) {
+      if (j.agentId !== agentId || isTerminal(j.status)) continue;
+      cancelJob(j, { by: req.user.userId }, userActor(req.user));
+      cancelledJobs.push(j.jobId);
+    }
+    dropTwins(agentId);
+  }
+
+  a.tenantId = tenantId;
+  a.siteId = siteId ?? null;
+  agents.set(agentId, a);
+
+  const data = { ...agentSummary(a), from };
+  events.publish("agent.moved", { tenantId, agentId, data });
+  if (tenantId !== from.tenantId) events.publish("agent.moved", { tenantId: from.tenantId, agentId, data });
+  audit.record({
+    actor: userActor(req.user),
+    action: "agent.move",
+    tenantId,
+    agentId,
+    target: { type: "agent", id: agentId },
+    before,
+    after: { ...pick(a, AGENT_AUDIT_FIELDS), cancelledJobs }
+  });
+
+  // the new site may have different maintenance windows
+  pushJobs(agentId);
+  res.json({ ok: true, agent: agentSummary(a), cancelledJobs });
+});
+
+// NEW: Generate new pairing code for an existing agent (usually after unpair)
+// The QR code links to the portal with the code filled in.
+// Express 4 does not catch rejected promises: errors go to the error handler via next()
+app.post("/portal/agents/:agentId/pairing-code", requireTenantAdmin, async (req, res, next) => {
+  try {
+    const a = findAgentForUser(req, res);
+    if (!a) return;
+    const { agentId } = a;
+
+    const session = issuePairingCode(a, userActor(req.user));
+    const pairingUrl = `${req.protocol}://${req.get("host")}/ui/?pairingCode=${encodeURIComponent(session.pairingCode)}`;
+    const qrSvg = await QRCode.toString(pairingUrl, { type: "svg", margin: 1, errorCorrectionLevel: "M" });
+
+    res.json({
+      ok: true,
+      agentId,
+      pairingCode: session.pairingCode,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      pairingUrl,
+      qrSvg
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Active pairing codes of agents the user can see (codes themselves are masked)
+app.get("/portal/pairing-codes", requireTenantAdmin, (req, res) => {
+  const list = [];
+  for (const s of pairing.pending()) {
+    const a = agents.get(s.agentId);
+    if (!a || !canAccessTenant(req.user, a.tenantId)) continue;
+    list.push({
+      agentId: s.agentId,
+      displayName: a.displayName,
+      tenantId: a.tenantId,
+      codeHint: maskPairingCode(s.pairingCode),
+      createdAt: s.createdAt,
+      createdBy: s.createdBy,
+      expiresAt: new Date(s.expiresAt).toISOString()
+    });
+  }
+  res.json(list);
+});
+
+// Revoke the agent's active pairing code
+app.delete("/portal/agents/:agentId/pairing-code", requireTenantAdmin, (req, res) => {
+  const a = findAgentForUser(req, res);
+  if (!a) return;
+  const revoked = pairing.revokeForAgent(a.agentId, "revoked");
+  if (revoked.length === 0) return res.status(404).json({ ok: false, error: "NO_ACTIVE_CODE" });
+
+  audit.record({
+    actor: userActor(req.user),
+    action: "pairing-code.revoke",
+    tenantId: a.tenantId,
+    agentId: a.agentId,
+    target: { type: "pairing-code", id: maskPairingCode(revoked[0].pairingCode) }
+  });
+  res.json({ ok: true, agentId: a.agentId, status: "revoked" });
+});
+
+// List agents (online derived)
+app.get("/portal/agents", (req, res) => {
+  const { tenantId, versionStatus: status } = req.query;
+
+  const list = Array.from(agents.values())
+    .filter(a => canAccessTenant(req.user, a.tenantId))
+    .filter(a => !tenantId || a.tenantId === tenantId)
+    .map(agentSummary)
+    .filter(a => !status || a.versionStatus === status);
+
+  res.json(list);
+});
+
+// ---------- Search ----------
+// Agents the user can see, with their reported devices (see lib/fleetSearch.js)
+function searchEntries(user) {
+  return [...agents.values()]
+    .filter(a => canAccessTenant(user, a.tenantId))
+    .map(a => ({ agent: agentSummary(a), devices: agentDevices.get(a.agentId) ?? [] }));
+}
+
+function runSearch(req, res, search, filters) {
+  const tenantIds = tenantScope(req, res, req.query.tenantId);
+  if (tenantIds === undefined) return;
+  const { sort, order, cursor } = req.query;
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+
+  try {
+    res.json(search(searchEntries(req.user), { ...filters, tenantIds, sort, order, cursor, limit }));
+  } catch (e) {
+    if (!(e instanceof FleetQueryError)) throw e;
+    res.status(400).json({ ok: false, error: e.code, ...e.details });
+  }
+}
+
+// GET /portal/search/agents?q=&tenantId=&siteId=&online=&paired=&model=&fwVersion=&agentVersion=&versionStatus=&sort=&order=&limit=&cursor=
+app.get("/portal/search/agents", (req, res) => {
+  const { q, siteId, online, paired, model, fwVersion, agentVersion, versionStatus } = req.query;
+  runSearch(req, res, searchAgents, { q, siteId, online, paired, model, fwVersion, agentVersion, versionStatus });
+});
+
+// GET /portal/search/devices?q=&tenantId=&siteId=&agentId=&online=&model=&fwVersion=&status=&agentVersion=&sort=&order=&limit=&cursor=
+app.get("/portal/search/devices", (req, res) => {
+  const { q, siteId, agentId, online, model, fwVersion, status, agentVersion } = req.query;
+  runSearch(req, res, searchDevices, { q, siteId, agentId, online, model, fwVersion, status, agentVersion });
+});
+
+// Get devices for agent
+app.get("/portal/agents/:agentId/devices", (req, res) => {
+  const a = findAgentForUser(req, res);
+  if (!a) return;
+  res.json(agentDevices.get(a.agentId) ?? []);
+});
+
+// Timeline of one device (added / changed / removed / reappeared), newest first.
+// Works for devices that are no longer reported, too.
+app.get("/portal/agents/:agentId/devices/:deviceId/history", (req, res) => {
+  const a = findAgentForUser(req, res);
+  if (!a) return;
+  const { deviceId } = req.params;
+
+  const history = inventory.deviceTimeline(a.agentId, deviceId);
+  const device = (agentDevices.get(a.agentId) ?? []).find(d => d.deviceId === deviceId) ?? null;
+  if (!device && history.length === 0) return res.status(404).json({ ok: false, error: "UNKNOWN_DEVICE" });
+
+  res.json({ agentId: a.agentId, deviceId, device, history: [...history].reverse() });
+});
+
+// Inventory snapshots of an agent (only reports that changed something), newest first
+app.get("/portal/agents/:agentId/inventory/snapshots", (req, res) => {
+  const a = findAgentForUser(req, res);
+  if (!a) return;
+  res.json([...inventory.snapshots(a.agentId)].reverse());
+});
+
+// ---------- Telemetry ----------
+
+// Series reported by the agent, with their latest value
+app.get("/portal/agents/:agentId/telemetry", (req, res) => {
+  const a = findAgentForUser(req, res);
+  if (!a) return;
+  res.json(telemetryStore.listSeries(a.agentId));
+});
+
+// GET /portal/agents/:agentId/telemetry/:metric?deviceId=&from=&to=&resolution=auto|raw|1m|1h
+// Defaults to the last hour; "auto" picks the finest resolution still retained for `from`.
+app.get("/portal/agents/:agentId/telemetry/:metric", (req, res) => {
+  const a = findAgentForUser(req, res);
+  if (!a) return;
+
+  const now = Date.now();
+  const to = req.query.to ? Date.parse(req.query.to) : now;
+  const from = req.query.from ? Date.parse(req.query.from) : to - 60 * 60_000;
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) return res.status(400).json({ ok: false, error: "INVALID_RANGE" });
+
+  const resolution = req.query.resolution ?? "auto";
+  if (resolution !== "auto" && !Object.hasOwn(RESOLUTIONS, resolution)) {
+    return res.status(400).json({ ok: false, error: "INVALID_RESOLUTION", allowed: ["auto", ...Object.keys(RESOLUTIONS)] });
+  }
+
+  const deviceId = req.query.deviceId || null;
+  const { metric } = req.params;
+  const result = telemetryStore.query({ agentId: a.agentId, deviceId, metric, from, to, resolution }, now);
+  if (!result) return res.status(404).json({ ok: false, error: "UNKNOWN_SERIES" });
+
+  res.json({
+    agentId: a.agentId,
     deviceId,
-    payload: { artifactId },
-    status: "queued",
-    progress: 0,
-    message: "queued",
-    createdAt: nowIso(),
-    updatedAt: nowIso(),
-    startedAt: null,
-    finishedAt: null
+    metric,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    ...result
+  });
+});
+
+// ---------- Firmware artifacts ----------
+
+// Artifacts visible to a user: their tenant's plus shared ones
+function canUseArtifact(user, artifact) {
+  return !artifact.tenantId || canAccessTenant(user, artifact.tenantId);
+}
+
+app.get("/portal/artifacts", (req, res) => {
+  const { model, kind } = req.query;
+  const list = Array.from(artifacts.values())
+    .filter(x => canUseArtifact(req.user, x))
+    .filter(x => !kind || x.kind === kind)
+    .filter(x => !model || isCompatible(x, model))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json(list);
+});
+
+app.get("/portal/artifacts/:artifactId", (req, res) => {
+  const artifact = artifacts.get(req.params.artifactId);
+  if (!artifact || !canUseArtifact(req.user, artifact)) {
+    return res.status(404).json({ ok: false, error: "UNKNOWN_ARTIFACT" });
+  }
+  res.json(artifact);
+});
+
+// Upload: raw binary body, metadata in the query string
+//   POST /portal/artifacts?filename=fw.bin&version=1.0.1&models=netX90,netX90-RE[&sha256=...]
+//   POST /portal/artifacts?kind=agent-package&filename=agent.tgz&version=1.2.0 (no models)
+// Global admins may add &tenantId=...; without it their uploads are shared with all tenants.
+app.post(
+  "/portal/artifacts",
+  requireTenantAdmin,
+  express.raw({ type: "application/octet-stream", limit: MAX_ARTIFACT_BYTES }),
+  (req, res) => {
+    const { filename, version, sha256, kind = "firmware" } = req.query;
+    const models = kind === "firmware" ? parseModels(req.query.models) : [];
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ ok: false, error: "MISSING_BINARY" });
+    }
+    if (!ARTIFACT_KINDS.includes(kind)) return res.status(400).json({ ok: false, error: "INVALID_KIND", allowed: ARTIFACT_KINDS });
+    if (!filename) return res.status(400).json({ ok: false, error: "MISSING_FILENAME" });
+    if (!version) return res.status(400).json({ ok: false, error: "MISSING_VERSION" });
+    // agents compare their package version with the tenant's version policy
+    if (kind === "agent-package" && !isValidVersion(version)) {
+      return res.status(400).json({ ok: false, error: "INVALID_VERSION" });
+    }
+    if (kind === "firmware" && models.length === 0) return res.status(400).json({ ok: false, error: "MISSING_MODELS" });
+
+    const actual = crypto.createHash("sha256").update(req.body).digest("hex");
+    if (sha256 && sha256.toLowerCase() !== actual) {
+      return res.status(422).json({ ok: false, error: "CHECKSUM_MISMATCH", sha256: actual });
+    }
+
+    const tenantId = isGlobalAdmin(req.user) ? (req.query.tenantId || null) : req.user.tenantId;
+    if (tenantId && !requireKnownTenant(res, tenantId)) return;
+
+    const artifact = artifactRepo.save(req.body, {
+      kind,
+      filename,
+      version,
+      models,
+      tenantId,
+      uploadedBy: req.user.userId
+    });
+
+    audit.record({
+      actor: userActor(req.user),
+      action: "artifact.upload",
+      tenantId,
+      target: { type: "artifact", id: artifact.artifactId },
+      after: pick(artifact, ["kind", "filename", "version", "sha256", "size", "models"])
+    });
+
+    res.json({ ok: true, artifact });
+  }
+);
+
+app.delete("/portal/artifacts/:artifactId", requireTenantAdmin, (req, res) => {
+  const artifact = artifacts.get(req.params.artifactId);
+  if (!artifact || !canUseArtifact(req.user, artifact)) {
+    return res.status(404).json({ ok: false, error: "UNKNOWN_ARTIFACT" });
+  }
+  if (!artifact.tenantId && !isGlobalAdmin(req.user)) return res.status(403).json({ ok: false, error: "FORBIDDEN" });
+
+  // unfinished jobs still download it (see /agent/artifacts/:artifactId)
+  const { artifactId } = artifact;
+  const inUse = {
+    jobs: [...jobs.values()].filter(j => j.payload?.artifactId === artifactId && !isTerminal(j.status)).length,
+    campaigns: [...campaigns.values()].filter(c => c.artifactId === artifactId && (c.status === "running" || c.status === "paused")).length
   };
+  if (inUse.jobs > 0 || inUse.campaigns > 0) {
+    return res.status(409).json({ ok: false, error: "ARTIFACT_IN_USE", inUse });
+  }
 
-  jobs.set(jobId, job);
-  ensureQueue(agentId).push(jobId);
+  artifactRepo.remove(artifact.artifactId);
+  audit.record({
+    actor: userActor(req.user),
+    action: "artifact.delete",
+    tenantId: artifact.tenantId,
+    target: { type: "artifact", id: artifact.artifactId },
+    before: pick(artifact, ["kind", "filename", "version", "sha256", "size", "models"])
+  });
+  res.json({ ok: true, artifactId: artifact.artifactId, status: "deleted" });
+});
+
+// ---------- Jobs ----------
+
+// Type-specific checks that need server state; -> { payload } or { status, error, ...details }
+const jobPreparers = {
+  "firmware-update"(payload, { device, user }) {
+    const artifact = artifacts.get(payload.artifactId);
+    if (!artifact || !canUseArtifact(user, artifact)) return { status: 404, error: "UNKNOWN_ARTIFACT" };
+    if (artifact.kind !== "firmware") return { status: 409, error: "WRONG_ARTIFACT_KIND", expected: "firmware", kind: artifact.kind };
+    if (!isCompatible(artifact, device.model)) {
+      return {
+        status: 409,
+        error: "ARTIFACT_INCOMPATIBLE",
+        deviceModel: device.model,
+        artifactModels: artifact.models
+      };
+    }
+    return { payload: artifactRepo.integrityInfo(artifact) };
+  },
+  "agent-update"(payload, { agent, user }) {
+    const artifact = artifacts.get(payload.artifactId);
+    if (!artifact || !canUseArtifact(user, artifact)) return { status: 404, error: "UNKNOWN_ARTIFACT" };
+    if (artifact.kind !== "agent-package") {
+      return { status: 409, error: "WRONG_ARTIFACT_KIND", expected: "agent-package", kind: artifact.kind };
+    }
+    if (isSameVersion(artifact.version, agent.agentVersion)) return { status: 409, error: "ALREADY_ON_VERSION", version: artifact.version };
+    return { payload: artifactRepo.integrityInfo(artifact) };
+  }
+};
+
+// notBefore/notAfter as ISO strings -> { notBefore, notAfter } or { error }
+function parseSchedule(notBefore, notAfter) {
+  const out = { notBefore: null, notAfter: null };
+  for (const [key, value] of [["notBefore", notBefore], ["notAfter", notAfter]]) {
+    if (value === undefined || value === null || value === "") continue;
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) return { error: `${key} must be an ISO date` };
+    out[key] = new Date(ms).toISOString();
+  }
+  if (out.notAfter && Date.parse(out.notAfter) <= Date.now()) return { error: "notAfter is in the past" };
+  if (out.notBefore && out.notAfter && out.notAfter <= out.notBefore) return { error: "notAfter must be after notBefore" };
+  return out;
+}
+
+// Validate + queue a job of any registered type (block if agent offline)
+// Offline agents: 409 AGENT_OFFLINE, unless queueIfOffline asks to hold the job
+// for ttlSeconds (then it expires if the agent has not pulled it by then).
+function submitJob(req, res, { type, deviceId, payload, maxAttempts, notBefore, notAfter, queueIfOffline, ttlSeconds }) {
+  const agent = findAgentForUser(req, res);
+  if (!agent) return;
+  const { agentId } = agent;
+
+  const def = getJobType(type);
+  if (!def) return res.status(400).json({ ok: false, error: "UNKNOWN_JOB_TYPE", type });
+
+  let expiresAt = null;
+  if (!isOnline(agent)) {
+    if (!queueIfOffline) return res.status(409).json({ ok: false, error: "AGENT_OFFLINE" });
+    const ttl = ttlSeconds ?? OFFLINE_JOB_TTL_S;
+    if (!Number.isInteger(ttl) || ttl < 60 || ttl > MAX_OFFLINE_JOB_TTL_S) {
+      return res.status(400).json({ ok: false, error: "INVALID_TTL", min: 60, max: MAX_OFFLINE_JOB_TTL_S });
+    }
+    expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+  }
+
+  if (!agentSupports(agent, type)) {
+    return res.status(409).json({
+      ok: false,
+      error: "CAPABILITY_MISSING",
+      required: def.capability,
+      capabilities: capabilityNames(agent.capabilities)
+    });
+  }
+  const versionProblem = agentVersionProblem(agent, type);
+  if (versionProblem) return res.status(409).json({ ok: false, ...versionProblem });
+
+  let device = null;
+  if (def.requiresDevice) {
+    if (!deviceId) return res.status(400).json({ ok: false, error: "MISSING_DEVICE_ID" });
+    device = (agentDevices.get(agentId) ?? []).find(d => d.deviceId === deviceId);
+    if (!device) return res.status(404).json({ ok: false, error: "UNKNOWN_DEVICE" });
+  } else if (deviceId) {
+    device = (agentDevices.get(agentId) ?? []).find(d => d.deviceId === deviceId) ?? null;
+    if (!device) return res.status(404).json({ ok: false, error: "UNKNOWN_DEVICE" });
+  }
+
+  const schedule = parseSchedule(notBefore, notAfter);
+  if (schedule.error) return res.status(400).json({ ok: false, error: "INVALID_SCHEDULE", message: schedule.error });
+
+  const checked = validatePayload(def, payload);
+  if (checked.errors) return res.status(400).json({ ok: false, error: "INVALID_PAYLOAD", details: checked.errors });
+
+  let finalPayload = checked.payload;
+  if (jobPreparers[type]) {
+    const prepared = jobPreparers[type](checked.payload, { agent, device, user: req.user });
+    if (prepared.error) {
+      const { status, ...body } = prepared;
+      return res.status(status).json({ ok: false, ...body });
+    }
+    finalPayload = prepared.payload;
+  }
+
+  const job = createJob({
+    agent,
+    type,
+    deviceId: device?.deviceId ?? null,
+    payload: finalPayload,
+    createdBy: req.user.userId,
+    maxAttempts,
+    expiresAt,
+    ...schedule
+  });
 
-  res.json({ ok: true, jobId });
+  res.json({ ok: true, jobId: job.jobId, eligibleAt: portalJobView(job).eligibleAt, expiresAt });
+}
+
+const SUBMIT_OPTIONS = ["deviceId", "maxAttempts", "notBefore", "notAfter", "queueIfOffline", "ttlSeconds"];
+
+// Job types with their payload fields (drives the UI form).
+// With ?agentId=... each type says whether that agent supports it (capability and version).
+app.get("/portal/job-types", (req, res) => {
+  const agent = req.query.agentId ? agents.get(req.query.agentId) : null;
+  if (agent && !canAccessTenant(req.user, agent.tenantId)) return res.status(404).json({ ok: false, error: "UNKNOWN_AGENT" });
+  res.json(listJobTypes().map(t => {
+    if (!agent) return t;
+    const reason = agentSupports(agent, t.type) ? agentVersionProblem(agent, t.type)?.error : "CAPABILITY_MISSING";
+    return { ...t, supported: !reason, ...(reason && { unsupportedReason: reason }) };
+  }));
+});
+
+// Create job: { type, deviceId?, payload, maxAttempts?, notBefore?, notAfter?, queueIfOffline?, ttlSeconds? }
+app.post("/portal/agents/:agentId/jobs", requireOperator, (req, res) => {
+  const { type, payload, ...options } = req.body ?? {};
+  if (!type) return res.status(400).json({ ok: false, error: "MISSING_JOB_TYPE" });
+  submitJob(req, res, { ...pick(options, SUBMIT_OPTIONS), type, payload: payload ?? {} });
+});
+
+// Create firmware update job (kept for existing clients; same as type "firmware-update")
+app.post("/portal/agents/:agentId/jobs/firmware-update", requireOperator, (req, res) => {
+  const { artifactId, ...options } = req.body ?? {};
+  if (!artifactId) return res.status(400).json({ ok: false, error: "MISSING_ARTIFACT_ID" });
+  submitJob(req, res, { ...pick(options, SUBMIT_OPTIONS), type: "firmware-update", payload: { artifactId } });
+});
+
+// GET /portal/jobs?tenantId=&agentId=&deviceId=&type=&status=a,b&campaignId=&from=&to=
+//   &sort=createdAt|updatedAt|finishedAt|status|type&order=asc|desc&limit=&cursor=
+app.get("/portal/jobs", (req, res) => {
+  const { tenantId, agentId, deviceId, type, campaignId, from, to, sort, order, cursor } = req.query;
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+  const status = req.query.status ? String(req.query.status).split(",").filter(Boolean) : null;
+
+  const tenantIds = tenantScope(req, res, tenantId);
+  if (tenantIds === undefined) return;
+
+  try {
+    const page = queryJobs(jobs, { tenantIds, agentId, deviceId, type, status, campaignId, from, to, sort, order, cursor, limit });
+    res.json({ ...page, jobs: page.jobs.map(portalJobView) });
+  } catch (e) {
+    if (!(e instanceof JobQueryError)) throw e;
+    res.status(400).json({ ok: false, error: e.code, ...e.details });
+  }
 });
 
 // Get job status
 app.get("/portal/jobs/:jobId", (req, res) => {
   const { jobId } = req.params;
-  if (!jobs.has(jobId)) return res.status(404).json({ ok: false, error: "UNKNOWN_JOB" });
-  res.json(jobs.get(jobId));
+  const j = jobs.get(jobId);
+  if (!j || !canAccessTenant(req.user, j.tenantId)) return res.status(404).json({ ok: false, error: "UNKNOWN_JOB" });
+  res.json(portalJobView(j));
+});
+
+// Cancel job: queued jobs are dropped from the queue, dispatched/running ones are
+// signalled to the agent (heartbeat / jobs/next / progress responses carry cancelJobs)
+app.post("/portal/jobs/:jobId/cancel", requireOperator, (req, res) => {
+  const { jobId } = req.params;
+  const j = jobs.get(jobId);
+  if (!j || !canAccessTenant(req.user, j.tenantId)) return res.status(404).json({ ok: false, error: "UNKNOWN_JOB" });
+  if (isTerminal(j.status)) return res.status(409).json({ ok: false, error: "JOB_FINISHED", status: j.status });
+
+  const result = cancelJob(j, { by: req.user.userId }, userActor(req.user));
+  res.json({ ok: true, jobId, status: j.status, result });
+});
+
+// ---------- Diagnostic bundles ----------
+
+// Bundles stay with the tenant they were uploaded in (see lib/diagnostics.js)
+function findBundleForUser(req, res) {
+  const bundle = diagnosticBundles.get(req.params.bundleId);
+  if (!bundle || !canAccessTenant(req.user, bundle.tenantId)) {
+    res.status(404).json({ ok: false, error: "UNKNOWN_BUNDLE" });
+    return null;
+  }
+  return bundle;
+}
+
+app.get("/portal/agents/:agentId/diagnostics", (req, res) => {
+  const a = findAgentForUser(req, res);
+  if (!a) return;
+  res.json(diagnosticsRepo.list({ agentId: a.agentId }).filter(b => canAccessTenant(req.user, b.tenantId)));
+});
+
+app.get("/portal/jobs/:jobId/diagnostics", (req, res) => {
+  const j = jobs.get(req.params.jobId);
+  if (!j || !canAccessTenant(req.user, j.tenantId)) return res.status(404).json({ ok: false, error: "UNKNOWN_JOB" });
+  res.json(diagnosticsRepo.list({ jobId: j.jobId }).filter(b => canAccessTenant(req.user, b.tenantId)));
+});
+
+app.get("/portal/diagnostics/:bundleId/download", (req, res) => {
+  const bundle = findBundleForUser(req, res);
+  if (!bundle) return;
+  res.set("X-Checksum-SHA256", bundle.sha256);
+  res.attachment(bundle.filename);
+  res.type("application/octet-stream");
+  res.sendFile(diagnosticsRepo.filePath(bundle.bundleId));
+});
+
+app.delete("/portal/diagnostics/:bundleId", requireTenantAdmin, (req, res) => {
+  const bundle = findBundleForUser(req, res);
+  if (!bundle) return;
+  diagnosticsRepo.remove(bundle.bundleId);
+  audit.record({
+    actor: userActor(req.user),
+    action: "diagnostics.delete",
+    tenantId: bundle.tenantId,
+    agentId: bundle.agentId,
+    target: { type: "diagnostics", id: bundle.bundleId },
+    before: pick(bundle, ["filename", "jobId", "deviceId", "reason", "size", "sha256"])
+  });
+  res.json({ ok: true, bundleId: bundle.bundleId, status: "deleted" });
+});
+
+// ---------- Tenants and sites ----------
+
+// Ids are slugs referenced all over the store; only the display name can be renamed
+const ENTITY_ID_RE = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+function agentCounts(match) {
+  const counts = { agents: 0, online: 0 };
+  for (const a of agents.values()) {
+    if (!match(a)) continue;
+    counts.agents++;
+    if (isOnline(a)) counts.online++;
+  }
+  return counts;
+}
+
+function tenantView(t) {
+  let siteCount = 0;
+  for (const s of sites.values()) if (s.tenantId === t.tenantId) siteCount++;
+  return { ...t, counts: { sites: siteCount, ...agentCounts(a => a.tenantId === t.tenantId) } };
+}
+
+function siteView(tenantId, siteId) {
+  const site = sites.get(siteKey(tenantId, siteId));
+  const now = Date.now();
+  const next = site ? nextWindowOpen(site, now) : now;
+  return {
+    tenantId,
+    siteId,
+    name: site?.name ?? siteId,
+    timezone: site?.timezone ?? null,
+    windows: site?.windows ?? [],
+    openNow: isWindowOpen(site, now),
+    nextOpenAt: next === null ? null : new Date(next).toISOString(),
+    counts: agentCounts(a => a.tenantId === tenantId && a.siteId === siteId),
+    createdAt: site?.createdAt ?? null,
+    updatedAt: site?.updatedAt ?? null,
+    updatedBy: site?.updatedBy ?? null
+  };
+}
+
+function findTenantForUser(req, res) {
+  const t = tenants.get(req.params.tenantId);
+  if (!t || !canAccessTenant(req.user, t.tenantId)) {
+    res.status(404).json({ ok: false, error: "UNKNOWN_TENANT" });
+    return null;
+  }
+  return t;
+}
+
+function findSite(res, tenantId, siteId) {
+  const site = sites.get(siteKey(tenantId, siteId));
+  if (!site) res.status(404).json({ ok: false, error: "UNKNOWN_SITE", siteId });
+  return site ?? null;
+}
+
+function publishTenant(action, t) {
+  events.publish("tenant.changed", { tenantId: t.tenantId, data: { action, tenant: t } });
+}
+
+function publishSite(action, site) {
+  events.publish("site.changed", { tenantId: site.tenantId, data: { action, site } });
+}
+
+app.get("/portal/tenants", (req, res) => {
+  const list = [...tenants.values()]
+    .filter(t => canAccessTenant(req.user, t.tenantId))
+    .sort((a, b) => a.tenantId.localeCompare(b.tenantId))
+    .map(tenantView);
+  res.json(list);
+});
+
+// Create: { tenantId, name? }
+app.post("/portal/tenants", requireGlobalAdmin, (req, res) => {
+  const { tenantId, name } = req.body ?? {};
+  if (!tenantId) return res.status(400).json({ ok: false, error: "MISSING_TENANT_ID" });
+  if (!ENTITY_ID_RE.test(tenantId)) return res.status(400).json({ ok: false, error: "INVALID_TENANT_ID" });
+  if (tenants.has(tenantId)) return res.status(409).json({ ok: false, error: "TENANT_EXISTS" });
+
+  const t = {
+    tenantId,
+    name: String(name || tenantId),
+    agentVersionPolicy: { ...EMPTY_VERSION_POLICY },
+    createdAt: nowIso(),
+    createdBy: req.user.userId,
+    updatedAt: nowIso()
+  };
+  tenants.set(tenantId, t);
+  audit.record({
+    actor: userActor(req.user),
+    action: "tenant.create",
+    tenantId,
+    target: { type: "tenant", id: tenantId },
+    after: pick(t, ["name"])
+  });
+  publishTenant("created", t);
+  res.json({ ok: true, tenant: tenantView(t) });
+});
+
+// Rename: { name }
+app.patch("/portal/tenants/:tenantId", requireTenantAdmin, (req, res) => {
+  const t = findTenantForUser(req, res);
+  if (!t) return;
+  const { name } = req.body ?? {};
+  if (!name) return res.status(400).json({ ok: false, error: "MISSING_NAME" });
+
+  const before = pick(t, ["name"]);
+  t.name = String(name);
+  t.updatedAt = nowIso();
+  tenants.set(t.tenantId, t);
+  audit.record({
+    actor: userActor(req.user),
+    action: "tenant.update",
+    tenantId: t.tenantId,
+    target: { type: "tenant", id: t.tenantId },
+    before,
+    after: pick(t, ["name"])
+  });
+  publishTenant("updated", t);
+  res.json({ ok: true, tenant: tenantView(t) });
+});
+
+// Agent version policy: { minimum, recommended } (null = no requirement).
+// Agents below the minimum only get agent-update jobs until they are updated.
+app.put("/portal/tenants/:tenantId/agent-version-policy", requireTenantAdmin, (req, res) => {
+  const t = findTenantForUser(req, res);
+  if (!t) return;
+  const checked = normalizeVersionPolicy(req.body);
+  if (checked.error) return res.status(400).json({ ok: false, error: checked.error, field: checked.field });
+
+  const before = pick(t, ["agentVersionPolicy"]);
+  t.agentVersionPolicy = checked.policy;
+  t.updatedAt = nowIso();
+  tenants.set(t.tenantId, t);
+  audit.record({
+    actor: userActor(req.user),
+    action: "tenant.agent-version-policy",
+    tenantId: t.tenantId,
+    target: { type: "tenant", id: t.tenantId },
+    before,
+    after: pick(t, ["agentVersionPolicy"])
+  });
+  publishTenant("updated", t);
+
+  const counts = Object.fromEntries(VERSION_STATUSES.map(s => [s, 0]));
+  for (const a of agents.values()) if (a.tenantId === t.tenantId) counts[agentVersionStatus(a)]++;
+  res.json({ ok: true, tenant: tenantView(t), agents: counts });
+});
+
+// Only empty tenants can go; agents have to be unpaired or moved first
+app.delete("/portal/tenants/:tenantId", requireGlobalAdmin, (req, res) => {
+  const t = findTenantForUser(req, res);
+  if (!t) return;
+  const { tenantId } = t;
+
+  const owned = (rows, filter = () => true) => [...rows.values()].filter(r => r.tenantId === tenantId && filter(r)).length;
+  const inUse = {
+    agents: owned(agents),
+    sites: owned(sites),
+    users: owned(users),
+    webhooks: owned(webhooks),
+    artifacts: owned(artifacts),
+    diagnosticBundles: owned(diagnosticBundles),
+    campaigns: owned(campaigns, c => c.status === "running" || c.status === "paused")
+  };
+  if (Object.values(inUse).some(n => n > 0)) {
+    return res.status(409).json({ ok: false, error: "TENANT_NOT_EMPTY", inUse });
+  }
+
+  // finished campaigns cannot be deleted on their own; they go with the tenant
+  const removedCampaigns = [...campaigns.values()].filter(c => c.tenantId === tenantId);
+  for (const c of removedCampaigns) campaigns.delete(c.campaignId);
+
+  tenants.delete(tenantId);
+  audit.record({
+    actor: userActor(req.user),
+    action: "tenant.delete",
+    tenantId,
+    target: { type: "tenant", id: tenantId },
+    before: {
+      ...pick(t, ["name"]),
+      ...(removedCampaigns.length > 0 && { campaigns: removedCampaigns.map(c => c.campaignId) })
+    }
+  });
+  publishTenant("deleted", t);
+  res.json({ ok: true, tenantId });
+});
+
+app.get("/portal/tenants/:tenantId/sites", (req, res) => {
+  const t = findTenantForUser(req, res);
+  if (!t) return;
+  const list = [...sites.values()]
+    .filter(s => s.tenantId === t.tenantId)
+    .sort((a, b) => a.siteId.localeCompare(b.siteId))
+    .map(s => siteView(s.tenantId, s.siteId));
+  res.json(list);
+});
+
+// Create: { siteId, name? }; maintenance windows are set separately
+app.post("/portal/tenants/:tenantId/sites", requireTenantAdmin, (req, res) => {
+  const t = findTenantForUser(req, res);
+  if (!t) return;
+  const { siteId, name } = req.body ?? {};
+  if (!siteId) return res.status(400).json({ ok: false, error: "MISSING_SITE_ID" });
+  if (!ENTITY_ID_RE.test(siteId)) return res.status(400).json({ ok: false, error: "INVALID_SITE_ID" });
+  const key = siteKey(t.tenantId, siteId);
+  if (sites.has(key)) return res.status(409).json({ ok: false, error: "SITE_EXISTS" });
+
+  const site = {
+    tenantId: t.tenantId,
+    siteId,
+    name: String(name || siteId),
+    timezone: null,
+    windows: [],
+    createdAt: nowIso(),
+    createdBy: req.user.userId,
+    updatedAt: nowIso(),
+    updatedBy: req.user.userId
+  };
+  sites.set(key, site);
+  audit.record({
+    actor: userActor(req.user),
+    action: "site.create",
+    tenantId: t.tenantId,
+    target: { type: "site", id: siteId },
+    after: pick(site, ["name"])
+  });
+  publishSite("created", site);
+  res.json({ ok: true, site: siteView(t.tenantId, siteId) });
+});
+
+// Rename: { name }
+app.patch("/portal/tenants/:tenantId/sites/:siteId", requireTenantAdmin, (req, res) => {
+  const t = findTenantForUser(req, res);
+  if (!t) return;
+  const site = findSite(res, t.tenantId, req.params.siteId);
+  if (!site) return;
+  const { name } = req.body ?? {};
+  if (!name) return res.status(400).json({ ok: false, error: "MISSING_NAME" });
+
+  const before = pick(site, ["name"]);
+  site.name = String(name);
+  site.updatedAt = nowIso();
+  site.updatedBy = req.user.userId;
+  sites.set(siteKey(t.tenantId, site.siteId), site);
+  audit.record({
+    actor: userActor(req.user),
+    action: "site.update",
+    tenantId: t.tenantId,
+    target: { type: "site", id: site.siteId },
+    before,
+    after: pick(site, ["name"])
+  });
+  publishSite("updated", site);
+  res.json({ ok: true, site: siteView(t.tenantId, site.siteId) });
+});
+
+app.delete("/portal/tenants/:tenantId/sites/:siteId", requireTenantAdmin, (req, res) => {
+  const t = findTenantForUser(req, res);
+  if (!t) return;
+  const site = findSite(res, t.tenantId, req.params.siteId);
+  if (!site) return;
+
+  const { agents: agentCount } = agentCounts(a => a.tenantId === t.tenantId && a.siteId === site.siteId);
+  if (agentCount > 0) return res.status(409).json({ ok: false, error: "SITE_NOT_EMPTY", agents: agentCount });
+
+  sites.delete(siteKey(t.tenantId, site.siteId));
+  audit.record({
+    actor: userActor(req.user),
+    action: "site.delete",
+    tenantId: t.tenantId,
+    target: { type: "site", id: site.siteId },
+    before: pick(site, ["name", "timezone", "windows"])
+  });
+  publishSite("deleted", site);
+  res.json({ ok: true, siteId: site.siteId });
+});
+
+// ---------- Site maintenance windows ----------
+
+// Tenant of a site request: own tenant, or ?tenantId= / body.tenantId for global admins
+function siteTenant(req, res) {
+  const tenantId = isGlobalAdmin(req.user) ? req.query.tenantId ?? req.body?.tenantId : req.user.tenantId;
+  if (!tenantId) {
+    res.status(400).json({ ok: false, error: "MISSING_TENANT_ID" });
+    return null;
+  }
+  return tenantId;
+}
+
+// All sites with their maintenance windows
+app.get("/portal/sites", (req, res) => {
+  const tenantIds = tenantScope(req, res, req.query.tenantId);
+  if (tenantIds === undefined) return;
+  const list = [];
+  for (const s of sites.values()) {
+    if (!tenantIds || tenantIds.includes(s.tenantId)) list.push(siteView(s.tenantId, s.siteId));
+  }
+  res.json(list);
+});
+
+app.get("/portal/sites/:siteId/maintenance-windows", (req, res) => {
+  const tenantId = siteTenant(req, res);
+  if (!tenantId) return;
+  if (!findSite(res, tenantId, req.params.siteId)) return;
+  res.json(siteView(tenantId, req.params.siteId));
+});
+
+// Replace a site's windows: { timezone, windows: [{ days, start, end }] }; [] = always open
+app.put("/portal/sites/:siteId/maintenance-windows", requireTenantAdmin, (req, res) => {
+  const tenantId = siteTenant(req, res);
+  if (!tenantId) return;
+  const site = findSite(res, tenantId, req.params.siteId);
+  if (!site) return;
+  const { siteId } = site;
+  const { timezone, windows } = req.body ?? {};
+
+  if (!isValidTimeZone(timezone)) return res.status(400).json({ ok: false, error: "INVALID_TIMEZONE" });
+  const checked = normalizeWindows(windows);
+  if (checked.errors) return res.status(400).json({ ok: false, error: "INVALID_WINDOWS", details: checked.errors });
+
+  const before = pick(site, ["timezone", "windows"]);
+  site.timezone = timezone;
+  site.windows = checked.windows;
+  site.updatedAt = nowIso();
+  site.updatedBy = req.user.userId;
+  sites.set(siteKey(tenantId, siteId), site);
+  audit.record({
+    actor: userActor(req.user),
+    action: "site.maintenance-windows",
+    tenantId,
+    target: { type: "site", id: siteId },
+    before,
+    after: pick(site, ["timezone", "windows"])
+  });
+
+  // jobs that just became eligible go out to connected agents right away
+  for (const a of agents.values()) {
+    if (a.tenantId === tenantId && a.siteId === siteId) pushJobs(a.agentId);
+  }
+  res.json({ ok: true, site: siteView(tenantId, siteId) });
+});
+
+// ---------- Fleet inventory export / import ----------
+
+// GET /portal/inventory/export?format=csv|json&tenantId=&siteId=
+// Agents joined with their devices ("which firmware runs where"), for audits.
+app.get("/portal/inventory/export", (req, res) => {
+  const { format = "csv", siteId } = req.query;
+  const tenantIds = tenantScope(req, res, req.query.tenantId);
+  if (tenantIds === undefined) return;
+
+  const entries = [...agents.values()]
+    .filter(a => canAccessTenant(req.user, a.tenantId))
+    .filter(a => (!tenantIds || tenantIds.includes(a.tenantId)) && (!siteId || a.siteId === siteId))
+    .sort((a, b) =>
+      (a.tenantId ?? "").localeCompare(b.tenantId ?? "") ||
+      (a.siteId ?? "").localeCompare(b.siteId ?? "") ||
+      a.displayName.localeCompare(b.displayName))
+    .map(a => ({ agent: agentSummary(a), devices: agentDevices.get(a.agentId) ?? [] }));
+
+  const filters = { tenantId: req.query.tenantId ?? null, siteId: siteId ?? null };
+  audit.record({
+    actor: userActor(req.user),
+    action: "inventory.export",
+    tenantId: filters.tenantId ?? req.user.tenantId,
+    target: { type: "inventory", id: filters.tenantId ?? req.user.tenantId ?? "all" },
+    after: { format, ...filters, agents: entries.length }
+  });
+
+  const exportedAt = nowIso();
+  const filename = `inventory-${filters.tenantId ?? req.user.tenantId ?? "all"}-${exportedAt.slice(0, 10)}.${format}`;
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  if (format === "json") {
+    return res.json({ exportedAt, filters, agents: entries.map(({ agent, devices }) => ({ ...agent, devices })) });
+  }
+  res.type("text/csv").send(toCsv(EXPORT_COLUMNS, exportRows(entries)));
+});
+
+// Apply one planned import change (see lib/fleetInventory.js)
+function applyInventoryChange(user, change) {
+  const a = agents.get(change.agentId);
+  const before = pick(a, AGENT_AUDIT_FIELDS);
+  const from = { tenantId: a.tenantId, siteId: a.siteId };
+  a.displayName = change.after.displayName;
+  a.siteId = change.after.siteId;
+  agents.set(a.agentId, a);
+
+  audit.record({
+    actor: userActor(user),
+    action: "agent.update",
+    tenantId: a.tenantId,
+    agentId: a.agentId,
+    target: { type: "agent", id: a.agentId },
+    before,
+    after: { ...pick(a, AGENT_AUDIT_FIELDS), source: "inventory-import" }
+  });
+  if (from.siteId !== a.siteId) {
+    events.publish("agent.moved", { tenantId: a.tenantId, agentId: a.agentId, data: { ...agentSummary(a), from } });
+    // the new site may have different maintenance windows
+    pushJobs(a.agentId);
+  } else {
+    publishAgent("agent.updated", a);
+  }
+}
+
+// POST /portal/inventory/import[?dryRun=true], body: CSV (Content-Type: text/csv)
+// with agentId plus displayName and/or siteId columns. All or nothing: if any
+// row has an error nothing is applied; a dry run reports the plan either way.
+app.post(
+  "/portal/inventory/import",
+  requireTenantAdmin,
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  (req, res) => {
+    if (typeof req.body !== "string" || !req.body.trim()) return res.status(400).json({ ok: false, error: "MISSING_CSV" });
+    const parsed = parseCsv(req.body);
+    if (parsed.error) return res.status(400).json({ ok: false, error: "INVALID_CSV", reason: parsed.error, line: parsed.line });
+
+    const plan = planImport(parsed, {
+      findAgent: agentId => {
+        const a = agents.get(agentId);
+        return a && canAccessTenant(req.user, a.tenantId) ? a : null;
+      },
+      siteExists: (tenantId, siteId) => sites.has(siteKey(tenantId, siteId))
+    });
+    if (plan.error) {
+      const { error, ...details } = plan;
+      return res.status(400).json({ ok: false, error, ...details });
+    }
+
+    const dryRun = req.query.dryRun === true;
+    const summary = { rows: parsed.rows.length, changes: plan.changes.length, unchanged: plan.unchanged, errors: plan.errors.length };
+    if (!dryRun && plan.errors.length > 0) {
+      return res.status(422).json({ ok: false, error: "IMPORT_HAS_ERRORS", summary, errors: plan.errors });
+    }
+    if (!dryRun) for (const change of plan.changes) applyInventoryChange(req.user, change);
+
+    res.json({ ok: true, dryRun, applied: !dryRun, summary, changes: plan.changes, errors: plan.errors });
+  }
+);
+
+// ---------- Device twins ----------
+const TWIN_AUDIT_FIELDS = ["desired", "autoReconcile"];
+
+function findDeviceTwinTarget(req, res) {
+  const a = findAgentForUser(req, res);
+  if (!a) return null;
+  const { deviceId } = req.params;
+  return { agent: a, deviceId, twin: deviceTwins.get(twinKey(a.agentId, deviceId)) ?? null };
+}
+
+// Drift view: GET /portal/device-twins?tenantId=&siteId=&agentId=&status=
+app.get("/portal/device-twins", (req, res) => {
+  const { tenantId, siteId, agentId, status } = req.query;
+  const tenantIds = tenantScope(req, res, tenantId);
+  if (tenantIds === undefined) return;
+
+  const summary = Object.fromEntries(TWIN_STATUSES.map(s => [s, 0]));
+  const list = [];
+  for (const twin of deviceTwins.values()) {
+    const view = twinView(twin);
+    if (!view.tenantId || (tenantIds && !tenantIds.includes(view.tenantId))) continue;
+    if (siteId && view.siteId !== siteId) continue;
+    if (agentId && twin.agentId !== agentId) continue;
+    summary[twin.status]++;
+    if (!status || twin.status === status) list.push(view);
+  }
+  list.sort((a, b) =>
+    a.tenantId.localeCompare(b.tenantId) ||
+    (a.displayName ?? "").localeCompare(b.displayName ?? "") ||
+    a.deviceId.localeCompare(b.deviceId));
+  res.json({ summary, twins: list });
+});
+
+app.get("/portal/agents/:agentId/devices/:deviceId/twin", (req, res) => {
+  const target = findDeviceTwinTarget(req, res);
+  if (!target) return;
+  if (!target.twin) return res.status(404).json({ ok: false, error: "NO_DESIRED_STATE" });
+  res.json(twinView(target.twin));
+});
+
+// Set the desired state: { fwVersion?, config?, autoReconcile? } (replaces the previous one)
+app.put("/portal/agents/:agentId/devices/:deviceId/twin", requireOperator, (req, res) => {
+  const target = findDeviceTwinTarget(req, res);
+  if (!target) return;
+  const { agent, deviceId } = target;
+  if (!agent.paired) return res.status(409).json({ ok: false, error: "AGENT_NOT_PAIRED" });
+  if (!(agentDevices.get(agent.agentId) ?? []).some(d => d.deviceId === deviceId)) {
+    return res.status(404).json({ ok: false, error: "UNKNOWN_DEVICE" });
+  }
+  const checked = normalizeDesired(req.body);
+  if (checked.errors) return res.status(400).json({ ok: false, error: "INVALID_DESIRED_STATE", details: checked.errors });
+
+  const before = target.twin ? pick(target.twin, TWIN_AUDIT_FIELDS) : null;
+  const twin = twinReconciler.create({
+    agentId: agent.agentId,
+    deviceId,
+    desired: checked.desired,
+    autoReconcile: checked.autoReconcile,
+    updatedBy: req.user.userId
+  });
+  audit.record({
+    actor: userActor(req.user),
+    action: "twin.update",
+    tenantId: agent.tenantId,
+    agentId: agent.agentId,
+    target: { type: "device", id: deviceId },
+    before,
+    after: pick(twin, TWIN_AUDIT_FIELDS)
+  });
+  res.json({ ok: true, twin: twinView(twin) });
+});
+
+// Clear the desired state; a job the reconciler already started keeps running
+app.delete("/portal/agents/:agentId/devices/:deviceId/twin", requireOperator, (req, res) => {
+  const target = findDeviceTwinTarget(req, res);
+  if (!target) return;
+  const { agent, deviceId, twin } = target;
+  if (!twin) return res.status(404).json({ ok: false, error: "NO_DESIRED_STATE" });
+
+  deviceTwins.delete(twinKey(agent.agentId, deviceId));
+  audit.record({
+    actor: userActor(req.user),
+    action: "twin.delete",
+    tenantId: agent.tenantId,
+    agentId: agent.agentId,
+    target: { type: "device", id: deviceId },
+    before: pick(twin, TWIN_AUDIT_FIELDS)
+  });
+  events.publish("twin.changed", {
+    tenantId: agent.tenantId,
+    agentId: agent.agentId,
+    data: { agentId: agent.agentId, deviceId, status: "deleted" }
+  });
+  res.json({ ok: true, agentId: agent.agentId, deviceId, status: "deleted" });
+});
+
+// ---------- Campaigns ----------
+
+function campaignView(c) {
+  return { ...c, progress: campaignEngine.summarize(c) };
+}
+
+function findCampaignForUser(req, res) {
+  const c = campaigns.get(req.params.campaignId);
+  if (!c || !canAccessTenant(req.user, c.tenantId)) {
+    res.status(404).json({ ok: false, error: "UNKNOWN_CAMPAIGN" });
+    return null;
+  }
+  return c;
+}
+
+app.get("/portal/campaigns", (req, res) => {
+  const list = Array.from(campaigns.values())
+    .filter(c => canAccessTenant(req.user, c.tenantId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(c => {
+      const { devices, ...rest } = c;
+      return { ...rest, progress: campaignEngine.summarize(c) };
+    });
+  res.json(list);
+});
+
+app.get("/portal/campaigns/:campaignId", (req, res) => {
+  const c = findCampaignForUser(req, res);
+  if (!c) return;
+  res.json(campaignView(c));
+});
+
+// Create + start a campaign for all paired devices of the tenant matching the target
+//   { name, artifactId, target: { siteId?, model?, fwVersion? }, canaryPercent?, batchSize?, failureThreshold?, jobTtlSeconds? }
+app.post("/portal/campaigns", requireOperator, (req, res) => {
+  const { name, artifactId, target = {}, canaryPercent, batchSize, failureThreshold, jobTtlSeconds } = req.body ?? {};
+  const tenantId = isGlobalAdmin(req.user) ? req.body?.tenantId : req.user.tenantId;
+
+  if (!tenantId) return res.status(400).json({ ok: false, error: "MISSING_TENANT_ID" });
+  if (!requireKnownTenant(res, tenantId)) return;
+  if (!name) return res.status(400).json({ ok: false, error: "MISSING_NAME" });
+
+  const artifact = artifacts.get(artifactId);
+  if (!artifact || (artifact.tenantId && artifact.tenantId !== tenantId)) {
+    return res.status(404).json({ ok: false, error: "UNKNOWN_ARTIFACT" });
+  }
+  if (artifact.kind !== "firmware") {
+    return res.status(409).json({ ok: false, error: "WRONG_ARTIFACT_KIND", expected: "firmware", kind: artifact.kind });
+  }
+
+  const options = { ...CAMPAIGN_DEFAULTS, jobTtlSeconds: OFFLINE_JOB_TTL_S };
+  if (canaryPercent !== undefined) {
+    if (typeof canaryPercent !== "number" || canaryPercent <= 0 || canaryPercent > 100) {
+      return res.status(400).json({ ok: false, error: "INVALID_CANARY_PERCENT" });
+    }
+    options.canaryPercent = canaryPercent;
+  }
+  if (batchSize !== undefined) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) return res.status(400).json({ ok: false, error: "INVALID_BATCH_SIZE" });
+    options.batchSize = batchSize;
+  }
+  if (failureThreshold !== undefined) {
+    if (typeof failureThreshold !== "number" || failureThreshold < 0 || failureThreshold > 1) {
+      return res.status(400).json({ ok: false, error: "INVALID_FAILURE_THRESHOLD" });
+    }
+    options.failureThreshold = failureThreshold;
+  }
+  if (jobTtlSeconds !== undefined) {
+    if (!Number.isInteger(jobTtlSeconds) || jobTtlSeconds < 60 || jobTtlSeconds > MAX_OFFLINE_JOB_TTL_S) {
+      return res.status(400).json({ ok: false, error: "INVALID_TTL", min: 60, max: MAX_OFFLINE_JOB_TTL_S });
+    }
+    options.jobTtlSeconds = jobTtlSeconds;
+  }
+
+  const matched = [];
+  let incompatible = 0;
+  for (const agent of agents.values()) {
+    if (!agent.paired || agent.tenantId !== tenantId) continue;
+    for (const d of agentDevices.get(agent.agentId) ?? []) {
+      if (!matchesTarget(agent, d, target)) continue;
+      if (!isCompatible(artifact, d.model)) {
+        incompatible++;
+        continue;
+      }
+      matched.push({ agentId: agent.agentId, deviceId: d.deviceId });
+    }
+  }
+  if (matched.length === 0) {
+    return res.status(400).json({ ok: false, error: "NO_MATCHING_DEVICES", incompatible });
+  }
+
+  const c = campaignEngine.create({
+    tenantId,
+    name,
+    artifact,
+    target: { siteId: target.siteId ?? null, model: target.model ?? null, fwVersion: target.fwVersion ?? null },
+    options,
+    devices: matched,
+    createdBy: req.user.userId
+  });
+  auditCampaign(userActor(req.user), "campaign.create", c);
+
+  res.json({ ok: true, campaignId: c.campaignId, devices: matched.length, incompatible, waves: c.waveCount });
+});
+
+app.post("/portal/campaigns/:campaignId/pause", requireOperator, (req, res) => {
+  const c = findCampaignForUser(req, res);
+  if (!c) return;
+  if (c.status !== "running") return res.status(409).json({ ok: false, error: "CAMPAIGN_NOT_RUNNING", status: c.status });
+  campaignEngine.pause(c, `paused by ${req.user.userId}`);
+  auditCampaign(userActor(req.user), "campaign.pause", c, "running");
+  res.json({ ok: true, campaignId: c.campaignId, status: c.status });
+});
+
+app.post("/portal/campaigns/:campaignId/resume", requireOperator, (req, res) => {
+  const c = findCampaignForUser(req, res);
+  if (!c) return;
+  if (c.status !== "paused") return res.status(409).json({ ok: false, error: "CAMPAIGN_NOT_PAUSED", status: c.status });
+  campaignEngine.resume(c);
+  auditCampaign(userActor(req.user), "campaign.resume", c, "paused");
+  res.json({ ok: true, campaignId: c.campaignId, status: c.status });
+});
+
+app.post("/portal/campaigns/:campaignId/cancel", requireOperator, (req, res) => {
+  const c = findCampaignForUser(req, res);
+  if (!c) return;
+  if (c.status === "completed" || c.status === "cancelled") {
+    return res.status(409).json({ ok: false, error: "CAMPAIGN_FINISHED", status: c.status });
+  }
+  const previous = c.status;
+  campaignEngine.cancel(c, { by: req.user.userId });
+  auditCampaign(userActor(req.user), "campaign.cancel", c, previous);
+  res.json({ ok: true, campaignId: c.campaignId, status: c.status });
+});
+
+// ---------- Webhooks ----------
+
+const WEBHOOK_AUDIT_FIELDS = ["url", "events", "description", "active"];
+
+// The secret is only shown on create / rotate
+function webhookView(w) {
+  const { secret: _secret, ...rest } = w;
+  return rest;
+}
+
+function findWebhookForUser(req, res) {
+  const w = webhooks.get(req.params.webhookId);
+  if (!w || !canAccessTenant(req.user, w.tenantId)) {
+    res.status(404).json({ ok: false, error: "UNKNOWN_WEBHOOK" });
+    return null;
+  }
+  return w;
+}
+
+// -> error body or null
+function checkWebhookFields({ url, events: filters }) {
+  if (url !== undefined && !isValidWebhookUrl(url)) return { error: "INVALID_URL" };
+  if (url !== undefined && !webhookDispatcher.options.allowPrivateTargets && targetsPrivateNetwork(url)) {
+    return { error: "PRIVATE_TARGET" };
+  }
+  if (filters !== undefined) {
+    if (!Array.isArray(filters) || filters.length === 0) return { error: "MISSING_EVENTS" };
+    const unknown = filters.filter(f => typeof f !== "string" || !isValidEventFilter(f));
+    if (unknown.length) return { error: "UNKNOWN_EVENTS", unknown, allowed: WEBHOOK_EVENTS };
+  }
+  return null;
+}
+
+function auditWebhook(req, action, w, before = null) {
+  audit.record({
+    actor: userActor(req.user),
+    action,
+    tenantId: w.tenantId,
+    target: { type: "webhook", id: w.webhookId },
+    before: before && pick(before, WEBHOOK_AUDIT_FIELDS),
+    after: action === "webhook.delete" ? null : pick(w, WEBHOOK_AUDIT_FIELDS)
+  });
+}
+
+app.get("/portal/webhooks/events", (_req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+app.get("/portal/webhooks", requireTenantAdmin, (req, res) => {
+  const tenantIds = tenantScope(req, res, req.query.tenantId);
+  if (tenantIds === undefined) return;
+  res.json([...webhooks.values()].filter(w => !tenantIds || tenantIds.includes(w.tenantId)).map(webhookView));
+});
+
+// Create: { url, events: ["agent.offline", "job.*"], description?, tenantId? (global admin) }
+app.post("/portal/webhooks", requireTenantAdmin, (req, res) => {
+  const { url, events: filters, description } = req.body ?? {};
+  const tenantId = isGlobalAdmin(req.user) ? req.body?.tenantId : req.user.tenantId;
+  if (!tenantId) return res.status(400).json({ ok: false, error: "MISSING_TENANT_ID" });
+  if (!requireKnownTenant(res, tenantId)) return;
+  if (!url) return res.status(400).json({ ok: false, error: "MISSING_URL" });
+  const invalid = checkWebhookFields({ url, events: filters ?? [] });
+  if (invalid) return res.status(400).json({ ok: false, ...invalid });
+
+  const w = {
+    webhookId: crypto.randomUUID(),
+    tenantId,
+    url,
+    events: [...new Set(filters)],
+    description: description ?? null,
+    active: true,
+    secret: generateSecret(),
+    createdAt: nowIso(),
+    createdBy: req.user.userId,
+    updatedAt: nowIso()
+  };
+  webhooks.set(w.webhookId, w);
+  auditWebhook(req, "webhook.create", w);
+  res.json({ ok: true, webhook: webhookView(w), secret: w.secret });
+});
+
+// Update: { url?, events?, description?, active? }
+app.patch("/portal/webhooks/:webhookId", requireTenantAdmin, (req, res) => {
+  const w = findWebhookForUser(req, res);
+  if (!w) return;
+  const { url, events: filters, description, active } = req.body ?? {};
+  const invalid = checkWebhookFields({ url, events: filters });
+  if (invalid) return res.status(400).json({ ok: false, ...invalid });
+
+  const before = { ...w };
+  if (url !== undefined) w.url = url;
+  if (filters !== undefined) w.events = [...new Set(filters)];
+  if (description !== undefined) w.description = description;
+  if (active !== undefined) w.active = !!active;
+  w.updatedAt = nowIso();
+  webhooks.set(w.webhookId, w);
+  auditWebhook(req, "webhook.update", w, before);
+  res.json({ ok: true, webhook: webhookView(w) });
+});
+
+app.post("/portal/webhooks/:webhookId/rotate-secret", requireTenantAdmin, (req, res) => {
+  const w = findWebhookForUser(req, res);
+  if (!w) return;
+  w.secret = generateSecret();
+  w.updatedAt = nowIso();
+  webhooks.set(w.webhookId, w);
+  auditWebhook(req, "webhook.rotate-secret", w);
+  res.json({ ok: true, webhookId: w.webhookId, secret: w.secret });
+});
+
+app.delete("/portal/webhooks/:webhookId", requireTenantAdmin, (req, res) => {
+  const w = findWebhookForUser(req, res);
+  if (!w) return;
+  webhooks.delete(w.webhookId);
+  webhookDispatcher.removeWebhook(w.webhookId);
+  auditWebhook(req, "webhook.delete", w, w);
+  res.json({ ok: true, webhookId: w.webhookId, status: "deleted" });
+});
+
+// Send a webhook.test event to this subscription only (also when inactive)
+app.post("/portal/webhooks/:webhookId/test", requireTenantAdmin, (req, res) => {
+  const w = findWebhookForUser(req, res);
+  if (!w) return;
+  const [d] = webhookDispatcher.enqueue(w.tenantId, "webhook.test", { message: "test event", by: req.user.userId }, {
+    onlyWebhookId: w.webhookId
+  });
+  res.json({ ok: true, deliveryId: d.deliveryId });
+});
+
+// GET /portal/webhooks/:webhookId/deliveries?limit=&before=<cursor>  (newest first)
+app.get("/portal/webhooks/:webhookId/deliveries", requireTenantAdmin, (req, res) => {
+  const w = findWebhookForUser(req, res);
+  if (!w) return;
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+  res.json(webhookDispatcher.deliveriesFor(w.webhookId, { before: req.query.before, limit }));
+});
+
+app.post("/portal/webhooks/:webhookId/deliveries/:deliveryId/redeliver", requireTenantAdmin, (req, res) => {
+  const w = findWebhookForUser(req, res);
+  if (!w) return;
+  const d = webhookDeliveries.get(req.params.deliveryId);
+  if (!d || d.webhookId !== w.webhookId) return res.status(404).json({ ok: false, error: "UNKNOWN_DELIVERY" });
+  if (d.status === "pending") return res.status(409).json({ ok: false, error: "DELIVERY_PENDING" });
+  webhookDispatcher.redeliver(d);
+  res.json({ ok: true, deliveryId: d.deliveryId, status: d.status });
+});
+
+// ---------- Audit log ----------
+
+// GET /portal/audit?tenantId=&agentId=&actor=&action=&from=&to=&limit=&before=<cursor>
+// action may be a prefix ending in "." (e.g. "job."). Newest first.
+app.get("/portal/audit", (req, res) => {
+  const { tenantId, agentId, actor, action, from, to, before } = req.query;
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+
+  const tenantIds = tenantScope(req, res, tenantId);
+  if (tenantIds === undefined) return;
+
+  res.json(audit.query({ tenantIds, agentId, actor, action, from, to, before, limit }));
+});
+
+// Unknown API routes answer in the same error envelope as everything else
+app.use(["/agent", "/portal"], (_req, res) => res.status(404).json({ ok: false, error: "NOT_FOUND" }));
+
+// Body parser errors (oversized uploads, broken JSON) and crashes as JSON
+app.use((err, req, res, _next) => {
+  if (err.type === "entity.too.large") return res.status(413).json({ ok: false, error: "PAYLOAD_TOO_LARGE" });
+  if (err.type === "entity.parse.failed") return res.status(400).json({ ok: false, error: "INVALID_JSON" });
+  console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  if (res.headersSent) return res.end();
+  res.status(500).json({ ok: false, error: "INTERNAL_ERROR" });
 });
 
 // Start server
 const port = process.env.PORT || 3000;
-app.listen(port, () => console.log(`Cloud server listening on port ${port}`));
+const server = app.listen(port, () => {
+  console.log(`Cloud server listening on port ${port} (store: ${store.driver}, schema v${store.schemaVersion})`);
+});
+
+function shutdown() {
+  server.close();
+  store.close();
+  process.exit(0);
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,467 @@
+// simulator/agent.js
+import crypto from "crypto";
+import { RequestError } from "./client.js";
+import { createDeviceSet } from "./devices.js";
+
+/*
+ * One simulated agent
+ *
+ * Registers (or resumes a saved identity), asks for a pairing code until
+ * someone pairs it, then heartbeats with telemetry, reports its devices and
+ * works through jobs: polled from /agent/jobs/next or pushed over
+ * /agent/events. Jobs report progress in steps and fail at `failureRate`;
+ * failed jobs and collect-diagnostics jobs upload a log bundle to
+ * /agent/diagnostics.
+ *
+ * Flaky connectivity: on every heartbeat the agent may drop off the network
+ * for a while (`outageRate`, `outageSeconds`); requests during an outage fail
+ * without reaching the server. A revoked token makes the agent register anew.
+ */
+
+export const SIMULATED_CAPABILITIES = [
+  "firmware-update",
+  "device-reboot",
+  "config-read",
+  "config-write",
+  "diagnostics",
+  "agent-restart",
+  "agent-update"
+];
+
+export const DEFAULT_AGENT_VERSION = "1.0.0";
+const REPORT_ATTEMPTS = 5;
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(t);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const t = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+function jitter(ms) {
+  return ms * (0.8 + Math.random() * 0.4);
+}
+
+function between([min, max]) {
+  return min + Math.random() * (max - min);
+}
+
+function pickOne(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+class JobFailure extends Error {}
+
+export function createSimulatedAgent({
+  index, client, stats, options, identity = null,
+  onIdentity = () => {}, onPairingCode = async () => {}
+}) {
+  const devices = createDeviceSet(index, { count: options.devices, models: options.models, churn: options.churn });
+  const active = new Map(); // jobId -> { cancelled }
+  const abort = new AbortController();
+  const { signal } = abort;
+
+  let agentId = identity?.agentId ?? null;
+  let agentVersion = options.agentVersion;
+  let token = identity?.agentToken ?? null;
+  let paired = false;
+  let codeExpiresAt = 0;
+  let offlineUntil = 0;
+  let registering = null; // in-flight (re-)registration
+  let pushAbort = null;
+  let loops = null;
+
+  const isOffline = () => Date.now() < offlineUntil;
+
+  async function call(method, path, body) {
+    if (isOffline()) throw new RequestError("SIMULATED_OUTAGE");
+    if (registering) await registering;
+    return client.request(method, path, { body, token });
+  }
+
+  // ---------- Identity ----------
+  async function register() {
+    if (agentId && token) {
+      try {
+        const r = await client.request("POST", "/agent/register", { body: { agentId, agentVersion }, token });
+        paired = r.paired;
+        stats.count("agents.resumed");
+        return;
+      } catch (e) {
+        if (e.status !== 401) throw e;
+        stats.count("agents.identity-lost");
+      }
+    }
+    const r = await client.request("POST", "/agent/register", {
+      body: { agentVersion, machineInfo: { hostname: `${options.namePrefix}-${index}` } }
+    });
+    agentId = r.agentId;
+    token = r.agentToken;
+    paired = r.paired;
+    codeExpiresAt = 0;
+    onIdentity({ agentId, agentToken: token });
+    stats.count("agents.registered");
+  }
+
+  // Token rejected (revoked or store wiped): start over as a new agent
+  function reRegister() {
+    if (!registering) {
+      agentId = null;
+      token = null;
+      paired = false;
+      registering = (async () => {
+        while (!signal.aborted) {
+          try {
+            await register();
+            return;
+          } catch {
+            await sleep(jitter(options.heartbeatMs), signal);
+          }
+        }
+      })().finally(() => { registering = null; });
+    }
+    return registering;
+  }
+
+  async function handleError(e) {
+    if (!(e instanceof RequestError)) {
+      stats.count("agents.crashes");
+      console.error(`agent ${index}:`, e);
+    } else if (e.status === 401) {
+      await reRegister();
+    }
+  }
+
+  // Unpaired agents keep a pairing code around until somebody uses it
+  async function ensurePairingCode() {
+    if (paired || Date.now() < codeExpiresAt) return;
+    const { pairingCode, expiresAt } = await call("POST", "/agent/pairing/code");
+    codeExpiresAt = Date.parse(expiresAt);
+    stats.count("pairing.codes");
+    await onPairingCode({ index, agentId, pairingCode, devices: devices.list() });
+  }
+
+  // ---------- Periodic work ----------
+  async function every(ms, fn) {
+    await sleep(Math.random() * ms, signal); // spread agents over the interval
+    while (!signal.aborted) {
+      try {
+        await fn();
+      } catch (e) {
+        await handleError(e);
+      }
+      await sleep(jitter(ms), signal);
+    }
+  }
+
+  function telemetrySample() {
+    return {
+      metrics: {
+        cpuPercent: Math.round(Math.random() * 60 + active.size * 10),
+        memoryMb: Math.round(180 + Math.random() * 40),
+        activeJobs: active.size
+      },
+      devices: devices.metrics()
+    };
+  }
+
+  async function heartbeat() {
+    if (!isOffline() && Math.random() < options.outageRate) {
+      offlineUntil = Date.now() + between(options.outageSeconds) * 1000;
+      pushAbort?.abort();
+      stats.count("outages");
+    }
+
+    const r = await call("POST", "/agent/heartbeat", {
+      agentVersion,
+      capabilities: options.capabilities,
+      ...(options.telemetry ? { telemetry: telemetrySample() } : {})
+    });
+    // rotated credentials arrive right after pairing
+    if (r.credentials) {
+      token = r.credentials.agentToken;
+      paired = true;
+      onIdentity({ agentId, agentToken: token });
+      stats.count("agents.paired");
+    }
+    markCancelled(r.cancelJobs);
+    await ensurePairingCode();
+  }
+
+  async function reportDevices() {
+    devices.drift();
+    await call("POST", "/agent/devices/report", { devices: devices.list() });
+  }
+
+  async function pollJobs() {
+    if (!paired) return;
+    const r = await call("GET", "/agent/jobs/next");
+    markCancelled(r.cancelJobs);
+    acceptJobs(r.jobs);
+  }
+
+  async function pushLoop() {
+    await sleep(Math.random() * options.pollMs, signal);
+    while (!signal.aborted) {
+      if (isOffline() || registering || !paired) {
+        await sleep(1000, signal);
+        continue;
+      }
+      const conn = new AbortController();
+      const stop = () => conn.abort();
+      signal.addEventListener("abort", stop, { once: true });
+      pushAbort = conn;
+      stats.count("push.connects");
+      try {
+        await client.stream("/agent/events", {
+          token,
+          signal: conn.signal,
+          onEvent: (type, data) => {
+            if (type === "jobs") acceptJobs(data.jobs);
+            else if (type === "cancel") markCancelled(data.jobIds);
+          }
+        });
+      } catch (e) {
+        if (e.status === 401) await reRegister();
+        else if (e.name !== "AbortError") stats.count("push.errors");
+      }
+      signal.removeEventListener("abort", stop);
+      await sleep(jitter(options.pollMs), signal);
+    }
+  }
+
+  // ---------- Jobs ----------
+  function markCancelled(jobIds = []) {
+    for (const jobId of jobIds) {
+      const state = active.get(jobId);
+      if (state) state.cancelled = true;
+    }
+  }
+
+  function acceptJobs(jobs = []) {
+    for (const job of jobs) {
+      // a lease that ran out during an outage comes back; keep working on the first copy
+      if (active.has(job.jobId)) continue;
+      active.set(job.jobId, { cancelled: false });
+      runJob(job)
+        .catch(handleError)
+        .finally(() => active.delete(job.jobId));
+    }
+  }
+
+  // Progress reports survive short outages; -> false once the server no longer wants them
+  async function report(job, body) {
+    const state = active.get(job.jobId);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const r = await call("POST", `/agent/jobs/${job.jobId}/progress`, body);
+        if (r.cancelRequested) state.cancelled = true;
+        return true;
+      } catch (e) {
+        // timed out / cancelled server-side, or the agent was moved away from the job
+        if (e.status === 404 || e.status === 409 || e.status === 403) return false;
+        if (e.status === 401 || attempt >= REPORT_ATTEMPTS) throw e;
+        await sleep(Math.max(offlineUntil - Date.now(), 0) + jitter(1000 * attempt), signal);
+      }
+    }
+  }
+
+  async function downloadArtifact(artifactId) {
+    if (isOffline()) throw new JobFailure("download failed: no network");
+    try {
+      const { data, headers } = await client.request("GET", `/agent/artifacts/${artifactId}`, { token, raw: true });
+      const expected = headers.get("x-checksum-sha256");
+      if (expected && crypto.createHash("sha256").update(data).digest("hex") !== expected) {
+        throw new JobFailure("checksum mismatch");
+      }
+      return data.length;
+    } catch (e) {
+      if (e instanceof RequestError) throw new JobFailure(`download failed: ${e.code}`);
+      throw e;
+    }
+  }
+
+  // Fake log file for a job; attached to the job on the server
+  async function uploadDiagnostics(job, reason) {
+    const lines = [`agent ${agentId} v${agentVersion}`, `job ${job.jobId} ${job.type} device ${job.deviceId ?? "-"}`];
+    for (let i = 0; i < 20; i++) lines.push(`${new Date().toISOString()} [sim] ${reason} (${i})`);
+    const qs = new URLSearchParams({ filename: `${job.type}-${job.jobId.slice(0, 8)}.log`, jobId: job.jobId, reason });
+    if (isOffline()) throw new RequestError("SIMULATED_OUTAGE");
+    await client.request("POST", `/agent/diagnostics?${qs}`, { binary: Buffer.from(lines.join("\n")), token });
+    stats.count("diagnostics.uploaded");
+  }
+
+  function requireDevice(job) {
+    if (!devices.get(job.deviceId)) throw new JobFailure(`device ${job.deviceId} not found`);
+  }
+
+  // type -> { steps: [[progress, message]], start?, finish -> message, failures }
+  const JOB_HANDLERS = {
+    "firmware-update": {
+      steps: [[10, "downloaded"], [40, "flashing"], [80, "verifying"], [95, "rebooting device"]],
+      async start(job) {
+        requireDevice(job);
+        if (!options.skipDownload) {
+          const bytes = await downloadArtifact(job.payload.artifactId);
+          stats.count("artifacts.downloaded-bytes", bytes);
+        }
+      },
+      async finish(job) {
+        const version = devices.upgrade(job.deviceId, job.payload.version);
+        await reportDevices().catch(() => {});
+        return `firmware ${version} installed`;
+      },
+      failures: ["flash write error", "device did not come back after reboot", "image verification failed"]
+    },
+    "device-reboot": {
+      steps: [[30, "rebooting"], [70, "waiting for device"]],
+      async start(job) {
+        requireDevice(job);
+        devices.setStatus(job.deviceId, "offline");
+      },
+      async finish(job) {
+        devices.setStatus(job.deviceId, "online");
+        return `${job.payload.mode ?? "soft"} reboot done, device back online`;
+      },
+      failures: ["device did not come back after reboot"]
+    },
+    "config-read": {
+      steps: [[50, "reading"]],
+      start: requireDevice,
+      async finish(job) {
+        const keys = job.payload.keys ?? [];
+        return `read ${keys.length || "all"} keys`;
+      },
+      failures: ["device rejected the request", "read timed out"]
+    },
+    "config-write": {
+      steps: [[30, "writing"], [70, "verifying"]],
+      start: requireDevice,
+      async finish(job) {
+        devices.configure(job.deviceId, job.payload.parameters ?? {});
+        await reportDevices().catch(() => {});
+        return `wrote ${Object.keys(job.payload.parameters ?? {}).length} parameters`;
+      },
+      failures: ["parameter out of range", "write verification failed"]
+    },
+    "collect-diagnostics": {
+      steps: [[25, "collecting logs"], [75, "packing bundle"]],
+      async finish(job) {
+        await uploadDiagnostics(job, "requested from the portal").catch(() => {
+          throw new JobFailure("diagnostics upload failed");
+        });
+        return "diagnostics collected and uploaded";
+      },
+      failures: ["not enough disk space"]
+    },
+    "agent-restart": {
+      steps: [[50, "restarting"]],
+      async finish() {
+        // come back a few seconds later, as a restarted process would
+        setTimeout(() => register().catch(handleError), 3000);
+        return "agent restarted";
+      },
+      failures: ["restart refused: update in progress"]
+    },
+    "agent-update": {
+      steps: [[20, "downloaded"], [60, "installing"], [90, "restarting"]],
+      async start(job) {
+        if (!options.skipDownload) {
+          const bytes = await downloadArtifact(job.payload.artifactId);
+          stats.count("artifacts.downloaded-bytes", bytes);
+        }
+      },
+      async finish(job) {
+        // the restarted agent reports the new version with its next heartbeat
+        agentVersion = job.payload.version;
+        setTimeout(() => register().catch(handleError), 3000);
+        stats.count("agents.updated");
+        return `agent ${agentVersion} installed`;
+      },
+      failures: ["package signature invalid", "installer exited with code 1"]
+    }
+  };
+
+  async function runJob(job) {
+    const state = active.get(job.jobId);
+    const handler = JOB_HANDLERS[job.type];
+    stats.count("jobs.received");
+
+    if (!handler) {
+      await report(job, { status: "failed", message: `unsupported job type ${job.type}` });
+      stats.count("jobs.failed");
+      return;
+    }
+    if (!(await report(job, { status: "running", progress: 0, message: "started" }))) return stats.count("jobs.abandoned");
+
+    try {
+      await handler.start?.(job);
+      const stepMs = (between(options.jobSeconds) * 1000) / handler.steps.length;
+      for (const [progress, message] of handler.steps) {
+        await sleep(jitter(stepMs), signal);
+        if (signal.aborted) return;
+        if (state.cancelled) {
+          await report(job, { status: "cancelled", message: "cancelled on request" });
+          stats.count("jobs.cancelled");
+          return;
+        }
+        if (!(await report(job, { progress, message }))) return stats.count("jobs.abandoned");
+      }
+      if (Math.random() < options.failureRate) throw new JobFailure(pickOne(handler.failures));
+      const message = await handler.finish(job);
+      if (await report(job, { status: "succeeded", progress: 100, message })) stats.count("jobs.succeeded");
+      else stats.count("jobs.abandoned");
+    } catch (e) {
+      if (!(e instanceof JobFailure)) throw e;
+      await report(job, { status: "failed", message: e.message });
+      stats.count("jobs.failed");
+      await uploadDiagnostics(job, e.message).catch(() => stats.count("diagnostics.failed"));
+    }
+  }
+
+  // ---------- Lifecycle ----------
+  async function start() {
+    while (!signal.aborted) {
+      try {
+        await register();
+        break;
+      } catch (e) {
+        await handleError(e);
+        await sleep(jitter(options.heartbeatMs), signal);
+      }
+    }
+    // a starting agent reports its inventory right away
+    await reportDevices().catch(handleError);
+    loops = Promise.all([
+      every(options.heartbeatMs, heartbeat),
+      every(options.reportMs, reportDevices),
+      options.push ? pushLoop() : every(options.pollMs, pollJobs)
+    ]);
+    return loops;
+  }
+
+  async function stop() {
+    abort.abort();
+    await loops;
+  }
+
+  return {
+    start,
+    stop,
+    get identity() {
+      return agentId && token ? { agentId, agentToken: token } : null;
+    },
+    get paired() {
+      return paired;
+    },
+    get offline() {
+      return isOffline();
+    }
+  };
+}
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+// simulator/cli.js
+import fs from "fs";
+import { parseArgs } from "util";
+import { createClient } from "./client.js";
+import { createStats } from "./stats.js";
+import { createSimulatedAgent, SIMULATED_CAPABILITIES, DEFAULT_AGENT_VERSION } from "./agent.js";
+import { DEFAULT_MODELS } from "./devices.js";
+
+/*
+ * Agent simulator
+ *
+ *   npm run simulate -- --agents 500 --pair --tenant demo --sites berlin,paris
+ *
+ * Starts N simulated agents against a running server and prints request
+ * rates, latency percentiles and error counts every --stats-interval seconds
+ * (and once more on exit). See --help for all options.
+ */
+
+const HELP = `Usage: node simulator/cli.js [options]
+
+Server
+  --server URL             server base URL (default http://localhost:3000)
+  --agents N               number of agents (default 10)
+  --ramp-up S              spread agent start-up over S seconds (default 10)
+  --state FILE             keep agent identities in FILE and resume them on the next run
+
+Pairing (without --pair the pairing codes are printed)
+  --pair                   pair new agents through the portal API
+  --portal-user ID         portal user for --pair (default admin)
+  --portal-password PW     its password (default $PORTAL_PASSWORD)
+  --tenant ID              tenant to pair into; created if missing (default sim-tenant)
+  --sites A,B              sites to spread agents over; created if missing
+
+Behaviour
+  --devices N              devices per agent (default 3)
+  --models A,B             device models to pick from (default ${DEFAULT_MODELS.join(",")})
+  --churn P                chance per device report that the inventory changes (default 0.05)
+  --heartbeat S            heartbeat interval in seconds (default 5)
+  --report S               device report interval in seconds (default 60)
+  --poll S                 job poll interval in seconds, or reconnect delay with --push (default 5)
+  --push                   receive jobs over /agent/events instead of polling
+  --capabilities A,B       capabilities to announce (default all job types)
+  --agent-version V        agent version to report until an agent-update job changes it (default ${DEFAULT_AGENT_VERSION})
+  --job-seconds MIN-MAX    how long a job takes (default 5-20)
+  --failure-rate P         chance that a job fails (default 0.1)
+  --no-telemetry           do not send telemetry with heartbeats
+  --skip-download          do not download firmware artifacts and agent packages
+
+Flaky connectivity
+  --outage-rate P          chance per heartbeat to drop off the network (default 0)
+  --outage-seconds MIN-MAX how long an outage lasts (default 20-90)
+  --drop-rate P            chance that a response is lost after the server handled it (default 0)
+
+Output
+  --duration S             stop after S seconds (default: run until Ctrl-C)
+  --stats-interval S       print stats every S seconds, 0 = only at the end (default 10)
+  --json                   print the final stats as JSON
+`;
+
+// ---------- Options ----------
+function fail(message) {
+  console.error(`simulator: ${message}\n\n${HELP}`);
+  process.exit(2);
+}
+
+function number(values, name, { min = 0, max = Infinity, integer = false } = {}) {
+  const n = Number(values[name]);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    const bounds = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    fail(`--${name} must be ${integer ? "an integer" : "a number"} ${bounds}`);
+  }
+  return n;
+}
+
+function range(values, name) {
+  const [min, max = min] = String(values[name]).split("-").map(Number);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max < min) fail(`--${name} must be MIN-MAX seconds`);
+  return [min, max];
+}
+
+const list = (value) => String(value).split(",").map(s => s.trim()).filter(Boolean);
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        server: { type: "string", default: "http://localhost:3000" },
+        agents: { type: "string", default: "10" },
+        "ramp-up": { type: "string", default: "10" },
+        state: { type: "string" },
+        pair: { type: "boolean", default: false },
+        "portal-user": { type: "string", default: "admin" },
+        "portal-password": { type: "string", default: process.env.PORTAL_PASSWORD ?? "" },
+        tenant: { type: "string", default: "sim-tenant" },
+        sites: { type: "string", default: "" },
+        devices: { type: "string", default: "3" },
+        models: { type: "string", default: DEFAULT_MODELS.join(",") },
+        churn: { type: "string", default: "0.05" },
+        heartbeat: { type: "string", default: "5" },
+        report: { type: "string", default: "60" },
+        poll: { type: "string", default: "5" },
+        push: { type: "boolean", default: false },
+        capabilities: { type: "string", default: SIMULATED_CAPABILITIES.join(",") },
+        "agent-version": { type: "string", default: DEFAULT_AGENT_VERSION },
+        "job-seconds": { type: "string", default: "5-20" },
+        "failure-rate": { type: "string", default: "0.1" },
+        "no-telemetry": { type: "boolean", default: false },
+        "skip-download": { type: "boolean", default: false },
+        "outage-rate": { type: "string", default: "0" },
+        "outage-seconds": { type: "string", default: "20-90" },
+        "drop-rate": { type: "string", default: "0" },
+        duration: { type: "string", default: "0" },
+        "stats-interval": { type: "string", default: "10" },
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    });
+  } catch (e) {
+    fail(e.message);
+  }
+  const { values } = parsed;
+  if (values.help) {
+    console.log(HELP);
+    process.exit(0);
+  }
+
+  return {
+    server: values.server.replace(/\/+$/, ""),
+    agents: number(values, "agents", { min: 1, integer: true }),
+    rampUpMs: number(values, "ramp-up") * 1000,
+    statePath: values.state ?? null,
+    pair: values.pair,
+    portalUser: values["portal-user"],
+    portalPassword: values["portal-password"],
+    tenantId: values.tenant,
+    sites: list(values.sites),
+    durationMs: number(values, "duration") * 1000,
+    statsIntervalMs: number(values, "stats-interval") * 1000,
+    json: values.json,
+    dropRate: number(values, "drop-rate", { max: 1 }),
+    agent: {
+      namePrefix: "sim-agent",
+      devices: number(values, "devices", { integer: true }),
+      models: list(values.models),
+      churn: number(values, "churn", { max: 1 }),
+      heartbeatMs: number(values, "heartbeat", { min: 0.1 }) * 1000,
+      reportMs: number(values, "report", { min: 0.1 }) * 1000,
+      pollMs: number(values, "poll", { min: 0.1 }) * 1000,
+      push: values.push,
+      capabilities: list(values.capabilities),
+      agentVersion: values["agent-version"],
+      jobSeconds: range(values, "job-seconds"),
+      failureRate: number(values, "failure-rate", { max: 1 }),
+      telemetry: !values["no-telemetry"],
+      skipDownload: values["skip-download"],
+      outageRate: number(values, "outage-rate", { max: 1 }),
+      outageSeconds: range(values, "outage-seconds")
+    }
+  };
+}
+
+// ---------- Identities ----------
+function loadState(path) {
+  if (!path || !fs.existsSync(path)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(path, "utf8")).agents ?? [];
+  } catch (e) {
+    fail(`cannot read state file ${path}: ${e.message}`);
+  }
+}
+
+function saveState(path, identities) {
+  if (!path) return;
+  const tmp = `${path}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date().toISOString(), agents: identities }, null, 2));
+  fs.renameSync(tmp, path);
+}
+
+// ---------- Portal side (pairing) ----------
+async function openPortal(client, opts) {
+  if (!opts.portalPassword) fail("--pair needs --portal-password or $PORTAL_PASSWORD");
+  const { token } = await client.request("POST", "/portal/login", {
+    body: { userId: opts.portalUser, password: opts.portalPassword }
+  });
+  const call = (method, path, body) => client.request(method, path, { body, token });
+
+  const tenants = await call("GET", "/portal/tenants");
+  if (!tenants.some(t => t.tenantId === opts.tenantId)) {
+    await call("POST", "/portal/tenants", { tenantId: opts.tenantId, name: `${opts.tenantId} (simulated)` });
+    console.log(`created tenant ${opts.tenantId}`);
+  }
+  const sites = await call("GET", `/portal/tenants/${encodeURIComponent(opts.tenantId)}/sites`);
+  for (const siteId of opts.sites) {
+    if (sites.some(s => s.siteId === siteId)) continue;
+    await call("POST", `/portal/tenants/${encodeURIComponent(opts.tenantId)}/sites`, { siteId });
+    console.log(`created site ${opts.tenantId}/${siteId}`);
+  }
+
+  return async ({ index, pairingCode }) => {
+    await call("POST", "/portal/agents/pair", {
+      pairingCode,
+      tenantId: opts.tenantId,
+      siteId: opts.sites.length ? opts.sites[index % opts.sites.length] : undefined,
+      displayName: `${opts.agent.namePrefix}-${index}`
+    });
+  };
+}
+
+const MAX_PRINTED_CODES = 20;
+
+function codePrinter(namePrefix) {
+  let printed = 0;
+  return async ({ index, pairingCode }) => {
+    if (printed < MAX_PRINTED_CODES) console.log(`${namePrefix}-${index}: pairing code ${pairingCode}`);
+    else if (printed === MAX_PRINTED_CODES) console.log("(more pairing codes not shown; use --pair to pair automatically)");
+    printed++;
+  };
+}
+
+// ---------- Main ----------
+async function main() {
+  const opts = parseOptions(process.argv.slice(2));
+  const stats = createStats();
+  const client = createClient({ baseUrl: opts.server, stats, dropRate: opts.dropRate });
+  // the portal is not part of the simulated network, so it never drops answers
+  const portalClient = createClient({ baseUrl: opts.server, stats });
+
+  try {
+    await portalClient.request("GET", "/health");
+  } catch (e) {
+    fail(`server ${opts.server} not reachable (${e.message})`);
+  }
+
+  let onPairingCode;
+  try {
+    onPairingCode = opts.pair ? await openPortal(portalClient, opts) : codePrinter(opts.agent.namePrefix);
+  } catch (e) {
+    fail(`portal setup failed: ${e.message}`);
+  }
+
+  const identities = loadState(opts.statePath);
+  let stateDirty = false;
+
+  const agents = [];
+  const startTimers = [];
+  for (let i = 0; i < opts.agents; i++) {
+    const agent = createSimulatedAgent({
+      index: i,
+      client,
+      stats,
+      options: opts.agent,
+      identity: identities[i] ?? null,
+      onIdentity: (identity) => {
+        identities[i] = identity;
+        stateDirty = true;
+      },
+      onPairingCode: (info) =>
+        onPairingCode(info).catch(e => stats.count(`pairing.failed.${e.code ?? "ERROR"}`))
+    });
+    agents.push(agent);
+    startTimers.push(setTimeout(() => agent.start(), (i * opts.rampUpMs) / opts.agents));
+  }
+  console.log(`started ${opts.agents} agents against ${opts.server}${opts.agent.push ? " (push)" : ""}`);
+
+  const summary = () => {
+    const paired = agents.filter(a => a.paired).length;
+    const offline = agents.filter(a => a.offline).length;
+    return `agents: ${agents.length} total, ${paired} paired, ${offline} in simulated outage`;
+  };
+
+  const timers = [
+    setInterval(() => {
+      if (!stateDirty) return;
+      stateDirty = false;
+      saveState(opts.statePath, identities);
+    }, 5000)
+  ];
+  if (opts.statsIntervalMs > 0) {
+    timers.push(setInterval(() => console.log(`${stats.format()}\n${summary()}`), opts.statsIntervalMs));
+  }
+
+  let stopping = false;
+  async function shutdown() {
+    if (stopping) return;
+    stopping = true;
+    for (const t of [...startTimers]) clearTimeout(t);
+    for (const t of timers) clearInterval(t);
+    await Promise.all(agents.map(a => a.stop()));
+    saveState(opts.statePath, identities);
+
+    if (opts.json) console.log(JSON.stringify({ ...stats.snapshot(), agents: agents.length }, null, 2));
+    else console.log(`${stats.format()}\n${summary()}`);
+    process.exit(0);
+  }
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+  if (opts.durationMs > 0) setTimeout(shutdown, opts.durationMs);
+}
+
+main();
@@ -0,0 +1,94 @@
+// simulator/client.js
+
+/*
+ * HTTP client shared by all simulated agents.
+ *
+ * Requests are timed into the stats by route label (ids replaced by ":id").
+ * `dropRate` makes flaky networks: the request reaches the server but the
+ * answer is thrown away, like a connection dying before the response arrives.
+ */
+
+export class RequestError extends Error {
+  constructor(code, status = null, body = null) {
+    super(status ? `${status} ${code}` : code);
+    this.code = code;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const ID_SEGMENT = /^[0-9a-f-]{20,}$|^[A-Za-z0-9_-]{21}$/;
+
+function labelFor(method, path) {
+  const route = path.split("?")[0].split("/").map(p => (ID_SEGMENT.test(p) ? ":id" : p)).join("/");
+  return `${method} ${route}`;
+}
+
+export function createClient({ baseUrl, stats, dropRate = 0, timeoutMs = 30_000 }) {
+  // -> parsed JSON body; throws RequestError for network problems and non-2xx answers.
+  // `binary` (a Buffer) is sent as application/octet-stream instead of a JSON `body`.
+  async function request(method, path, { body, binary, token, raw = false } = {}) {
+    const label = labelFor(method, path);
+    const started = Date.now();
+    let res;
+    try {
+      res = await fetch(baseUrl + path, {
+        method,
+        headers: {
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...(binary !== undefined ? { "Content-Type": "application/octet-stream" } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: binary ?? (body !== undefined ? JSON.stringify(body) : undefined),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (e) {
+      const code = e.name === "TimeoutError" ? "TIMEOUT" : e.cause?.code ?? "NETWORK_ERROR";
+      stats.record(label, Date.now() - started, code);
+      throw new RequestError(code);
+    }
+
+    const payload = raw ? Buffer.from(await res.arrayBuffer()) : await res.json().catch(() => null);
+    const ms = Date.now() - started;
+
+    if (!res.ok) {
+      const code = payload?.error ?? `HTTP ${res.status}`;
+      stats.record(label, ms, code);
+      throw new RequestError(code, res.status, payload);
+    }
+    if (dropRate > 0 && Math.random() < dropRate) {
+      stats.record(label, ms, "DROPPED");
+      throw new RequestError("DROPPED");
+    }
+    stats.record(label, ms);
+    return raw ? { data: payload, headers: res.headers } : payload;
+  }
+
+  // Server-sent events: calls onEvent(type, data) until the stream ends or `signal` aborts
+  async function stream(path, { token, signal, onEvent }) {
+    const res = await fetch(baseUrl + path, { headers: { Authorization: `Bearer ${token}` }, signal });
+    if (!res.ok || !res.body) throw new RequestError(`HTTP ${res.status}`, res.status);
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buf = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buf += value;
+      let idx;
+      while ((idx = buf.indexOf("\n\n")) !== -1) {
+        const chunk = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        let type = "message";
+        let data = "";
+        for (const line of chunk.split("\n")) {
+          if (line.startsWith("event: ")) type = line.slice(7);
+          else if (line.startsWith("data: ")) data += line.slice(6);
+        }
+        if (data) onEvent(type, JSON.parse(data));
+      }
+    }
+  }
+
+  return { request, stream };
+}
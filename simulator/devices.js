@@ -0,0 +1,86 @@
+// simulator/devices.js
+
+/*
+ * Fake device inventory of a simulated agent.
+ *
+ * Devices are { deviceId, serialNumber, model, fwVersion, status, config } as
+ * the agent reports them to /agent/devices/report. `churn` is the chance per
+ * report that something changes (status flip, device plugged or unplugged).
+ */
+
+export const DEFAULT_MODELS = ["netX90", "netX90-RE", "netX4000", "netX500"];
+
+const STATUSES = ["online", "online", "online", "degraded", "offline"];
+
+function pickOne(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function makeDevice(agentIndex, n, models) {
+  return {
+    deviceId: `sim-${agentIndex}-${n}`,
+    serialNumber: `SN${String(agentIndex).padStart(5, "0")}${String(n).padStart(3, "0")}`,
+    model: pickOne(models),
+    fwVersion: `1.${Math.floor(Math.random() * 4)}.0`,
+    status: "online",
+    config: {}
+  };
+}
+
+export function createDeviceSet(agentIndex, { count = 3, models = DEFAULT_MODELS, churn = 0 } = {}) {
+  const devices = [];
+  let nextN = 0;
+  for (; nextN < count; nextN++) devices.push(makeDevice(agentIndex, nextN, models));
+
+  function get(deviceId) {
+    return devices.find(d => d.deviceId === deviceId) ?? null;
+  }
+
+  // Random drift between reports; -> true if anything changed
+  function drift() {
+    if (churn <= 0 || Math.random() >= churn) return false;
+    const roll = Math.random();
+    if (roll < 0.7 && devices.length) {
+      pickOne(devices).status = pickOne(STATUSES);
+    } else if (roll < 0.85 || devices.length === 0) {
+      devices.push(makeDevice(agentIndex, nextN++, models));
+    } else {
+      devices.splice(Math.floor(Math.random() * devices.length), 1);
+    }
+    return true;
+  }
+
+  // Install `version`, or bump the patch level when the job does not name one
+  function upgrade(deviceId, version = null) {
+    const d = get(deviceId);
+    if (!d) return null;
+    const [major, minor, patch] = d.fwVersion.split(".").map(Number);
+    d.fwVersion = version ?? `${major}.${minor}.${(patch || 0) + 1}`;
+    return d.fwVersion;
+  }
+
+  function configure(deviceId, parameters) {
+    const d = get(deviceId);
+    if (d) Object.assign(d.config, parameters);
+  }
+
+  function setStatus(deviceId, status) {
+    const d = get(deviceId);
+    if (d) d.status = status;
+  }
+
+  // Per-device metrics for the telemetry sample
+  function metrics() {
+    const out = {};
+    for (const d of devices) {
+      if (d.status === "offline") continue;
+      out[d.deviceId] = {
+        temperature: Math.round((40 + Math.random() * 25) * 10) / 10,
+        cycleTimeUs: Math.round(900 + Math.random() * 300)
+      };
+    }
+    return out;
+  }
+
+  return { list: () => devices.map(d => ({ ...d, config: { ...d.config } })), get, drift, upgrade, configure, setStatus, metrics };
+}
@@ -0,0 +1,76 @@
+// simulator/stats.js
+
+/*
+ * Counters and request latencies of a simulator run.
+ *
+ * Latencies are kept per request label ("POST /agent/heartbeat") in a bounded
+ * sample list, so percentiles stay cheap with thousands of agents.
+ */
+
+const MAX_SAMPLES = 10_000;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+export function createStats() {
+  const startedAt = Date.now();
+  const counters = new Map(); // name -> count
+  const requests = new Map(); // label -> { count, errors: Map(code -> n), samples: [ms] }
+
+  function count(name, n = 1) {
+    counters.set(name, (counters.get(name) ?? 0) + n);
+  }
+
+  // error = null for 2xx, otherwise an error code or "HTTP <status>"
+  function record(label, ms, error = null) {
+    let r = requests.get(label);
+    if (!r) {
+      r = { count: 0, errors: new Map(), samples: [] };
+      requests.set(label, r);
+    }
+    r.count++;
+    if (error) r.errors.set(error, (r.errors.get(error) ?? 0) + 1);
+    if (r.samples.length < MAX_SAMPLES) r.samples.push(ms);
+    else r.samples[Math.floor(Math.random() * MAX_SAMPLES)] = ms;
+  }
+
+  function snapshot() {
+    const out = {
+      elapsedSeconds: Math.round((Date.now() - startedAt) / 1000),
+      counters: Object.fromEntries([...counters].sort(([a], [b]) => a.localeCompare(b))),
+      requests: {}
+    };
+    for (const [label, r] of [...requests].sort(([a], [b]) => a.localeCompare(b))) {
+      const sorted = [...r.samples].sort((a, b) => a - b);
+      out.requests[label] = {
+        count: r.count,
+        errors: Object.fromEntries(r.errors),
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        max: sorted.at(-1) ?? null
+      };
+    }
+    return out;
+  }
+
+  // Multi-line report for the terminal
+  function format() {
+    const s = snapshot();
+    const lines = [`--- ${s.elapsedSeconds}s ---`];
+    lines.push(Object.entries(s.counters).map(([k, v]) => `${k}=${v}`).join("  ") || "(no activity yet)");
+    for (const [label, r] of Object.entries(s.requests)) {
+      const errors = Object.entries(r.errors).map(([k, v]) => `${k}:${v}`).join(",");
+      const rate = (r.count / Math.max(1, s.elapsedSeconds)).toFixed(1);
+      lines.push(
+        `${label.padEnd(36)} n=${String(r.count).padEnd(7)} ${rate.padStart(7)}/s` +
+          `  p50=${r.p50}ms p95=${r.p95}ms p99=${r.p99}ms max=${r.max}ms${errors ? "  errors " + errors : ""}`
+      );
+    }
+    return lines.join("\n");
+  }
+
+  return { count, record, snapshot, format };
+}
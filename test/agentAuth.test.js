@@ -0,0 +1,109 @@
+// test/agentAuth.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAgentAuth, parseAgentToken } from "../lib/agentAuth.js";
+
+function setup() {
+  const agents = new Map([["a1", { agentId: "a1" }]]);
+  const agentCredentials = new Map();
+  const auth = createAgentAuth({ agents, agentCredentials, nowIso: () => new Date().toISOString() });
+  return { agents, agentCredentials, auth };
+}
+
+const bearer = token => `Bearer ${token}`;
+
+test("parseAgentToken splits at the last dot", () => {
+  assert.deepEqual(parseAgentToken("Bearer a.b.secret"), { agentId: "a.b", secret: "secret" });
+  assert.equal(parseAgentToken("Bearer nodot"), null);
+  assert.equal(parseAgentToken("Basic a.b"), null);
+  assert.equal(parseAgentToken(undefined), null);
+});
+
+test("an issued token authenticates; only its hash is stored", () => {
+  const { auth, agentCredentials } = setup();
+  const token = auth.issue("a1");
+  assert.deepEqual(auth.authenticate(bearer(token)), { agentId: "a1" });
+  assert.doesNotMatch(JSON.stringify(agentCredentials.get("a1")), new RegExp(token.split(".")[1]));
+});
+
+test("wrong secrets, unknown agents and revoked credentials are refused", () => {
+  const { auth } = setup();
+  const token = auth.issue("a1");
+  assert.equal(auth.authenticate(bearer("a1.wrong")).error, "INVALID_CREDENTIALS");
+  assert.equal(auth.authenticate(bearer("a2.whatever")).error, "INVALID_CREDENTIALS");
+  assert.equal(auth.authenticate(undefined).error, "UNAUTHENTICATED");
+
+  auth.revoke("a1");
+  assert.equal(auth.authenticate(bearer(token)).error, "AGENT_REVOKED");
+});
+
+test("credentials of a deleted agent are refused", () => {
+  const { auth, agents } = setup();
+  const token = auth.issue("a1");
+  agents.delete("a1");
+  assert.equal(auth.authenticate(bearer(token)).error, "INVALID_CREDENTIALS");
+});
+
+test("a rotation keeps the old secret working until the agent switches", () => {
+  const { auth, agentCredentials } = setup();
+  const old = auth.issue("a1");
+  assert.equal(auth.issuePendingToken("a1"), null);
+
+  assert.equal(auth.rotate("a1"), true);
+  const t1 = auth.issuePendingToken("a1");
+  // the first response may have been lost: the next heartbeat gets another one
+  const t2 = auth.issuePendingToken("a1");
+  assert.notEqual(t1, t2);
+  assert.deepEqual(auth.authenticate(bearer(old)), { agentId: "a1" });
+
+  const cred = agentCredentials.get("a1");
+  assert.equal(cred.pending.secretHashes.length, 2);
+  assert.doesNotMatch(JSON.stringify(cred), new RegExp(`${t1.split(".")[1]}|${t2.split(".")[1]}`));
+
+  // switching to either replacement retires the old secret and the other replacements
+  assert.deepEqual(auth.authenticate(bearer(t1)), { agentId: "a1" });
+  assert.equal(cred.pending, null);
+  assert.ok(cred.rotatedAt);
+  assert.equal(auth.authenticate(bearer(old)).error, "INVALID_CREDENTIALS");
+  assert.equal(auth.authenticate(bearer(t2)).error, "INVALID_CREDENTIALS");
+  assert.deepEqual(auth.authenticate(bearer(t1)), { agentId: "a1" });
+});
+
+test("only the last few replacements stay valid", () => {
+  const { auth } = setup();
+  auth.issue("a1");
+  auth.rotate("a1");
+  const tokens = Array.from({ length: 6 }, () => auth.issuePendingToken("a1"));
+  assert.equal(auth.authenticate(bearer(tokens[0])).error, "INVALID_CREDENTIALS");
+  assert.deepEqual(auth.authenticate(bearer(tokens[5])), { agentId: "a1" });
+});
+
+test("revoked credentials cannot be rotated", () => {
+  const { auth } = setup();
+  auth.issue("a1");
+  auth.revoke("a1");
+  assert.equal(auth.rotate("a1"), false);
+  assert.equal(auth.issuePendingToken("a1"), null);
+  assert.equal(auth.rotate("nobody"), false);
+});
+
+test("requireAgent rejects a body that names another agent", () => {
+  const { auth } = setup();
+  const token = auth.issue("a1");
+  const run = body => {
+    const req = { body, query: {}, get: name => (name === "authorization" ? bearer(token) : undefined) };
+    const res = { code: 200, status(c) { this.code = c; return this; }, json(b) { this.body = b; return this; } };
+    let nextCalled = false;
+    auth.requireAgent(req, res, () => { nextCalled = true; });
+    return { req, res, nextCalled };
+  };
+
+  const ok = run({ agentId: "a1" });
+  assert.equal(ok.nextCalled, true);
+  assert.equal(ok.req.agentId, "a1");
+
+  const mismatch = run({ agentId: "a2" });
+  assert.equal(mismatch.nextCalled, false);
+  assert.equal(mismatch.res.code, 403);
+  assert.equal(mismatch.res.body.error, "AGENT_MISMATCH");
+});
@@ -0,0 +1,141 @@
+// test/campaigns.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCampaignEngine, planWaves, matchesTarget } from "../lib/campaigns.js";
+
+function setup({ failStart = () => null } = {}) {
+  const campaigns = new Map();
+  const jobs = new Map();
+  const statusChanges = [];
+  let n = 0;
+  const engine = createCampaignEngine({
+    campaigns,
+    jobs,
+    nowIso: () => new Date().toISOString(),
+    startJob(c, entry) {
+      const error = failStart(entry);
+      if (error) return { error };
+      const jobId = `job${++n}`;
+      jobs.set(jobId, { jobId, agentId: entry.agentId, deviceId: entry.deviceId, status: "queued" });
+      return { jobId };
+    },
+    cancelJob(j) {
+      j.status = "cancelled";
+    },
+    onStatusChange: (c, previous) => statusChanges.push(`${previous}->${c.status}`)
+  });
+  const devices = count => Array.from({ length: count }, (_, i) => ({ agentId: `a${i}`, deviceId: `d${i}` }));
+  const create = (count, options = {}) =>
+    engine.create({ tenantId: "t1", name: "rollout", artifact: { artifactId: "art" }, target: {}, options, devices: devices(count), createdBy: "u" });
+  // finish the jobs of the current wave: `failed` of them fail, the rest succeed
+  const finishWave = (c, failed = 0) => {
+    for (const e of c.devices.filter(e => e.wave === c.currentWave && e.jobId)) {
+      jobs.get(e.jobId).status = failed-- > 0 ? "failed" : "succeeded";
+    }
+    return engine.advance(c);
+  };
+  return { campaigns, jobs, engine, create, finishWave, statusChanges };
+}
+
+test("planWaves: a canary share first, then fixed batches", () => {
+  assert.deepEqual(planWaves(0, { canaryPercent: 10, batchSize: 10 }), []);
+  assert.deepEqual(planWaves(1, { canaryPercent: 10, batchSize: 10 }), [1]);
+  assert.deepEqual(planWaves(25, { canaryPercent: 10, batchSize: 10 }), [3, 10, 10, 2]);
+  assert.deepEqual(planWaves(5, { canaryPercent: 100, batchSize: 10 }), [5]);
+});
+
+test("matchesTarget filters by site, model (any case) and firmware", () => {
+  const agent = { siteId: "berlin" };
+  const device = { model: "X1-Pro", fwVersion: "1.0" };
+  assert.equal(matchesTarget(agent, device, {}), true);
+  assert.equal(matchesTarget(agent, device, { siteId: "berlin", model: "x1-pro", fwVersion: "1.0" }), true);
+  assert.equal(matchesTarget(agent, device, { siteId: "paris" }), false);
+  assert.equal(matchesTarget(agent, device, { fwVersion: "1.1" }), false);
+});
+
+test("only the canary wave starts; the next wave waits until it has finished", () => {
+  const { create, finishWave, jobs, engine } = setup();
+  const c = create(12, { canaryPercent: 10, batchSize: 5 });
+  assert.equal(c.waveCount, 3); // 2 + 5 + 5
+  assert.equal(c.currentWave, 0);
+  assert.equal(jobs.size, 2);
+
+  engine.advance(c);
+  assert.equal(c.currentWave, 0);
+
+  finishWave(c);
+  assert.equal(c.currentWave, 1);
+  assert.equal(jobs.size, 7);
+  assert.deepEqual(engine.summarize(c).waves.map(w => w.started), [true, true, false]);
+});
+
+test("a campaign completes after its last wave", () => {
+  const { create, finishWave, engine, statusChanges } = setup();
+  const c = create(3, { canaryPercent: 34, batchSize: 10 });
+  finishWave(c);
+  finishWave(c);
+  assert.equal(c.status, "completed");
+  assert.ok(c.finishedAt);
+  assert.equal(engine.summarize(c).percentComplete, 100);
+  assert.deepEqual(statusChanges, ["running->completed"]);
+});
+
+test("failures above the threshold pause the campaign", () => {
+  const { create, finishWave, engine, statusChanges } = setup();
+  const c = create(20, { canaryPercent: 20, batchSize: 10, failureThreshold: 0.2 });
+  finishWave(c, 1); // 1 of 4 = 25%
+  assert.equal(c.status, "paused");
+  assert.match(c.pausedReason, /failure rate 25% above threshold 20%/);
+  assert.equal(c.currentWave, 0);
+  assert.deepEqual(statusChanges, ["running->paused"]);
+
+  const s = engine.summarize(c);
+  assert.equal(s.failed, 1);
+  assert.equal(s.failureRate, 0.25);
+
+  // a paused campaign does not move on its own
+  engine.tick();
+  assert.equal(c.currentWave, 0);
+});
+
+test("resuming accepts the failures so far and starts the next wave", () => {
+  const { create, finishWave, engine } = setup();
+  const c = create(20, { canaryPercent: 20, batchSize: 10, failureThreshold: 0.2 });
+  finishWave(c, 1);
+  engine.resume(c);
+  assert.equal(c.status, "running");
+  assert.equal(c.failureThreshold, 0.25);
+  assert.equal(c.currentWave, 1);
+});
+
+test("failures at the threshold do not pause", () => {
+  const { create, finishWave } = setup();
+  const c = create(10, { canaryPercent: 50, batchSize: 5, failureThreshold: 0.2 });
+  finishWave(c, 1); // 1 of 5 = 20%
+  assert.equal(c.status, "running");
+  assert.equal(c.currentWave, 1);
+});
+
+test("a job that could not be started counts as finished and failed", () => {
+  const { create, engine } = setup({ failStart: e => (e.agentId === "a0" ? "CAPABILITY_MISSING" : null) });
+  const c = create(10, { canaryPercent: 10, batchSize: 10, failureThreshold: 0.5 });
+  assert.equal(c.devices[0].error, "CAPABILITY_MISSING");
+
+  const s = engine.summarize(c);
+  assert.equal(s.byStatus["start-failed"], 1);
+  assert.equal(s.finished, 1);
+  assert.equal(s.failed, 1);
+  // the next tick sees the failure without waiting for a job
+  engine.tick();
+  assert.equal(c.status, "paused");
+  assert.match(c.pausedReason, /failure rate 100%/);
+});
+
+test("cancel cancels every unfinished job", () => {
+  const { create, finishWave, engine, jobs } = setup();
+  const c = create(4, { canaryPercent: 50, batchSize: 2 });
+  finishWave(c);
+  engine.cancel(c, { by: "u" });
+  assert.equal(c.status, "cancelled");
+  assert.deepEqual([...jobs.values()].map(j => j.status), ["succeeded", "succeeded", "cancelled", "cancelled"]);
+});
@@ -0,0 +1,44 @@
+// test/csv.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv, parseCsv } from "../lib/csv.js";
+
+test("toCsv quotes what needs quoting", () => {
+  const text = toCsv(["id", "note", "empty"], [{ id: "a", note: 'say "hi", then\nleave', empty: null }]);
+  assert.equal(text, 'id,note,empty\r\na,"say ""hi"", then\nleave",\r\n');
+});
+
+test("parseCsv reads quoted fields with commas, quotes and line breaks", () => {
+  const { header, rows } = parseCsv('id,note\r\na,"say ""hi"", then\nleave"\r\nb,plain\r\n');
+  assert.deepEqual(header, ["id", "note"]);
+  assert.deepEqual(rows, [
+    { line: 2, values: { id: "a", note: 'say "hi", then\nleave' } },
+    { line: 4, values: { id: "b", note: "plain" } }
+  ]);
+});
+
+test("formula-looking cells survive an export / import round trip", () => {
+  const rows = [{ name: "=SUM(A1)" }, { name: "+49 30 123" }, { name: "-1" }, { name: "@home" }, { name: "'quoted" }];
+  const text = toCsv(["name"], rows);
+  assert.match(text, /^name\r\n'=SUM\(A1\)\r\n'\+49 30 123\r\n/);
+  assert.deepEqual(parseCsv(text).rows.map(r => r.values.name), rows.map(r => r.name));
+});
+
+test("BOM, LF line ends, blank lines and short rows", () => {
+  const { header, rows } = parseCsv("\uFEFF id , model \n\nd1,X1\nd2\n");
+  assert.deepEqual(header, ["id", "model"]);
+  assert.deepEqual(rows, [
+    { line: 3, values: { id: "d1", model: "X1" } },
+    { line: 4, values: { id: "d2", model: "" } }
+  ]);
+});
+
+test("the last line needs no line break", () => {
+  assert.deepEqual(parseCsv("id\nd1").rows, [{ line: 2, values: { id: "d1" } }]);
+});
+
+test("errors name the line", () => {
+  assert.deepEqual(parseCsv(""), { error: "EMPTY_FILE", line: 1 });
+  assert.deepEqual(parseCsv("\r\n\r\n"), { error: "EMPTY_FILE", line: 1 });
+  assert.deepEqual(parseCsv('id,note\nd1,ok\nd2,"open\nstill open'), { error: "UNTERMINATED_QUOTE", line: 3 });
+});
@@ -0,0 +1,167 @@
+// test/deviceTwins.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeDrift, createTwinReconciler, normalizeDesired, twinKey } from "../lib/deviceTwins.js";
+
+const PAST = "2000-01-01T00:00:00.000Z";
+
+function setup(options = {}) {
+  const deviceTwins = new Map();
+  const jobs = new Map();
+  const devices = new Map([[twinKey("a1", "d1"), { deviceId: "d1", model: "X1", fwVersion: "1.0", config: { mode: "eco" }, reportedAt: PAST }]]);
+  const plans = [];
+  const changes = [];
+  let startError = null;
+  let n = 0;
+  const reconciler = createTwinReconciler({
+    deviceTwins,
+    jobs,
+    nowIso: () => new Date().toISOString(),
+    findDevice: twin => {
+      const device = devices.get(twinKey(twin.agentId, twin.deviceId));
+      return device ? { agent: { agentId: twin.agentId }, device } : null;
+    },
+    startJob(twin, found, plan) {
+      if (startError) return { error: startError };
+      plans.push(plan);
+      const jobId = `job${++n}`;
+      const payload = plan.type === "firmware-update" ? { version: plan.fwVersion } : { parameters: plan.parameters };
+      jobs.set(jobId, { jobId, type: plan.type, status: "queued", payload });
+      return { jobId };
+    },
+    onChange: (twin, previous) => changes.push(`${previous}->${twin.status}`),
+    options
+  });
+  const device = devices.get(twinKey("a1", "d1"));
+  const create = desired => reconciler.create({ agentId: "a1", deviceId: "d1", ...normalizeDesired(desired), updatedBy: "u" });
+  const finish = (twin, status) => {
+    Object.assign(jobs.get(twin.reconcile.jobId), { status, finishedAt: new Date().toISOString() });
+    return reconciler.reconcile(twin);
+  };
+  return { deviceTwins, devices, device, plans, changes, reconciler, create, finish, failStarts: error => { startError = error; } };
+}
+
+test("normalizeDesired validates and trims the desired state", () => {
+  assert.deepEqual(normalizeDesired({ fwVersion: " 2.0 ", config: {} }), { desired: { fwVersion: "2.0", config: null }, autoReconcile: true });
+  assert.deepEqual(normalizeDesired({ config: { mode: "eco" }, autoReconcile: false }), {
+    desired: { fwVersion: null, config: { mode: "eco" } },
+    autoReconcile: false
+  });
+  assert.deepEqual(normalizeDesired({}).errors.map(e => e.field), ["fwVersion"]);
+  assert.deepEqual(normalizeDesired({ fwVersion: "", config: [], autoReconcile: "yes" }).errors.map(e => e.field), [
+    "fwVersion", "config", "autoReconcile"
+  ]);
+});
+
+test("computeDrift compares firmware and parameters; written parameters count as reported", () => {
+  const twin = { desired: { fwVersion: "2.0", config: { mode: "turbo", limits: { max: 5 } } }, appliedConfig: { limits: { max: 5 } } };
+  assert.deepEqual(computeDrift(twin, { fwVersion: "1.0", config: { mode: "eco" } }), {
+    fwVersion: { desired: "2.0", reported: "1.0" },
+    config: [{ key: "mode", desired: "turbo", reported: "eco" }]
+  });
+  // what the device reports wins over what was written
+  assert.deepEqual(computeDrift(twin, { fwVersion: "2.0", config: { mode: "turbo", limits: { max: 6 } } }).config, [
+    { key: "limits", desired: { max: 5 }, reported: { max: 6 } }
+  ]);
+});
+
+test("firmware first, then the drifted parameters, then in sync", () => {
+  const { create, finish, device, plans, reconciler, changes } = setup();
+  const twin = create({ fwVersion: "2.0", config: { mode: "turbo" } });
+  assert.equal(twin.status, "reconciling");
+  assert.deepEqual(plans, [{ type: "firmware-update", fwVersion: "2.0" }]);
+
+  // succeeded, but the device has not reported the new version yet
+  finish(twin, "succeeded");
+  assert.equal(twin.status, "reconciling");
+  assert.equal(plans.length, 1);
+
+  // this one reports no config after the flash
+  Object.assign(device, { fwVersion: "2.0", config: undefined, reportedAt: new Date(Date.now() + 1_000).toISOString() });
+  reconciler.reconcile(twin);
+  assert.deepEqual(plans[1], { type: "config-write", parameters: { mode: "turbo" } });
+  assert.equal(twin.reconcile.lastJob.type, "firmware-update");
+
+  // the written parameters count as reported
+  finish(twin, "succeeded");
+  assert.equal(twin.status, "in-sync");
+  assert.deepEqual(twin.appliedConfig, { mode: "turbo" });
+  assert.equal(twin.reconcile.attempts, 0);
+  assert.deepEqual(changes, ["drifted->reconciling", "reconciling->in-sync"]);
+});
+
+test("a firmware job whose version is never reported is judged after reportWaitMs", () => {
+  const { create, finish, plans } = setup({ reportWaitMs: 0 });
+  const twin = create({ fwVersion: "2.0" });
+  finish(twin, "succeeded");
+  // still on 1.0: try again
+  assert.equal(twin.status, "reconciling");
+  assert.equal(plans.length, 2);
+  assert.equal(twin.reconcile.attempts, 2);
+});
+
+test("jobs that fail back off, then the twin blocks until a new desired state", () => {
+  const { create, finish, reconciler, plans } = setup({ maxAttempts: 2, backoffMs: 60_000 });
+  const twin = create({ config: { mode: "turbo" } });
+
+  finish(twin, "failed");
+  assert.equal(twin.status, "drifted");
+  assert.equal(twin.reconcile.lastJob.status, "failed");
+  assert.ok(Date.parse(twin.reconcile.retryAt) > Date.now() + 59_000);
+  reconciler.tick();
+  assert.equal(plans.length, 1);
+
+  twin.reconcile.retryAt = PAST;
+  reconciler.tick();
+  assert.equal(plans.length, 2);
+  finish(twin, "timed-out");
+  twin.reconcile.retryAt = PAST;
+  reconciler.tick();
+  assert.equal(twin.status, "blocked");
+  assert.equal(twin.reconcile.blockedReason, "MAX_ATTEMPTS");
+  assert.equal(plans.length, 2);
+
+  const again = create({ config: { mode: "turbo" } });
+  assert.equal(again.status, "reconciling");
+  assert.equal(again.reconcile.attempts, 1);
+});
+
+test("a job that cannot be started blocks the twin until it can", () => {
+  const { create, reconciler, failStarts } = setup();
+  failStarts("AGENT_OFFLINE");
+  const twin = create({ fwVersion: "2.0" });
+  assert.equal(twin.status, "blocked");
+  assert.equal(twin.reconcile.blockedReason, "AGENT_OFFLINE");
+  assert.equal(twin.reconcile.attempts, 0);
+
+  failStarts(null);
+  reconciler.reconcile(twin);
+  assert.equal(twin.status, "reconciling");
+  assert.equal(twin.reconcile.blockedReason, null);
+});
+
+test("without auto-reconcile drift is only reported", () => {
+  const { create, plans, reconciler } = setup();
+  const twin = create({ fwVersion: "2.0", autoReconcile: false });
+  assert.equal(twin.status, "drifted");
+  assert.deepEqual(plans, []);
+  assert.deepEqual(reconciler.view(twin).drift.fwVersion, { desired: "2.0", reported: "1.0" });
+});
+
+test("a twin whose device is no longer reported is device-missing", () => {
+  const { create, devices, reconciler } = setup();
+  const twin = create({ config: { mode: "eco" } });
+  assert.equal(twin.status, "in-sync");
+
+  devices.clear();
+  reconciler.reconcileAgent("a1");
+  assert.equal(twin.status, "device-missing");
+  assert.equal(reconciler.view(twin).reported, null);
+});
+
+test("setting a desired state reports a change even when the status stays", () => {
+  const { create, changes } = setup();
+  create({ config: { mode: "eco" } });
+  create({ config: { mode: "eco" }, autoReconcile: false });
+  assert.deepEqual(changes, ["drifted->in-sync", "in-sync->in-sync"]);
+});
@@ -0,0 +1,165 @@
+// test/jobQueue.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobQueue } from "../lib/jobQueue.js";
+
+const PAST = "2000-01-01T00:00:00.000Z";
+
+function setup(options = {}, eligibleAt) {
+  const jobs = new Map();
+  const agentJobQueue = new Map();
+  const queue = createJobQueue({ jobs, agentJobQueue, nowIso: () => new Date().toISOString(), eligibleAt, options });
+  const add = (jobId, extra = {}) => {
+    const job = queue.initJob({ jobId, agentId: "a1", status: "queued", createdAt: PAST, updatedAt: PAST, ...extra });
+    jobs.set(jobId, job);
+    queue.enqueue("a1", jobId);
+    return job;
+  };
+  return { jobs, agentJobQueue, queue, add };
+}
+
+test("take leases due jobs in queue order, up to the limit", () => {
+  const { queue, add, agentJobQueue } = setup({ leaseMs: 30_000 });
+  add("j1");
+  add("j2");
+  add("j3");
+
+  const taken = queue.take("a1", 2);
+  assert.deepEqual(taken.map(j => j.jobId), ["j1", "j2"]);
+  assert.deepEqual(agentJobQueue.get("a1"), ["j3"]);
+  for (const j of taken) {
+    assert.equal(j.status, "dispatched");
+    assert.equal(j.attempts, 1);
+    assert.equal(j.message, "dispatched (attempt 1/3)");
+    assert.equal(Date.parse(j.lease.expiresAt) - Date.parse(j.lease.leasedAt), 30_000);
+  }
+});
+
+test("take skips jobs that are not due and drops stale queue entries", () => {
+  const later = Date.now() + 60_000;
+  const { queue, add, jobs, agentJobQueue } = setup({}, job => (job.jobId === "later" ? later : job.jobId === "never" ? null : Date.now()));
+  add("later");
+  add("never");
+  add("gone");
+  add("done");
+  add("now");
+  jobs.delete("gone");
+  jobs.get("done").status = "cancelled";
+
+  assert.deepEqual(queue.take("a1", 10).map(j => j.jobId), ["now"]);
+  assert.deepEqual(agentJobQueue.get("a1"), ["later", "never"]);
+});
+
+test("an unacknowledged lease is retried with exponential backoff, then the job fails", () => {
+  const { queue, add, agentJobQueue } = setup({ maxAttempts: 3, backoffMs: 1_000 });
+  const j = add("j1");
+
+  for (const [attempt, backoff] of [[1, 1_000], [2, 2_000]]) {
+    queue.take("a1", 1);
+    assert.equal(j.attempts, attempt);
+    j.lease.expiresAt = PAST;
+
+    const before = Date.now();
+    assert.deepEqual(queue.expireLeases(), [j]);
+    assert.equal(j.status, "queued");
+    assert.equal(j.lease, null);
+    assert.ok(Date.parse(j.retryAt) >= before + backoff && Date.parse(j.retryAt) <= Date.now() + backoff);
+    assert.deepEqual(agentJobQueue.get("a1"), ["j1"]);
+
+    // not handed out again before the backoff ran out
+    assert.deepEqual(queue.take("a1", 1), []);
+    j.retryAt = PAST;
+  }
+
+  queue.take("a1", 1);
+  j.lease.expiresAt = PAST;
+  queue.expireLeases();
+  assert.equal(j.status, "failed");
+  assert.equal(j.message, "not acknowledged by agent after 3 attempts");
+  assert.deepEqual(agentJobQueue.get("a1"), []);
+});
+
+test("the backoff is capped", () => {
+  const { queue, add } = setup({ maxAttempts: 10, backoffMs: 1_000, maxBackoffMs: 3_000 });
+  const j = add("j1", { attempts: 5 });
+  queue.take("a1", 1);
+  j.lease.expiresAt = PAST;
+  queue.expireLeases();
+  assert.ok(Date.parse(j.retryAt) <= Date.now() + 3_000);
+});
+
+test("only a job that was handed out may be acknowledged", () => {
+  const { queue, add } = setup();
+  const never = add("never");
+  assert.equal(queue.canAck(never), false);
+
+  const j = add("j1");
+  queue.take("a1", 10);
+  assert.equal(queue.canAck(j), true);
+  queue.ack(j);
+  assert.equal(j.lease, null);
+  assert.ok(j.ackedAt);
+});
+
+test("a late acknowledgement takes a requeued job back", () => {
+  const { queue, add, agentJobQueue } = setup();
+  const j = add("j1");
+  queue.take("a1", 1);
+  j.lease.expiresAt = PAST;
+  queue.expireLeases();
+  assert.equal(j.status, "queued");
+
+  assert.equal(queue.canAck(j), true);
+  queue.ack(j);
+  assert.equal(j.status, "dispatched");
+  assert.equal(j.retryAt, null);
+  assert.deepEqual(agentJobQueue.get("a1"), []);
+});
+
+test("an acknowledged job that stops reporting times out", () => {
+  const { queue, add } = setup({ runTimeoutMs: 60_000 });
+  const j = add("j1");
+  queue.take("a1", 1);
+  queue.ack(j);
+
+  assert.deepEqual(queue.expireLeases(), []);
+  j.updatedAt = PAST;
+  assert.deepEqual(queue.expireLeases(), [j]);
+  assert.equal(j.status, "timed-out");
+  assert.equal(j.message, "no progress reported for 60s");
+});
+
+test("queued jobs expire at their TTL or notAfter", () => {
+  const { queue, add, agentJobQueue } = setup();
+  const ttl = add("ttl", { expiresAt: PAST });
+  const late = add("late", { notAfter: PAST });
+  const fine = add("fine", { expiresAt: new Date(Date.now() + 60_000).toISOString() });
+
+  assert.deepEqual(queue.expireLeases().map(j => j.jobId), ["ttl", "late"]);
+  assert.equal(ttl.status, "expired");
+  assert.equal(late.status, "expired");
+  assert.equal(fine.status, "queued");
+  assert.deepEqual(agentJobQueue.get("a1"), ["fine"]);
+});
+
+test("cancel: queued jobs right away, handed-out ones through the agent", () => {
+  const { queue, add, agentJobQueue } = setup();
+  const leased = add("leased");
+  const queued = add("queued");
+  queue.take("a1", 1);
+
+  assert.equal(queue.cancel(queued, { by: "u1" }), "cancelled");
+  assert.equal(queued.status, "cancelled");
+  assert.equal(queued.cancelRequestedBy, "u1");
+  assert.deepEqual(agentJobQueue.get("a1"), []);
+
+  assert.equal(queue.cancel(leased), "cancel-requested");
+  assert.equal(leased.status, "dispatched");
+  assert.deepEqual(queue.pendingCancellations("a1"), ["leased"]);
+
+  // the agent never picked it up: the expired lease finishes the cancellation
+  leased.lease.expiresAt = PAST;
+  queue.expireLeases();
+  assert.equal(leased.status, "cancelled");
+  assert.deepEqual(queue.pendingCancellations("a1"), []);
+});
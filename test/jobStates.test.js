@@ -0,0 +1,78 @@
+// test/jobStates.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  JOB_STATES, TERMINAL_STATES, isTerminal, canTransition, transition, InvalidTransitionError
+} from "../lib/jobStates.js";
+
+const job = (status, extra = {}) => ({ jobId: "j1", status, startedAt: null, finishedAt: null, updatedAt: null, ...extra });
+
+test("the documented lifecycle is allowed", () => {
+  for (const [from, to] of [
+    ["queued", "dispatched"],
+    ["dispatched", "queued"],
+    ["dispatched", "running"],
+    ["running", "running"],
+    ["running", "succeeded"],
+    ["running", "timed-out"],
+    ["dispatched", "failed"],
+    ["queued", "cancelled"],
+    ["queued", "expired"]
+  ]) {
+    assert.ok(canTransition(from, to), `${from} -> ${to}`);
+  }
+});
+
+test("terminal states have no way out", () => {
+  for (const from of TERMINAL_STATES) {
+    for (const to of JOB_STATES) assert.equal(canTransition(from, to), false, `${from} -> ${to}`);
+  }
+});
+
+test("only a job that was never handed out expires", () => {
+  assert.equal(canTransition("dispatched", "expired"), false);
+  assert.equal(canTransition("running", "expired"), false);
+  assert.equal(canTransition("running", "queued"), false);
+});
+
+test("unknown states cannot move", () => {
+  assert.equal(canTransition("bogus", "running"), false);
+  assert.equal(canTransition("queued", "bogus"), false);
+});
+
+test("isTerminal", () => {
+  assert.deepEqual(JOB_STATES.filter(isTerminal), ["succeeded", "failed", "cancelled", "timed-out", "expired"]);
+});
+
+test("transition keeps the lifecycle timestamps", () => {
+  const j = job("dispatched");
+  transition(j, "running", { at: "2026-01-01T00:00:00.000Z" });
+  assert.equal(j.status, "running");
+  assert.equal(j.startedAt, "2026-01-01T00:00:00.000Z");
+  assert.equal(j.finishedAt, null);
+
+  // a second running report does not move startedAt
+  transition(j, "running", { at: "2026-01-01T00:01:00.000Z", message: "50%" });
+  assert.equal(j.startedAt, "2026-01-01T00:00:00.000Z");
+  assert.equal(j.message, "50%");
+  assert.equal(j.updatedAt, "2026-01-01T00:01:00.000Z");
+
+  transition(j, "succeeded", { at: "2026-01-01T00:02:00.000Z" });
+  assert.equal(j.finishedAt, "2026-01-01T00:02:00.000Z");
+});
+
+test("transition leaves the message alone unless one is given", () => {
+  const j = job("queued", { message: "waiting" });
+  transition(j, "dispatched");
+  assert.equal(j.message, "waiting");
+});
+
+test("an invalid transition throws and leaves the job unchanged", () => {
+  const j = job("succeeded", { finishedAt: "2026-01-01T00:00:00.000Z" });
+  assert.throws(
+    () => transition(j, "running"),
+    err => err instanceof InvalidTransitionError && err.code === "INVALID_TRANSITION" && err.from === "succeeded" && err.to === "running"
+  );
+  assert.equal(j.status, "succeeded");
+  assert.equal(j.startedAt, null);
+});
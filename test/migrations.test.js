@@ -0,0 +1,127 @@
+// test/migrations.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { migrations, migrate, LATEST_VERSION } from "../lib/store/migrations.js";
+
+// Snapshot as a server at `version` left it, with `tables` filled in
+function storeAt(version, tables) {
+  const db = { schemaVersion: 0, tables: {} };
+  for (const m of migrations.filter(m => m.version <= version)) {
+    m.up(db);
+    db.schemaVersion = m.version;
+  }
+  Object.assign(db.tables, tables);
+  return db;
+}
+
+test("versions count up by one from 1", () => {
+  assert.deepEqual(migrations.map(m => m.version), migrations.map((_, i) => i + 1));
+  assert.equal(LATEST_VERSION, migrations.length);
+});
+
+test("an empty store gets every table", () => {
+  const db = {};
+  assert.deepEqual(migrate(db), migrations.map(m => m.version));
+  assert.equal(db.schemaVersion, LATEST_VERSION);
+  for (const name of ["agents", "jobs", "users", "artifacts", "campaigns", "auditLog", "sites", "telemetry", "webhooks", "tenants", "deviceTwins", "diagnosticBundles"]) {
+    assert.deepEqual(db.tables[name], {}, name);
+  }
+});
+
+test("a current store is left alone", () => {
+  const db = { schemaVersion: LATEST_VERSION, tables: { agents: { a1: { agentId: "a1" } } } };
+  assert.deepEqual(migrate(db), []);
+  assert.deepEqual(db.tables, { agents: { a1: { agentId: "a1" } } });
+});
+
+test("a store from a newer server is refused", () => {
+  assert.throws(() => migrate({ schemaVersion: LATEST_VERSION + 1, tables: {} }), /newer than this server/);
+});
+
+test("migrating twice is the same as migrating once", () => {
+  const db = { schemaVersion: 0, tables: {} };
+  migrate(db);
+  const snapshot = structuredClone(db);
+  db.schemaVersion = 0;
+  migrate(db);
+  assert.deepEqual(db, snapshot);
+});
+
+test("v3 gives jobs the tenant of their agent", () => {
+  const db = storeAt(2, {
+    agents: { a1: { agentId: "a1", tenantId: "t1" } },
+    jobs: { j1: { jobId: "j1", agentId: "a1", status: "queued" }, j2: { jobId: "j2", agentId: "gone", status: "queued" } },
+    agentJobQueue: { a1: ["j1"] }
+  });
+  migrate(db);
+  assert.equal(db.tables.jobs.j1.tenantId, "t1");
+  assert.equal(db.tables.jobs.j2.tenantId, null);
+});
+
+test("v5 hands jobs pulled before leases existed to the lease sweeper", () => {
+  const db = storeAt(4, {
+    jobs: {
+      j1: { jobId: "j1", status: "queued", updatedAt: "2026-01-01T00:00:00.000Z" },
+      j2: { jobId: "j2", status: "queued", updatedAt: "2026-01-01T00:00:00.000Z" }
+    },
+    agentJobQueue: { a1: ["j2"] }
+  });
+  migrate(db);
+  assert.equal(db.tables.jobs.j1.status, "dispatched");
+  assert.deepEqual(db.tables.jobs.j1.lease, { leasedAt: "2026-01-01T00:00:00.000Z", expiresAt: "2026-01-01T00:00:00.000Z" });
+  assert.equal(db.tables.jobs.j2.status, "queued");
+  assert.equal(db.tables.jobs.j2.lease, null);
+});
+
+test("v6 parks jobs with an unknown status as failed", () => {
+  const db = storeAt(5, {
+    jobs: { j1: { jobId: "j1", status: "done", updatedAt: "2026-01-01T00:00:00.000Z" }, j2: { jobId: "j2", status: "running" } }
+  });
+  migrate(db);
+  assert.equal(db.tables.jobs.j1.status, "failed");
+  assert.equal(db.tables.jobs.j1.finishedAt, "2026-01-01T00:00:00.000Z");
+  assert.match(db.tables.jobs.j1.message, /unknown status "done"/);
+  assert.equal(db.tables.jobs.j2.status, "running");
+});
+
+test("v14 keeps only the newest active pairing code per agent", () => {
+  const later = Date.now() + 60_000;
+  const db = storeAt(13, {
+    pairingSessions: {
+      OLD: { agentId: "a1", expiresAt: later, usedAt: null },
+      NEW: { agentId: "a1", expiresAt: later + 1000, usedAt: null },
+      USED: { agentId: "a1", expiresAt: later, usedAt: "2026-01-01T00:00:00.000Z" }
+    }
+  });
+  migrate(db);
+  const { OLD, NEW, USED } = db.tables.pairingSessions;
+  assert.equal(OLD.revokedReason, "superseded");
+  assert.equal(NEW.revokedAt, null);
+  assert.equal(USED.revokedAt, null);
+  assert.equal(NEW.pairingCode, "NEW");
+});
+
+test("v15 turns tenant and site ids in use into entities", () => {
+  const db = storeAt(14, {
+    agents: { a1: { agentId: "a1", tenantId: "t1", siteId: "berlin" } },
+    users: { u1: { userId: "u1", tenantId: "t2" } }
+  });
+  migrate(db);
+  assert.deepEqual(Object.keys(db.tables.tenants).sort(), ["t1", "t2"]);
+  assert.equal(db.tables.tenants.t1.name, "t1");
+  assert.equal(db.tables.sites["t1:berlin"].name, "berlin");
+  assert.deepEqual(db.tables.sites["t1:berlin"].windows, []);
+});
+
+test("v19 keeps only the hash of a staged agent secret", () => {
+  const db = storeAt(18, {
+    agentCredentials: {
+      a1: { secretHash: "h0", pending: { secret: "plaintext", secretHash: "h1", issuedAt: "2026-01-01T00:00:00.000Z" } },
+      a2: { secretHash: "h2", pending: null }
+    }
+  });
+  migrate(db);
+  assert.deepEqual(db.tables.agentCredentials.a1.pending, { requestedAt: "2026-01-01T00:00:00.000Z", secretHashes: ["h1"] });
+  assert.equal(db.tables.agentCredentials.a2.pending, null);
+  assert.doesNotMatch(JSON.stringify(db), /plaintext/);
+});
@@ -0,0 +1,156 @@
+// test/portalAuth.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createPortalAuth, hasRole, canAccessTenant, isGlobalAdmin, publicUser, sessionCookie, clearedSessionCookie
+} from "../lib/portalAuth.js";
+import { Table } from "../lib/store/table.js";
+
+function setup() {
+  let now = Date.parse("2026-01-01T00:00:00.000Z");
+  let saves = 0;
+  const users = new Table("users");
+  const portalTokens = new Table("portalTokens", {}, () => saves++);
+  const auth = createPortalAuth({ users, portalTokens, nowIso: () => new Date(now).toISOString() });
+  return {
+    users,
+    portalTokens,
+    auth,
+    saves: () => saves,
+    advance: ms => { now += ms; }
+  };
+}
+
+const admin = { userId: "root", role: "global-admin", tenantId: null };
+const viewer = { userId: "v", role: "viewer", tenantId: "t1" };
+const tenantAdmin = { userId: "ta", role: "tenant-admin", tenantId: "t1" };
+
+test("roles are ordered viewer < operator < tenant-admin < global-admin", () => {
+  assert.equal(hasRole(viewer, "viewer"), true);
+  assert.equal(hasRole(viewer, "operator"), false);
+  assert.equal(hasRole(tenantAdmin, "operator"), true);
+  assert.equal(hasRole(tenantAdmin, "global-admin"), false);
+  assert.equal(hasRole(admin, "tenant-admin"), true);
+  assert.equal(hasRole(null, "viewer"), false);
+  assert.equal(isGlobalAdmin(tenantAdmin), false);
+});
+
+test("users only reach their own tenant; global admins reach all", () => {
+  assert.equal(canAccessTenant(viewer, "t1"), true);
+  assert.equal(canAccessTenant(viewer, "t2"), false);
+  // unpaired agents (no tenant) are for global admins only
+  assert.equal(canAccessTenant(viewer, null), false);
+  assert.equal(canAccessTenant({ ...viewer, tenantId: null }, null), false);
+  assert.equal(canAccessTenant(admin, "t2"), true);
+  assert.equal(canAccessTenant(admin, null), true);
+});
+
+test("global admins belong to no tenant; the password hash is not public", () => {
+  const { auth } = setup();
+  const u = auth.createUser({ userId: "g", password: "pw", role: "global-admin", tenantId: "t1" });
+  assert.equal(u.tenantId, null);
+  assert.match(u.passwordHash, /^scrypt\$/);
+  assert.equal("passwordHash" in publicUser(u), false);
+});
+
+test("login checks the password and the account", () => {
+  const { auth, users } = setup();
+  auth.createUser({ userId: "u", password: "secret", role: "operator", tenantId: "t1" });
+  assert.equal(auth.login("u", "wrong"), null);
+  assert.equal(auth.login("nobody", "secret"), null);
+
+  const before = Date.now();
+  const session = auth.login("u", "secret");
+  assert.equal(session.user.userId, "u");
+  assert.ok(Math.abs(Date.parse(session.expiresAt) - before - 12 * 60 * 60_000) < 1_000);
+
+  users.get("u").disabledAt = "2026-01-01T00:00:00.000Z";
+  assert.equal(auth.login("u", "secret"), null);
+});
+
+test("authenticate takes the Bearer header, else the session cookie", () => {
+  const { auth } = setup();
+  auth.createUser({ userId: "u", password: "pw", role: "viewer", tenantId: "t1" });
+  const { token } = auth.login("u", "pw");
+
+  assert.equal(auth.authenticate(`Bearer ${token}`).user.userId, "u");
+  assert.equal(auth.authenticate(undefined, `theme=dark; portal_session=${token}`).user.userId, "u");
+  assert.equal(auth.authenticate("Bearer nope.nope", `portal_session=${token}`).error, "INVALID_TOKEN");
+  assert.equal(auth.authenticate(undefined, "theme=dark").error, "UNAUTHENTICATED");
+  assert.equal(auth.authenticate(`Bearer ${token.split(".")[0]}.wrong`).error, "INVALID_TOKEN");
+});
+
+test("session cookies are HttpOnly and scoped to /portal", () => {
+  assert.equal(sessionCookie("abc"), "portal_session=abc; Path=/portal; HttpOnly; SameSite=Strict; Max-Age=43200");
+  assert.match(sessionCookie("abc", { secure: true }), /; Secure$/);
+  assert.match(clearedSessionCookie(), /Max-Age=0/);
+});
+
+test("disabled users and expired sessions are refused", () => {
+  const { auth, users, portalTokens } = setup();
+  auth.createUser({ userId: "u", password: "pw", role: "viewer", tenantId: "t1" });
+  const { token } = auth.login("u", "pw");
+
+  users.get("u").disabledAt = "2026-01-01T00:00:00.000Z";
+  assert.equal(auth.authenticate(`Bearer ${token}`).error, "USER_DISABLED");
+
+  const tokenId = token.split(".")[0];
+  portalTokens.get(tokenId).expiresAt = "2000-01-01T00:00:00.000Z";
+  assert.equal(auth.authenticate(`Bearer ${token}`).error, "TOKEN_EXPIRED");
+  assert.equal(portalTokens.has(tokenId), false);
+});
+
+test("lastUsedAt is saved at most once a minute", () => {
+  const { auth, saves, advance, portalTokens } = setup();
+  auth.createUser({ userId: "u", password: "pw", role: "viewer", tenantId: "t1" });
+  const { token } = auth.login("u", "pw");
+  const before = saves();
+
+  for (let i = 0; i < 30; i++) {
+    auth.authenticate(`Bearer ${token}`);
+    advance(1_000);
+  }
+  assert.equal(saves() - before, 1);
+
+  advance(60_000);
+  auth.authenticate(`Bearer ${token}`);
+  assert.equal(saves() - before, 2);
+  assert.equal(portalTokens.get(token.split(".")[0]).lastUsedAt, "2026-01-01T00:01:30.000Z");
+});
+
+test("pruneExpired drops expired sessions and keeps API tokens", () => {
+  const { auth, portalTokens } = setup();
+  auth.createUser({ userId: "u", password: "pw", role: "viewer", tenantId: "t1" });
+  const old = auth.issueToken("u", { kind: "session", ttlMs: 1_000 });
+  const fresh = auth.issueToken("u", { kind: "session", ttlMs: 60 * 60_000 });
+  const api = auth.issueToken("u", { kind: "api" });
+
+  assert.equal(auth.pruneExpired(Date.now() + 10_000), 1);
+  assert.deepEqual([...portalTokens.keys()].sort(), [fresh.record.tokenId, api.record.tokenId].sort());
+  assert.equal(portalTokens.has(old.record.tokenId), false);
+});
+
+test("revokeUserTokens ends every session and API token of a user", () => {
+  const { auth, portalTokens } = setup();
+  auth.createUser({ userId: "u", password: "pw", role: "viewer", tenantId: "t1" });
+  auth.createUser({ userId: "w", password: "pw", role: "viewer", tenantId: "t1" });
+  auth.login("u", "pw");
+  auth.issueToken("u", { kind: "api" });
+  const other = auth.login("w", "pw");
+  auth.revokeUserTokens("u");
+  assert.deepEqual([...portalTokens.values()].map(t => t.userId), ["w"]);
+  assert.ok(auth.authenticate(`Bearer ${other.token}`).user);
+});
+
+test("requireRole answers 403 below the role", () => {
+  const { auth } = setup();
+  const run = user => {
+    let passed = false;
+    const res = { status(c) { this.code = c; return this; }, json(b) { this.body = b; return this; } };
+    auth.requireRole("operator")({ user }, res, () => { passed = true; });
+    return passed ? 200 : res.code;
+  };
+  assert.equal(run(viewer), 403);
+  assert.equal(run({ ...viewer, role: "operator" }), 200);
+  assert.equal(run(admin), 200);
+});
@@ -0,0 +1,90 @@
+// test/schedule.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeWindows, isWindowOpen, nextWindowOpen, jobEligibleAt } from "../lib/schedule.js";
+
+const at = iso => Date.parse(iso);
+
+// 2026-01-02 is a friday
+const overnight = { timezone: "UTC", windows: [{ days: ["fri"], start: "22:00", end: "04:00" }] };
+
+test("a site without windows is always open", () => {
+  assert.equal(isWindowOpen({ timezone: "UTC", windows: [] }, at("2026-01-01T12:00:00Z")), true);
+  assert.equal(isWindowOpen(null, at("2026-01-01T12:00:00Z")), true);
+});
+
+test("a window past midnight belongs to the day it starts on", () => {
+  assert.equal(isWindowOpen(overnight, at("2026-01-02T21:59:00Z")), false);
+  assert.equal(isWindowOpen(overnight, at("2026-01-02T22:00:00Z")), true);
+  assert.equal(isWindowOpen(overnight, at("2026-01-02T23:59:00Z")), true);
+  assert.equal(isWindowOpen(overnight, at("2026-01-03T03:59:00Z")), true);
+  assert.equal(isWindowOpen(overnight, at("2026-01-03T04:00:00Z")), false);
+  // saturday night is not a window, and thursday night does not spill into friday
+  assert.equal(isWindowOpen(overnight, at("2026-01-03T23:00:00Z")), false);
+  assert.equal(isWindowOpen(overnight, at("2026-01-02T01:00:00Z")), false);
+});
+
+test("windows are in site-local time", () => {
+  const site = { timezone: "America/New_York", windows: [{ days: ["fri"], start: "22:00", end: "04:00" }] };
+  // friday 22:30 in New York is saturday 03:30 UTC
+  assert.equal(isWindowOpen(site, at("2026-01-03T03:30:00Z")), true);
+  assert.equal(isWindowOpen(site, at("2026-01-02T22:30:00Z")), false);
+});
+
+test("nextWindowOpen finds the next start, a week ahead if needed", () => {
+  assert.equal(nextWindowOpen(overnight, at("2026-01-02T23:00:00Z")), at("2026-01-02T23:00:00Z"));
+  assert.equal(nextWindowOpen(overnight, at("2026-01-02T12:00:00Z")), at("2026-01-02T22:00:00Z"));
+  assert.equal(nextWindowOpen(overnight, at("2026-01-03T05:00:00Z")), at("2026-01-09T22:00:00Z"));
+});
+
+test("a window start skipped by the spring DST jump opens after the jump", () => {
+  // Berlin: 2026-03-29 02:00 CET -> 03:00 CEST, so 02:30 does not exist
+  const site = { timezone: "Europe/Berlin", windows: [{ days: ["sun"], start: "02:30", end: "04:00" }] };
+  const open = nextWindowOpen(site, at("2026-03-28T12:00:00Z"));
+  assert.equal(open, at("2026-03-29T01:30:00Z")); // 03:30 CEST
+  assert.equal(isWindowOpen(site, open), true);
+  assert.equal(isWindowOpen(site, at("2026-03-29T02:00:00Z")), false); // 04:00 CEST
+});
+
+test("wall-clock windows follow the DST offset change", () => {
+  const site = { timezone: "Europe/Berlin", windows: [{ days: ["mon"], start: "09:00", end: "17:00" }] };
+  // 09:00 is 08:00 UTC in winter and 07:00 UTC in summer
+  assert.equal(nextWindowOpen(site, at("2026-03-21T12:00:00Z")), at("2026-03-23T08:00:00Z"));
+  assert.equal(nextWindowOpen(site, at("2026-03-28T12:00:00Z")), at("2026-03-30T07:00:00Z"));
+});
+
+test("the repeated hour of the autumn DST change is open twice", () => {
+  // Berlin: 2026-10-25 03:00 CEST -> 02:00 CET, 02:00-02:59 happens twice
+  const site = { timezone: "Europe/Berlin", windows: [{ days: ["sun"], start: "01:00", end: "02:30" }] };
+  assert.equal(isWindowOpen(site, at("2026-10-24T23:30:00Z")), true); // 01:30 CEST
+  assert.equal(isWindowOpen(site, at("2026-10-25T00:15:00Z")), true); // 02:15 CEST
+  assert.equal(isWindowOpen(site, at("2026-10-25T00:30:00Z")), false); // 02:30 CEST
+  assert.equal(isWindowOpen(site, at("2026-10-25T01:15:00Z")), true); // 02:15 CET
+  assert.equal(isWindowOpen(site, at("2026-10-25T01:30:00Z")), false); // 02:30 CET
+});
+
+test("normalizeWindows", () => {
+  assert.deepEqual(normalizeWindows([{ days: ["Friday", "fri"], start: "22:00", end: "04:00" }]), {
+    windows: [{ days: ["fri"], start: "22:00", end: "04:00" }]
+  });
+  assert.deepEqual(normalizeWindows([{ days: ["fri"], start: "22:00", end: "22:00" }]).errors, [
+    { field: "windows[0]", message: "start and end must differ" }
+  ]);
+  assert.deepEqual(
+    normalizeWindows([{ days: ["xyz"], start: "24:00", end: "1:00" }]).errors.map(e => e.field),
+    ["windows[0].days", "windows[0].start", "windows[0].end"]
+  );
+  assert.ok(normalizeWindows("fri").errors);
+});
+
+test("jobEligibleAt combines notBefore, retries, windows and deadlines", () => {
+  const now = at("2026-01-02T12:00:00Z");
+  assert.equal(jobEligibleAt({}, null, now), now);
+  assert.equal(jobEligibleAt({ notBefore: "2026-01-02T13:00:00Z" }, null, now), at("2026-01-02T13:00:00Z"));
+  assert.equal(jobEligibleAt({ retryAt: "2026-01-02T12:05:00Z" }, null, now), at("2026-01-02T12:05:00Z"));
+  // windows only matter for job types that ask for them
+  assert.equal(jobEligibleAt({ maintenanceWindow: false }, overnight, now), now);
+  assert.equal(jobEligibleAt({ maintenanceWindow: true }, overnight, now), at("2026-01-02T22:00:00Z"));
+  assert.equal(jobEligibleAt({ maintenanceWindow: true, notAfter: "2026-01-02T20:00:00Z" }, overnight, now), null);
+  assert.equal(jobEligibleAt({ maintenanceWindow: true, expiresAt: "2026-01-02T22:00:00Z" }, overnight, now), null);
+});
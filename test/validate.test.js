@@ -0,0 +1,63 @@
+// test/validate.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { coerceParameter, validateSchema } from "../lib/openapi/validate.js";
+
+const root = { components: { schemas: { Limit: { type: "integer", minimum: 1, maximum: 500 } } } };
+
+test("numeric query strings become numbers", () => {
+  assert.equal(coerceParameter({ type: "integer" }, "42"), 42);
+  assert.equal(coerceParameter({ type: "integer" }, " -7 "), -7);
+  assert.equal(coerceParameter({ type: "number" }, "0.25"), 0.25);
+  assert.equal(coerceParameter({ type: ["integer", "null"] }, "3"), 3);
+});
+
+test("values that do not convert stay strings", () => {
+  for (const value of ["", "abc", "1e3", "0x10", "1.", ".5", "12abc"]) {
+    assert.equal(coerceParameter({ type: "integer" }, value), value, JSON.stringify(value));
+  }
+  assert.equal(coerceParameter({ type: "boolean" }, "1"), "1");
+  assert.equal(coerceParameter({ type: "boolean" }, "TRUE"), "TRUE");
+});
+
+test("booleans are only true and false", () => {
+  assert.equal(coerceParameter({ type: "boolean" }, "true"), true);
+  assert.equal(coerceParameter({ type: "boolean" }, "false"), false);
+});
+
+test("strings and non-string values are left alone", () => {
+  assert.equal(coerceParameter({ type: "string" }, "42"), "42");
+  assert.equal(coerceParameter({}, "42"), "42");
+  assert.equal(coerceParameter(undefined, "42"), "42");
+  assert.deepEqual(coerceParameter({ type: "integer" }, ["1", "2"]), ["1", "2"]);
+});
+
+test("$refs are followed", () => {
+  assert.equal(coerceParameter({ $ref: "#/components/schemas/Limit" }, "10", root), 10);
+  assert.throws(() => coerceParameter({ $ref: "#/components/schemas/Nope" }, "10", root), /unresolvable/);
+});
+
+test("what does not coerce fails validation with a readable message", () => {
+  const schema = { $ref: "#/components/schemas/Limit" };
+  const check = raw => validateSchema(schema, coerceParameter(schema, raw, root), { root, location: "query", path: "limit" });
+  assert.deepEqual(check("10"), []);
+  assert.deepEqual(check("abc"), [{ in: "query", field: "limit", message: "must be integer" }]);
+  assert.deepEqual(check("2.5"), [{ in: "query", field: "limit", message: "must be integer" }]);
+  assert.deepEqual(check("0"), [{ in: "query", field: "limit", message: "must be >= 1" }]);
+  assert.deepEqual(check("501"), [{ in: "query", field: "limit", message: "must be <= 500" }]);
+});
+
+test("validateSchema reports nested fields", () => {
+  const schema = {
+    type: "object",
+    required: ["name"],
+    additionalProperties: false,
+    properties: { name: { type: "string", minLength: 1 }, tags: { type: "array", items: { type: "string" } } }
+  };
+  assert.deepEqual(validateSchema(schema, { name: "", tags: ["a", 1], extra: true }), [
+    { in: "body", field: "name", message: "must not be empty" },
+    { in: "body", field: "tags[1]", message: "must be string" },
+    { in: "body", field: "extra", message: "is not allowed" }
+  ]);
+  assert.deepEqual(validateSchema(schema, {}), [{ in: "body", field: "name", message: "is required" }]);
+});
@@ -0,0 +1,214 @@
+// test/webhooks.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import {
+  createWebhookDispatcher, isBlockedAddress, isValidEventFilter, matchesEvent, sign, targetsPrivateNetwork
+} from "../lib/webhooks.js";
+
+const PAST = "2000-01-01T00:00:00.000Z";
+const SECRET = "whsec_test";
+
+// Local receiver answering each request with the next status of `statuses`
+// (the last one repeats); "hang" never answers
+async function receiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      const status = statuses[Math.min(requests.length, statuses.length) - 1];
+      if (status !== "hang") res.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function setup(url, options = {}) {
+  const webhooks = new Map([["w1", { webhookId: "w1", tenantId: "t1", url, secret: SECRET, events: ["job.*"], active: true }]]);
+  const webhookDeliveries = new Map();
+  const dispatcher = createWebhookDispatcher({
+    webhooks,
+    webhookDeliveries,
+    nowIso: () => new Date().toISOString(),
+    options: { allowPrivateTargets: true, ...options }
+  });
+  return { webhooks, webhookDeliveries, dispatcher };
+}
+
+// enqueue() starts sending right away; wait for that attempt to finish
+async function settled(d) {
+  while (d.durationMs === undefined) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Make a pending retry due now and send it
+function retryNow(dispatcher, d) {
+  d.nextAttemptAt = PAST;
+  return dispatcher.processDue();
+}
+
+test("event filters: exact names, prefix.* and *", () => {
+  assert.equal(isValidEventFilter("*"), true);
+  assert.equal(isValidEventFilter("job.*"), true);
+  assert.equal(isValidEventFilter("job.failed"), true);
+  assert.equal(isValidEventFilter("job.exploded"), false);
+  assert.equal(isValidEventFilter("nothing.*"), false);
+
+  assert.equal(matchesEvent(["job.*"], "job.failed"), true);
+  assert.equal(matchesEvent(["agent.online"], "agent.offline"), false);
+  assert.equal(matchesEvent(["*"], "device.added"), true);
+  assert.equal(matchesEvent([], "device.added"), false);
+});
+
+test("loopback, link-local, private and reserved addresses are blocked", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fe80::1", "fd00::1", "::ffff:127.0.0.1", "::ffff:169.254.169.254"]) {
+    assert.equal(isBlockedAddress(ip), true, ip);
+  }
+  for (const ip of ["93.184.216.34", "8.8.8.8", "2606:4700::1111", "not-an-ip"]) {
+    assert.equal(isBlockedAddress(ip), false, ip);
+  }
+});
+
+test("webhook URLs naming localhost or a blocked IP literal are refused", () => {
+  assert.equal(targetsPrivateNetwork("http://localhost:8080/hook"), true);
+  assert.equal(targetsPrivateNetwork("http://api.LOCALHOST/hook"), true);
+  assert.equal(targetsPrivateNetwork("http://169.254.169.254/latest/meta-data"), true);
+  assert.equal(targetsPrivateNetwork("http://[::1]/hook"), true);
+  assert.equal(targetsPrivateNetwork("http://[::ffff:127.0.0.1]/hook"), true);
+  assert.equal(targetsPrivateNetwork("https://hooks.example.com/odm"), false);
+  assert.equal(targetsPrivateNetwork("https://93.184.216.34/odm"), false);
+});
+
+test("deliveries are signed over the timestamp and the body", async () => {
+  const r = await receiver([204]);
+  try {
+    const { dispatcher } = setup(r.url);
+    const [d] = dispatcher.enqueue("t1", "job.succeeded", { job: { jobId: "j1" } });
+    await settled(d);
+    assert.equal(d.status, "succeeded");
+    assert.equal(d.responseStatus, 204);
+
+    const { headers, body } = r.requests[0];
+    assert.equal(headers["x-webhook-event"], "job.succeeded");
+    assert.equal(headers["x-webhook-delivery"], d.deliveryId);
+    const [, t, v1] = headers["x-webhook-signature"].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    assert.equal(v1, sign(SECRET, t, body));
+    assert.deepEqual(JSON.parse(body).data, { job: { jobId: "j1" } });
+  } finally {
+    await r.close();
+  }
+});
+
+test("only active subscriptions of the tenant that want the event get a delivery", () => {
+  // a blocked target: nothing leaves the machine
+  const { dispatcher, webhooks } = setup("http://127.0.0.1:1/", { allowPrivateTargets: false });
+  webhooks.set("w2", { ...webhooks.get("w1"), webhookId: "w2", active: false });
+  webhooks.set("w3", { ...webhooks.get("w1"), webhookId: "w3", tenantId: "t2" });
+  webhooks.set("w4", { ...webhooks.get("w1"), webhookId: "w4", events: ["agent.*"] });
+
+  assert.deepEqual(dispatcher.enqueue("t1", "job.failed", {}).map(d => d.webhookId), ["w1"]);
+  assert.deepEqual(dispatcher.enqueue(null, "job.failed", {}), []);
+});
+
+test("failed attempts are retried with backoff until maxAttempts", async () => {
+  const r = await receiver([500]);
+  try {
+    const { dispatcher } = setup(r.url, { maxAttempts: 3, backoffMs: 60_000 });
+    const [d] = dispatcher.enqueue("t1", "job.failed", {});
+    await settled(d);
+    assert.equal(d.status, "pending");
+    assert.equal(d.lastError, "HTTP 500");
+    const wait = Date.parse(d.nextAttemptAt) - Date.parse(d.updatedAt);
+    assert.ok(wait >= 60_000 && wait < 61_000, String(wait));
+
+    // not due yet
+    await dispatcher.processDue();
+    assert.equal(d.attempts, 1);
+
+    await retryNow(dispatcher, d);
+    assert.equal(d.attempts, 2);
+    const doubled = Date.parse(d.nextAttemptAt) - Date.parse(d.updatedAt);
+    assert.ok(doubled >= 120_000 && doubled < 121_000, String(doubled));
+
+    await retryNow(dispatcher, d);
+    assert.equal(d.status, "failed");
+    assert.equal(d.nextAttemptAt, null);
+    assert.equal(r.requests.length, 3);
+  } finally {
+    await r.close();
+  }
+});
+
+test("a delivery succeeds once the receiver recovers", async () => {
+  const r = await receiver([503, 200]);
+  try {
+    const { dispatcher } = setup(r.url, { maxAttempts: 3 });
+    const [d] = dispatcher.enqueue("t1", "job.failed", {});
+    await settled(d);
+    await retryNow(dispatcher, d);
+    assert.equal(d.status, "succeeded");
+    assert.equal(d.lastError, null);
+    assert.equal(d.responseStatus, 200);
+  } finally {
+    await r.close();
+  }
+});
+
+test("private targets are refused at connect time unless allowed", async () => {
+  const r = await receiver([200]);
+  try {
+    const { dispatcher, webhooks } = setup(r.url, { allowPrivateTargets: false, maxAttempts: 1 });
+    const [literal] = dispatcher.enqueue("t1", "job.failed", {});
+    await settled(literal);
+    assert.equal(literal.status, "failed");
+    assert.equal(literal.lastError, "blocked address 127.0.0.1");
+
+    // a hostname is checked against every address it resolves to
+    webhooks.get("w1").url = r.url.replace("127.0.0.1", "localhost");
+    const [named] = dispatcher.enqueue("t1", "job.failed", {});
+    await settled(named);
+    assert.match(named.lastError, /^localhost resolves to blocked address /);
+    assert.equal(r.requests.length, 0);
+  } finally {
+    await r.close();
+  }
+});
+
+test("a receiver that does not answer times out", async () => {
+  const r = await receiver(["hang"]);
+  try {
+    const { dispatcher } = setup(r.url, { timeoutMs: 100 });
+    const [d] = dispatcher.enqueue("t1", "job.failed", {});
+    await settled(d);
+    assert.equal(d.lastError, "timeout after 100ms");
+    assert.equal(d.responseStatus, null);
+    assert.equal(d.status, "pending");
+  } finally {
+    await r.close();
+  }
+});
+
+test("prune keeps the newest finished deliveries per webhook and every pending one", () => {
+  const { dispatcher, webhookDeliveries } = setup("https://hooks.example.com/odm", { keepPerWebhook: 2 });
+  const add = (deliveryId, status, createdAt, webhookId = "w1") =>
+    webhookDeliveries.set(deliveryId, { deliveryId, webhookId, status, createdAt, nextAttemptAt: "2999-01-01T00:00:00.000Z" });
+  add("old", "succeeded", "2026-01-01T00:00:00.000Z");
+  add("mid", "failed", "2026-01-02T00:00:00.000Z");
+  add("new", "succeeded", "2026-01-03T00:00:00.000Z");
+  add("waiting", "pending", "2025-01-01T00:00:00.000Z");
+  add("other", "succeeded", "2020-01-01T00:00:00.000Z", "w2");
+
+  dispatcher.prune();
+  assert.deepEqual([...webhookDeliveries.keys()].sort(), ["mid", "new", "other", "waiting"]);
+});